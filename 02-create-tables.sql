@@ -252,6 +252,153 @@ CREATE INDEX idx_sessions_user ON sessions(user_id);
 CREATE INDEX idx_sessions_token ON sessions(token_hash);
 CREATE INDEX idx_sessions_expires ON sessions(expires_at);
 
+--===============================================
+-- 9. DECISION LEDGER (append-only, hash-chained)
+--===============================================
+CREATE TABLE IF NOT EXISTS decision_ledger (
+    seq BIGSERIAL PRIMARY KEY,
+    decision_id VARCHAR(100) UNIQUE NOT NULL, -- verification bundle_id
+    domain VARCHAR(50) NOT NULL, -- triage, medical, credit, hiring, permit, legal, government
+
+    policy_hash CHAR(64),
+    merkle_root CHAR(64) NOT NULL,
+    overall_result VARCHAR(20) NOT NULL, -- VERIFIED, FAILED
+
+    -- JSON (not JSONB) keeps the text exactly as issued, so hashes recompute
+    input JSON,
+    decision JSON NOT NULL,
+    bundle JSON NOT NULL,
+
+    -- Chain: entry_hash = sha256(prev_hash:decision_id:domain:merkle_root:bundle_hash)
+    bundle_hash CHAR(64) NOT NULL,
+    prev_hash CHAR(64) NOT NULL,
+    entry_hash CHAR(64) UNIQUE NOT NULL,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes
+CREATE INDEX idx_decision_ledger_domain ON decision_ledger(domain, seq DESC);
+CREATE INDEX idx_decision_ledger_created ON decision_ledger(created_at DESC);
+
+--===============================================
+-- 10. LEDGER CHECKPOINTS (signed Merkle roots)
+--===============================================
+CREATE TABLE IF NOT EXISTS ledger_checkpoints (
+    checkpoint_id INTEGER PRIMARY KEY,
+    first_seq BIGINT NOT NULL REFERENCES decision_ledger(seq),
+    last_seq BIGINT NOT NULL REFERENCES decision_ledger(seq),
+    leaf_count INTEGER NOT NULL, -- leaves = entry_hash of seq first_seq..last_seq
+
+    root CHAR(64) NOT NULL,
+    prev_root CHAR(64) NOT NULL, -- root of the previous checkpoint (zeros for the first)
+
+    -- Ed25519 over the checkpoint payload (see ledgerCheckpoints.js)
+    signature TEXT NOT NULL,
+    kid VARCHAR(50) NOT NULL,
+    signature_alg VARCHAR(20) NOT NULL,
+
+    created_at TIMESTAMPTZ NOT NULL
+);
+
+-- Indexes
+CREATE INDEX idx_ledger_checkpoints_range ON ledger_checkpoints(first_seq, last_seq);
+
+--===============================================
+-- 11. DECISION OUTCOMES (observed ground truth)
+--===============================================
+CREATE TABLE IF NOT EXISTS decision_outcomes (
+    decision_id VARCHAR(100) PRIMARY KEY REFERENCES decision_ledger(decision_id),
+    observed BOOLEAN NOT NULL, -- TRUE when the favorable outcome turned out right (loan repaid, hire retained)
+    recorded_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+--===============================================
+-- 12. FAIRNESS ATTESTATIONS (signed cohort reports)
+--===============================================
+CREATE TABLE IF NOT EXISTS fairness_attestations (
+    attestation_id VARCHAR(100) PRIMARY KEY,
+    domain VARCHAR(50) NOT NULL,
+    attribute VARCHAR(100) NOT NULL, -- demographic attribute of the input the cohort is grouped by
+
+    period_start TIMESTAMPTZ,
+    period_end TIMESTAMPTZ NOT NULL,
+
+    report JSON NOT NULL,
+    report_hash CHAR(64) NOT NULL, -- SHA-256 of the report as canonical JSON
+    compliant BOOLEAN NOT NULL, -- FALSE when a mandatory cohort constraint is violated
+
+    -- Ed25519 over the attestation payload (see fairness.js)
+    signature TEXT NOT NULL,
+    kid VARCHAR(50) NOT NULL,
+    signature_alg VARCHAR(20) NOT NULL,
+
+    created_at TIMESTAMPTZ NOT NULL
+);
+
+-- Indexes
+CREATE INDEX idx_fairness_attestations_domain ON fairness_attestations(domain, created_at DESC);
+
+--===============================================
+-- 13. INTENT ROUTING LOG (chat engine routing decisions)
+--===============================================
+CREATE TABLE IF NOT EXISTS intent_routing_log (
+    id BIGSERIAL PRIMARY KEY,
+    message_hash CHAR(64) NOT NULL, -- SHA-256 of the message; the text is not stored here
+    language VARCHAR(5),
+    conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+
+    command VARCHAR(50), -- slash command that forced the engine, if any
+    intent VARCHAR(50), -- engine routed to; NULL when the router asked which one was meant
+    confidence NUMERIC(5, 4) NOT NULL,
+    ambiguous BOOLEAN NOT NULL DEFAULT FALSE,
+    candidates JSON NOT NULL, -- [{ intent, confidence, phrase, terms, coverage }] for every engine that scored
+    outcome VARCHAR(20) NOT NULL, -- decided | asked | clarify | fallthrough
+
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes
+CREATE INDEX idx_intent_routing_log_created ON intent_routing_log(created_at DESC);
+CREATE INDEX idx_intent_routing_log_intent ON intent_routing_log(intent, outcome);
+
+--===============================================
+-- 14. TRIAGE CASES (open cases and their C3 reassessments)
+--===============================================
+CREATE TABLE IF NOT EXISTS triage_cases (
+    case_id VARCHAR(100) PRIMARY KEY,
+    patient_ref VARCHAR(100), -- caller's own reference (MRN, bay), optional
+    status VARCHAR(10) NOT NULL DEFAULT 'OPEN', -- OPEN | CLOSED
+
+    arrived_at TIMESTAMPTZ NOT NULL, -- start of the wait clock
+    input JSON NOT NULL, -- engine input with the latest vitals merged in (wait_time and links excluded)
+    decision_id VARCHAR(100) NOT NULL, -- latest triage decision (bundle_id in decision_ledger)
+    priority VARCHAR(10) NOT NULL,
+    reassessments INTEGER NOT NULL DEFAULT 0,
+
+    due_at TIMESTAMPTZ NOT NULL, -- next reassessment
+    notified_at TIMESTAMPTZ, -- reassessment_due pushed for the current due_at
+
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    closed_at TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS triage_case_decisions (
+    case_id VARCHAR(100) NOT NULL REFERENCES triage_cases(case_id),
+    seq INTEGER NOT NULL, -- 0 = initial triage, then one per reassessment
+    decision_id VARCHAR(100) NOT NULL,
+    previous_decision_id VARCHAR(100), -- decision this one reassessed
+    priority VARCHAR(10) NOT NULL,
+    wait_time NUMERIC NOT NULL, -- minutes waited when decided
+    created_at TIMESTAMPTZ NOT NULL,
+    PRIMARY KEY (case_id, seq)
+);
+
+-- Indexes
+CREATE INDEX idx_triage_cases_due ON triage_cases(status, due_at);
+
 --===============================================
 -- FUNCTIONS
 --===============================================
@@ -278,6 +425,26 @@ CREATE TRIGGER update_subscriptions_updated_at
     BEFORE UPDATE ON subscriptions
     FOR EACH ROW EXECUTE FUNCTION update_updated_at();
 
+-- Decision ledger is append-only: reject any UPDATE or DELETE
+CREATE OR REPLACE FUNCTION decision_ledger_append_only()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION '% is append-only', TG_TABLE_NAME;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER decision_ledger_no_update
+    BEFORE UPDATE OR DELETE ON decision_ledger
+    FOR EACH ROW EXECUTE FUNCTION decision_ledger_append_only();
+
+CREATE TRIGGER ledger_checkpoints_no_update
+    BEFORE UPDATE OR DELETE ON ledger_checkpoints
+    FOR EACH ROW EXECUTE FUNCTION decision_ledger_append_only();
+
+CREATE TRIGGER fairness_attestations_no_update
+    BEFORE UPDATE OR DELETE ON fairness_attestations
+    FOR EACH ROW EXECUTE FUNCTION decision_ledger_append_only();
+
 -- Function to reset daily message count
 CREATE OR REPLACE FUNCTION reset_daily_messages()
 RETURNS void AS $$
@@ -0,0 +1,128 @@
+/**
+ * OpLogica Balanced Scoring — hiring rule H9 `diversity_consideration`
+ * When a candidate opts into balanced scoring (diversity_enabled) and belongs to a
+ * declared candidate pool, the composite score is normalised across pools: the
+ * candidate's standing within their own pool (z = (score - pool mean) / pool sd) is
+ * mapped onto the reference distribution (reference mean + z × reference sd), so a
+ * pool that is scored systematically lower by the instrument is not ranked lower for it.
+ *
+ * Norms come from one of two places:
+ *   configured  — HIRING_POOL_NORMS='pool:mean,sd;pool:mean,sd'; the reference is the
+ *                 equal-weight average of the declared pools
+ *   requisition — derived from the raw scores of the candidates assessed together
+ *                 (derivePoolNorms); the reference is the whole requisition
+ * Pools with fewer than MIN_POOL_SIZE candidates or no spread are left unadjusted.
+ */
+
+const MIN_POOL_SIZE = 2;
+
+function round(value) {
+    return Number(value.toFixed(4));
+}
+
+function stats(values) {
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+    return { mean: round(mean), sd: round(Math.sqrt(variance)), n: values.length };
+}
+
+function poolKey(pool) {
+    return typeof pool === 'string' && pool.trim() ? pool.trim().toUpperCase() : null;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// NORMS
+// ═══════════════════════════════════════════════════════════════
+
+function parseNorms(text) {
+    const pools = {};
+    (text || '').split(';').map(s => s.trim()).filter(Boolean).forEach(part => {
+        const [name, values] = part.split(':');
+        const [mean, sd] = (values || '').split(',').map(Number);
+        if (poolKey(name) && Number.isFinite(mean) && Number.isFinite(sd)) pools[poolKey(name)] = { mean, sd, n: null };
+    });
+    const declared = Object.values(pools);
+    if (declared.length === 0) return null;
+    return {
+        source: 'configured',
+        reference: {
+            mean: round(declared.reduce((sum, p) => sum + p.mean, 0) / declared.length),
+            sd: round(declared.reduce((sum, p) => sum + p.sd, 0) / declared.length),
+            n: null
+        },
+        pools
+    };
+}
+
+const CONFIGURED_NORMS = parseNorms(process.env.HIRING_POOL_NORMS);
+
+/**
+ * Norms of one requisition from its candidates' raw composite scores.
+ * entries — [{ pool, score }]; entries without a pool count towards the reference only.
+ */
+function derivePoolNorms(entries) {
+    const scored = entries.filter(e => Number.isFinite(e.score));
+    if (scored.length === 0) return null;
+    const byPool = new Map();
+    scored.forEach(e => {
+        const key = poolKey(e.pool);
+        if (!key) return;
+        if (!byPool.has(key)) byPool.set(key, []);
+        byPool.get(key).push(e.score);
+    });
+    const pools = {};
+    [...byPool.entries()].sort(([a], [b]) => a.localeCompare(b)).forEach(([key, scores]) => { pools[key] = stats(scores); });
+    return { source: 'requisition', reference: stats(scored.map(e => e.score)), pools };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ADJUSTMENT
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * reference mean + z × reference sd, with z the raw score's standing in its pool; clamped to [0, 1].
+ */
+function adjustedScore(rawScore, poolNorm, reference) {
+    const z = (rawScore - poolNorm.mean) / poolNorm.sd;
+    return Math.min(1, Math.max(0, round(reference.mean + z * reference.sd)));
+}
+
+/**
+ * Balanced score for one candidate.
+ * norms — derivePoolNorms() result; defaults to the configured norms.
+ *
+ * Returns { applied, pool, raw_score, score, z?, pool_norm?, reference?, source?, reason }.
+ * When not applied, score is the raw score and reason says why.
+ */
+function balanceScore(rawScore, pool, norms = CONFIGURED_NORMS) {
+    const key = poolKey(pool);
+    const unchanged = reason => ({ applied: false, pool: key, raw_score: rawScore, score: rawScore, reason });
+
+    if (!key) return unchanged('no candidate_pool declared');
+    if (!norms) return unchanged('no pool norms configured');
+    const norm = norms.pools[key];
+    if (!norm) return unchanged(`pool ${key} has no declared norms`);
+    if ((norm.n !== null && norm.n < MIN_POOL_SIZE) || !(norm.sd > 0) || !(norms.reference.sd > 0)) {
+        return unchanged(`pool ${key} too small or without spread to normalise`);
+    }
+
+    return {
+        applied: true,
+        pool: key,
+        raw_score: rawScore,
+        score: adjustedScore(rawScore, norm, norms.reference),
+        z: round((rawScore - norm.mean) / norm.sd),
+        pool_norm: { mean: norm.mean, sd: norm.sd },
+        reference: { mean: norms.reference.mean, sd: norms.reference.sd },
+        source: norms.source,
+        reason: `normalised within pool ${key}`
+    };
+}
+
+module.exports = {
+    MIN_POOL_SIZE,
+    CONFIGURED_NORMS,
+    derivePoolNorms,
+    adjustedScore,
+    balanceScore
+};
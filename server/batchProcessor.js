@@ -0,0 +1,281 @@
+/**
+ * OpLogica Batch Decisions — many applications through one engine in one run
+ * Reads CSV (header row = input field names) or NDJSON (one JSON object per line)
+ * from a stream, decides row by row and writes one NDJSON line per row as soon as
+ * it is decided. Rows that fail validation are reported and the run continues.
+ * The last line is a signed manifest whose Merkle root covers every decision in
+ * the run, so a batch can be audited as a whole and no row can be dropped unseen.
+ *
+ * Result line:   { type: 'result', row, status: 'decided', decision, verification_bundle }
+ *                { type: 'result', row, status: 'invalid' | 'error', error: { code, message, details? } }
+ * Manifest line: { type: 'manifest', batch_id, ..., decisions: [{ row, bundle_id, merkle_root }], merkle_root, signature }
+ *
+ * Manifest leaf per decision: SHA-256(row : bundle_id : bundle merkle_root), in row order.
+ */
+
+const crypto = require('crypto');
+const {
+    sha256,
+    signProof,
+    verifyProofSignature,
+    computeMerkleRoot
+} = require('./verificationCore');
+const { canonicalize } = require('./canonicalJson');
+const { InputValidationError } = require('./inputSchema');
+
+const MANIFEST_SCHEMA = 'oplogica.batch-manifest/1';
+const MAX_ROWS = parseInt(process.env.BATCH_MAX_ROWS, 10) || 1000;
+
+// ═══════════════════════════════════════════════════════════════
+// INPUT FORMATS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * RFC 4180 CSV, streamed: quoted fields may hold commas, quotes ("") and newlines.
+ * Yields one array of field strings per record; blank lines are skipped.
+ */
+async function* csvRecords(stream) {
+    let field = '';
+    let record = [];
+    let inQuotes = false;
+    let quotePending = false; // saw a quote inside a quoted field: escaped quote or closing quote
+
+    const endField = () => { record.push(field); field = ''; };
+    const endRecord = () => {
+        endField();
+        const done = record;
+        record = [];
+        return done.length === 1 && done[0] === '' ? null : done;
+    };
+
+    for await (const chunk of stream) {
+        const text = typeof chunk === 'string' ? chunk : chunk.toString('utf8');
+        const ready = [];
+        for (const ch of text) {
+            if (quotePending) {
+                quotePending = false;
+                if (ch === '"') { field += '"'; continue; }
+                inQuotes = false;
+            }
+            if (inQuotes) {
+                if (ch === '"') quotePending = true;
+                else field += ch;
+            } else if (ch === '"' && field === '') {
+                inQuotes = true;
+            } else if (ch === ',') {
+                endField();
+            } else if (ch === '\n') {
+                const done = endRecord();
+                if (done) ready.push(done);
+            } else if (ch !== '\r') {
+                field += ch;
+            }
+        }
+        yield* ready;
+    }
+    const last = endRecord();
+    if (last) yield last;
+}
+
+/**
+ * CSV cells are strings; the engine schema says what each column should be.
+ * Empty cells are left out (so schema defaults apply); values that do not convert
+ * stay strings for the validator to reject.
+ */
+function coerceCsvValue(value, spec) {
+    const trimmed = value.trim();
+    if (!spec) return trimmed;
+    if (spec.type === 'number' || spec.type === 'integer') {
+        const n = Number(trimmed);
+        return trimmed !== '' && Number.isFinite(n) ? n : trimmed;
+    }
+    if (spec.type === 'boolean') {
+        const lower = trimmed.toLowerCase();
+        if (['true', '1', 'yes'].includes(lower)) return true;
+        if (['false', '0', 'no'].includes(lower)) return false;
+    }
+    return trimmed;
+}
+
+async function* csvRows(stream, schema) {
+    const properties = (schema && schema.properties) || {};
+    let header = null;
+    let row = 0;
+    for await (const record of csvRecords(stream)) {
+        if (!header) {
+            header = record.map(h => h.trim());
+            continue;
+        }
+        row++;
+        const data = {};
+        header.forEach((column, i) => {
+            if (!column || record[i] === undefined || record[i].trim() === '') return;
+            data[column] = coerceCsvValue(record[i], properties[column]);
+        });
+        yield { row, data };
+    }
+}
+
+async function* ndjsonRows(stream) {
+    let buffered = '';
+    let row = 0;
+
+    function parse(line) {
+        row++;
+        try {
+            return { row, data: JSON.parse(line) };
+        } catch (err) {
+            return { row, error: { code: 'INVALID_JSON', message: `row ${row}: ${err.message}` } };
+        }
+    }
+
+    for await (const chunk of stream) {
+        buffered += typeof chunk === 'string' ? chunk : chunk.toString('utf8');
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        for (const line of lines) {
+            if (line.trim()) yield parse(line);
+        }
+    }
+    if (buffered.trim()) yield parse(buffered);
+}
+
+/**
+ * 'csv' or 'ndjson' from a Content-Type header (or an explicit ?format=), else null.
+ */
+function detectFormat(contentType, explicit) {
+    const value = (explicit || contentType || '').toLowerCase();
+    if (value.includes('csv')) return 'csv';
+    if (value.includes('ndjson') || value.includes('jsonl')) return 'ndjson';
+    return null;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// MANIFEST
+// ═══════════════════════════════════════════════════════════════
+
+function manifestLeaf(d) {
+    return sha256(`${d.row}:${d.bundle_id}:${d.merkle_root}`);
+}
+
+// Signed as canonical JSON, like every hashed structure of a /2 bundle
+function manifestPayload(m) {
+    return canonicalize({
+        schema: m.schema,
+        batch_id: m.batch_id,
+        engine: m.engine,
+        format: m.format,
+        started_at: m.started_at,
+        completed_at: m.completed_at,
+        rows: m.rows,
+        decided: m.decided,
+        invalid: m.invalid,
+        errors: m.errors,
+        truncated: m.truncated,
+        merkle_root: m.merkle_root
+    });
+}
+
+/**
+ * Offline check of a manifest: leaves rebuilt from the decision list, root recomputed,
+ * signature checked (options.getPublicKey as in verifyProofSignature).
+ * Pass options.bundles (the verification bundles of the run) to tie each entry to its bundle.
+ */
+function verifyManifest(manifest, options = {}) {
+    const decisions = (manifest && manifest.decisions) || [];
+    const checks = {
+        counts_match: decisions.length === manifest.decided,
+        merkle_root: computeMerkleRoot(decisions.map(manifestLeaf)) === manifest.merkle_root,
+        signature: verifyProofSignature(manifestPayload(manifest), manifest, { getPublicKey: options.getPublicKey })
+    };
+    if (options.bundles) {
+        const byId = new Map(options.bundles.map(b => [b.bundle_id, b]));
+        checks.bundles_match = decisions.every(d => byId.has(d.bundle_id) && byId.get(d.bundle_id).merkle_root === d.merkle_root);
+    }
+    return { valid: Object.values(checks).every(Boolean), checks };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// RUN
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Decides every row of the stream with one engine.
+ *
+ * entry   — engine catalog entry (engineCatalog.getEngine)
+ * stream  — readable (request body)
+ * format  — 'csv' | 'ndjson'
+ * emit    — async (line) → void, called once per row and once with the manifest
+ * options — { maxRows (at most, and by default, BATCH_MAX_ROWS or 1000), isCancelled () → boolean }
+ *
+ * Returns the signed manifest (also passed to emit).
+ */
+async function runBatch(entry, stream, format, emit, options = {}) {
+    const maxRows = Math.min(Math.max(options.maxRows || MAX_ROWS, 1), MAX_ROWS);
+    const isCancelled = options.isCancelled || (() => false);
+    const manifest = {
+        type: 'manifest',
+        schema: MANIFEST_SCHEMA,
+        batch_id: `BATCH-${entry.code}-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+        engine: entry.key,
+        format,
+        started_at: new Date().toISOString(),
+        completed_at: null,
+        rows: 0,
+        decided: 0,
+        invalid: 0,
+        errors: 0,
+        truncated: false,
+        decisions: []
+    };
+
+    const rows = format === 'csv' ? csvRows(stream, entry.schema) : ndjsonRows(stream);
+    for await (const { row, data, error } of rows) {
+        if (isCancelled()) break;
+        if (row > maxRows) {
+            manifest.truncated = true;
+            break;
+        }
+        manifest.rows = row;
+
+        let line;
+        if (error) {
+            manifest.invalid++;
+            line = { type: 'result', row, status: 'invalid', error };
+        } else {
+            try {
+                const result = entry.evaluate(data);
+                const bundle = result.verification_bundle;
+                manifest.decided++;
+                manifest.decisions.push({ row, bundle_id: bundle.bundle_id, merkle_root: bundle.merkle_root });
+                line = { type: 'result', row, status: 'decided', decision: result.decision, verification_bundle: bundle };
+            } catch (err) {
+                if (err instanceof InputValidationError) {
+                    manifest.invalid++;
+                    line = { type: 'result', row, status: 'invalid', error: { code: err.code, message: err.message, schema: err.schema, details: err.errors } };
+                } else {
+                    manifest.errors++;
+                    line = { type: 'result', row, status: 'error', error: { code: 'ENGINE_ERROR', message: err.message } };
+                }
+            }
+        }
+        await emit(line);
+        // Engines decide synchronously: yield between rows so one batch does not hold the server
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    manifest.completed_at = new Date().toISOString();
+    manifest.merkle_root = computeMerkleRoot(manifest.decisions.map(manifestLeaf));
+    Object.assign(manifest, signProof(manifestPayload(manifest)));
+    await emit(manifest);
+    return manifest;
+}
+
+module.exports = {
+    MANIFEST_SCHEMA,
+    detectFormat,
+    manifestLeaf,
+    manifestPayload,
+    verifyManifest,
+    runBatch
+};
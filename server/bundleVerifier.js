@@ -0,0 +1,190 @@
+/**
+ * OpLogica Bundle Verifier — independent re-check of a verification bundle
+ * Recomputes every hash, signature and the Merkle root from the bundle's own
+ * contents and reports each check, instead of trusting verification_predicate.
+ * Usable offline: needs only the bundle, the published public keys (or the HMAC
+ * secret for legacy bundles) and, optionally, the original input and a policy lookup.
+ */
+
+const {
+    sha256,
+    hashJson,
+    verifyProofSignature,
+    computeMerkleRoot,
+    policyPayload,
+    checkReasonGraph,
+    bundleLeaves,
+    LEGACY_BUNDLE_SCHEMA
+} = require('./verificationCore');
+const { verifyToken } = require('./timestampAuthority');
+
+const PREDICATE_KEYS = ['signatures_valid', 'logic_valid', 'temporal_precedence', 'constraints_satisfied'];
+// Only checkable from the received bundle; older bundles also claimed it, and that claim is compared
+const LEGACY_PREDICATE_KEY = 'merkle_verified';
+
+// PoO state P recorded by /1 bundles that did not hash their policy name: the v2.1 triage
+// module hashed its protocol id. Those bundles are checked against both.
+const LEGACY_POO_POLICY = { 'Emergency Triage Protocol v2.1': 'triage_protocol_v2.1' };
+
+function isTime(iso) {
+    return typeof iso === 'string' && !Number.isNaN(Date.parse(iso));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// POLICY BINDING
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * entry is a policy registry entry ({ domain, policy, effective_from, effective_until, ... }).
+ * A derived bundle (counterfactual) is bound at policy_as_of, the time of the decision it
+ * explains, which may not be later than its own timestamp.
+ */
+function checkPolicyEntry(entry, bundle, keys) {
+    const { poo, poi } = bundle;
+    if (!entry) return { passed: false, detail: `policy_hash ${poi.policy_hash} is not a registered policy version` };
+
+    const policy = entry.policy;
+    const boundAt = bundle.policy_as_of || poo.timestamp;
+    const decidedAt = Date.parse(boundAt);
+    const problems = [];
+    if (bundle.policy_as_of && !(decidedAt <= Date.parse(poo.timestamp))) problems.push(`policy_as_of ${bundle.policy_as_of} is not before the bundle timestamp`);
+
+    const canonicalHash = sha256(policyPayload(policy));
+    const bundleHash = sha256(policyPayload(policy, bundle.schema || LEGACY_BUNDLE_SCHEMA));
+    if (bundleHash !== poi.policy_hash) problems.push('registered policy text does not hash to policy_hash');
+    // The authority signs the canonical hash; /1 bundles carry the legacy hash of the same text
+    const authority = { signature: policy.authority_signature, kid: policy.authority_kid };
+    if (!verifyProofSignature(canonicalHash, authority, { getPublicKey: keys.getPublicKey })) problems.push('authority_signature invalid');
+    if (bundle.domain && entry.domain !== bundle.domain) problems.push(`policy belongs to '${entry.domain}', bundle is '${bundle.domain}'`);
+    if (decidedAt < Date.parse(entry.effective_from)) problems.push(`decision precedes effective_from ${entry.effective_from}`);
+    if (entry.effective_until && decidedAt >= Date.parse(entry.effective_until)) problems.push(`decision is after effective_until ${entry.effective_until}`);
+
+    return {
+        passed: problems.length === 0,
+        detail: problems.length === 0
+            ? `${policy.policy_name} in force at ${boundAt}${bundle.policy_as_of ? ' (decision explained)' : ''}`
+            : problems.join('; ')
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// VERIFICATION
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Verifies a bundle.
+ *
+ * options.input         — original engine input; enables the PoO state hash check
+ * options.getPublicKey  — (kid) → Ed25519 public key (default: local keyring)
+ * options.secret        — HMAC key of /1 bundles without a kid (default: POO_SECRET; none → they fail)
+ * options.getPolicy     — (policy_hash) → registry entry | null; enables the policy binding check
+ * options.getTsaKey     — (kid) → TSA public key for PoO timestamp tokens (default: local TSA)
+ *
+ * Returns { valid, overall_result, bundle_id, domain, checks, predicate, claims_match }.
+ * A check with passed === null was skipped for lack of data and does not fail the bundle.
+ */
+function verifyBundle(bundle, options = {}) {
+    const checks = [];
+    const check = (name, passed, detail) => { checks.push({ check: name, passed, detail }); return passed; };
+
+    const { poo, por, poi } = bundle || {};
+    if (!poo || !por || !poi) {
+        check('structure', false, 'bundle must contain poo, por and poi');
+        return { valid: false, overall_result: 'FAILED', bundle_id: bundle && bundle.bundle_id, domain: bundle && bundle.domain, checks, predicate: null, claims_match: false };
+    }
+    const schema = bundle.schema || LEGACY_BUNDLE_SCHEMA; // bundles without a schema predate canonical JSON
+    const keys = { getPublicKey: options.getPublicKey, secret: options.secret, schema };
+    const serialization = schema === LEGACY_BUNDLE_SCHEMA ? 'JSON.stringify' : 'canonical JSON';
+    const sigDetail = (expr, proof) => proof.kid
+        ? `Ed25519 over ${expr} (kid ${proof.kid})`
+        : schema === LEGACY_BUNDLE_SCHEMA ? `HMAC-SHA256(${expr}) — legacy, needs POO_SECRET` : `no kid — only /1 bundles may carry HMAC proofs`;
+
+    // ── PoO ──
+    const pooSig = check('poo_signature', verifyProofSignature(poo.hash + poo.timestamp, poo, keys),
+        sigDetail('poo.hash + poo.timestamp', poo));
+    let pooHash = null;
+    if (options.input !== undefined) {
+        const policies = [poi.policy];
+        if (schema === LEGACY_BUNDLE_SCHEMA && LEGACY_POO_POLICY[poi.policy]) policies.push(LEGACY_POO_POLICY[poi.policy]);
+        const recorded = policies.find(P => {
+            const state = { D: options.input, P, T: poo.timestamp };
+            if (poo.assumptions) state.A = poo.assumptions;
+            return hashJson(state, schema) === poo.hash;
+        });
+        pooHash = check('poo_hash', recorded !== undefined,
+            `SHA-256 of ${serialization} { D: input, P: ${recorded && recorded !== poi.policy ? `'${recorded}'` : 'policy'}, T: timestamp${poo.assumptions ? ', A: assumptions' : ''} }`);
+    } else {
+        check('poo_hash', null, 'skipped — original input not supplied');
+    }
+
+    // ── PoR ──
+    const graphHash = check('por_hash', hashJson(por.graph, schema) === por.hash, `SHA-256 of ${serialization} reason graph`);
+    const porSig = check('por_signature', verifyProofSignature(por.hash, por, keys), sigDetail('por.hash', por));
+    const graph = checkReasonGraph(por.graph);
+    const logic = check('reason_graph', graph.valid, graph.detail);
+
+    // ── Time ── (a valid TSA token's gen_time replaces the server-clock timestamp)
+    let decidedAt = poo.timestamp;
+    let token = null;
+    if (poo.timestamp_token) {
+        const result = verifyToken(poo.timestamp_token, poo.hash, { getPublicKey: options.getTsaKey });
+        token = check('timestamp_token', result.valid, result.detail);
+        if (token) decidedAt = result.gen_time;
+    } else {
+        check('timestamp_token', null, 'skipped — PoO has no timestamp token (server clock)');
+    }
+
+    // ── PoI ──
+    const temporal = check('temporal_precedence',
+        token !== false && isTime(poi.declaration_time) && isTime(decidedAt) && Date.parse(poi.declaration_time) < Date.parse(decidedAt),
+        `policy declared ${poi.declaration_time}, decision ${decidedAt}${token ? ' (TSA)' : ''}`);
+    const rows = Array.isArray(poi.results) ? poi.results : [];
+    const mandatoryOk = rows.filter(r => r.severity === 'mandatory').every(r => r.satisfied === true);
+    const constraints = check('constraints', mandatoryOk && poi.all_satisfied === mandatoryOk,
+        mandatoryOk ? `${rows.length} constraint rows, all mandatory satisfied` : 'a mandatory constraint is not satisfied');
+
+    let policySig = null;
+    if (typeof options.getPolicy === 'function') {
+        const binding = checkPolicyEntry(options.getPolicy(poi.policy_hash), bundle, keys);
+        policySig = check('policy_binding', binding.passed, binding.detail);
+    } else {
+        check('policy_binding', null, 'skipped — no policy registry supplied');
+    }
+
+    // ── Merkle ──
+    const root = computeMerkleRoot(bundleLeaves(poo, por, poi));
+    const merkle = check('merkle_root', root === bundle.merkle_root, `recomputed ${root}`);
+
+    const predicate = {
+        signatures_valid: pooSig && porSig && policySig !== false,
+        logic_valid: logic,
+        temporal_precedence: temporal,
+        constraints_satisfied: constraints,
+        merkle_verified: merkle && graphHash && pooHash !== false
+    };
+
+    const claimed = bundle.verification_predicate || {};
+    const claimedKeys = LEGACY_PREDICATE_KEY in claimed ? [...PREDICATE_KEYS, LEGACY_PREDICATE_KEY] : PREDICATE_KEYS;
+    const mismatched = claimedKeys.filter(k => claimed[k] !== predicate[k]);
+    const claims_match = mismatched.length === 0
+        && bundle.overall_result === (claimedKeys.every(k => predicate[k]) ? 'VERIFIED' : 'FAILED');
+    check('predicate_claims', claims_match, claims_match
+        ? 'bundle claims match recomputed predicate'
+        : `claimed values differ: ${mismatched.join(', ') || 'overall_result'}`);
+
+    const valid = checks.every(c => c.passed !== false);
+
+    return {
+        valid,
+        overall_result: valid ? 'VERIFIED' : 'FAILED',
+        bundle_id: bundle.bundle_id,
+        domain: bundle.domain,
+        checks,
+        predicate,
+        claims_match
+    };
+}
+
+module.exports = {
+    verifyBundle
+};
@@ -0,0 +1,39 @@
+/**
+ * OpLogica Canonical JSON — RFC 8785 JSON Canonicalization Scheme (JCS)
+ * Every hashed structure (PoO state, reason graph, policy payload) is serialized
+ * with canonicalize() so the hash no longer depends on property insertion order
+ * and any JCS implementation in another language reproduces it byte for byte.
+ *
+ * Rules: object members sorted by UTF-16 code units, no whitespace, numbers and
+ * strings serialized as ECMAScript JSON.stringify does (RFC 8785 §3.2.2).
+ */
+
+function canonicalize(value) {
+    if (value === null || typeof value === 'boolean' || typeof value === 'string') return JSON.stringify(value);
+
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) throw new Error(`Canonical JSON: cannot serialize ${value}`);
+        return JSON.stringify(value);
+    }
+
+    if (typeof value === 'bigint') throw new Error('Canonical JSON: cannot serialize BigInt');
+
+    if (Array.isArray(value)) {
+        return '[' + value.map(v => (v === undefined || typeof v === 'function' || typeof v === 'symbol') ? 'null' : canonicalize(v)).join(',') + ']';
+    }
+
+    if (typeof value === 'object') {
+        if (typeof value.toJSON === 'function') return canonicalize(value.toJSON());
+        // Default sort compares UTF-16 code units, as JCS requires
+        const keys = Object.keys(value)
+            .filter(k => value[k] !== undefined && typeof value[k] !== 'function' && typeof value[k] !== 'symbol')
+            .sort();
+        return '{' + keys.map(k => JSON.stringify(k) + ':' + canonicalize(value[k])).join(',') + '}';
+    }
+
+    throw new Error(`Canonical JSON: cannot serialize ${typeof value}`);
+}
+
+module.exports = {
+    canonicalize
+};
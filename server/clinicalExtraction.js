@@ -0,0 +1,320 @@
+/**
+ * OpLogica Clinical Extraction — raw observations to triage scores
+ * Clinicians write "BP 80/50, HR 130, SpO2 88%, 74yo, COPD + CHF" rather than a
+ * normalised vital_score. This module reads those observations from free text and
+ * derives the two scores the medical engine consumes, documented and deterministic:
+ *
+ * vital_score (0 = critical … 1 = normal) — each observed vital gets a band of 0–3,
+ * using the adult NEWS2 ranges (GCS stands in for ACVPU):
+ *   respiratory_rate   ≤8 → 3 · 9–11 → 1 · 12–20 → 0 · 21–24 → 2 · ≥25 → 3
+ *   spo2 (%)           ≤91 → 3 · 92–93 → 2 · 94–95 → 1 · ≥96 → 0
+ *   systolic_bp        ≤90 → 3 · 91–100 → 2 · 101–110 → 1 · 111–219 → 0 · ≥220 → 3
+ *   heart_rate         ≤40 → 3 · 41–50 → 1 · 51–90 → 0 · 91–110 → 1 · 111–130 → 2 · ≥131 → 3
+ *   temperature (°C)   ≤35.0 → 3 · 35.1–36.0 → 1 · 36.1–38.0 → 0 · 38.1–39.0 → 1 · ≥39.1 → 2
+ *   gcs                15 → 0 · 14 → 1 · 9–13 → 2 · ≤8 → 3
+ *   vital_score = 1 − (max band + mean band) / 6, over the vitals observed
+ * so any single band-3 vital alone scores ≤ 0.5 and triggers C1. diastolic_bp is
+ * recorded with the blood pressure but not banded. A score needs systolic_bp and at
+ * least one other banded vital: a lone normal reading ("HR 80") would score 1.0 on
+ * what was not measured, so vital_score is then left to be given or asked for. A
+ * band-3 reading is scored on its own, since no further vital lifts it above 0.5.
+ *
+ * comorbidity_index (0 … 1) — sum of per-condition weights, capped at 1. Weights follow
+ * the ordering of the Charlson index, scaled so two major conditions (COPD + CHF) reach
+ * R-COMORBID (≥ 0.6); metastatic cancer supersedes cancer.
+ *
+ * A derived score only fills an input that was not given; a given vital_score or
+ * comorbidity_index always wins. Observation fields travel flat in the engine input
+ * (systolic_bp, heart_rate, ..., comorbidities: ['COPD', 'CHF']) so the PoO records them.
+ */
+
+const { validateInput } = require('./inputSchema');
+
+const OBSERVATION_SCHEMA = {
+    $id: 'oplogica.input.clinical-observations/1',
+    type: 'object',
+    properties: {
+        systolic_bp: { type: 'number', minimum: 30, maximum: 300 },
+        diastolic_bp: { type: 'number', minimum: 10, maximum: 200 },
+        heart_rate: { type: 'number', minimum: 10, maximum: 300 },
+        respiratory_rate: { type: 'number', minimum: 0, maximum: 80 },
+        spo2: { type: 'number', minimum: 40, maximum: 100 },
+        temperature: { type: 'number', minimum: 25, maximum: 45 },
+        gcs: { type: 'integer', minimum: 3, maximum: 15 }
+    },
+    required: []
+};
+
+// [inclusive upper bound, band]; the last bound is Infinity
+const VITAL_BANDS = {
+    respiratory_rate: { unit: '/min', bands: [[8, 3], [11, 1], [20, 0], [24, 2], [Infinity, 3]] },
+    spo2: { unit: '%', bands: [[91, 3], [93, 2], [95, 1], [Infinity, 0]] },
+    systolic_bp: { unit: 'mmHg', bands: [[90, 3], [100, 2], [110, 1], [219, 0], [Infinity, 3]] },
+    heart_rate: { unit: 'bpm', bands: [[40, 3], [50, 1], [90, 0], [110, 1], [130, 2], [Infinity, 3]] },
+    temperature: { unit: '°C', bands: [[35, 3], [36, 1], [38, 0], [39, 1], [Infinity, 2]] },
+    gcs: { unit: '', bands: [[8, 3], [13, 2], [14, 1], [Infinity, 0]] }
+};
+const MAX_BAND = 3;
+const REQUIRED_VITAL = 'systolic_bp';
+const MIN_VITALS = 2;
+
+const COMORBIDITIES = {
+    METASTATIC_CANCER: { weight: 0.6, supersedes: ['CANCER'], terms: [/\bmetasta/i, /metastaz/i, /نقائل|ورم\s*منتشر/] },
+    CANCER: { weight: 0.35, terms: [/\bcancer/i, /\bmalignan/i, /\btumou?r/i, /\bcarcinoma/i, /\blymphoma/i, /\bleuka?emia/i, /\bkanser/i, /سرطان/] },
+    CKD: { weight: 0.35, terms: [/\bckd\b/i, /\besrd\b/i, /chronic\s+kidney/i, /(?:renal|kidney)\s+failure/i, /\bdialysis/i, /böbrek\s+yetmezli/i, /فشل\s*كلوي|الفشل\s*الكلوي|قصور\s*كلوي/] },
+    LIVER_DISEASE: { weight: 0.35, terms: [/\bcirrhosis/i, /liver\s+disease/i, /hepatic\s+failure/i, /\bsiroz/i, /تليف\s*الكبد/] },
+    CHF: { weight: 0.3, terms: [/\bchf\b/i, /(?:heart|cardiac)\s+failure/i, /kalp\s+yetmezli/i, /قصور\s*القلب|فشل\s*القلب/] },
+    COPD: { weight: 0.3, terms: [/\bcopd\b/i, /chronic\s+obstructive/i, /\bemphysema/i, /\bkoah\b/i, /الانسداد\s*الرئوي/] },
+    IMMUNOSUPPRESSION: { weight: 0.3, terms: [/\bimmunosuppress/i, /\bimmunocompromis/i, /\bhiv\b/i, /\btransplant/i, /نقص\s*المناعة/] },
+    DIABETES: { weight: 0.2, terms: [/\bdiabet/i, /\bt[12]dm\b/i, /\biddm\b/i, /\bdm\b/i, /\bdiyabet/i, /şeker\s+hastalı/i, /السكري/] },
+    CAD: { weight: 0.2, terms: [/\bcad\b/i, /\bihd\b/i, /\bcoronary/i, /myocardial\s+infarction/i, /heart\s+attack/i, /\bkoroner/i, /kalp\s+krizi/i, /الشريان\s*التاجي|نوبة\s*قلبية/] },
+    STROKE: { weight: 0.2, terms: [/\bstroke/i, /\bcva\b/i, /\btia\b/i, /\binme\b/i, /سكتة\s*دماغية/] },
+    DEMENTIA: { weight: 0.2, terms: [/\bdementia/i, /\balzheimer/i, /\bdemans/i, /الخرف/] },
+    ASTHMA: { weight: 0.1, terms: [/\basthma/i, /\bastım/i, /الربو/] },
+    HYPERTENSION: { weight: 0.1, terms: [/\bhypertension/i, /\bhtn\b/i, /\bhipertansiyon/i, /ارتفاع\s*ضغط\s*الدم/] }
+};
+
+// A mention is negated when its clause (since the last , ; . or newline) says so
+const NEGATION = /(?:\bno\b|\bdenies\b|\bdenied\b|\bwithout\b|negative\s+for|لا\s+يوجد|بدون|\byok\b)/i;
+const CLAUSE_BREAK = /[,;.\n،]/;
+
+function round(value, digits = 2) {
+    return Number(value.toFixed(digits));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SCORING
+// ═══════════════════════════════════════════════════════════════
+
+function vitalBand(field, value) {
+    return VITAL_BANDS[field].bands.find(([upper]) => value <= upper)[1];
+}
+
+/**
+ * observations — flat vitals; unobserved vitals are left out of the score.
+ * Returns { value, max_band, mean_band, components: [{ field, value, unit, band }] },
+ * or null when too few vitals were observed (systolic_bp plus one other, or any band 3).
+ */
+function scoreVitals(observations) {
+    const components = Object.keys(VITAL_BANDS)
+        .filter(field => typeof observations[field] === 'number')
+        .map(field => ({ field, value: observations[field], unit: VITAL_BANDS[field].unit, band: vitalBand(field, observations[field]) }));
+    if (components.length === 0) return null;
+    const max = Math.max(...components.map(c => c.band));
+    const sufficient = components.length >= MIN_VITALS && components.some(c => c.field === REQUIRED_VITAL);
+    if (!sufficient && max < MAX_BAND) return null;
+    const mean = components.reduce((sum, c) => sum + c.band, 0) / components.length;
+    return {
+        value: round(1 - (max + mean) / (2 * MAX_BAND)),
+        max_band: max,
+        mean_band: round(mean, 4),
+        components
+    };
+}
+
+/**
+ * conditions — comorbidity keys (case-insensitive). Returns { value, components: [{ condition, weight }] }.
+ */
+function scoreComorbidities(conditions) {
+    const present = new Set(conditions.map(c => String(c).toUpperCase()));
+    Object.entries(COMORBIDITIES).forEach(([key, spec]) => {
+        if (present.has(key)) (spec.supersedes || []).forEach(other => present.delete(other));
+    });
+    const components = Object.keys(COMORBIDITIES)
+        .filter(key => present.has(key))
+        .map(key => ({ condition: key, weight: COMORBIDITIES[key].weight }));
+    return {
+        value: round(Math.min(1, components.reduce((sum, c) => sum + c.weight, 0))),
+        components
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// DERIVATION
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Fills vital_score and comorbidity_index from observations when they were not given.
+ * Returns { input, derivation, errors, assumptions }:
+ *   derivation  — { vital_score?, comorbidity_index? } scoring records, null when nothing was derived
+ *   errors      — observation fields out of range or unknown conditions (inputSchema format)
+ *   assumptions — one { field, value, reason: 'derived', from } per derived input, for the PoO
+ */
+function deriveClinicalInputs(data) {
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        return { input: data, derivation: null, errors: [], assumptions: [] };
+    }
+    const input = { ...data };
+    const errors = validateInput(OBSERVATION_SCHEMA, data).errors;
+    const derivation = {};
+    const assumptions = [];
+
+    let conditions = null;
+    if (data.comorbidities !== undefined && data.comorbidities !== null) {
+        if (!Array.isArray(data.comorbidities)) {
+            errors.push({ field: 'comorbidities', code: 'type', message: 'comorbidities must be an array of condition names', value: data.comorbidities });
+        } else {
+            const unknown = data.comorbidities.filter(c => !COMORBIDITIES[String(c).toUpperCase()]);
+            if (unknown.length) {
+                errors.push({
+                    field: 'comorbidities',
+                    code: 'enum',
+                    message: `comorbidities has unknown condition(s) ${unknown.join(', ')} (known: ${Object.keys(COMORBIDITIES).join(', ')})`,
+                    value: data.comorbidities
+                });
+            } else {
+                conditions = data.comorbidities;
+            }
+        }
+    }
+    if (errors.length) return { input, derivation: null, errors, assumptions };
+
+    if (data.vital_score === undefined || data.vital_score === null) {
+        const vitals = scoreVitals(data);
+        if (vitals) {
+            input.vital_score = vitals.value;
+            derivation.vital_score = vitals;
+            assumptions.push({ field: 'vital_score', value: vitals.value, reason: 'derived', from: vitals.components.map(c => c.field) });
+        }
+    }
+    if ((data.comorbidity_index === undefined || data.comorbidity_index === null) && conditions) {
+        const comorbidity = scoreComorbidities(conditions);
+        input.comorbidity_index = comorbidity.value;
+        derivation.comorbidity_index = comorbidity;
+        assumptions.push({ field: 'comorbidity_index', value: comorbidity.value, reason: 'derived', from: ['comorbidities'] });
+    }
+
+    return { input, derivation: Object.keys(derivation).length ? derivation : null, errors, assumptions };
+}
+
+/**
+ * Reason-graph vertices for a derivation: one premise per observation, one rule per
+ * derived score, the rule 'derives' the engine premise given in targets
+ * ({ vital_score: 'p1', comorbidity_index: 'p4' }).
+ */
+function derivationGraph(derivation, targets) {
+    const vertices = [];
+    const edges = [];
+    if (!derivation) return { vertices, edges };
+
+    const vitals = derivation.vital_score;
+    if (vitals && targets.vital_score) {
+        vertices.push({ id: 'd1', type: 'rule', label: `vital_score = 1 − (max band ${vitals.max_band} + mean band ${vitals.mean_band}) / 6 → ${vitals.value}` });
+        vitals.components.forEach((c, i) => {
+            vertices.push({ id: `o${i + 1}`, type: 'premise', label: `${c.field} = ${c.value}${c.unit ? ' ' + c.unit : ''} → band ${c.band}` });
+            edges.push({ from: `o${i + 1}`, to: 'd1', relation: 'input' });
+        });
+        edges.push({ from: 'd1', to: targets.vital_score, relation: 'derives' });
+    }
+
+    const comorbidity = derivation.comorbidity_index;
+    if (comorbidity && targets.comorbidity_index) {
+        const offset = vitals ? vitals.components.length : 0;
+        vertices.push({ id: 'd2', type: 'rule', label: `comorbidity_index = min(1, Σ weights) → ${comorbidity.value}` });
+        comorbidity.components.forEach((c, i) => {
+            vertices.push({ id: `o${offset + i + 1}`, type: 'premise', label: `comorbidity ${c.condition} → weight ${c.weight}` });
+            edges.push({ from: `o${offset + i + 1}`, to: 'd2', relation: 'input' });
+        });
+        if (comorbidity.components.length === 0) {
+            vertices.push({ id: `o${offset + 1}`, type: 'premise', label: 'comorbidities = none reported' });
+            edges.push({ from: `o${offset + 1}`, to: 'd2', relation: 'input' });
+        }
+        edges.push({ from: 'd2', to: targets.comorbidity_index, relation: 'derives' });
+    }
+
+    return { vertices, edges };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// FREE-TEXT EXTRACTION
+// ═══════════════════════════════════════════════════════════════
+
+const PATTERNS = {
+    blood_pressure: /(?:\bbp\b|blood\s+pressure|ضغط\s*الدم|الضغط|tansiyon|kan\s+basıncı)\s*[:=]?\s*(\d{2,3})\s*\/\s*(\d{2,3})/i,
+    heart_rate: /(?:\bhr\b|heart\s+rate|\bpulse|النبض|nabız|kalp\s+hızı)\s*[:=]?\s*(\d{2,3})/i,
+    respiratory_rate: /(?:\brr\b|\bresp(?:iratory)?\s*rate|\bresps?\b|معدل\s*التنفس|solunum(?:\s+sayısı)?)\s*[:=]?\s*(\d{1,2})/i,
+    spo2: /(?:\bspo2|\bsats?\b|\bo2\s*sat(?:uration)?|oxygen\s+saturation|تشبع\s*الأكسجين|oksijen\s+satürasyonu)\s*[:=]?\s*(\d{2,3})\s*%?/i,
+    temperature: /(?:\btemp(?:erature)?|درجة\s*الحرارة|الحرارة|\bateş|vücut\s+ısısı)\s*[:=]?\s*(\d{2,3}(?:\.\d+)?)\s*°?\s*([cf](?![a-z]))?|(\d{2,3}(?:\.\d+)?)\s*°\s*([cf])(?![a-z])/i,
+    gcs: /\bgcs\s*[:=]?\s*(\d{1,2})\b/i,
+    on_oxygen: /\bon\s+(?:\d+(?:\.\d+)?\s*(?:l|lpm|l\/min)\s+)?(?:o2|oxygen)\b|\bnasal\s+cannula|\bnon[-\s]?rebreather|\bnrb\b|oksijen\s+alıyor|على\s*الأكسجين/i,
+    on_air: /\b(?:on\s+)?room\s+air\b|\bon\s+air\b|\bra\b|oda\s+havası|هواء\s*الغرفة/i,
+    hypercapnic: /\bhypercapni|\bscale\s*2\b|hiperkapni|فرط\s*ثاني\s*أكسيد\s*الكربون/i,
+    // ACVPU, most severe first
+    consciousness: [
+        ['UNRESPONSIVE', /\bunresponsive|\bunconscious|bilinci\s+kapalı|فاقد\s*(?:للوعي|الوعي)/i],
+        ['PAIN', /respond(?:s|ing)?\s+(?:only\s+)?to\s+pain|ağrıya\s+yanıt|يستجيب\s*للألم/i],
+        ['VOICE', /respond(?:s|ing)?\s+(?:only\s+)?to\s+voice|sese\s+yanıt|يستجيب\s*للصوت/i],
+        ['CONFUSION', /\bconfus|\bdisorient|konfüz|\bşuur\s+bulanık|مشوش|ارتباك/i],
+        ['ALERT', /\balert\b|\ba&ox?[34]\b|bilinci\s+açık|واعي|يقظ/i]
+    ],
+    age: /\b(\d{1,3})\s*(?:yo\b|y\/o\b|y\.o\.|-?years?[-\s]old\b|yrs?\s+old\b)|(\d{1,3})\s*(?:yaşında|عام[اًا]?|سنة)/i
+};
+
+function negated(text, index) {
+    const clause = text.slice(0, index).split(CLAUSE_BREAK).pop();
+    return NEGATION.test(clause);
+}
+
+/**
+ * Comorbidity keys named in the text and not negated ("no diabetes"), in COMORBIDITIES order.
+ */
+function extractComorbidities(text) {
+    const named = Object.keys(COMORBIDITIES).filter(key => COMORBIDITIES[key].terms.some(re => {
+        const match = text.match(re);
+        return match && !negated(text, match.index);
+    }));
+    const superseded = named.flatMap(key => COMORBIDITIES[key].supersedes || []);
+    return named.filter(key => !superseded.includes(key));
+}
+
+/**
+ * Observations in a clinical note. Returns the flat observation fields found, age when
+ * written as "74yo" / "74 years old", comorbidities when any condition is named, and
+ * what NEWS2 needs besides vitals: supplemental_oxygen ("on 2L O2" / "room air"),
+ * consciousness on the ACVPU scale and hypercapnic_failure (SpO2 scale 2).
+ * Temperatures above 50 (or marked °F) are read as Fahrenheit and converted.
+ */
+function extractClinicalObservations(text) {
+    if (!text || typeof text !== 'string') return {};
+    const found = {};
+
+    const bp = text.match(PATTERNS.blood_pressure);
+    if (bp) {
+        found.systolic_bp = parseInt(bp[1], 10);
+        found.diastolic_bp = parseInt(bp[2], 10);
+    }
+    ['heart_rate', 'respiratory_rate', 'spo2', 'gcs'].forEach(field => {
+        const match = text.match(PATTERNS[field]);
+        if (match) found[field] = parseInt(match[1], 10);
+    });
+    const temp = text.match(PATTERNS.temperature);
+    if (temp) {
+        const value = parseFloat(temp[1] !== undefined ? temp[1] : temp[3]);
+        const unit = (temp[2] || temp[4] || '').toUpperCase();
+        found.temperature = unit === 'F' || (unit !== 'C' && value > 50) ? round((value - 32) * 5 / 9, 1) : value;
+    }
+    if (PATTERNS.on_oxygen.test(text)) found.supplemental_oxygen = true;
+    else if (PATTERNS.on_air.test(text)) found.supplemental_oxygen = false;
+    if (PATTERNS.hypercapnic.test(text)) found.hypercapnic_failure = true;
+    const consciousness = PATTERNS.consciousness.find(([, re]) => re.test(text));
+    if (consciousness) found.consciousness = consciousness[0];
+
+    const age = text.match(PATTERNS.age);
+    if (age) found.age = parseInt(age[1] !== undefined ? age[1] : age[2], 10);
+
+    const comorbidities = extractComorbidities(text);
+    if (comorbidities.length) found.comorbidities = comorbidities;
+    return found;
+}
+
+module.exports = {
+    OBSERVATION_SCHEMA,
+    VITAL_BANDS,
+    COMORBIDITIES,
+    vitalBand,
+    scoreVitals,
+    scoreComorbidities,
+    deriveClinicalInputs,
+    derivationGraph,
+    extractClinicalObservations
+};
@@ -0,0 +1,337 @@
+/**
+ * OpLogica Counterfactual Explanations — the smallest input change that flips a decision
+ * Searches an engine's input space around one decision for the fewest attribute
+ * changes (then the smallest relative distance) that reach a target outcome,
+ * e.g. "debt_to_income 0.55 → 0.49". Immutable attributes (age, history, …) and the
+ * engine category are never changed. Every candidate is evaluated by the engine
+ * itself inside probe(), so the search seals nothing and writes nothing to the ledger,
+ * under the policy version of the original bundle (its policy_hash), and the search
+ * only starts once the unchanged input reproduces the original outcome. The search
+ * yields to other requests after every evaluation.
+ *
+ * The result is sealed as its own verification bundle (code <ENGINE>-CF) whose PoO
+ * names the original bundle in derived_from, so the explanation cannot be detached
+ * from the decision it explains. It is sealed under the same policy version, with
+ * policy_as_of set to the original decision time, at which the policy binding is checked.
+ */
+
+const {
+    generatePoO,
+    generatePoR,
+    verifyPoI,
+    createVerificationBundle,
+    probe
+} = require('./verificationCore');
+const policyRegistry = require('./policyRegistry');
+const { InputValidationError } = require('./inputSchema');
+
+const MAX_CHANGES = 2;
+const MAX_EVALUATIONS = 20000;
+const PAIR_SAMPLES = 12;
+
+function decimalsOf(step) {
+    const text = String(step);
+    return text.includes('.') ? text.split('.')[1].length : 0;
+}
+
+function formatValue(value) {
+    return typeof value === 'number' ? String(value) : JSON.stringify(value);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SEARCH SPACE
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Mutable features of one input: schema numbers and booleans that have a value
+ * (given or defaulted), minus immutable attributes and the category field.
+ * Each number gets its candidate values ordered by distance from the original.
+ */
+function featureSpace(entry, input, immutable) {
+    const schema = entry.schema;
+    const features = [];
+
+    for (const [field, spec] of Object.entries(schema.properties || {})) {
+        const value = input[field];
+        if (immutable.has(field) || field === schema['x-category'] || value === undefined || value === null) continue;
+
+        if (spec.type === 'boolean') {
+            features.push({ field, from: value, range: 1, candidates: [!value] });
+            continue;
+        }
+        if (spec.type !== 'number' && spec.type !== 'integer') continue;
+
+        const [min, max] = entry.bounds[field] || [
+            spec.minimum != null ? spec.minimum : spec.exclusiveMinimum,
+            spec.maximum
+        ];
+        if (min == null || max == null) continue;
+        const range = max - min;
+        let step = entry.steps[field] || (range <= 1 ? 0.01 : range / 100);
+        if (spec.type === 'integer') step = Math.max(1, Math.round(step));
+        const decimals = decimalsOf(step);
+
+        const candidates = [];
+        for (let k = 1; ; k++) {
+            const up = Number((value + k * step).toFixed(decimals));
+            const down = Number((value - k * step).toFixed(decimals));
+            const upOk = up <= max;
+            const downOk = down >= min && (spec.exclusiveMinimum == null || down > spec.exclusiveMinimum);
+            if (!upOk && !downOk) break;
+            if (upOk) candidates.push(up);
+            if (downOk) candidates.push(down);
+        }
+        features.push({ field, from: value, range, candidates });
+    }
+    return features;
+}
+
+function changeCost(feature, to) {
+    return typeof to === 'boolean' ? 1 : Math.abs(to - feature.from) / feature.range;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SEARCH
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * reached — (outcome) → boolean
+ * pinning — { replay: evaluate options, policyHash: policy version to decide under }
+ */
+function createSearch(entry, input, reached, pinning) {
+    let evaluations = 0;
+
+    // Outcome of the engine on input + changes; null when the changed input is invalid.
+    // Engines decide synchronously: yield after each evaluation so a search does not hold the server
+    async function outcomeOf(changes) {
+        evaluations++;
+        const probeInput = { ...input };
+        changes.forEach(c => { probeInput[c.field] = c.to; });
+        try {
+            return probe(() => entry.evaluate(probeInput, pinning.replay), { policyHash: pinning.policyHash }).decision[entry.outcome];
+        } catch (err) {
+            if (err instanceof InputValidationError) return null;
+            throw err;
+        } finally {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    }
+
+    function solution(changes, outcome) {
+        return {
+            changes: changes.map(c => ({ field: c.field, from: c.from, to: c.to })),
+            outcome,
+            cost: Number(changes.reduce((sum, c) => sum + c.cost, 0).toFixed(6)),
+            summary: changes.map(c => `${c.field} ${formatValue(c.from)} → ${formatValue(c.to)}`).join(', ')
+        };
+    }
+
+    function change(feature, to) {
+        return { field: feature.field, from: feature.from, to, cost: changeCost(feature, to) };
+    }
+
+    // Nearest value of one feature that flips the outcome
+    async function single(feature) {
+        for (const to of feature.candidates) {
+            if (evaluations >= MAX_EVALUATIONS) return null;
+            const c = change(feature, to);
+            const outcome = await outcomeOf([c]);
+            if (outcome !== null && reached(outcome)) return solution([c], outcome);
+        }
+        return null;
+    }
+
+    // Coarse grid over two features, then each coordinate pulled back toward its original value
+    async function pair(a, b) {
+        const sample = f => {
+            const stride = Math.max(1, Math.ceil(f.candidates.length / (2 * PAIR_SAMPLES)));
+            return f.candidates.filter((_, i) => i % stride === stride - 1 || i === f.candidates.length - 1);
+        };
+        const grid = [];
+        sample(a).forEach(va => sample(b).forEach(vb => grid.push([change(a, va), change(b, vb)])));
+        grid.sort((x, y) => (x[0].cost + x[1].cost) - (y[0].cost + y[1].cost));
+
+        for (const changes of grid) {
+            if (evaluations >= MAX_EVALUATIONS) return null;
+            let outcome = await outcomeOf(changes);
+            if (outcome === null || !reached(outcome)) continue;
+
+            for (const [i, feature] of [a, b].entries()) {
+                if (typeof feature.from === 'boolean') continue;
+                const closer = feature.candidates.filter(v => changeCost(feature, v) < changes[i].cost
+                    && Math.sign(v - feature.from) === Math.sign(changes[i].to - feature.from));
+                closer.sort((x, y) => changeCost(feature, x) - changeCost(feature, y));
+                for (const to of closer) {
+                    const trial = [...changes];
+                    trial[i] = change(feature, to);
+                    const o = await outcomeOf(trial);
+                    if (o !== null && reached(o)) {
+                        changes[i] = trial[i];
+                        outcome = o;
+                        break;
+                    }
+                }
+            }
+            return solution(changes, outcome);
+        }
+        return null;
+    }
+
+    return { single, pair, outcomeOf, evaluations: () => evaluations };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SEALING
+// ═══════════════════════════════════════════════════════════════
+
+function buildGraph(entry, original, result) {
+    const vertices = [{ id: 'p0', type: 'premise', label: `${original.bundle_id || 'original'}: ${entry.outcome} = ${original.outcome}` }];
+    const edges = [];
+
+    result.counterfactuals.forEach((cf, i) => {
+        const conclusion = `c${i + 1}`;
+        const rule = `r${i + 1}`;
+        vertices.push({ id: rule, type: 'rule', label: `Re-evaluated by ${entry.key} engine` });
+        vertices.push({ id: conclusion, type: 'conclusion', label: `${entry.outcome} = ${cf.outcome}` });
+        edges.push({ from: 'p0', to: rule, relation: 'input' });
+        cf.changes.forEach((c, j) => {
+            const premise = `p${i + 1}_${j + 1}`;
+            vertices.push({ id: premise, type: 'premise', label: `${c.field}: ${formatValue(c.from)} → ${formatValue(c.to)}` });
+            edges.push({ from: premise, to: rule, relation: 'input' });
+        });
+        edges.push({ from: rule, to: conclusion, relation: 'produces' });
+    });
+
+    if (result.counterfactuals.length === 0) {
+        vertices.push({ id: 'c0', type: 'conclusion', label: `No change set within bounds reaches ${result.target || 'another outcome'}` });
+        edges.push({ from: 'p0', to: 'c0', relation: 'produces' });
+    }
+    return { vertices, edges };
+}
+
+async function checkCounterfactuals(entry, result, search, immutable, reached) {
+    const changed = result.counterfactuals.flatMap(cf => cf.changes.map(c => c.field));
+    const touched = changed.filter(f => immutable.has(f));
+    const missed = [];
+    const redundant = [];
+    for (const cf of result.counterfactuals) {
+        const outcome = await search.outcomeOf(cf.changes);
+        if (outcome === null || !reached(outcome)) missed.push(cf);
+        if (cf.changes.length < 2) continue;
+        for (const c of cf.changes) {
+            const alone = await search.outcomeOf([c]);
+            if (alone !== null && reached(alone)) {
+                redundant.push(cf);
+                break;
+            }
+        }
+    }
+
+    return [
+        {
+            constraint: 'CF1 - Immutable attributes unchanged',
+            satisfied: touched.length === 0,
+            severity: 'mandatory',
+            detail: touched.length ? `Changed: ${touched.join(', ')}` : `Held fixed: ${[...immutable].join(', ') || 'none'}`
+        },
+        {
+            constraint: 'CF2 - Counterfactuals reach target',
+            satisfied: missed.length === 0,
+            severity: 'mandatory',
+            detail: `${result.counterfactuals.length - missed.length}/${result.counterfactuals.length} re-evaluated to ${result.target || 'a different outcome'}`
+        },
+        {
+            constraint: 'CF3 - Minimal change sets',
+            satisfied: redundant.length === 0,
+            severity: 'warning',
+            detail: redundant.length ? `${redundant.length} set(s) contain a change that flips the outcome alone` : 'No change set contains a smaller one'
+        }
+    ];
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Counterfactuals for one decision.
+ *
+ * entry    — engine catalog entry (engineCatalog.getEngine)
+ * rawInput — the input of the original decision
+ * original — { bundle_id, outcome, policy_hash, decided_at } from the original bundle
+ * options  — { target, immutable: [field], max_changes (1-2, default 2), limit (default 3),
+ *              replay: evaluate options of the original decision (engineCatalog replayOptions) }
+ *
+ * Resolves to { engine, original, target, counterfactuals, searched, verification_bundle },
+ * or to null when the unchanged input no longer reproduces original.outcome.
+ * counterfactuals is empty when no reachable change set exists within the bounds.
+ */
+async function explain(entry, rawInput, original, options = {}) {
+    const validation = entry.module.validateInput(rawInput);
+    if (!validation.valid) throw new InputValidationError(validation.errors, entry.schema.$id);
+    const input = validation.value;
+    const immutable = new Set([...entry.immutable, ...(options.immutable || [])]);
+    const maxChanges = Math.min(Math.max(parseInt(options.max_changes, 10) || MAX_CHANGES, 1), MAX_CHANGES);
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 3, 1), 10);
+
+    const target = options.target
+        || (entry.favorable && original.outcome !== entry.favorable ? entry.favorable : null);
+    const reached = outcome => (target ? outcome === target : outcome !== original.outcome);
+
+    const policyEntry = policyRegistry.getPolicyByHash(original.policy_hash);
+    if (!policyEntry) throw new Error(`Policy registry: unknown policy_hash ${original.policy_hash}`);
+    const features = featureSpace(entry, input, immutable);
+    const search = createSearch(entry, input, reached, { replay: options.replay, policyHash: original.policy_hash });
+    if (await search.outcomeOf([]) !== original.outcome) return null;
+
+    let found = [];
+    for (const f of features) {
+        const cf = await search.single(f);
+        if (cf) found.push(cf);
+    }
+    if (found.length === 0 && maxChanges >= 2) {
+        for (let i = 0; i < features.length; i++) {
+            for (let j = i + 1; j < features.length; j++) {
+                const cf = await search.pair(features[i], features[j]);
+                if (cf) found.push(cf);
+            }
+        }
+    }
+    found.sort((x, y) => x.changes.length - y.changes.length || x.cost - y.cost);
+    found = found.slice(0, limit);
+
+    const result = {
+        engine: entry.key,
+        original,
+        target,
+        counterfactuals: found,
+        searched: {
+            features: features.map(f => f.field),
+            immutable: [...immutable],
+            max_changes: maxChanges,
+            evaluations: search.evaluations()
+        }
+    };
+
+    const timestamp = new Date().toISOString();
+    const code = `${entry.code}-CF`;
+    const policy = policyEntry.policy;
+    const poo = generatePoO({
+        derived_from: original.bundle_id,
+        policy_as_of: original.decided_at,
+        input: rawInput,
+        ...(options.replay && Object.keys(options.replay).length ? { replay: options.replay } : {}),
+        immutable: [...immutable],
+        target,
+        counterfactuals: found
+    }, policy, timestamp, code);
+    const por = generatePoR(buildGraph(entry, original, result));
+    const poi = verifyPoI(policy, { timestamp }, await checkCounterfactuals(entry, result, search, immutable, reached), poo);
+    const bundle = createVerificationBundle(poo, por, poi, { domain: entry.key, code });
+
+    return { ...result, verification_bundle: { ...bundle, derived_from: original.bundle_id, policy_as_of: original.decided_at } };
+}
+
+module.exports = {
+    explain
+};
@@ -0,0 +1,244 @@
+/**
+ * OpLogica Decision Ledger — append-only, hash-chained store of every bundle
+ * Each entry commits to the previous entry's hash, so editing or deleting any
+ * row breaks the chain from that point on. Backed by the decision_ledger table
+ * (02-create-tables.sql); bundles are stored as JSON text exactly as issued so
+ * their hashes can be recomputed.
+ *
+ * entry_hash = SHA-256(prev_hash : decision_id : domain : merkle_root : bundle_hash)
+ */
+
+const { sha256 } = require('./verificationCore');
+const { verifyBundle } = require('./bundleVerifier');
+const policyRegistry = require('./policyRegistry');
+const { analyzeReasonGraph } = require('./reasonGraph');
+
+const GENESIS_HASH = '0'.repeat(64);
+const APPEND_LOCK = 'decision_ledger_append';
+
+function entryHash(prevHash, decisionId, domain, merkleRoot, bundleHash) {
+    return sha256([prevHash, decisionId, domain, merkleRoot, bundleHash].join(':'));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// LEDGER VIEWS (shape consumed by public/ledger.js)
+// ═══════════════════════════════════════════════════════════════
+
+function primaryOutcome(decision) {
+    return decision.recommendation || decision.priority || decision.status || null;
+}
+
+function secondaryOutcome(decision) {
+    return decision.risk_level || decision.urgency || decision.permit_class || decision.processing_priority || null;
+}
+
+function failedMandatory(bundle) {
+    return (bundle.poi.results || []).filter(r => r.severity === 'mandatory' && !r.satisfied).map(r => r.constraint);
+}
+
+function timelineStatus(row) {
+    if (row.overall_result !== 'VERIFIED') return 'red';
+    const warned = (row.bundle.poi.results || []).some(r => r.severity === 'warning' && (r.triggered || !r.satisfied));
+    return warned ? 'yellow' : 'green';
+}
+
+function toSummary(row) {
+    return {
+        id: row.decision_id,
+        seq: Number(row.seq),
+        domain: row.domain,
+        status: timelineStatus(row),
+        decision: primaryOutcome(row.decision),
+        overall_result: row.overall_result,
+        created_at: row.created_at,
+        entry_hash: row.entry_hash
+    };
+}
+
+function toDetail(row) {
+    const { bundle, decision } = row;
+    const deviations = failedMandatory(bundle);
+    return {
+        id: row.decision_id,
+        seq: Number(row.seq),
+        domain: row.domain,
+        created_at: row.created_at,
+        intent: {
+            policy_id: bundle.poi.policy,
+            policy_hash: bundle.poi.policy_hash,
+            constraints: (bundle.poi.results || []).map(r => r.constraint),
+            declared_at: bundle.poi.declaration_time
+        },
+        outcome: {
+            decision: primaryOutcome(decision),
+            impact: secondaryOutcome(decision),
+            deviation: deviations.length ? deviations.join(', ') : null
+        },
+        cost_metrics: null,
+        input: row.input,
+        decision,
+        verification: {
+            overall_result: bundle.overall_result,
+            merkle_root: bundle.merkle_root,
+            verification_predicate: bundle.verification_predicate
+        },
+        chain: {
+            prev_hash: row.prev_hash,
+            entry_hash: row.entry_hash,
+            bundle_hash: row.bundle_hash
+        },
+        bundle
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// LEDGER FACTORY
+// ═══════════════════════════════════════════════════════════════
+
+function createDecisionLedger(pool) {
+
+    /**
+     * Appends one issued bundle. Serialized with an advisory lock so two
+     * concurrent appends cannot chain onto the same predecessor.
+     */
+    async function append({ domain, input, decision, bundle }) {
+        const bundleText = JSON.stringify(bundle);
+        const bundleHash = sha256(bundleText);
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [APPEND_LOCK]);
+            const last = await client.query('SELECT entry_hash FROM decision_ledger ORDER BY seq DESC LIMIT 1');
+            const prevHash = last.rows.length ? last.rows[0].entry_hash : GENESIS_HASH;
+            const hash = entryHash(prevHash, bundle.bundle_id, domain, bundle.merkle_root, bundleHash);
+            const result = await client.query(
+                `INSERT INTO decision_ledger
+                    (decision_id, domain, policy_hash, merkle_root, overall_result, input, decision, bundle, bundle_hash, prev_hash, entry_hash)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                 RETURNING seq, decision_id, entry_hash, created_at`,
+                [bundle.bundle_id, domain, bundle.poi.policy_hash, bundle.merkle_root, bundle.overall_result,
+                    JSON.stringify(input === undefined ? null : input), JSON.stringify(decision), bundleText, bundleHash, prevHash, hash]
+            );
+            await client.query('COMMIT');
+            return result.rows[0];
+        } catch (err) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    async function list({ limit = 50, domain, before } = {}) {
+        const params = [];
+        const where = [];
+        if (domain) { params.push(domain); where.push(`domain = $${params.length}`); }
+        if (before) { params.push(Number(before)); where.push(`seq < $${params.length}`); }
+        params.push(Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500));
+        const result = await pool.query(
+            `SELECT seq, decision_id, domain, overall_result, decision, bundle, entry_hash, created_at
+             FROM decision_ledger
+             ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+             ORDER BY seq DESC LIMIT $${params.length}`,
+            params
+        );
+        const decisions = result.rows.map(toSummary);
+        return {
+            decisions,
+            next_before: decisions.length ? decisions[decisions.length - 1].seq : null
+        };
+    }
+
+    async function getRow(decisionId) {
+        const result = await pool.query('SELECT * FROM decision_ledger WHERE decision_id = $1', [decisionId]);
+        return result.rows[0] || null;
+    }
+
+    async function get(decisionId) {
+        const row = await getRow(decisionId);
+        return row ? toDetail(row) : null;
+    }
+
+    async function getReasonGraph(decisionId) {
+        const row = await getRow(decisionId);
+        if (!row) return null;
+        const graph = row.bundle.por.graph;
+        return { id: row.decision_id, nodes: graph.vertices, edges: graph.edges, hash: row.bundle.por.hash, analysis: analyzeReasonGraph(graph) };
+    }
+
+    /**
+     * Walks the chain in order, recomputing every bundle hash and entry hash.
+     * Optionally re-verifies each bundle (signatures, Merkle root, policy binding).
+     */
+    async function verifyChain({ verifyBundles = false } = {}) {
+        const result = await pool.query(
+            'SELECT seq, decision_id, domain, merkle_root, bundle::text AS bundle_text, bundle_hash, prev_hash, entry_hash FROM decision_ledger ORDER BY seq ASC'
+        );
+        let expectedPrev = GENESIS_HASH;
+        const failures = [];
+        let bundlesVerified = 0;
+        const failedChecks = {};
+
+        for (const row of result.rows) {
+            const problems = [];
+            if (row.prev_hash !== expectedPrev) problems.push('prev_hash does not match previous entry');
+            if (sha256(row.bundle_text) !== row.bundle_hash) problems.push('bundle content altered');
+            if (entryHash(row.prev_hash, row.decision_id, row.domain, row.merkle_root, row.bundle_hash) !== row.entry_hash) {
+                problems.push('entry_hash mismatch');
+            }
+            if (verifyBundles) {
+                const report = verifyBundle(JSON.parse(row.bundle_text), { getPolicy: policyRegistry.getPolicyByHash });
+                const failed = report.checks.filter(c => c.passed === false).map(c => c.check);
+                failed.forEach(c => { failedChecks[c] = (failedChecks[c] || 0) + 1; });
+                if (report.valid) bundlesVerified++;
+                else problems.push('bundle failed verification: ' + failed.join(', '));
+            }
+            if (problems.length) failures.push({ seq: Number(row.seq), id: row.decision_id, problems });
+            expectedPrev = row.entry_hash;
+        }
+
+        return {
+            valid: failures.length === 0,
+            entries: result.rows.length,
+            head: result.rows.length ? expectedPrev : GENESIS_HASH,
+            bundles_verified: verifyBundles ? bundlesVerified : null,
+            failed_checks: verifyBundles ? failedChecks : null,
+            first_broken_seq: failures.length ? failures[0].seq : null,
+            failures
+        };
+    }
+
+    /**
+     * Audit readiness for the ledger dashboard: chain integrity plus the share
+     * of entries whose proofs are complete.
+     */
+    async function auditReadiness() {
+        const chain = await verifyChain({ verifyBundles: true });
+        const clean = (...names) => chain.entries > 0 && names.every(n => !chain.failed_checks[n]);
+        const checks = {
+            reason_graph: clean('reason_graph', 'por_hash'),
+            proof_of_intent: clean('constraints', 'policy_binding'),
+            signatures: clean('poo_signature', 'por_signature'),
+            temporal_order: clean('temporal_precedence'),
+            chain_intact: chain.entries > 0 && chain.valid
+        };
+        const passed = Object.values(checks).filter(Boolean).length;
+        const readiness_score = parseFloat((passed / Object.keys(checks).length).toFixed(2));
+        return {
+            readiness_score,
+            status: readiness_score === 1 ? 'READY' : readiness_score >= 0.6 ? 'CONDITIONAL' : 'NOT_READY',
+            checks,
+            entries: chain.entries,
+            head: chain.head,
+            failures: chain.failures.slice(0, 20)
+        };
+    }
+
+    return { append, list, get, getReasonGraph, verifyChain, auditReadiness };
+}
+
+module.exports = {
+    GENESIS_HASH,
+    entryHash,
+    createDecisionLedger
+};
@@ -0,0 +1,104 @@
+/**
+ * OpLogica Engine Catalog — one entry per decision engine
+ * Maps the engine key used in routes (/api/:engine/...) to its module, entry point,
+ * outcome field and the facts tools need to explore its input space: which outcome
+ * is favorable, which attributes are immutable and the search step of each field.
+ * Ranges come from the engine's own input schema. replayOptions, where present, gives
+ * the evaluate options a recorded decision was made under, or null when the decision
+ * does not record them and cannot be re-run faithfully.
+ */
+
+const medicalEngine = require('./medicalEngine');
+const legalEngine = require('./legalEngine');
+const governmentEngine = require('./governmentEngine');
+const creditEngine = require('./creditEngine');
+const hiringEngine = require('./hiringEngine');
+const permitEngine = require('./permitEngine');
+
+// Fields without an entry in steps use 0.01 inside [0, 1], else 1% of their range
+const CATALOG = {
+    medical: {
+        code: 'MED',
+        module: medicalEngine,
+        evaluate: medicalEngine.evaluateMedical,
+        schema: medicalEngine.MEDICAL_INPUT_SCHEMA,
+        outcome: 'priority',
+        favorable: null,
+        immutable: ['age', 'is_pregnant', 'pregnancy_week', 'comorbidity_index'],
+        steps: { wait_time: 5 },
+        bounds: { wait_time: [0, 240] }
+    },
+    legal: {
+        code: 'LEG',
+        module: legalEngine,
+        evaluate: legalEngine.evaluateLegal,
+        schema: legalEngine.LEGAL_INPUT_SCHEMA,
+        outcome: 'recommendation',
+        favorable: 'APPROVED',
+        immutable: ['jurisdiction_recognized', 'within_statute', 'financial_threshold'],
+        steps: { financial_exposure: 5000 },
+        bounds: { financial_exposure: [0, 1000000] }
+    },
+    government: {
+        code: 'GOV',
+        module: governmentEngine,
+        evaluate: governmentEngine.evaluateGovernment,
+        schema: governmentEngine.GOVERNMENT_INPUT_SCHEMA,
+        outcome: 'recommendation',
+        favorable: 'APPROVED',
+        immutable: ['criminal_flagged', 'duplicate_detected', 'priority_group', 'requires_residency', 'requires_clearance', 'service_capacity'],
+        steps: {},
+        bounds: {}
+    },
+    credit: {
+        code: 'CRD',
+        module: creditEngine,
+        evaluate: creditEngine.evaluateCredit,
+        schema: creditEngine.CREDIT_INPUT_SCHEMA,
+        outcome: 'recommendation',
+        favorable: 'APPROVED',
+        immutable: ['bankruptcy_history', 'payment_history_score', 'employment_years'],
+        steps: { credit_score: 5, annual_income: 1000, loan_amount: 500, debt_to_income: 0.01 },
+        bounds: { annual_income: [0, 1000000], loan_amount: [500, 2000000], debt_to_income: [0, 1] }
+    },
+    hiring: {
+        code: 'HIR',
+        module: hiringEngine,
+        evaluate: hiringEngine.evaluateCandidate,
+        schema: hiringEngine.HIRING_INPUT_SCHEMA,
+        outcome: 'recommendation',
+        favorable: 'RECOMMENDED',
+        immutable: ['experience_years', 'education_level', 'background_flagged', 'diversity_enabled', 'requires_degree', 'salary_budget'],
+        steps: { salary_expectation: 1000 },
+        bounds: { salary_expectation: [0, 500000] },
+        // Cohort-scored decisions are re-run under their requisition's H9 norms
+        replayOptions: decision => {
+            if (decision.pool_norms) return { poolNorms: decision.pool_norms };
+            return decision.balanced_scoring && decision.balanced_scoring.source === 'requisition' ? null : {};
+        }
+    },
+    permit: {
+        code: 'PRM',
+        module: permitEngine,
+        evaluate: permitEngine.evaluatePermit,
+        schema: permitEngine.PERMIT_INPUT_SCHEMA,
+        outcome: 'recommendation',
+        favorable: 'APPROVED',
+        immutable: ['heritage_zone'],
+        steps: {},
+        bounds: {}
+    }
+};
+
+function getEngine(key) {
+    return Object.prototype.hasOwnProperty.call(CATALOG, key) ? { key, ...CATALOG[key] } : null;
+}
+
+function listEngines() {
+    return Object.keys(CATALOG);
+}
+
+module.exports = {
+    getEngine,
+    listEngines
+};
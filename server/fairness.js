@@ -0,0 +1,382 @@
+/**
+ * OpLogica Cohort Fairness — group-level constraints over stored decisions
+ * A single decision cannot show that C2 `fairness_bound` holds; a cohort can. This
+ * module groups the ledger's decisions by a configured demographic attribute of the
+ * input and computes, per group and overall:
+ *   mean_wait      — mean normalized wait, min(1, wait_time / 120) as the engines score it
+ *   approval_rate  — share of decisions with the engine's favorable outcome
+ *   tpr / fpr      — true/false positive rates against observed outcomes (decision_outcomes)
+ * plus demographic parity (gap and ratio of approval rates) and equalized odds (TPR and
+ * FPR gaps). Every cohort constraint of the policy in force is checked for each group:
+ *   `FOR_ALL group IN demographics: |metric(group) - metric(all)| <= bound`   (deviation)
+ *   `FOR_ALL group IN demographics: metric(group) / metric(max) >= bound`     (ratio, e.g.
+ *   the four-fifths rule on approval_rate)
+ * and violations of mandatory ones make the report non-compliant.
+ *
+ * Attestations sign the report (hash of its canonical JSON) with the keyring and are
+ * stored append-only in fairness_attestations.
+ *
+ * Configuration:
+ *   FAIRNESS_ATTRIBUTES — 'domain:attr,attr;domain:attr' (default: age for medical and triage,
+ *                         candidate_pool for hiring)
+ *   FAIRNESS_BANDS      — 'attr:cut,cut;...' bands for numeric attributes (default age:18,40,65)
+ */
+
+const crypto = require('crypto');
+const { hashJson, signProof, verifyProofSignature } = require('./verificationCore');
+const { canonicalize } = require('./canonicalJson');
+const policyRegistry = require('./policyRegistry');
+const engineCatalog = require('./engineCatalog');
+
+const WAIT_NORM_MINUTES = 120;
+const DEFAULT_MIN_GROUP = 5;
+const MAX_DECISIONS = 50000;
+const COHORT_RULE = /^FOR_ALL group IN demographics:\s*\|\s*(\w+)\(group\)\s*-\s*\1\(all\)\s*\|\s*(<=|≤)\s*([0-9.]+)\s*$/;
+const RATIO_RULE = /^FOR_ALL group IN demographics:\s*(\w+)\(group\)\s*\/\s*\1\(max\)\s*(>=|≥)\s*([0-9.]+)\s*$/;
+
+function parseList(text, parseValue) {
+    const config = {};
+    (text || '').split(';').map(s => s.trim()).filter(Boolean).forEach(part => {
+        const [key, values] = part.split(':');
+        if (key && values) config[key.trim()] = values.split(',').map(v => v.trim()).filter(Boolean).map(parseValue);
+    });
+    return config;
+}
+
+const ATTRIBUTES = {
+    medical: ['age'],
+    triage: ['age'],
+    hiring: ['candidate_pool'],
+    ...parseList(process.env.FAIRNESS_ATTRIBUTES, String)
+};
+const BANDS = {
+    age: [18, 40, 65],
+    ...parseList(process.env.FAIRNESS_BANDS, Number)
+};
+
+function round(value) {
+    return value === null ? null : Number(value.toFixed(4));
+}
+
+function mean(values) {
+    return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+// Outcome field and favorable outcome per domain (the legacy triage engine is not in the catalog)
+function outcomeOf(domain) {
+    const entry = engineCatalog.getEngine(domain);
+    return entry ? { field: entry.outcome, favorable: entry.favorable } : { field: 'priority', favorable: null };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// GROUPING
+// ═══════════════════════════════════════════════════════════════
+
+function bandLabel(value, cuts) {
+    const sorted = [...cuts].sort((a, b) => a - b);
+    if (value < sorted[0]) return `<${sorted[0]}`;
+    for (let i = 1; i < sorted.length; i++) {
+        if (value < sorted[i]) return `${sorted[i - 1]}-${sorted[i]}`;
+    }
+    return `≥${sorted[sorted.length - 1]}`;
+}
+
+function groupOf(input, attribute) {
+    const value = input ? input[attribute] : undefined;
+    if (value === undefined || value === null || value === '') return 'UNKNOWN';
+    if (typeof value === 'number' && BANDS[attribute]) return bandLabel(value, BANDS[attribute]);
+    return typeof value === 'string' ? value.toUpperCase() : String(value);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// METRICS
+// ═══════════════════════════════════════════════════════════════
+
+function cohortMetrics(rows, outcome) {
+    const waits = rows.map(r => r.input && r.input.wait_time).filter(w => typeof w === 'number');
+    const positive = r => r.decision[outcome.field] === outcome.favorable;
+    const labelled = rows.filter(r => typeof r.observed === 'boolean');
+    const observedPos = labelled.filter(r => r.observed);
+    const observedNeg = labelled.filter(r => !r.observed);
+
+    return {
+        n: rows.length,
+        mean_wait: waits.length ? round(mean(waits.map(w => Math.min(1, w / WAIT_NORM_MINUTES)))) : null,
+        approval_rate: outcome.favorable && rows.length ? round(rows.filter(positive).length / rows.length) : null,
+        labelled: labelled.length,
+        tpr: outcome.favorable && observedPos.length ? round(observedPos.filter(positive).length / observedPos.length) : null,
+        fpr: outcome.favorable && observedNeg.length ? round(observedNeg.filter(positive).length / observedNeg.length) : null
+    };
+}
+
+function gap(groups, metric) {
+    const values = groups.map(g => g[metric]).filter(v => v !== null);
+    if (values.length < 2) return null;
+    return round(Math.max(...values) - Math.min(...values));
+}
+
+/**
+ * Cohort constraints of a policy: every FOR_ALL rule, parsed into
+ * { id, name, severity, rule, form: 'deviation' | 'ratio', metric, bound }.
+ */
+function cohortConstraints(policy) {
+    return (policy ? policy.constraints : [])
+        .map(c => {
+            const deviation = COHORT_RULE.exec(c.rule);
+            const ratio = deviation ? null : RATIO_RULE.exec(c.rule);
+            const m = deviation || ratio;
+            return m ? { id: c.id, name: c.name, severity: c.severity, rule: c.rule, form: deviation ? 'deviation' : 'ratio', metric: m[1], bound: parseFloat(m[3]) } : null;
+        })
+        .filter(Boolean);
+}
+
+// Deviation rule: every group within bound of the overall value
+function checkDeviation(c, checked, overall, violations) {
+    const worst = { group: null, deviation: 0 };
+    checked.forEach(g => {
+        const deviation = round(Math.abs(g[c.metric] - overall[c.metric]));
+        if (deviation > worst.deviation) Object.assign(worst, { group: g.group, deviation });
+        if (deviation > c.bound) {
+            violations.push({ constraint: `${c.id} - ${c.name}`, severity: c.severity, group: g.group, metric: c.metric, value: g[c.metric], overall: overall[c.metric], deviation, bound: c.bound });
+        }
+    });
+    return {
+        satisfied: checked.every(g => Math.abs(g[c.metric] - overall[c.metric]) <= c.bound),
+        detail: `max |${c.metric}(group) - ${c.metric}(all)| = ${worst.deviation}${worst.group ? ` (${worst.group})` : ''} vs bound ${c.bound} over ${checked.length} group(s)`
+    };
+}
+
+// Ratio rule: every group at least bound × the best group's value
+function checkRatio(c, checked, violations) {
+    const best = Math.max(...checked.map(g => g[c.metric]));
+    const worst = { group: null, ratio: 1 };
+    checked.forEach(g => {
+        const ratio = best > 0 ? round(g[c.metric] / best) : 1;
+        if (ratio < worst.ratio) Object.assign(worst, { group: g.group, ratio });
+        if (ratio < c.bound) {
+            violations.push({ constraint: `${c.id} - ${c.name}`, severity: c.severity, group: g.group, metric: c.metric, value: g[c.metric], max: best, ratio, bound: c.bound });
+        }
+    });
+    return {
+        satisfied: worst.ratio >= c.bound,
+        detail: `min ${c.metric}(group) / ${c.metric}(max) = ${worst.ratio}${worst.group ? ` (${worst.group})` : ''} vs bound ${c.bound} over ${checked.length} group(s)`
+    };
+}
+
+/**
+ * Fairness report over a set of decisions.
+ *
+ * rows — [{ decision_id, input, decision, observed? }]
+ * options — { domain, attribute, policy, minGroup }
+ *
+ * Groups smaller than minGroup are reported but left out of gaps and constraint checks.
+ */
+function computeFairness(rows, { domain, attribute, policy, minGroup = DEFAULT_MIN_GROUP }) {
+    const outcome = outcomeOf(domain);
+    const byGroup = new Map();
+    rows.forEach(r => {
+        const key = groupOf(r.input, attribute);
+        if (!byGroup.has(key)) byGroup.set(key, []);
+        byGroup.get(key).push(r);
+    });
+
+    const overall = cohortMetrics(rows, outcome);
+    const groups = [...byGroup.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([group, members]) => ({ group, ...cohortMetrics(members, outcome), eligible: members.length >= minGroup }));
+    const eligible = groups.filter(g => g.eligible);
+
+    const rates = eligible.map(g => g.approval_rate).filter(v => v !== null);
+    const demographic_parity = rates.length >= 2
+        ? { gap: gap(eligible, 'approval_rate'), ratio: Math.max(...rates) > 0 ? round(Math.min(...rates) / Math.max(...rates)) : null }
+        : null;
+    const equalized_odds = eligible.filter(g => g.tpr !== null || g.fpr !== null).length >= 2
+        ? { tpr_gap: gap(eligible, 'tpr'), fpr_gap: gap(eligible, 'fpr') }
+        : null;
+
+    const violations = [];
+    const constraints = cohortConstraints(policy).map(c => {
+        if (overall[c.metric] === undefined || overall[c.metric] === null) {
+            return { constraint: `${c.id} - ${c.name}`, severity: c.severity, evaluated: false, satisfied: null, detail: `${c.metric} not available for ${domain}` };
+        }
+        const checked = eligible.filter(g => g[c.metric] !== null);
+        const { satisfied, detail } = c.form === 'ratio'
+            ? checkRatio(c, checked, violations)
+            : checkDeviation(c, checked, overall, violations);
+        return {
+            constraint: `${c.id} - ${c.name}`,
+            severity: c.severity,
+            evaluated: checked.length > 0,
+            satisfied,
+            detail
+        };
+    });
+
+    return {
+        domain,
+        attribute,
+        outcome: outcome.field,
+        favorable: outcome.favorable,
+        min_group: minGroup,
+        policy: policy ? { name: policy.policy_name, version: policy.version || null, policy_hash: policy.policy_hash } : null,
+        decisions: rows.length,
+        overall,
+        groups,
+        demographic_parity,
+        equalized_odds,
+        constraints,
+        violations,
+        compliant: !violations.some(v => v.severity === 'mandatory')
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ATTESTATIONS
+// ═══════════════════════════════════════════════════════════════
+
+// Signed as canonical JSON, like the report it commits to (report_hash)
+function attestationPayload(a) {
+    return canonicalize({
+        attestation_id: a.attestation_id,
+        domain: a.domain,
+        attribute: a.attribute,
+        period_start: a.period_start,
+        period_end: a.period_end,
+        report_hash: a.report_hash,
+        compliant: a.compliant,
+        created_at: a.created_at
+    });
+}
+
+function toAttestation(row) {
+    return {
+        attestation_id: row.attestation_id,
+        domain: row.domain,
+        attribute: row.attribute,
+        period_start: row.period_start ? new Date(row.period_start).toISOString() : null,
+        period_end: new Date(row.period_end).toISOString(),
+        report: row.report,
+        report_hash: row.report_hash,
+        compliant: row.compliant,
+        created_at: new Date(row.created_at).toISOString(),
+        signature: row.signature,
+        kid: row.kid,
+        signature_alg: row.signature_alg
+    };
+}
+
+/**
+ * Offline check: the report hashes to report_hash and the signature covers it.
+ */
+function verifyAttestation(attestation, options = {}) {
+    const checks = {
+        report_hash: hashJson(attestation.report) === attestation.report_hash,
+        signature: verifyProofSignature(attestationPayload(attestation), attestation, { getPublicKey: options.getPublicKey })
+    };
+    return { valid: Object.values(checks).every(Boolean), checks };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// MONITOR FACTORY
+// ═══════════════════════════════════════════════════════════════
+
+function createFairnessMonitor(pool) {
+
+    /**
+     * Fairness report for one domain and attribute over decisions in [since, until).
+     */
+    async function report({ domain, attribute, since, until, minGroup }) {
+        const end = until ? new Date(until) : new Date();
+        const params = [domain, end];
+        let where = 'l.domain = $1 AND l.created_at < $2';
+        if (since) { params.push(new Date(since)); where += ` AND l.created_at >= $${params.length}`; }
+        params.push(MAX_DECISIONS);
+        const result = await pool.query(
+            `SELECT l.decision_id, l.input, l.decision, o.observed
+             FROM decision_ledger l LEFT JOIN decision_outcomes o ON o.decision_id = l.decision_id
+             WHERE ${where}
+             ORDER BY l.seq DESC LIMIT $${params.length}`,
+            params
+        );
+        const policy = policyRegistry.resolvePolicy(domain, end.toISOString());
+        return {
+            period_start: since ? new Date(since).toISOString() : null,
+            period_end: end.toISOString(),
+            ...computeFairness(result.rows, { domain, attribute, policy, minGroup: parseInt(minGroup, 10) || DEFAULT_MIN_GROUP })
+        };
+    }
+
+    /**
+     * Computes, signs and stores a fairness attestation.
+     */
+    async function attest(options) {
+        const rep = await report(options);
+        const attestation = {
+            attestation_id: `FA-${rep.domain}-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+            domain: rep.domain,
+            attribute: rep.attribute,
+            period_start: rep.period_start,
+            period_end: rep.period_end,
+            report: rep,
+            report_hash: hashJson(rep),
+            compliant: rep.compliant,
+            created_at: new Date().toISOString()
+        };
+        const { signature, kid, signature_alg } = signProof(attestationPayload(attestation));
+        const result = await pool.query(
+            `INSERT INTO fairness_attestations
+                (attestation_id, domain, attribute, period_start, period_end, report, report_hash, compliant, signature, kid, signature_alg, created_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+             RETURNING *`,
+            [attestation.attestation_id, attestation.domain, attestation.attribute, attestation.period_start, attestation.period_end,
+                JSON.stringify(rep), attestation.report_hash, attestation.compliant, signature, kid, signature_alg, attestation.created_at]
+        );
+        return toAttestation(result.rows[0]);
+    }
+
+    async function listAttestations({ domain, limit = 50 } = {}) {
+        const result = await pool.query(
+            'SELECT * FROM fairness_attestations WHERE domain = $1 ORDER BY created_at DESC LIMIT $2',
+            [domain, Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500)]
+        );
+        return result.rows.map(toAttestation);
+    }
+
+    async function getAttestation(attestationId) {
+        const result = await pool.query('SELECT * FROM fairness_attestations WHERE attestation_id = $1', [attestationId]);
+        return result.rows[0] ? toAttestation(result.rows[0]) : null;
+    }
+
+    /**
+     * Records what actually happened after a decision (loan repaid, hire retained, ...):
+     * observed = true when the favorable outcome turned out to be right. Feeds tpr/fpr.
+     * Returns null for an unknown decision.
+     */
+    async function recordOutcome(decisionId, observed) {
+        const found = await pool.query('SELECT decision_id FROM decision_ledger WHERE decision_id = $1', [decisionId]);
+        if (!found.rows[0]) return null;
+        const result = await pool.query(
+            `INSERT INTO decision_outcomes (decision_id, observed, recorded_at)
+             VALUES ($1, $2, NOW())
+             ON CONFLICT (decision_id) DO UPDATE SET observed = EXCLUDED.observed, recorded_at = EXCLUDED.recorded_at
+             RETURNING decision_id, observed, recorded_at`,
+            [decisionId, observed]
+        );
+        return result.rows[0];
+    }
+
+    return { report, attest, listAttestations, getAttestation, recordOutcome };
+}
+
+function configuredAttributes(domain) {
+    return ATTRIBUTES[domain] || [];
+}
+
+module.exports = {
+    cohortConstraints,
+    computeFairness,
+    verifyAttestation,
+    configuredAttributes,
+    groupOf,
+    createFairnessMonitor
+};
@@ -1,22 +1,22 @@
 /**
- * OpLogica Government Service Engine v1.0 — Triadic Verification
+ * OpLogica Government Service Engine v1.1 — Triadic Verification
  * Government Service Request Assessment Protocol.
  * DETERMINISTIC: same inputs → same outputs.
  *
  * Domains: Eligibility, Documentation, Identity Verification, Compliance, Resource Allocation
- * Rules: 10 governance decision rules with full cryptographic proof bundles
+ * Rules: 10 governance decision rules, executed from the policy DSL, with full cryptographic proof bundles
  * Verification: PoO (Proof of Origin), PoR (Proof of Reason), PoI (Proof of Intent)
  */
 
-const crypto = require('crypto');
-
-const POO_SECRET = process.env.POO_SECRET || 'oplogica-verification-key';
+const { sealPolicy, computeMerkleRoot, defineEngine } = require('./verificationCore');
+const { compileVersions, runPolicy, checkPolicy } = require('./policyDsl');
 
 // ═══════════════════════════════════════════════════════════════
 // POLICY DECLARATION (Axiom 3.1 — Temporal Precedence)
 // ═══════════════════════════════════════════════════════════════
 
-const GOVERNMENT_POLICY = {
+// Superseded by v1.1. Kept registered, and executable, so bundles decided under it still re-verify.
+const GOVERNMENT_POLICY_V1_0 = sealPolicy({
     policy_name: 'Government Service Assessment Protocol v1.0',
     authority: 'OpLogica Governance Ethics Framework',
     declaration_timestamp: '2024-11-15T09:00:00Z',
@@ -35,51 +35,108 @@ const GOVERNMENT_POLICY = {
     ],
     policy_hash: null,
     authority_signature: null
-};
+});
 
-(function () {
-    const payload = JSON.stringify({
-        name: GOVERNMENT_POLICY.policy_name,
-        version: GOVERNMENT_POLICY.version,
-        declaration_timestamp: GOVERNMENT_POLICY.declaration_timestamp,
-        constraints: GOVERNMENT_POLICY.constraints.map(c => c.id + c.rule)
-    });
-    GOVERNMENT_POLICY.policy_hash = crypto.createHash('sha256').update(payload).digest('hex');
-    GOVERNMENT_POLICY.authority_signature = crypto.createHmac('sha256', POO_SECRET).update(GOVERNMENT_POLICY.policy_hash).digest('hex');
-})();
+// Rule changes over v1.0: facts are named by their input fields, G3 and G5 also exclude APPROVED,
+// and G6 excludes APPROVED instead of assigning FURTHER_REVIEW (which could overturn a REJECTED).
+const GOVERNMENT_POLICY = sealPolicy({
+    policy_name: 'Government Service Assessment Protocol v1.1',
+    authority: 'OpLogica Governance Ethics Framework',
+    declaration_timestamp: '2026-10-18T18:00:00Z',
+    version: '1.1.0',
+    scales: {
+        recommendation: ['APPROVED', 'FURTHER_REVIEW', 'REJECTED'],
+        status: ['COMPLETE', 'INCOMPLETE'],
+        processing_priority: ['STANDARD', 'ELEVATED']
+    },
+    counter: 'triggered_flags',
+    constraints: [
+        { id: 'G1', name: 'identity_verification', rule: 'WHEN identity_verified = FALSE THEN recommendation = REJECTED', severity: 'mandatory' },
+        { id: 'G2', name: 'eligibility_check', rule: 'WHEN eligibility_score < 0.4 THEN recommendation = REJECTED', severity: 'mandatory' },
+        { id: 'G3', name: 'documentation_completeness', rule: 'WHEN documentation_score < 0.5 THEN status = INCOMPLETE AND recommendation ≠ APPROVED', severity: 'mandatory' },
+        { id: 'G4', name: 'residency_requirement', rule: 'WHEN residency_verified = FALSE AND requires_residency = TRUE THEN recommendation = REJECTED', severity: 'mandatory' },
+        { id: 'G5', name: 'tax_compliance', rule: 'WHEN tax_compliant = FALSE THEN flag_tax_hold = TRUE AND recommendation ≠ APPROVED', severity: 'mandatory' },
+        { id: 'G6', name: 'criminal_record_check', rule: 'WHEN criminal_flagged = TRUE AND requires_clearance = TRUE THEN recommendation ≠ APPROVED', severity: 'mandatory' },
+        { id: 'G7', name: 'duplicate_detection', rule: 'WHEN duplicate_detected = TRUE THEN recommendation = REJECTED', severity: 'mandatory' },
+        { id: 'G8', name: 'service_capacity', rule: 'WHEN service_capacity < 0.2 THEN flag_capacity_warning = TRUE', severity: 'warning' },
+        { id: 'G9', name: 'priority_population', rule: 'WHEN priority_group = TRUE THEN processing_priority = ELEVATED', severity: 'mandatory' },
+        { id: 'G10', name: 'multi_flag', rule: 'WHEN triggered_flags >= 3 THEN recommendation ≠ APPROVED', severity: 'mandatory' }
+    ],
+    policy_hash: null,
+    authority_signature: null
+});
+
+// Rules are executed straight from the declared text above (see policyDsl.js).
+// v1.0 names facts by path and predates declared scales and counter; it runs on v1.1's.
+const rulesFor = compileVersions([
+    [GOVERNMENT_POLICY_V1_0, {
+        scales: GOVERNMENT_POLICY.scales,
+        counter: GOVERNMENT_POLICY.counter,
+        aliases: {
+            'identity.verified': 'identity_verified',
+            'eligibility.score': 'eligibility_score',
+            'documentation.score': 'documentation_score',
+            'residency.verified': 'residency_verified',
+            'service.requires_residency': 'requires_residency',
+            'tax.compliant': 'tax_compliant',
+            'criminal.flagged': 'criminal_flagged',
+            'service.requires_clearance': 'requires_clearance',
+            'duplicate.detected': 'duplicate_detected',
+            'capacity.available': 'service_capacity',
+            'applicant.priority_group': 'priority_group'
+        }
+    }],
+    [GOVERNMENT_POLICY]
+]);
 
 // ═══════════════════════════════════════════════════════════════
-// CRYPTOGRAPHIC FUNCTIONS
+// INPUT SCHEMA
 // ═══════════════════════════════════════════════════════════════
 
-function generateSignature(data) {
-    return crypto.createHmac('sha256', POO_SECRET).update(data).digest('hex');
-}
+const GOVERNMENT_INPUT_SCHEMA = {
+    $id: 'oplogica.input.government/1',
+    type: 'object',
+    properties: {
+        identity_verified: { type: 'boolean' },
+        eligibility_score: { type: 'number', minimum: 0, maximum: 1 },
+        documentation_score: { type: 'number', minimum: 0, maximum: 1 },
+        service_capacity: { type: 'number', minimum: 0, maximum: 1, default: 0.8 },
+        requires_residency: { type: 'boolean', default: true },
+        residency_verified: { type: 'boolean' },
+        requires_clearance: { type: 'boolean', default: false },
+        criminal_flagged: { type: 'boolean' },
+        tax_compliant: { type: 'boolean', default: true },
+        duplicate_detected: { type: 'boolean', default: false },
+        priority_group: { type: 'boolean', default: false },
+        service_type: { type: 'string', enum: ['LICENSE', 'BENEFIT', 'PERMIT', 'REGISTRATION', 'GENERAL'] },
+        license_type: { type: 'string' },
+        benefit_type: { type: 'string' },
+        permit_type: { type: 'string' },
+        registration_type: { type: 'string' }
+    },
+    required: ['identity_verified', 'eligibility_score', 'documentation_score'],
+    'x-category': 'service_type',
+    'x-required-when': [
+        { when: { requires_residency: true }, required: ['residency_verified'] },
+        { when: { requires_clearance: true }, required: ['criminal_flagged'] },
+        { when: { service_type: 'BENEFIT' }, required: ['tax_compliant'] }
+    ]
+};
 
-function computeMerkleRoot(hashes) {
-    if (hashes.length === 0) return crypto.createHash('sha256').update('empty').digest('hex');
-    if (hashes.length === 1) return hashes[0];
-    const paired = [];
-    for (let i = 0; i < hashes.length; i += 2) {
-        const left = hashes[i];
-        const right = hashes[i + 1] || left;
-        paired.push(crypto.createHash('sha256').update(left + right).digest('hex'));
-    }
-    return computeMerkleRoot(paired);
-}
+// ═══════════════════════════════════════════════════════════════
+// VERIFICATION KERNEL
+// ═══════════════════════════════════════════════════════════════
 
-function generatePoO(requestData, policy, timestamp) {
-    const state = JSON.stringify({ D: requestData, P: policy, T: timestamp });
-    const hash = crypto.createHash('sha256').update(state).digest('hex');
-    const signature = crypto.createHmac('sha256', POO_SECRET).update(hash + timestamp).digest('hex');
-    return {
-        hash,
-        timestamp,
-        signature,
-        algorithm: 'SHA-256',
-        state_reference: `PoO-GOV-${Date.now()}`
-    };
-}
+const kernel = defineEngine({
+    domain: 'government',
+    code: 'GOV',
+    policies: [GOVERNMENT_POLICY_V1_0, GOVERNMENT_POLICY],
+    buildReasonGraph,
+    checkConstraints,
+    inputSchema: GOVERNMENT_INPUT_SCHEMA,
+    ruleFields: { 'capacity.available': 'service_capacity' },
+    inferCategory: detectServiceType
+});
 
 // ═══════════════════════════════════════════════════════════════
 // SERVICE TYPE DETECTION
@@ -114,10 +171,10 @@ function calculateComplianceScore(requestData) {
     score += idScore * weights.identity;
 
     // Eligibility
-    score += Math.min(1, Math.max(0, requestData.eligibility_score || 0.5)) * weights.eligibility;
+    score += Math.min(1, Math.max(0, requestData.eligibility_score)) * weights.eligibility;
 
     // Documentation completeness
-    score += Math.min(1, Math.max(0, requestData.documentation_score || 0.5)) * weights.documentation;
+    score += Math.min(1, Math.max(0, requestData.documentation_score)) * weights.documentation;
 
     // Residency
     const resScore = requestData.residency_verified !== false ? 1.0 : 0.0;
@@ -134,147 +191,59 @@ function calculateComplianceScore(requestData) {
     return Math.min(1, Math.max(0, parseFloat(score.toFixed(4))));
 }
 
+// ═══════════════════════════════════════════════════════════════
+// RULE FACTS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Request fields with documented defaults — the identifiers the G-rules read.
+ */
+function governmentFacts(requestData) {
+    return {
+        identity_verified: requestData.identity_verified !== false,
+        eligibility_score: requestData.eligibility_score != null ? requestData.eligibility_score : 0.7,
+        documentation_score: requestData.documentation_score != null ? requestData.documentation_score : 0.7,
+        residency_verified: requestData.residency_verified !== false,
+        requires_residency: requestData.requires_residency !== false,
+        tax_compliant: requestData.tax_compliant !== false,
+        criminal_flagged: requestData.criminal_flagged === true,
+        requires_clearance: requestData.requires_clearance === true,
+        duplicate_detected: requestData.duplicate_detected === true,
+        service_capacity: requestData.service_capacity != null ? requestData.service_capacity : 0.8,
+        priority_group: requestData.priority_group === true
+    };
+}
+
 // ═══════════════════════════════════════════════════════════════
 // DECISION ENGINE (10 Rules)
 // ═══════════════════════════════════════════════════════════════
 
-function evaluateGovernment(requestData) {
+function evaluateGovernment(rawInput) {
+    const { input: requestData, assumptions } = kernel.prepareInput(rawInput);
     const timestamp = new Date().toISOString();
     const serviceType = detectServiceType(requestData);
     const complianceScore = calculateComplianceScore(requestData);
 
-    let recommendation = 'APPROVED';
-    let status = 'COMPLETE';
-    let processingPriority = 'STANDARD';
-    let flagTaxHold = false;
-    let flagCapacityWarning = false;
-    const reasons = [];
-    let triggeredCount = 0;
-
-    const idVerified = requestData.identity_verified !== false;
-    const eligScore = requestData.eligibility_score != null ? requestData.eligibility_score : 0.7;
-    const docScore = requestData.documentation_score != null ? requestData.documentation_score : 0.7;
-    const resVerified = requestData.residency_verified !== false;
-    const resRequired = requestData.requires_residency !== false;
-    const taxCompliant = requestData.tax_compliant !== false;
-    const crimFlagged = requestData.criminal_flagged === true;
-    const clearanceReq = requestData.requires_clearance === true;
-    const dupDetected = requestData.duplicate_detected === true;
-    const capacity = requestData.service_capacity != null ? requestData.service_capacity : 0.8;
-    const priorityGroup = requestData.priority_group === true;
-
-    // ── G1: Identity Verification ──
-    const g1 = !idVerified;
-    if (g1) {
-        recommendation = 'REJECTED';
-        reasons.push('G1: identity_verified = FALSE → recommendation = REJECTED');
-        triggeredCount++;
-    }
-
-    // ── G2: Eligibility Check ──
-    const g2 = eligScore < 0.4;
-    if (g2) {
-        recommendation = 'REJECTED';
-        reasons.push(`G2: eligibility_score=${eligScore} < 0.4 → recommendation = REJECTED`);
-        triggeredCount++;
-    }
-
-    // ── G3: Documentation Completeness ──
-    const g3 = docScore < 0.5;
-    if (g3) {
-        status = 'INCOMPLETE';
-        if (recommendation === 'APPROVED') recommendation = 'FURTHER_REVIEW';
-        reasons.push(`G3: documentation_score=${docScore} < 0.5 → status = INCOMPLETE`);
-        triggeredCount++;
-    }
-
-    // ── G4: Residency Requirement ──
-    const g4 = !resVerified && resRequired;
-    if (g4) {
-        recommendation = 'REJECTED';
-        reasons.push('G4: residency_verified = FALSE AND requires_residency = TRUE → REJECTED');
-        triggeredCount++;
-    }
-
-    // ── G5: Tax Compliance ──
-    const g5 = !taxCompliant;
-    if (g5) {
-        flagTaxHold = true;
-        if (recommendation === 'APPROVED') recommendation = 'FURTHER_REVIEW';
-        reasons.push('G5: tax_compliant = FALSE → flag_tax_hold = TRUE');
-        triggeredCount++;
-    }
-
-    // ── G6: Criminal Record Check ──
-    const g6 = crimFlagged && clearanceReq;
-    if (g6) {
-        if (recommendation === 'APPROVED') recommendation = 'FURTHER_REVIEW';
-        reasons.push('G6: criminal_flagged = TRUE AND requires_clearance = TRUE → FURTHER_REVIEW');
-        triggeredCount++;
-    }
-
-    // ── G7: Duplicate Detection ──
-    const g7 = dupDetected;
-    if (g7) {
-        recommendation = 'REJECTED';
-        reasons.push('G7: duplicate_detected = TRUE → recommendation = REJECTED');
-        triggeredCount++;
-    }
-
-    // ── G8: Service Capacity ──
-    const g8 = capacity < 0.2;
-    if (g8) {
-        flagCapacityWarning = true;
-        reasons.push(`G8: service_capacity=${capacity} < 0.2 → flag_capacity_warning = TRUE`);
-        triggeredCount++;
-    }
-
-    // ── G9: Priority Population ──
-    const g9 = priorityGroup;
-    if (g9) {
-        processingPriority = 'ELEVATED';
-        reasons.push('G9: priority_group = TRUE → processing_priority = ELEVATED');
-        triggeredCount++;
-    }
-
-    // ── G10: Multi-Flag Escalation ──
-    const g10 = triggeredCount >= 3;
-    if (g10 && recommendation === 'APPROVED') {
-        recommendation = 'FURTHER_REVIEW';
-        reasons.push(`G10: triggered_flags=${triggeredCount} >= 3 → recommendation ≠ APPROVED`);
-    }
-
-    const allRules = [
-        { id: 'G1', rule: 'IF identity unverified THEN REJECTED', triggered: g1, detail: `identity_verified = ${idVerified}` },
-        { id: 'G2', rule: 'IF eligibility < 0.4 THEN REJECTED', triggered: g2, detail: `eligibility_score = ${eligScore} ${g2 ? '<' : '≥'} 0.4` },
-        { id: 'G3', rule: 'IF documentation < 0.5 THEN INCOMPLETE', triggered: g3, detail: `documentation_score = ${docScore} ${g3 ? '<' : '≥'} 0.5` },
-        { id: 'G4', rule: 'IF residency unverified AND required THEN REJECTED', triggered: g4, detail: `residency_verified = ${resVerified}, required = ${resRequired}` },
-        { id: 'G5', rule: 'IF tax non-compliant THEN tax_hold', triggered: g5, detail: `tax_compliant = ${taxCompliant}` },
-        { id: 'G6', rule: 'IF criminal flagged AND clearance required THEN REVIEW', triggered: g6, detail: `criminal_flagged = ${crimFlagged}, requires_clearance = ${clearanceReq}` },
-        { id: 'G7', rule: 'IF duplicate detected THEN REJECTED', triggered: g7, detail: `duplicate_detected = ${dupDetected}` },
-        { id: 'G8', rule: 'IF capacity < 0.2 THEN capacity_warning', triggered: g8, detail: `service_capacity = ${capacity} ${g8 ? '<' : '≥'} 0.2` },
-        { id: 'G9', rule: 'IF priority_group THEN ELEVATED processing', triggered: g9, detail: `priority_group = ${priorityGroup}` },
-        { id: 'G10', rule: 'IF triggered_flags ≥ 3 THEN ≠ APPROVED', triggered: g10, detail: `triggered_flags = ${triggeredCount} ${g10 ? '≥' : '<'} 3` }
-    ];
+    const run = runPolicy(rulesFor(kernel.policyAt(timestamp)), governmentFacts(requestData));
+    const reasons = run.trace.filter(t => t.triggered).map(t => t.reason);
+    const allRules = run.trace.map(t => ({ id: t.id, rule: t.rule, triggered: t.triggered, detail: t.detail }));
 
     const decision = {
-        recommendation,
-        status,
+        recommendation: run.state.recommendation,
+        status: run.state.status,
         compliance_score: complianceScore,
         service_type: serviceType,
-        processing_priority: processingPriority,
-        tax_hold: flagTaxHold,
-        capacity_warning: flagCapacityWarning,
-        triggered_rules: triggeredCount,
+        processing_priority: run.state.processing_priority,
+        tax_hold: run.state.flag_tax_hold,
+        capacity_warning: run.state.flag_capacity_warning,
+        triggered_rules: run.triggered_count,
         timestamp,
         reasons,
         allRules
     };
 
-    const poo = generatePoO(requestData, GOVERNMENT_POLICY.policy_name, timestamp);
-    const por = generatePoR(requestData, decision);
-    const poi = verifyPoI(decision, requestData);
-    const bundle = createVerificationBundle(poo, por, poi);
+    decision.sensitivity = kernel.sensitivity(requestData, decision, evaluateGovernment);
+    const bundle = kernel.issue(rawInput, decision, { input: requestData, assumptions });
 
     return { decision, verification_bundle: bundle };
 }
@@ -283,16 +252,16 @@ function evaluateGovernment(requestData) {
 // PROOF OF REASON (PoR)
 // ═══════════════════════════════════════════════════════════════
 
-function generatePoR(requestData, decision) {
+function buildReasonGraph(requestData, decision) {
     const vertices = [
         { id: 'p1', type: 'premise', label: `identity_verified = ${requestData.identity_verified !== false}` },
-        { id: 'p2', type: 'premise', label: `eligibility_score = ${requestData.eligibility_score || 0.7}` },
-        { id: 'p3', type: 'premise', label: `documentation_score = ${requestData.documentation_score || 0.7}` },
+        { id: 'p2', type: 'premise', label: `eligibility_score = ${requestData.eligibility_score}` },
+        { id: 'p3', type: 'premise', label: `documentation_score = ${requestData.documentation_score}` },
         { id: 'p4', type: 'premise', label: `residency_verified = ${requestData.residency_verified !== false}` },
         { id: 'p5', type: 'premise', label: `tax_compliant = ${requestData.tax_compliant !== false}` },
         { id: 'p6', type: 'premise', label: `criminal_flagged = ${requestData.criminal_flagged === true}` },
         { id: 'p7', type: 'premise', label: `duplicate_detected = ${requestData.duplicate_detected === true}` },
-        { id: 'p8', type: 'premise', label: `service_capacity = ${requestData.service_capacity || 0.8}` },
+        { id: 'p8', type: 'premise', label: `service_capacity = ${requestData.service_capacity}` },
         { id: 'p9', type: 'premise', label: `priority_group = ${requestData.priority_group === true}` },
         { id: 'p10', type: 'premise', label: `service_type = ${decision.service_type}` },
         { id: 'r1', type: 'rule', label: 'G1: identity unverified → REJECTED' },
@@ -332,128 +301,39 @@ function generatePoR(requestData, decision) {
         { from: 'c2', to: 'c3', relation: 'produces' }
     ];
 
-    const graph = { vertices, edges };
-    const graphHash = crypto.createHash('sha256').update(JSON.stringify(graph)).digest('hex');
+    // G10 counts the rules above that fired
+    ['r1', 'r2', 'r3', 'r4', 'r5', 'r6', 'r7', 'r8'].forEach(id => edges.push({ from: id, to: 'r9', relation: 'counts' }));
 
-    return {
-        graph,
-        hash: graphHash,
-        signature: generateSignature(graphHash)
-    };
+    return { vertices, edges };
 }
 
 // ═══════════════════════════════════════════════════════════════
 // PROOF OF INTENT (PoI)
 // ═══════════════════════════════════════════════════════════════
 
-function verifyPoI(decision, requestData) {
-    const results = [];
-
-    // G1
-    results.push({
-        constraint: 'G1 - identity_verification',
-        satisfied: requestData.identity_verified !== false || decision.recommendation === 'REJECTED',
-        severity: 'mandatory',
-        detail: `identity_verified=${requestData.identity_verified !== false}, recommendation=${decision.recommendation}`
-    });
-
-    // G2
-    results.push({
-        constraint: 'G2 - eligibility_check',
-        satisfied: (requestData.eligibility_score || 0.7) >= 0.4 || decision.recommendation === 'REJECTED',
-        severity: 'mandatory',
-        detail: `eligibility_score=${requestData.eligibility_score || 0.7}, recommendation=${decision.recommendation}`
-    });
-
-    // G3
-    results.push({
-        constraint: 'G3 - documentation_completeness',
-        satisfied: (requestData.documentation_score || 0.7) >= 0.5 || decision.status === 'INCOMPLETE',
-        severity: 'mandatory',
-        detail: `documentation_score=${requestData.documentation_score || 0.7}, status=${decision.status}`
+function checkConstraints(decision, requestData, policy) {
+    return checkPolicy(rulesFor(policy), governmentFacts(requestData), {
+        recommendation: decision.recommendation,
+        status: decision.status,
+        processing_priority: decision.processing_priority,
+        flag_tax_hold: decision.tax_hold,
+        flag_capacity_warning: decision.capacity_warning,
+        triggered_flags: decision.triggered_rules
     });
-
-    // G4
-    const resRequired = requestData.requires_residency !== false;
-    results.push({
-        constraint: 'G4 - residency_requirement',
-        satisfied: requestData.residency_verified !== false || !resRequired || decision.recommendation === 'REJECTED',
-        severity: 'mandatory',
-        detail: `residency_verified=${requestData.residency_verified !== false}, required=${resRequired}`
-    });
-
-    // G5
-    results.push({
-        constraint: 'G5 - tax_compliance',
-        satisfied: requestData.tax_compliant !== false || decision.tax_hold === true,
-        severity: 'mandatory',
-        detail: `tax_compliant=${requestData.tax_compliant !== false}, tax_hold=${decision.tax_hold}`
-    });
-
-    // G7
-    results.push({
-        constraint: 'G7 - duplicate_detection',
-        satisfied: requestData.duplicate_detected !== true || decision.recommendation === 'REJECTED',
-        severity: 'mandatory',
-        detail: `duplicate_detected=${requestData.duplicate_detected === true}, recommendation=${decision.recommendation}`
-    });
-
-    // Axiom 3.1
-    results.push({
-        constraint: 'Axiom 3.1 - Temporal Precedence',
-        satisfied: GOVERNMENT_POLICY.declaration_timestamp < decision.timestamp,
-        severity: 'mandatory',
-        detail: `PoI declared: ${GOVERNMENT_POLICY.declaration_timestamp}, Decision: ${decision.timestamp}`
-    });
-
-    const all_mandatory_satisfied = results.filter(r => r.severity === 'mandatory').every(r => r.satisfied);
-
-    return {
-        policy: GOVERNMENT_POLICY.policy_name,
-        policy_hash: GOVERNMENT_POLICY.policy_hash,
-        declaration_time: GOVERNMENT_POLICY.declaration_timestamp,
-        verification_time: new Date().toISOString(),
-        all_satisfied: all_mandatory_satisfied,
-        results
-    };
-}
-
-// ═══════════════════════════════════════════════════════════════
-// VERIFICATION BUNDLE
-// ═══════════════════════════════════════════════════════════════
-
-function createVerificationBundle(poo, por, poi) {
-    const leaves = [poo.hash, por.hash, poi.policy_hash || 'genesis'];
-    const merkleRoot = computeMerkleRoot(leaves);
-    const temporalRow = poi.results && poi.results.find(r => r.constraint.includes('Temporal'));
-    const overall_result = (poi.all_satisfied && por.graph.edges.length > 0) ? 'VERIFIED' : 'FAILED';
-
-    return {
-        bundle_id: `VB-GOV-${Date.now()}`,
-        created_at: new Date().toISOString(),
-        poo,
-        por,
-        poi,
-        merkle_root: merkleRoot,
-        verification_predicate: {
-            signatures_valid: true,
-            logic_valid: por.graph.edges.length > 0,
-            temporal_precedence: temporalRow ? temporalRow.satisfied : false,
-            constraints_satisfied: poi.all_satisfied,
-            merkle_verified: true
-        },
-        overall_result
-    };
 }
 
 module.exports = {
     GOVERNMENT_POLICY,
+    GOVERNMENT_POLICY_V1_0,
+    GOVERNMENT_INPUT_SCHEMA,
     evaluateGovernment,
-    generatePoO,
-    generatePoR,
-    verifyPoI,
-    createVerificationBundle,
+    validateInput: kernel.validateInput,
+    generatePoO: kernel.generatePoO,
+    generatePoR: kernel.generatePoR,
+    verifyPoI: kernel.verifyPoI,
+    createVerificationBundle: kernel.createVerificationBundle,
     computeMerkleRoot,
     detectServiceType,
+    governmentFacts,
     calculateComplianceScore
 };
@@ -1,22 +1,25 @@
 /**
- * OpLogica Hiring Assessment Engine v2.0 — Triadic Verification
+ * OpLogica Hiring Assessment Engine v2.2 — Triadic Verification
  * Enhanced Employment Screening Protocol.
  * DETERMINISTIC: same inputs → same outputs.
  *
  * Categories: Technical, Executive, Operations, Creative, Entry-Level
- * Rules: 10 hiring decision rules with full cryptographic proof bundles
+ * Rules: 13 hiring decision rules, executed from the policy DSL, with full cryptographic proof bundles
  * Verification: PoO (Proof of Origin), PoR (Proof of Reason), PoI (Proof of Intent)
  */
 
-const crypto = require('crypto');
-
-const POO_SECRET = process.env.POO_SECRET || 'oplogica-verification-key';
+const { sealPolicy, computeMerkleRoot, defineEngine } = require('./verificationCore');
+const { compileVersions, runPolicy, checkPolicy } = require('./policyDsl');
+const { balanceScore, adjustedScore, derivePoolNorms } = require('./balancedScoring');
+const { InputValidationError } = require('./inputSchema');
 
 // ═══════════════════════════════════════════════════════════════
 // POLICY DECLARATION (Axiom 3.1 — Temporal Precedence)
 // ═══════════════════════════════════════════════════════════════
 
-const HIRING_POLICY = {
+// Superseded by v2.1, where H9 states the balanced-scoring adjustment it applies.
+// Kept registered, and executable, so bundles decided under it still re-verify.
+const HIRING_POLICY_V2_0 = sealPolicy({
     policy_name: 'Employment Screening Protocol v2.0',
     authority: 'OpLogica HR Ethics Framework',
     declaration_timestamp: '2024-11-15T09:00:00Z',
@@ -35,51 +38,131 @@ const HIRING_POLICY = {
     ],
     policy_hash: null,
     authority_signature: null
-};
+});
 
-(function () {
-    const payload = JSON.stringify({
-        name: HIRING_POLICY.policy_name,
-        version: HIRING_POLICY.version,
-        declaration_timestamp: HIRING_POLICY.declaration_timestamp,
-        constraints: HIRING_POLICY.constraints.map(c => c.id + c.rule)
-    });
-    HIRING_POLICY.policy_hash = crypto.createHash('sha256').update(payload).digest('hex');
-    HIRING_POLICY.authority_signature = crypto.createHmac('sha256', POO_SECRET).update(HIRING_POLICY.policy_hash).digest('hex');
-})();
+// Superseded by v2.2. Kept registered, and executable, so bundles decided under it still re-verify.
+const HIRING_POLICY_V2_1 = sealPolicy({
+    policy_name: 'Employment Screening Protocol v2.1',
+    authority: 'OpLogica HR Ethics Framework',
+    declaration_timestamp: '2026-10-18T00:00:00Z',
+    version: '2.1.0',
+    constraints: [
+        { id: 'H1', name: 'skill_threshold', rule: 'WHEN skill_match_score < 0.3 THEN recommendation = NOT_RECOMMENDED', severity: 'mandatory' },
+        { id: 'H2', name: 'experience_minimum', rule: 'WHEN role = SENIOR AND experience_years < 3 THEN recommendation ≠ RECOMMENDED', severity: 'mandatory' },
+        { id: 'H3', name: 'interview_floor', rule: 'WHEN interview_score < 0.3 THEN recommendation = NOT_RECOMMENDED', severity: 'mandatory' },
+        { id: 'H4', name: 'reference_check', rule: 'WHEN reference_score < 0.3 THEN flag_reference_concern = TRUE', severity: 'mandatory' },
+        { id: 'H5', name: 'education_requirement', rule: 'WHEN role.requires_degree = TRUE AND education_level < 3 THEN recommendation ≠ RECOMMENDED', severity: 'mandatory' },
+        { id: 'H6', name: 'cultural_fit', rule: 'WHEN cultural_fit_score < 0.3 THEN risk_flag = CULTURAL_MISMATCH', severity: 'warning' },
+        { id: 'H7', name: 'background_check', rule: 'WHEN background_flagged = TRUE THEN recommendation = FURTHER_REVIEW', severity: 'mandatory' },
+        { id: 'H8', name: 'salary_alignment', rule: 'WHEN salary_expectation > budget * 1.2 THEN flag_budget_exceed = TRUE', severity: 'warning' },
+        { id: 'H9', name: 'diversity_consideration', rule: 'WHEN diversity_enabled = TRUE AND candidate_pool IN declared_pools THEN composite_score = reference.mean + z(pool) * reference.sd', severity: 'mandatory' },
+        { id: 'H10', name: 'multi_concern', rule: 'WHEN triggered_concerns >= 3 THEN recommendation ≠ RECOMMENDED', severity: 'mandatory' },
+        { id: 'H11', name: 'adverse_impact', rule: 'FOR_ALL group IN demographics: approval_rate(group) / approval_rate(max) >= 0.8', severity: 'warning' }
+    ],
+    policy_hash: null,
+    authority_signature: null
+});
+
+// Rule changes over v2.1: H4 also excludes RECOMMENDED, H7 excludes RECOMMENDED instead of assigning
+// FURTHER_REVIEW (which could overturn a NOT_RECOMMENDED), H5 reads requires_degree, H8 only applies
+// with a positive salary_budget, and H12/H13 hold RECOMMENDED to the candidate tier.
+// H9 (balanced scoring) and H11 (adverse impact) are checked by the engine, not the DSL.
+const HIRING_POLICY = sealPolicy({
+    policy_name: 'Employment Screening Protocol v2.2',
+    authority: 'OpLogica HR Ethics Framework',
+    declaration_timestamp: '2026-10-18T18:00:00Z',
+    version: '2.2.0',
+    scales: {
+        recommendation: ['RECOMMENDED', 'FURTHER_REVIEW', 'NOT_RECOMMENDED'],
+        risk_flag: ['NONE', 'CULTURAL_MISMATCH']
+    },
+    counter: 'triggered_concerns',
+    external: ['H9', 'H11'],
+    constraints: [
+        { id: 'H1', name: 'skill_threshold', rule: 'WHEN skill_match_score < 0.3 THEN recommendation = NOT_RECOMMENDED', severity: 'mandatory' },
+        { id: 'H2', name: 'experience_minimum', rule: 'WHEN role = SENIOR AND experience_years < 3 THEN recommendation ≠ RECOMMENDED', severity: 'mandatory' },
+        { id: 'H3', name: 'interview_floor', rule: 'WHEN interview_score < 0.3 THEN recommendation = NOT_RECOMMENDED', severity: 'mandatory' },
+        { id: 'H4', name: 'reference_check', rule: 'WHEN reference_score < 0.3 THEN flag_reference_concern = TRUE AND recommendation ≠ RECOMMENDED', severity: 'mandatory' },
+        { id: 'H5', name: 'education_requirement', rule: 'WHEN requires_degree = TRUE AND education_level < 3 THEN recommendation ≠ RECOMMENDED', severity: 'mandatory' },
+        { id: 'H6', name: 'cultural_fit', rule: 'WHEN cultural_fit_score < 0.3 THEN risk_flag = CULTURAL_MISMATCH', severity: 'warning' },
+        { id: 'H7', name: 'background_check', rule: 'WHEN background_flagged = TRUE THEN recommendation ≠ RECOMMENDED', severity: 'mandatory' },
+        { id: 'H8', name: 'salary_alignment', rule: 'WHEN salary_budget > 0 AND salary_expectation > salary_budget * 1.2 THEN flag_budget_exceed = TRUE', severity: 'warning' },
+        { id: 'H9', name: 'diversity_consideration', rule: 'WHEN diversity_enabled = TRUE AND candidate_pool IN declared_pools THEN composite_score = reference.mean + z(pool) * reference.sd', severity: 'mandatory' },
+        { id: 'H10', name: 'multi_concern', rule: 'WHEN triggered_concerns >= 3 THEN recommendation ≠ RECOMMENDED', severity: 'mandatory' },
+        { id: 'H11', name: 'adverse_impact', rule: 'FOR_ALL group IN demographics: approval_rate(group) / approval_rate(max) >= 0.8', severity: 'warning' },
+        { id: 'H12', name: 'tier_floor', rule: 'WHEN recommendation = RECOMMENDED AND candidate_tier = BELOW_THRESHOLD THEN recommendation = NOT_RECOMMENDED', severity: 'mandatory' },
+        { id: 'H13', name: 'tier_marginal', rule: 'WHEN candidate_tier = MARGINAL THEN recommendation ≠ RECOMMENDED', severity: 'mandatory' }
+    ],
+    policy_hash: null,
+    authority_signature: null
+});
+
+// Rules are executed straight from the declared text above (see policyDsl.js).
+// v2.0 and v2.1 predate declared scales, counter and external constraints; they run on v2.2's.
+const LEGACY_DECLARATIONS = {
+    scales: HIRING_POLICY.scales,
+    counter: HIRING_POLICY.counter,
+    aliases: {
+        'role.requires_degree': 'requires_degree',
+        'diversity_metrics.enabled': 'diversity_enabled',
+        budget: 'salary_budget'
+    }
+};
+const rulesFor = compileVersions([
+    [HIRING_POLICY_V2_0, { ...LEGACY_DECLARATIONS, external: ['H9'] }],
+    [HIRING_POLICY_V2_1, { ...LEGACY_DECLARATIONS, external: ['H9', 'H11'] }],
+    [HIRING_POLICY]
+]);
 
 // ═══════════════════════════════════════════════════════════════
-// CRYPTOGRAPHIC FUNCTIONS
+// INPUT SCHEMA
 // ═══════════════════════════════════════════════════════════════
 
-function generateSignature(data) {
-    return crypto.createHmac('sha256', POO_SECRET).update(data).digest('hex');
-}
+const HIRING_INPUT_SCHEMA = {
+    $id: 'oplogica.input.hiring/1',
+    type: 'object',
+    properties: {
+        skill_match_score: { type: 'number', minimum: 0, maximum: 1 },
+        interview_score: { type: 'number', minimum: 0, maximum: 1 },
+        experience_years: { type: 'number', minimum: 0, maximum: 60 },
+        education_level: { type: 'integer', minimum: 1, maximum: 5, default: 3 },
+        reference_score: { type: 'number', minimum: 0, maximum: 1, default: 0.5 },
+        cultural_fit_score: { type: 'number', minimum: 0, maximum: 1, default: 0.5 },
+        requires_degree: { type: 'boolean', default: true },
+        background_flagged: { type: 'boolean', default: false },
+        diversity_enabled: { type: 'boolean', default: false },
+        candidate_pool: { type: 'string' },
+        salary_expectation: { type: 'number', minimum: 0 },
+        salary_budget: { type: 'number', minimum: 0 },
+        role_level: { type: 'string' },
+        role_category: { type: 'string', enum: ['TECHNICAL', 'EXECUTIVE', 'ENTRY_LEVEL', 'CREATIVE', 'OPERATIONS'] },
+        technical_score: { type: 'number', minimum: 0, maximum: 1 },
+        leadership_score: { type: 'number', minimum: 0, maximum: 1 },
+        portfolio_score: { type: 'number', minimum: 0, maximum: 1 }
+    },
+    required: ['skill_match_score', 'interview_score', 'experience_years'],
+    'x-category': 'role_category',
+    'x-required-when': [
+        { when: { role_category: 'TECHNICAL' }, required: ['technical_score'] },
+        { when: { role_category: 'EXECUTIVE' }, required: ['leadership_score'] },
+        { when: { role_category: 'CREATIVE' }, required: ['portfolio_score'] }
+    ]
+};
 
-function computeMerkleRoot(hashes) {
-    if (hashes.length === 0) return crypto.createHash('sha256').update('empty').digest('hex');
-    if (hashes.length === 1) return hashes[0];
-    const paired = [];
-    for (let i = 0; i < hashes.length; i += 2) {
-        const left = hashes[i];
-        const right = hashes[i + 1] || left;
-        paired.push(crypto.createHash('sha256').update(left + right).digest('hex'));
-    }
-    return computeMerkleRoot(paired);
-}
+// ═══════════════════════════════════════════════════════════════
+// VERIFICATION KERNEL
+// ═══════════════════════════════════════════════════════════════
 
-function generatePoO(candidateData, policy, timestamp) {
-    const state = JSON.stringify({ D: candidateData, P: policy, T: timestamp });
-    const hash = crypto.createHash('sha256').update(state).digest('hex');
-    const signature = crypto.createHmac('sha256', POO_SECRET).update(hash + timestamp).digest('hex');
-    return {
-        hash,
-        timestamp,
-        signature,
-        algorithm: 'SHA-256',
-        state_reference: `PoO-HIR-${Date.now()}`
-    };
-}
+const kernel = defineEngine({
+    domain: 'hiring',
+    code: 'HIR',
+    policies: [HIRING_POLICY_V2_0, HIRING_POLICY_V2_1, HIRING_POLICY],
+    buildReasonGraph,
+    checkConstraints,
+    inputSchema: HIRING_INPUT_SCHEMA,
+    ruleFields: { budget: 'salary_budget' },
+    inferCategory: detectRoleCategory
+});
 
 // ═══════════════════════════════════════════════════════════════
 // ROLE CATEGORY DETECTION
@@ -112,24 +195,24 @@ function calculateCompositeScore(candidateData, roleCategory) {
     let score = 0;
 
     // Skill match (0-1)
-    score += Math.min(1, Math.max(0, candidateData.skill_match_score || 0.5)) * w.skill;
+    score += Math.min(1, Math.max(0, candidateData.skill_match_score)) * w.skill;
 
     // Experience (normalized: years / 15 capped at 1)
-    const expNorm = Math.min(1, Math.max(0, (candidateData.experience_years || 0) / 15));
+    const expNorm = Math.min(1, Math.max(0, candidateData.experience_years / 15));
     score += expNorm * w.experience;
 
     // Interview (0-1)
-    score += Math.min(1, Math.max(0, candidateData.interview_score || 0.5)) * w.interview;
+    score += Math.min(1, Math.max(0, candidateData.interview_score)) * w.interview;
 
     // Education (1-5 normalized)
-    const eduNorm = Math.min(1, Math.max(0, ((candidateData.education_level || 3) - 1) / 4));
+    const eduNorm = Math.min(1, Math.max(0, (candidateData.education_level - 1) / 4));
     score += eduNorm * w.education;
 
     // Reference (0-1)
-    score += Math.min(1, Math.max(0, candidateData.reference_score || 0.5)) * w.reference;
+    score += Math.min(1, Math.max(0, candidateData.reference_score)) * w.reference;
 
     // Cultural fit (0-1)
-    score += Math.min(1, Math.max(0, candidateData.cultural_fit_score || 0.5)) * w.cultural;
+    score += Math.min(1, Math.max(0, candidateData.cultural_fit_score)) * w.cultural;
 
     return Math.min(1, Math.max(0, parseFloat(score.toFixed(4))));
 }
@@ -147,170 +230,129 @@ function determineCandidateTier(compositeScore) {
 }
 
 // ═══════════════════════════════════════════════════════════════
-// DECISION ENGINE (10 Rules)
+// RULE FACTS
 // ═══════════════════════════════════════════════════════════════
 
-function evaluateCandidate(candidateData) {
-    const timestamp = new Date().toISOString();
-    const roleCategory = detectRoleCategory(candidateData);
-    const compositeScore = calculateCompositeScore(candidateData, roleCategory);
-    const candidateTier = determineCandidateTier(compositeScore);
-
-    let recommendation = 'RECOMMENDED';
-    let flagReferenceConcern = false;
-    let flagCulturalMismatch = false;
-    let flagBudgetExceed = false;
-    const reasons = [];
-    let triggeredCount = 0;
-
-    const skillScore = candidateData.skill_match_score != null ? candidateData.skill_match_score : 0.5;
-    const expYears = candidateData.experience_years != null ? candidateData.experience_years : 3;
-    const interviewScore = candidateData.interview_score != null ? candidateData.interview_score : 0.5;
-    const refScore = candidateData.reference_score != null ? candidateData.reference_score : 0.5;
-    const eduLevel = candidateData.education_level != null ? candidateData.education_level : 3;
-    const culturalFit = candidateData.cultural_fit_score != null ? candidateData.cultural_fit_score : 0.5;
-    const backgroundFlagged = candidateData.background_flagged === true;
-    const salaryExpect = candidateData.salary_expectation || 0;
-    const salaryBudget = candidateData.salary_budget || salaryExpect;
-    const requiresDegree = candidateData.requires_degree !== false;
-    const isSenior = candidateData.role_level === 'SENIOR' || expYears >= 8;
-
-    // ── H1: Skill Threshold ──
-    const h1 = skillScore < 0.3;
-    if (h1) {
-        recommendation = 'NOT_RECOMMENDED';
-        reasons.push(`H1: skill_match_score=${skillScore} < 0.3 → NOT_RECOMMENDED`);
-        triggeredCount++;
-    }
-
-    // ── H2: Experience Minimum (Senior) ──
-    const h2 = isSenior && expYears < 3;
-    if (h2) {
-        if (recommendation === 'RECOMMENDED') recommendation = 'FURTHER_REVIEW';
-        reasons.push(`H2: role=SENIOR AND experience=${expYears} < 3 → ≠ RECOMMENDED`);
-        triggeredCount++;
-    }
-
-    // ── H3: Interview Floor ──
-    const h3 = interviewScore < 0.3;
-    if (h3) {
-        recommendation = 'NOT_RECOMMENDED';
-        reasons.push(`H3: interview_score=${interviewScore} < 0.3 → NOT_RECOMMENDED`);
-        triggeredCount++;
-    }
-
-    // ── H4: Reference Check ──
-    const h4 = refScore < 0.3;
-    if (h4) {
-        flagReferenceConcern = true;
-        if (recommendation === 'RECOMMENDED') recommendation = 'FURTHER_REVIEW';
-        reasons.push(`H4: reference_score=${refScore} < 0.3 → flag_reference_concern`);
-        triggeredCount++;
-    }
-
-    // ── H5: Education Requirement ──
-    const h5 = requiresDegree && eduLevel < 3;
-    if (h5) {
-        if (recommendation === 'RECOMMENDED') recommendation = 'FURTHER_REVIEW';
-        reasons.push(`H5: requires_degree AND education_level=${eduLevel} < 3 → ≠ RECOMMENDED`);
-        triggeredCount++;
-    }
-
-    // ── H6: Cultural Fit ──
-    const h6 = culturalFit < 0.3;
-    if (h6) {
-        flagCulturalMismatch = true;
-        reasons.push(`H6: cultural_fit_score=${culturalFit} < 0.3 → CULTURAL_MISMATCH`);
-        triggeredCount++;
-    }
+/**
+ * Candidate fields with documented defaults — the identifiers the H-rules read.
+ * The tier follows from the composite score after H9.
+ */
+function hiringFacts(candidateData, compositeScore) {
+    const salaryExpectation = candidateData.salary_expectation || 0;
+    return {
+        skill_match_score: candidateData.skill_match_score != null ? candidateData.skill_match_score : 0.5,
+        experience_years: candidateData.experience_years != null ? candidateData.experience_years : 3,
+        interview_score: candidateData.interview_score != null ? candidateData.interview_score : 0.5,
+        reference_score: candidateData.reference_score != null ? candidateData.reference_score : 0.5,
+        education_level: candidateData.education_level != null ? candidateData.education_level : 3,
+        cultural_fit_score: candidateData.cultural_fit_score != null ? candidateData.cultural_fit_score : 0.5,
+        background_flagged: candidateData.background_flagged === true,
+        salary_expectation: salaryExpectation,
+        salary_budget: candidateData.salary_budget != null ? candidateData.salary_budget : salaryExpectation,
+        requires_degree: candidateData.requires_degree !== false,
+        diversity_enabled: candidateData.diversity_enabled === true,
+        role: candidateData.role_level || 'UNSPECIFIED',
+        candidate_tier: determineCandidateTier(compositeScore)
+    };
+}
 
-    // ── H7: Background Check ──
-    const h7 = backgroundFlagged;
-    if (h7) {
-        if (recommendation === 'RECOMMENDED') recommendation = 'FURTHER_REVIEW';
-        reasons.push('H7: background_flagged = TRUE → FURTHER_REVIEW');
-        triggeredCount++;
-    }
+// ═══════════════════════════════════════════════════════════════
+// DECISION ENGINE (13 Rules)
+// ═══════════════════════════════════════════════════════════════
 
-    // ── H8: Salary Alignment ──
-    const h8 = salaryBudget > 0 && salaryExpect > salaryBudget * 1.2;
-    if (h8) {
-        flagBudgetExceed = true;
-        reasons.push(`H8: salary_expectation=${salaryExpect} > budget=${salaryBudget} * 1.2 → budget_exceed`);
-        triggeredCount++;
-    }
+/**
+ * options.poolNorms — H9 norms for this assessment (balancedScoring.derivePoolNorms);
+ * defaults to the configured HIRING_POOL_NORMS. When given and H9 applies, the decision
+ * records them as pool_norms so it can be re-run under the same norms.
+ */
+function evaluateCandidate(rawInput, options = {}) {
+    const { input: candidateData, assumptions } = kernel.prepareInput(rawInput);
+    const timestamp = new Date().toISOString();
+    const roleCategory = detectRoleCategory(candidateData);
+    const rawScore = calculateCompositeScore(candidateData, roleCategory);
 
-    // ── H9: Diversity Consideration ──
+    // ── H9: Diversity Consideration — balanced scoring precedes the tier ──
     const h9 = candidateData.diversity_enabled === true;
-    if (h9) {
-        reasons.push('H9: diversity_metrics enabled → balanced_scoring applied');
-        // No trigger count — this is a process rule, not a concern
+    const balanced = h9 ? balanceScore(rawScore, candidateData.candidate_pool, options.poolNorms) : null;
+    const compositeScore = balanced ? balanced.score : rawScore;
+    const facts = hiringFacts(candidateData, compositeScore);
+
+    const run = runPolicy(rulesFor(kernel.policyAt(timestamp)), facts);
+    const reasons = run.trace.filter(t => t.triggered).map(t => t.reason);
+    const allRules = run.trace.map(t => ({ id: t.id, rule: t.rule, triggered: t.triggered, detail: t.detail }));
+
+    // H9 is not a concern and is not counted; it is listed first because it runs first
+    if (balanced) {
+        reasons.unshift(balanced.applied
+            ? `H9: candidate_pool=${balanced.pool} z=${balanced.z} → composite_score ${rawScore} → ${compositeScore}`
+            : `H9: diversity enabled, ${balanced.reason} → composite_score unchanged`);
     }
-
-    // ── H10: Multi-Concern Escalation ──
-    const h10 = triggeredCount >= 3;
-    if (h10 && recommendation === 'RECOMMENDED') {
-        recommendation = 'FURTHER_REVIEW';
-        reasons.push(`H10: triggered_concerns=${triggeredCount} >= 3 → ≠ RECOMMENDED`);
-    }
-
-    // Tier-based final check
-    if (recommendation === 'RECOMMENDED' && candidateTier === 'BELOW_THRESHOLD') {
-        recommendation = 'NOT_RECOMMENDED';
-        reasons.push(`Tier check: candidate_tier=BELOW_THRESHOLD → NOT_RECOMMENDED`);
-    }
-    if (recommendation === 'RECOMMENDED' && candidateTier === 'MARGINAL') {
-        recommendation = 'FURTHER_REVIEW';
-        reasons.push(`Tier check: candidate_tier=MARGINAL → FURTHER_REVIEW`);
-    }
-
-    const allRules = [
-        { id: 'H1', rule: 'IF skill_match < 0.3 THEN NOT_RECOMMENDED', triggered: h1, detail: `skill_match = ${skillScore} ${h1 ? '<' : '≥'} 0.3` },
-        { id: 'H2', rule: 'IF SENIOR AND experience < 3yr THEN ≠ RECOMMENDED', triggered: h2, detail: `senior = ${isSenior}, experience = ${expYears}` },
-        { id: 'H3', rule: 'IF interview < 0.3 THEN NOT_RECOMMENDED', triggered: h3, detail: `interview = ${interviewScore} ${h3 ? '<' : '≥'} 0.3` },
-        { id: 'H4', rule: 'IF reference < 0.3 THEN flag_concern', triggered: h4, detail: `reference = ${refScore} ${h4 ? '<' : '≥'} 0.3` },
-        { id: 'H5', rule: 'IF requires_degree AND education < 3 THEN ≠ RECOMMENDED', triggered: h5, detail: `requires_degree = ${requiresDegree}, education = ${eduLevel}` },
-        { id: 'H6', rule: 'IF cultural_fit < 0.3 THEN CULTURAL_MISMATCH', triggered: h6, detail: `cultural_fit = ${culturalFit} ${h6 ? '<' : '≥'} 0.3` },
-        { id: 'H7', rule: 'IF background_flagged THEN FURTHER_REVIEW', triggered: h7, detail: `background_flagged = ${backgroundFlagged}` },
-        { id: 'H8', rule: 'IF salary > budget * 1.2 THEN budget_exceed', triggered: h8, detail: `salary = ${salaryExpect}, budget = ${salaryBudget}` },
-        { id: 'H9', rule: 'IF diversity enabled THEN balanced_scoring', triggered: h9, detail: `diversity_enabled = ${candidateData.diversity_enabled === true}` },
-        { id: 'H10', rule: 'IF triggered_concerns ≥ 3 THEN ≠ RECOMMENDED', triggered: h10, detail: `triggered = ${triggeredCount} ${h10 ? '≥' : '<'} 3` }
-    ];
+    allRules.unshift({
+        id: 'H9',
+        rule: 'IF diversity enabled THEN balanced_scoring',
+        triggered: h9,
+        detail: balanced ? `pool = ${balanced.pool || 'none'}, ${balanced.applied ? `${rawScore} → ${compositeScore}` : balanced.reason}` : 'diversity_enabled = false'
+    });
 
     const decision = {
-        recommendation,
+        recommendation: run.state.recommendation,
         composite_score: compositeScore,
-        candidate_tier: candidateTier,
+        balanced_scoring: balanced,
+        pool_norms: h9 && options.poolNorms ? options.poolNorms : null,
+        candidate_tier: facts.candidate_tier,
         role_category: roleCategory,
-        reference_concern: flagReferenceConcern,
-        cultural_mismatch: flagCulturalMismatch,
-        budget_exceed: flagBudgetExceed,
-        triggered_rules: triggeredCount,
+        reference_concern: run.state.flag_reference_concern,
+        cultural_mismatch: run.state.risk_flag === 'CULTURAL_MISMATCH',
+        budget_exceed: run.state.flag_budget_exceed,
+        triggered_rules: run.triggered_count,
         timestamp,
         reasons,
         allRules
     };
 
-    const poo = generatePoO(candidateData, HIRING_POLICY.policy_name, timestamp);
-    const por = generatePoR(candidateData, decision);
-    const poi = verifyPoI(decision, candidateData);
-    const bundle = createVerificationBundle(poo, por, poi);
+    decision.sensitivity = kernel.sensitivity(candidateData, decision, data => evaluateCandidate(data, options));
+    const bundle = kernel.issue(rawInput, decision, { input: candidateData, assumptions });
 
     return { decision, verification_bundle: bundle };
 }
 
+/**
+ * Candidates assessed together: H9 pool norms are derived from the raw composite scores
+ * of all of them, then each is decided under those norms.
+ * Returns { pool_norms, results: [{ decision, verification_bundle }] }.
+ * Invalid input in any candidate rejects the whole set (errors prefixed with candidates[i]).
+ */
+function evaluateCandidates(rawInputs) {
+    const errors = [];
+    const prepared = rawInputs.map((raw, i) => {
+        const result = kernel.validateInput(raw || {});
+        result.errors.forEach(e => errors.push({ ...e, field: e.field ? `candidates[${i}].${e.field}` : `candidates[${i}]`, message: `candidates[${i}]: ${e.message}` }));
+        return result.value;
+    });
+    if (errors.length) throw new InputValidationError(errors, HIRING_INPUT_SCHEMA.$id);
+
+    const poolNorms = derivePoolNorms(prepared.map(data => ({
+        pool: data.candidate_pool,
+        score: calculateCompositeScore(data, detectRoleCategory(data))
+    })));
+    return {
+        pool_norms: poolNorms,
+        results: rawInputs.map(raw => evaluateCandidate(raw, { poolNorms }))
+    };
+}
+
 // ═══════════════════════════════════════════════════════════════
 // PROOF OF REASON (PoR)
 // ═══════════════════════════════════════════════════════════════
 
-function generatePoR(candidateData, decision) {
+function buildReasonGraph(candidateData, decision) {
     const vertices = [
-        { id: 'p1', type: 'premise', label: `skill_match = ${candidateData.skill_match_score || 0.5}` },
-        { id: 'p2', type: 'premise', label: `experience_years = ${candidateData.experience_years || 3}` },
-        { id: 'p3', type: 'premise', label: `interview_score = ${candidateData.interview_score || 0.5}` },
-        { id: 'p4', type: 'premise', label: `reference_score = ${candidateData.reference_score || 0.5}` },
-        { id: 'p5', type: 'premise', label: `education_level = ${candidateData.education_level || 3}` },
-        { id: 'p6', type: 'premise', label: `cultural_fit = ${candidateData.cultural_fit_score || 0.5}` },
+        { id: 'p1', type: 'premise', label: `skill_match = ${candidateData.skill_match_score}` },
+        { id: 'p2', type: 'premise', label: `experience_years = ${candidateData.experience_years}` },
+        { id: 'p3', type: 'premise', label: `interview_score = ${candidateData.interview_score}` },
+        { id: 'p4', type: 'premise', label: `reference_score = ${candidateData.reference_score}` },
+        { id: 'p5', type: 'premise', label: `education_level = ${candidateData.education_level}` },
+        { id: 'p6', type: 'premise', label: `cultural_fit = ${candidateData.cultural_fit_score}` },
         { id: 'p7', type: 'premise', label: `role_category = ${decision.role_category}` },
         { id: 'p8', type: 'premise', label: `background_flagged = ${candidateData.background_flagged === true}` },
         { id: 'r1', type: 'rule', label: 'H1: skill < 0.3 → NOT_RECOMMENDED' },
@@ -347,114 +389,76 @@ function generatePoR(candidateData, decision) {
         { from: 'c2', to: 'c3', relation: 'determines' }
     ];
 
-    const graph = { vertices, edges };
-    const graphHash = crypto.createHash('sha256').update(JSON.stringify(graph)).digest('hex');
+    // H10 counts the rules above that fired
+    ['r1', 'r2', 'r3', 'r4', 'r5', 'r6', 'r7'].forEach(id => edges.push({ from: id, to: 'r8', relation: 'counts' }));
+
+    // H9 adjustment: raw score and pool norms feed the rule that yields the composite score
+    const balanced = decision.balanced_scoring;
+    if (balanced && balanced.applied) {
+        vertices.push(
+            { id: 'p9', type: 'premise', label: `raw composite_score = ${(balanced.raw_score * 100).toFixed(1)}%` },
+            { id: 'p10', type: 'premise', label: `candidate_pool ${balanced.pool}: mean ${balanced.pool_norm.mean}, sd ${balanced.pool_norm.sd}` },
+            { id: 'p11', type: 'premise', label: `reference (${balanced.source}): mean ${balanced.reference.mean}, sd ${balanced.reference.sd}` },
+            { id: 'r9', type: 'rule', label: `H9: balanced scoring, z = ${balanced.z}` }
+        );
+        edges.push(
+            { from: 'p9', to: 'r9', relation: 'input' },
+            { from: 'p10', to: 'r9', relation: 'input' },
+            { from: 'p11', to: 'r9', relation: 'input' },
+            { from: 'r9', to: 'c2', relation: 'determines' }
+        );
+    }
 
-    return {
-        graph,
-        hash: graphHash,
-        signature: generateSignature(graphHash)
-    };
+    return { vertices, edges };
 }
 
 // ═══════════════════════════════════════════════════════════════
 // PROOF OF INTENT (PoI)
 // ═══════════════════════════════════════════════════════════════
 
-function verifyPoI(decision, candidateData) {
-    const results = [];
-    const skillScore = candidateData.skill_match_score != null ? candidateData.skill_match_score : 0.5;
-    const interviewScore = candidateData.interview_score != null ? candidateData.interview_score : 0.5;
-
-    // H1
-    results.push({
-        constraint: 'H1 - skill_threshold',
-        satisfied: skillScore >= 0.3 || decision.recommendation === 'NOT_RECOMMENDED',
-        severity: 'mandatory',
-        detail: `skill_match=${skillScore}, recommendation=${decision.recommendation}`
+function checkConstraints(decision, candidateData, policy) {
+    const results = checkPolicy(rulesFor(policy), hiringFacts(candidateData, decision.composite_score), {
+        recommendation: decision.recommendation,
+        flag_reference_concern: decision.reference_concern,
+        risk_flag: decision.cultural_mismatch ? 'CULTURAL_MISMATCH' : 'NONE',
+        flag_budget_exceed: decision.budget_exceed,
+        triggered_concerns: decision.triggered_rules
     });
 
-    // H3
-    results.push({
-        constraint: 'H3 - interview_floor',
-        satisfied: interviewScore >= 0.3 || decision.recommendation === 'NOT_RECOMMENDED',
-        severity: 'mandatory',
-        detail: `interview=${interviewScore}, recommendation=${decision.recommendation}`
-    });
-
-    // H4
-    results.push({
-        constraint: 'H4 - reference_check',
-        satisfied: (candidateData.reference_score || 0.5) >= 0.3 || decision.reference_concern === true,
-        severity: 'mandatory',
-        detail: `reference=${candidateData.reference_score || 0.5}, flagged=${decision.reference_concern}`
-    });
-
-    // H7
-    results.push({
-        constraint: 'H7 - background_check',
-        satisfied: candidateData.background_flagged !== true || decision.recommendation !== 'RECOMMENDED',
-        severity: 'mandatory',
-        detail: `background_flagged=${candidateData.background_flagged === true}, recommendation=${decision.recommendation}`
-    });
-
-    // Axiom 3.1
-    results.push({
-        constraint: 'Axiom 3.1 - Temporal Precedence',
-        satisfied: HIRING_POLICY.declaration_timestamp < decision.timestamp,
-        severity: 'mandatory',
-        detail: `PoI declared: ${HIRING_POLICY.declaration_timestamp}, Decision: ${decision.timestamp}`
-    });
-
-    const all_mandatory_satisfied = results.filter(r => r.severity === 'mandatory').every(r => r.satisfied);
-
-    return {
-        policy: HIRING_POLICY.policy_name,
-        policy_hash: HIRING_POLICY.policy_hash,
-        declaration_time: HIRING_POLICY.declaration_timestamp,
-        verification_time: new Date().toISOString(),
-        all_satisfied: all_mandatory_satisfied,
-        results
-    };
-}
-
-// ═══════════════════════════════════════════════════════════════
-// VERIFICATION BUNDLE
-// ═══════════════════════════════════════════════════════════════
-
-function createVerificationBundle(poo, por, poi) {
-    const leaves = [poo.hash, por.hash, poi.policy_hash || 'genesis'];
-    const merkleRoot = computeMerkleRoot(leaves);
-    const temporalRow = poi.results && poi.results.find(r => r.constraint.includes('Temporal'));
-    const overall_result = (poi.all_satisfied && por.graph.edges.length > 0) ? 'VERIFIED' : 'FAILED';
+    // H9 — the composite score is the raw score, adjusted by the recorded pool norm and reference when applied
+    if (candidateData.diversity_enabled === true) {
+        const balanced = decision.balanced_scoring;
+        const applied = balanced && balanced.applied;
+        const rawScore = calculateCompositeScore(candidateData, detectRoleCategory(candidateData));
+        const expected = applied ? adjustedScore(rawScore, balanced.pool_norm, balanced.reference) : rawScore;
+        results.push({
+            constraint: 'H9 - diversity_consideration',
+            satisfied: !!balanced && balanced.raw_score === rawScore && decision.composite_score === expected,
+            severity: 'mandatory',
+            detail: applied
+                ? `pool=${balanced.pool}, raw ${rawScore} → ${expected} recomputed (mean ${balanced.pool_norm.mean}, sd ${balanced.pool_norm.sd} → mean ${balanced.reference.mean}, sd ${balanced.reference.sd}); composite_score=${decision.composite_score}`
+                : `not applied: ${balanced ? balanced.reason : 'no balanced scoring record'}; composite_score=${decision.composite_score}, raw ${rawScore}`
+        });
+    }
 
-    return {
-        bundle_id: `VB-HIR-${Date.now()}`,
-        created_at: new Date().toISOString(),
-        poo,
-        por,
-        poi,
-        merkle_root: merkleRoot,
-        verification_predicate: {
-            signatures_valid: true,
-            logic_valid: por.graph.edges.length > 0,
-            temporal_precedence: temporalRow ? temporalRow.satisfied : false,
-            constraints_satisfied: poi.all_satisfied,
-            merkle_verified: true
-        },
-        overall_result
-    };
+    return results;
 }
 
 module.exports = {
     HIRING_POLICY,
+    HIRING_POLICY_V2_0,
+    HIRING_POLICY_V2_1,
+    HIRING_INPUT_SCHEMA,
     evaluateCandidate,
-    generatePoO,
-    generatePoR,
-    verifyPoI,
-    createVerificationBundle,
+    evaluateCandidates,
+    validateInput: kernel.validateInput,
+    generatePoO: kernel.generatePoO,
+    generatePoR: kernel.generatePoR,
+    verifyPoI: kernel.verifyPoI,
+    createVerificationBundle: kernel.createVerificationBundle,
     computeMerkleRoot,
     detectRoleCategory,
+    hiringFacts,
     calculateCompositeScore,
     determineCandidateTier
 };
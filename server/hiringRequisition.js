@@ -0,0 +1,372 @@
+/**
+ * OpLogica Hiring Requisitions — a shortlist for one role, ranked comparatively
+ * Every candidate of a requisition is decided by the hiring engine under the same
+ * role settings (role_category, role_level, requires_degree, per-seat salary_budget)
+ * and the same H9 pool norms, then the candidates are ranked and a slate is filled:
+ *
+ *   order      — recommendation (RECOMMENDED, FURTHER_REVIEW, NOT_RECOMMENDED), then
+ *                composite_score, then the tie-breaks in TIE_BREAKS, last candidate_id
+ *   headcount  — at most `headcount` candidates are SELECTED; further RECOMMENDED ones are WAITLISTED
+ *   H8         — with a `budget`, each pick is checked against the budget still open:
+ *                salary_expectation > remaining / open seats × 1.2, or above what remains,
+ *                marks the candidate BUDGET_EXCEEDED and the next one is considered
+ *
+ * Each candidate keeps its own engine bundle, whose PoO input carries the requisition_id.
+ * The ranking is sealed as one bundle (code HIR-REQ, not added to the ledger) whose PoO
+ * state is rankingState(): the settings and every slate entry with its candidate bundle's
+ * bundle_id and merkle_root, so no candidate decision can be swapped after ranking.
+ */
+
+const crypto = require('crypto');
+const {
+    generatePoO,
+    generatePoR,
+    verifyPoI,
+    createVerificationBundle
+} = require('./verificationCore');
+const policyRegistry = require('./policyRegistry');
+const { validateInput, InputValidationError } = require('./inputSchema');
+const { verifyBundle } = require('./bundleVerifier');
+const { computeFairness } = require('./fairness');
+const hiringEngine = require('./hiringEngine');
+
+const CODE = 'HIR-REQ';
+const MAX_CANDIDATES = 200;
+const BUDGET_TOLERANCE = 1.2; // H8: salary_expectation > budget * 1.2
+
+const RECOMMENDATION_ORDER = { RECOMMENDED: 0, FURTHER_REVIEW: 1, NOT_RECOMMENDED: 2 };
+
+// Applied in order when composite scores are equal; higher is better unless noted
+const TIE_BREAKS = [
+    { key: 'interview_score', label: 'interview_score' },
+    { key: 'skill_match_score', label: 'skill_match_score' },
+    { key: 'triggered_rules', label: 'fewer triggered rules', ascending: true },
+    { key: 'experience_years', label: 'experience_years' }
+];
+
+const REQUISITION_SCHEMA = {
+    $id: 'oplogica.input.hiring-requisition/1',
+    type: 'object',
+    properties: {
+        requisition_id: { type: 'string' },
+        role_category: { type: 'string', enum: ['TECHNICAL', 'EXECUTIVE', 'ENTRY_LEVEL', 'CREATIVE', 'OPERATIONS'] },
+        role_level: { type: 'string' },
+        requires_degree: { type: 'boolean', default: true },
+        headcount: { type: 'integer', minimum: 1, default: 1 },
+        budget: { type: 'number', minimum: 0 }
+    },
+    required: []
+};
+
+const SHARED_SETTINGS = ['role_category', 'role_level', 'requires_degree'];
+
+function round(value) {
+    return Number(value.toFixed(2));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// INPUT
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Validates the requisition settings and builds each candidate's engine input:
+ * the candidate's own fields with the shared settings, per-seat salary_budget and
+ * requisition_id written over them.
+ */
+function prepareRequisition(raw) {
+    const result = validateInput(REQUISITION_SCHEMA, raw || {});
+    const errors = [...result.errors];
+    const candidates = raw && raw.candidates;
+
+    if (!Array.isArray(candidates) || candidates.length === 0) {
+        errors.push({ field: 'candidates', code: 'required', message: 'candidates must be a non-empty array', value: null });
+    } else if (candidates.length > MAX_CANDIDATES) {
+        errors.push({ field: 'candidates', code: 'maximum', message: `candidates must hold at most ${MAX_CANDIDATES} entries`, value: candidates.length });
+    }
+    if (errors.length) throw new InputValidationError(errors, REQUISITION_SCHEMA.$id);
+
+    // Settings only: validateInput passes unknown properties (candidates) through
+    const settings = {};
+    Object.keys(REQUISITION_SCHEMA.properties).forEach(field => {
+        if (result.value[field] !== undefined) settings[field] = result.value[field];
+    });
+    settings.requisition_id = settings.requisition_id || `REQ-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+    if (settings.role_category) settings.role_category = settings.role_category.toUpperCase();
+
+    const ids = candidates.map((c, i) => String((c && c.candidate_id) || `C${i + 1}`));
+    const duplicate = ids.find((id, i) => ids.indexOf(id) !== i);
+    if (duplicate) {
+        throw new InputValidationError([{ field: 'candidates', code: 'unique', message: `candidate_id ${duplicate} appears more than once`, value: duplicate }], REQUISITION_SCHEMA.$id);
+    }
+
+    const shared = { requisition_id: settings.requisition_id };
+    SHARED_SETTINGS.forEach(field => { if (settings[field] !== undefined) shared[field] = settings[field]; });
+    if (settings.budget !== undefined) shared.salary_budget = round(settings.budget / settings.headcount);
+
+    const inputs = candidates.map(c => {
+        const { candidate_id, ...fields } = c || {};
+        return { ...fields, ...shared };
+    });
+    return { settings, ids, inputs };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// RANKING
+// ═══════════════════════════════════════════════════════════════
+
+function rankValue(entry, key) {
+    const value = key in entry.decision ? entry.decision[key] : entry.input[key];
+    return typeof value === 'number' ? value : 0;
+}
+
+/**
+ * Sort order of two evaluated candidates: < 0 when a ranks first.
+ * Returns { order, decided_by } — the first criterion that separates them.
+ */
+function compareCandidates(a, b) {
+    const byRecommendation = RECOMMENDATION_ORDER[a.decision.recommendation] - RECOMMENDATION_ORDER[b.decision.recommendation];
+    if (byRecommendation) return { order: byRecommendation, decided_by: 'recommendation' };
+    if (a.decision.composite_score !== b.decision.composite_score) {
+        return { order: b.decision.composite_score - a.decision.composite_score, decided_by: 'composite_score' };
+    }
+    for (const tie of TIE_BREAKS) {
+        const diff = rankValue(a, tie.key) - rankValue(b, tie.key);
+        if (diff) return { order: tie.ascending ? diff : -diff, decided_by: tie.label };
+    }
+    return { order: a.candidate_id.localeCompare(b.candidate_id), decided_by: 'candidate_id' };
+}
+
+/**
+ * Walks the ranked candidates and fills the slate: headcount first, then H8 against
+ * the budget still open (when the requisition has one).
+ */
+function fillSlate(ranked, settings) {
+    let seats = settings.headcount;
+    let remaining = settings.budget !== undefined ? settings.budget : null;
+
+    const slate = ranked.map((entry, i) => {
+        const recommendation = entry.decision.recommendation;
+        const salary = entry.input.salary_expectation || 0;
+        const row = {
+            rank: i + 1,
+            candidate_id: entry.candidate_id,
+            recommendation,
+            composite_score: entry.decision.composite_score,
+            decided_by: i === 0 ? null : compareCandidates(ranked[i - 1], entry).decided_by,
+            status: null,
+            budget_check: null,
+            bundle_id: entry.bundle.bundle_id,
+            merkle_root: entry.bundle.merkle_root
+        };
+
+        if (recommendation !== 'RECOMMENDED') {
+            row.status = recommendation === 'FURTHER_REVIEW' ? 'REVIEW' : 'REJECTED';
+            return row;
+        }
+        if (seats === 0) {
+            row.status = 'WAITLISTED';
+            return row;
+        }
+        if (remaining !== null) {
+            const perSeat = remaining / seats;
+            const exceeds = salary > perSeat * BUDGET_TOLERANCE || salary > remaining;
+            row.budget_check = { salary_expectation: salary, remaining_budget: round(remaining), open_seats: seats, per_seat: round(perSeat), exceeds };
+            if (exceeds) {
+                row.status = 'BUDGET_EXCEEDED';
+                return row;
+            }
+            remaining -= salary;
+        }
+        seats--;
+        row.status = 'SELECTED';
+        return row;
+    });
+
+    const selected = slate.filter(r => r.status === 'SELECTED');
+    return {
+        slate,
+        summary: {
+            candidates: slate.length,
+            headcount: settings.headcount,
+            selected: selected.length,
+            waitlisted: slate.filter(r => r.status === 'WAITLISTED').length,
+            budget_exceeded: slate.filter(r => r.status === 'BUDGET_EXCEEDED').length,
+            review: slate.filter(r => r.status === 'REVIEW').length,
+            rejected: slate.filter(r => r.status === 'REJECTED').length,
+            budget: settings.budget !== undefined ? settings.budget : null,
+            committed_budget: round(ranked.filter((e, i) => slate[i].status === 'SELECTED').reduce((sum, e) => sum + (e.input.salary_expectation || 0), 0)),
+            remaining_budget: remaining === null ? null : round(remaining)
+        }
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SEALING
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * The PoO state of a ranking bundle. Pass it as `input` to verifyBundle to re-check
+ * the PoO hash of a requisition result.
+ */
+function rankingState(settings, slate) {
+    return {
+        requisition: settings,
+        slate: slate.map(r => ({ rank: r.rank, candidate_id: r.candidate_id, status: r.status, bundle_id: r.bundle_id, merkle_root: r.merkle_root }))
+    };
+}
+
+function buildGraph(settings, slate) {
+    const vertices = [
+        { id: 'p0', type: 'premise', label: `requisition ${settings.requisition_id}: headcount ${settings.headcount}${settings.budget !== undefined ? `, budget ${settings.budget}` : ''}` },
+        { id: 'r1', type: 'rule', label: `Rank: recommendation, composite_score, then ${TIE_BREAKS.map(t => t.label).join(', ')}, candidate_id` },
+        { id: 'r2', type: 'rule', label: `Headcount: at most ${settings.headcount} SELECTED` },
+        { id: 'c1', type: 'conclusion', label: `ranking = ${slate.map(r => r.candidate_id).join(' > ')}` },
+        { id: 'c2', type: 'conclusion', label: `selected = ${slate.filter(r => r.status === 'SELECTED').map(r => r.candidate_id).join(', ') || 'none'}` }
+    ];
+    const edges = [
+        { from: 'r1', to: 'c1', relation: 'determines' },
+        { from: 'c1', to: 'r2', relation: 'input' },
+        { from: 'p0', to: 'r2', relation: 'input' },
+        { from: 'r2', to: 'c2', relation: 'determines' }
+    ];
+
+    slate.forEach((r, i) => {
+        const id = `p${i + 1}`;
+        vertices.push({ id, type: 'premise', label: `${r.candidate_id}: ${r.recommendation}, composite_score ${(r.composite_score * 100).toFixed(1)}%` });
+        edges.push({ from: id, to: 'r1', relation: 'input' });
+    });
+
+    if (settings.budget !== undefined) {
+        vertices.push({ id: 'r3', type: 'rule', label: `H8: salary_expectation ≤ remaining budget / open seats × ${BUDGET_TOLERANCE}` });
+        edges.push({ from: 'c1', to: 'r3', relation: 'input' }, { from: 'p0', to: 'r3', relation: 'input' }, { from: 'r3', to: 'c2', relation: 'influences' });
+    }
+    return { vertices, edges };
+}
+
+function checkRanking(settings, ranked, inputs, slate, summary, adverseImpact) {
+    const unshared = inputs.filter(input => SHARED_SETTINGS.some(f => settings[f] !== undefined && input[f] !== settings[f]));
+    const outOfOrder = ranked.filter((entry, i) => i > 0 && compareCandidates(ranked[i - 1], entry).order > 0);
+    const failed = ranked.filter(entry => !entry.bundle.poi.all_satisfied);
+    const results = [
+        {
+            constraint: 'RQ1 - Shared requisition settings',
+            satisfied: unshared.length === 0,
+            severity: 'mandatory',
+            detail: `${inputs.length - unshared.length}/${inputs.length} candidates decided under ${SHARED_SETTINGS.filter(f => settings[f] !== undefined).join(', ') || 'engine defaults'}`
+        },
+        {
+            constraint: 'RQ2 - Ranking order',
+            satisfied: outOfOrder.length === 0,
+            severity: 'mandatory',
+            detail: outOfOrder.length ? `Out of order: ${outOfOrder.map(e => e.candidate_id).join(', ')}` : `${ranked.length} candidates in order`
+        },
+        {
+            constraint: 'RQ3 - Headcount',
+            satisfied: summary.selected <= settings.headcount,
+            severity: 'mandatory',
+            detail: `selected ${summary.selected} of ${settings.headcount}`
+        },
+        {
+            constraint: 'RQ4 - Candidate decisions verified',
+            satisfied: failed.length === 0,
+            severity: 'mandatory',
+            detail: failed.length ? `Constraints not satisfied: ${failed.map(e => e.candidate_id).join(', ')}` : `${ranked.length} candidate bundles satisfied`
+        }
+    ];
+    if (settings.budget !== undefined) {
+        results.push({
+            constraint: 'H8 - salary_alignment (remaining budget)',
+            satisfied: summary.committed_budget <= settings.budget,
+            severity: 'mandatory',
+            detail: `committed ${summary.committed_budget} of ${settings.budget}, ${summary.budget_exceeded} candidate(s) over the open budget`
+        });
+    }
+    adverseImpact.constraints.forEach(c => results.push({
+        constraint: c.constraint,
+        satisfied: c.satisfied !== false,
+        severity: c.severity,
+        detail: c.detail
+    }));
+    return results;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Decides and ranks a requisition.
+ *
+ * raw — { requisition_id?, role_category?, role_level?, requires_degree?, headcount?, budget?,
+ *         candidates: [{ candidate_id?, ...hiring input }] }
+ *
+ * Returns { requisition, pool_norms, slate, summary, adverse_impact, candidates, verification_bundle }.
+ * candidates holds each engine result ({ candidate_id, decision, verification_bundle }) in input order.
+ */
+function evaluateRequisition(raw) {
+    const { settings, ids, inputs } = prepareRequisition(raw);
+    const { pool_norms, results } = hiringEngine.evaluateCandidates(inputs);
+
+    const entries = results.map((r, i) => ({
+        candidate_id: ids[i],
+        input: inputs[i],
+        decision: r.decision,
+        bundle: r.verification_bundle
+    }));
+    const ranked = [...entries].sort((a, b) => compareCandidates(a, b).order);
+    const { slate, summary } = fillSlate(ranked, settings);
+
+    const timestamp = new Date().toISOString();
+    const policy = policyRegistry.resolvePolicy('hiring', timestamp);
+    const adverseImpact = computeFairness(
+        entries.map(e => ({ decision_id: e.bundle.bundle_id, input: e.input, decision: e.decision })),
+        { domain: 'hiring', attribute: 'candidate_pool', policy, minGroup: 1 }
+    );
+
+    const poo = generatePoO(rankingState(settings, slate), policy, timestamp, CODE);
+    const por = generatePoR(buildGraph(settings, slate));
+    const poi = verifyPoI(policy, { timestamp }, checkRanking(settings, ranked, inputs, slate, summary, adverseImpact), poo);
+    const bundle = createVerificationBundle(poo, por, poi, { domain: 'hiring', code: CODE });
+
+    return {
+        requisition: settings,
+        pool_norms,
+        slate,
+        summary,
+        adverse_impact: adverseImpact,
+        candidates: entries.map(e => ({ candidate_id: e.candidate_id, decision: e.decision, verification_bundle: e.bundle })),
+        verification_bundle: { ...bundle, requisition_id: settings.requisition_id }
+    };
+}
+
+/**
+ * Offline check of a requisition result: the ranking bundle (with its PoO state rebuilt
+ * from requisition and slate), and every candidate bundle against its slate entry.
+ * options — passed to verifyBundle (getPublicKey, getPolicy, ...).
+ */
+function verifyRequisition(result, options = {}) {
+    const ranking = verifyBundle(result.verification_bundle, { ...options, input: rankingState(result.requisition, result.slate) });
+    const byId = new Map(result.candidates.map(c => [c.verification_bundle.bundle_id, c.verification_bundle]));
+    const candidates = result.slate.map(r => {
+        const bundle = byId.get(r.bundle_id);
+        return {
+            candidate_id: r.candidate_id,
+            linked: !!bundle && bundle.merkle_root === r.merkle_root,
+            valid: !!bundle && verifyBundle(bundle, options).valid
+        };
+    });
+    return {
+        valid: ranking.valid && candidates.every(c => c.linked && c.valid),
+        ranking,
+        candidates
+    };
+}
+
+module.exports = {
+    REQUISITION_SCHEMA,
+    TIE_BREAKS,
+    compareCandidates,
+    rankingState,
+    evaluateRequisition,
+    verifyRequisition
+};
@@ -53,6 +53,11 @@ const translations = {
       disclaimer: 'This is a research demonstration of verifiable AI decision-making. Not intended for real-world use.',
       yes: 'Yes',
       no: 'No',
+      sensitivityTitle: 'Sensitivity — threshold proximity',
+      stabilityScore: 'Stability Score',
+      knifeEdge: 'Knife-edge decision: a change of 5% or less to one input flips the outcome. Review before it reaches the applicant.',
+      nearThresholds: 'Near thresholds',
+      none: 'None',
     },
     ar: {
       triadicTitle: 'التحقق الثلاثي — OpLogica',
@@ -93,6 +98,11 @@ const translations = {
       disclaimer: 'هذا عرض بحثي لنظام صنع القرار القابل للتحقق. غير مخصص للاستخدام الفعلي.',
       yes: 'نعم',
       no: 'لا',
+      sensitivityTitle: 'الحساسية — القرب من العتبات',
+      stabilityScore: 'درجة الاستقرار',
+      knifeEdge: 'قرار على الحافة: تغيير بنسبة 5% أو أقل في مُدخل واحد يقلب النتيجة. يجب مراجعته قبل إبلاغ مقدم الطلب.',
+      nearThresholds: 'عتبات قريبة',
+      none: 'لا يوجد',
     },
     tr: {
       triadicTitle: 'OpLogica Üçlü Doğrulama',
@@ -133,6 +143,11 @@ const translations = {
       disclaimer: 'Bu, doğrulanabilir yapay zeka karar verme sürecinin bir araştırma gösterimidir. Gerçek kullanım için tasarlanmamıştır.',
       yes: 'Evet',
       no: 'Hayır',
+      sensitivityTitle: 'Duyarlılık — eşiklere yakınlık',
+      stabilityScore: 'Kararlılık Puanı',
+      knifeEdge: 'Sınırda karar: tek bir girdideki %5 veya daha az bir değişiklik sonucu değiştiriyor. Başvurana ulaşmadan önce inceleyin.',
+      nearThresholds: 'Yakın eşikler',
+      none: 'Yok',
     }
   },
 
@@ -155,7 +170,13 @@ const translations = {
       mediumPrioritySub: 'Elevated risk — monitor',
       lowPriority: 'LOW PRIORITY',
       lowPrioritySub: 'Standard priority',
-      policyName: 'Emergency Triage Protocol v2.1',
+      policyName: 'Emergency Triage Protocol v3.1',
+      category: 'Category',
+      riskScore: 'Risk score',
+      resourceAlert: 'Resource alert',
+      assumed: 'Assumed (not given)',
+      derived: 'Derived from observations',
+      scoringModel: 'Scoring model',
     },
     ar: {
       systemTitle: 'الفرز الطبي',
@@ -175,7 +196,13 @@ const translations = {
       mediumPrioritySub: 'يتطلب مراقبة',
       lowPriority: 'أولوية منخفضة',
       lowPrioritySub: 'معالجة عادية',
-      policyName: 'بروتوكول الفرز الطارئ الإصدار 2.1',
+      policyName: 'بروتوكول الفرز الطارئ الإصدار 3.1',
+      category: 'الفئة',
+      riskScore: 'درجة الخطورة',
+      resourceAlert: 'تنبيه الموارد',
+      assumed: 'قيم مفترضة (غير مُعطاة)',
+      derived: 'مشتقة من القياسات السريرية',
+      scoringModel: 'نموذج التقييم',
     },
     tr: {
       systemTitle: 'Tıbbi Triyaj',
@@ -195,7 +222,13 @@ const translations = {
       mediumPrioritySub: 'Yüksek risk — izle',
       lowPriority: 'DÜŞÜK ÖNCELİK',
       lowPrioritySub: 'Standart işlem',
-      policyName: 'Acil Triyaj Protokolü v2.1',
+      policyName: 'Acil Triyaj Protokolü v3.1',
+      category: 'Kategori',
+      riskScore: 'Risk skoru',
+      resourceAlert: 'Kaynak uyarısı',
+      assumed: 'Varsayılan (verilmedi)',
+      derived: 'Ölçümlerden türetildi',
+      scoringModel: 'Skorlama modeli',
     }
   },
 
@@ -326,6 +359,162 @@ const translations = {
       conditionalSub: 'Değişiklikler gerekli',
       policyName: 'Belediye İnşaat İzni Politikası v1.0',
     }
+  },
+
+  legal: {
+    en: {
+      systemTitle: 'Legal Case Assessment',
+      recommendation: 'Recommendation',
+      riskLevel: 'Risk Level',
+      riskScore: 'Risk Score',
+      caseType: 'Case Type',
+      flags: 'Flags',
+      nonCompliant: 'Regulatory non-compliance',
+      conflict: 'Conflict of interest',
+      seniorReview: 'Senior review required',
+      approved: 'APPROVED',
+      rejected: 'REJECTED',
+      furtherReview: 'FURTHER REVIEW',
+      approvedSub: 'Case may proceed',
+      rejectedSub: 'Case cannot proceed',
+      furtherReviewSub: 'Requires legal review',
+      policyName: 'Legal Compliance Assessment Protocol v1.0',
+    },
+    ar: {
+      systemTitle: 'تقييم القضايا القانونية',
+      recommendation: 'التوصية',
+      riskLevel: 'مستوى المخاطر',
+      riskScore: 'درجة المخاطر',
+      caseType: 'نوع القضية',
+      flags: 'التنبيهات',
+      nonCompliant: 'عدم امتثال تنظيمي',
+      conflict: 'تضارب في المصالح',
+      seniorReview: 'تتطلب مراجعة عليا',
+      approved: 'مُوافق عليه',
+      rejected: 'مرفوض',
+      furtherReview: 'مراجعة إضافية',
+      approvedSub: 'يمكن المضي في القضية',
+      rejectedSub: 'لا يمكن المضي في القضية',
+      furtherReviewSub: 'تتطلب مراجعة قانونية',
+      policyName: 'بروتوكول تقييم الامتثال القانوني الإصدار 1.0',
+    },
+    tr: {
+      systemTitle: 'Hukuki Dava Değerlendirmesi',
+      recommendation: 'Öneri',
+      riskLevel: 'Risk Seviyesi',
+      riskScore: 'Risk Puanı',
+      caseType: 'Dava Türü',
+      flags: 'Uyarılar',
+      nonCompliant: 'Mevzuata aykırılık',
+      conflict: 'Çıkar çatışması',
+      seniorReview: 'Üst düzey inceleme gerekli',
+      approved: 'ONAYLANDI',
+      rejected: 'REDDEDİLDİ',
+      furtherReview: 'EK İNCELEME',
+      approvedSub: 'Dava ilerleyebilir',
+      rejectedSub: 'Dava ilerleyemez',
+      furtherReviewSub: 'Hukuki inceleme gerekli',
+      policyName: 'Hukuki Uyum Değerlendirme Protokolü v1.0',
+    }
+  },
+
+  government: {
+    en: {
+      systemTitle: 'Government Service Assessment',
+      recommendation: 'Recommendation',
+      status: 'Application Status',
+      complianceScore: 'Compliance Score',
+      serviceType: 'Service Type',
+      processingPriority: 'Processing Priority',
+      flags: 'Flags',
+      taxHold: 'Tax hold',
+      capacityWarning: 'Service capacity low',
+      approved: 'APPROVED',
+      rejected: 'REJECTED',
+      furtherReview: 'FURTHER REVIEW',
+      approvedSub: 'Request can be processed',
+      rejectedSub: 'Request cannot be processed',
+      furtherReviewSub: 'Requires officer review',
+      policyName: 'Government Service Assessment Protocol v1.0',
+    },
+    ar: {
+      systemTitle: 'تقييم الخدمات الحكومية',
+      recommendation: 'التوصية',
+      status: 'حالة الطلب',
+      complianceScore: 'درجة الامتثال',
+      serviceType: 'نوع الخدمة',
+      processingPriority: 'أولوية المعالجة',
+      flags: 'التنبيهات',
+      taxHold: 'تعليق ضريبي',
+      capacityWarning: 'السعة الخدمية منخفضة',
+      approved: 'مُوافق عليه',
+      rejected: 'مرفوض',
+      furtherReview: 'مراجعة إضافية',
+      approvedSub: 'يمكن معالجة الطلب',
+      rejectedSub: 'لا يمكن معالجة الطلب',
+      furtherReviewSub: 'يتطلب مراجعة الموظف المختص',
+      policyName: 'بروتوكول تقييم الخدمات الحكومية الإصدار 1.0',
+    },
+    tr: {
+      systemTitle: 'Kamu Hizmeti Değerlendirmesi',
+      recommendation: 'Öneri',
+      status: 'Başvuru Durumu',
+      complianceScore: 'Uyum Puanı',
+      serviceType: 'Hizmet Türü',
+      processingPriority: 'İşlem Önceliği',
+      flags: 'Uyarılar',
+      taxHold: 'Vergi blokesi',
+      capacityWarning: 'Hizmet kapasitesi düşük',
+      approved: 'ONAYLANDI',
+      rejected: 'REDDEDİLDİ',
+      furtherReview: 'EK İNCELEME',
+      approvedSub: 'Talep işleme alınabilir',
+      rejectedSub: 'Talep işleme alınamaz',
+      furtherReviewSub: 'Memur incelemesi gerekli',
+      policyName: 'Kamu Hizmeti Değerlendirme Protokolü v1.0',
+    }
+  },
+
+  router: {
+    en: {
+      clarify: 'This message could be for more than one assessment engine. Which one did you mean?',
+      clarifyHint: 'Send it again starting with the command of the engine you want, for example',
+    },
+    ar: {
+      clarify: 'قد تكون هذه الرسالة موجهة لأكثر من محرك تقييم. أيها تقصد؟',
+      clarifyHint: 'أعد إرسالها مبتدئًا بأمر المحرك الذي تريده، مثل',
+    },
+    tr: {
+      clarify: 'Bu mesaj birden fazla değerlendirme motoruna ait olabilir. Hangisini kastettiniz?',
+      clarifyHint: 'İstediğiniz motorun komutuyla başlayarak yeniden gönderin, örneğin',
+    }
+  },
+
+  slots: {
+    en: {
+      need: 'To run the verified {engine}, I still need:',
+      invalid: 'invalid value',
+      captured: 'Already provided',
+      hint: 'Reply with the values, for example',
+      cancelHint: 'Reply "cancel" to stop.',
+      cancelled: 'The {engine} request was cancelled.',
+    },
+    ar: {
+      need: 'لإجراء {engine} الموثّق، ما زلت أحتاج إلى:',
+      invalid: 'قيمة غير صالحة',
+      captured: 'تم تقديمه',
+      hint: 'أرسل القيم، مثل',
+      cancelHint: 'أرسل "إلغاء" للتوقف.',
+      cancelled: 'تم إلغاء طلب {engine}.',
+    },
+    tr: {
+      need: 'Doğrulanmış {engine} için hâlâ şunlara ihtiyacım var:',
+      invalid: 'geçersiz değer',
+      captured: 'Verilenler',
+      hint: 'Değerleri yanıt olarak gönderin, örneğin',
+      cancelHint: 'Durdurmak için "iptal" yazın.',
+      cancelled: '{engine} talebi iptal edildi.',
+    }
   }
 };
 
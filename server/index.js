@@ -17,12 +17,31 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { Pool } = require('pg');
 const Anthropic = require('@anthropic-ai/sdk');
-const { triageDecision } = require('./triageEngine');
+const medicalEngine = require('./medicalEngine');
+require('./triageEngine'); // legacy v2.1: keeps its policy registered so earlier triage bundles re-verify
 const creditEngine = require('./creditEngine');
 const hiringEngine = require('./hiringEngine');
 const permitEngine = require('./permitEngine');
 const legalEngine = require('./legalEngine');
 const governmentEngine = require('./governmentEngine');
+const policyRegistry = require('./policyRegistry');
+const { verifyBundle } = require('./bundleVerifier');
+const keyring = require('./keyring');
+const timestampAuthority = require('./timestampAuthority');
+const { bundleEvents } = require('./verificationCore');
+const { createDecisionLedger } = require('./decisionLedger');
+const engineCatalog = require('./engineCatalog');
+const counterfactual = require('./counterfactual');
+const hiringRequisition = require('./hiringRequisition');
+const { detectFormat, runBatch } = require('./batchProcessor');
+const triageSimulator = require('./triageSimulator');
+const { createReassessmentScheduler } = require('./reassessmentScheduler');
+const { InputValidationError } = require('./inputSchema');
+const { createLedgerCheckpoints } = require('./ledgerCheckpoints');
+const { createFairnessMonitor, configuredAttributes, computeFairness } = require('./fairness');
+const { createIntentRouter } = require('./intentRouter');
+const { createSlotStore, mergeParams, bareAnswer, isCancel } = require('./slotFilling');
+const { extractClinicalObservations, deriveClinicalInputs } = require('./clinicalExtraction');
 const { SYSTEM_PROMPT } = require('./systemPrompt');
 const { detectLanguage, t } = require('./i18n');
 
@@ -544,45 +563,64 @@ app.delete('/api/conversations/:id', authenticateToken, async (req, res) => {
 // ═══════════════════════════════════════════════════════════════
 
 // ═══════════════════════════════════════════════════════════════
-// TRIAGE INTENT DETECTION (chat intercept — same engine as /api/triage-demo)
+// TRIAGE CHAT EXTRACTION & RESPONSE (medicalEngine v3, same as /api/triage-demo)
 // ═══════════════════════════════════════════════════════════════
 
-function detectTriageRequest(message) {
-    if (!message || typeof message !== 'string') return false;
-    const lower = message.toLowerCase();
-    const triageKeywords = ['triage', 'patient', 'vital score', 'vital_score',
-        'comorbidity', 'wait time', 'medical assessment', 'triage assessment', 'patient case'];
-    const triageKeywordsAR = ['تقييم طبي', 'فرز طبي', 'تصنيف طبي', 'حالة طبية', 'أولوية طبية',
-        'علامات حيوية', 'تقييم المريض', 'طوارئ طبية', 'فحص طبي عاجل', 'تقييم الفرز'];
-    const paramKeywords = ['vital', 'age', 'comorbidity', 'wait', 'resource', 'priority', 'critical'];
-    const hasTriageKeyword = triageKeywords.some(k => lower.includes(k));
-    const hasArabicTriage = triageKeywordsAR.some(k => message.includes(k));
-    const paramCount = paramKeywords.filter(k => lower.includes(k)).length;
-    const result = hasTriageKeyword || hasArabicTriage || paramCount >= 3;
-    if (process.env.TRIAGE_DEBUG) {
-        console.log('[TRIAGE] detectTriageRequest:', { hasTriageKeyword, hasArabicTriage, paramCount, result, preview: String(message).substring(0, 80) });
-    }
-    return result;
-}
-
 function extractPatientParams(message) {
     if (!message || typeof message !== 'string') return {};
     const patterns = {
-        vital_score: /(?:vital[_\s]*score|درجة[_\s]*العلامات[_\s]*الحيوية|علامات[_\s]*حيوية)[:\s=]*([0-9]*\.?[0-9]+)/i,
-        age: /(?:age|العمر|عمر)[:\s=]*(\d+)/i,
-        comorbidity_index: /(?:comorbidity[_\s]*(?:index)?|مؤشر[_\s]*الأمراض[_\s]*المصاحبة|أمراض[_\s]*مصاحبة)[:\s=]*([0-9]*\.?[0-9]+)/i,
-        wait_time: /(?:wait[_\s]*time|وقت[_\s]*الانتظار|انتظار)[:\s=]*(\d+)/i,
-        resource_score: /(?:resource[_\s]*score|درجة[_\s]*الموارد|موارد)[^:]*[:\s=]+([0-9]*\.?[0-9]+)/i
+        vital_score: /(?:vital[_\s]*score|درجة[_\s]*العلامات[_\s]*الحيوية|علامات[_\s]*حيوية|yaşamsal[_\s]*skor)[:\s=]*([0-9]*\.?[0-9]+)/i,
+        age: /(?:\bage|العمر|عمر|yaş)[:\s=]*(\d+)/i,
+        comorbidity_index: /(?:comorbidity[_\s]*(?:index)?|مؤشر[_\s]*الأمراض[_\s]*المصاحبة|أمراض[_\s]*مصاحبة|eşlik[_\s]*eden[_\s]*hastalık(?:[_\s]*indeksi)?)[:\s=]*([0-9]*\.?[0-9]+)/i,
+        wait_time: /(?:wait[_\s]*time|وقت[_\s]*الانتظار|انتظار|bekleme[_\s]*süresi)[:\s=]*(\d+)/i,
+        resource_score: /(?:resource[_\s]*score|درجة[_\s]*الموارد|موارد|kaynak[_\s]*skoru)[^:]*[:\s=]+([0-9]*\.?[0-9]+)/i,
+        trauma_score: /(?:trauma[_\s]*score|درجة[_\s]*الصدمة|travma[_\s]*skoru)[:\s=]*([0-9]*\.?[0-9]+)/i,
+        pregnancy_week: /(?:pregnancy[_\s]*week|gestation(?:al)?[_\s]*(?:age|week)?|أسبوع[_\s]*الحمل|gebelik[_\s]*haftası)[:\s=]*(\d+)|(\d+)\s*(?:weeks?\s*pregnant|أسبوع|haftalık\s*(?:gebe|hamile))/i
     };
     const params = {};
     for (const [key, regex] of Object.entries(patterns)) {
         const match = message.match(regex);
         if (match) {
-            const val = key === 'age' || key === 'wait_time' ? parseInt(match[1], 10) : parseFloat(match[1]);
+            const raw = match[1] !== undefined ? match[1] : match[2];
+            const val = key === 'age' || key === 'wait_time' || key === 'pregnancy_week' ? parseInt(raw, 10) : parseFloat(raw);
             if (!Number.isNaN(val)) params[key] = val;
         }
     }
-    return params;
+
+    // Category-specific inputs (medicalEngine v3): maternal status, complications, explicit category
+    if (params.pregnancy_week !== undefined || /pregnan|maternal|حامل|الحمل|hamile|gebe/i.test(message)) {
+        params.is_pregnant = true;
+    }
+    if (/(?:no|without|denies)\s+complications?|complications?[:\s=]*(?:no|none|false)|(?:بدون|لا\s+توجد|لا)\s+مضاعفات|komplikasyon(?:\s+yok|suz)/i.test(message)) {
+        params.complications = false;
+    } else if (/complications?|مضاعفات|komplikasyon/i.test(message)) {
+        params.complications = true;
+    }
+    // Scoring model (NEWS2 / ESI) and the ESI decision points the nurse answers
+    const model = message.match(/\b(news\s*2|esi)\b/i);
+    if (model) params.scoring_model = model[1].replace(/\s+/g, '').toUpperCase();
+    const resources = message.match(/(?:expected[_\s]*resources?|resources?[_\s]*needed|beklenen[_\s]*kaynak|الموارد[_\s]*المتوقعة)[:\s=]*(\d+)/i);
+    if (resources) params.expected_resources = parseInt(resources[1], 10);
+    params.life_saving_intervention = extractFlag(message,
+        /(?:no|without)\s+life[_\s-]*saving|life[_\s-]*saving[_\s]*(?:intervention)?[:\s=]*(?:no|false)/i,
+        /life[_\s-]*saving|needs?\s+(?:intubation|resuscitation)|hayat\s+kurtarıcı|تدخل\s*منقذ\s*للحياة/i);
+    params.high_risk = extractFlag(message,
+        /(?:no|not)\s+high[_\s-]*risk|high[_\s-]*risk[:\s=]*(?:no|false)/i,
+        /high[_\s-]*risk|severe\s+(?:pain|distress)|yüksek\s+risk|عالي\s*الخطورة/i);
+    Object.keys(params).forEach(key => params[key] === undefined && delete params[key]);
+
+    const category = message.match(/(?:category|الفئة|kategori)[:\s=]*(general|pediatric|geriatric|maternal|trauma)/i);
+    if (category) {
+        params.category = category[1].toUpperCase();
+    } else if (params.trauma_score === undefined && /trauma|صدمة|travma/i.test(message)) {
+        params.category = 'TRAUMA'; // trauma named without a score: the engine asks for trauma_score
+    }
+
+    // Clinical notes ("BP 80/50, HR 130, SpO2 88%, 74yo, COPD + CHF"): raw observations the
+    // engine turns into vital_score / comorbidity_index when those are not given literally
+    const observations = extractClinicalObservations(message);
+    if (params.age !== undefined) delete observations.age;
+    return { ...observations, ...params };
 }
 
 function formatTriageResponse(result, lang) {
@@ -602,9 +640,24 @@ function formatTriageResponse(result, lang) {
     response += `## ${s('triadicTitle')} — ${m('systemTitle')}\n\n`;
     response += `<div class="triage-priority-badge priority-${d.priority}">\n<span class="priority-icon">${icon}</span>\n<span class="priority-label">${priorityLabel}</span>\n<span class="priority-sub">${prioritySub}</span>\n</div>\n\n`;
     response += `| ${s('parameter')} | ${s('value')} |\n|---|---|\n`;
+    response += `| ${m('category')} | ${d.category} |\n`;
     response += `| ${m('critical')} | ${d.critical ? '✅ ' + m('yes') : '❌ ' + m('no')} |\n`;
     response += `| ${m('urgency')} | ${d.urgency} |\n`;
-    response += `| ${m('reassessment')} | ${d.reassessment ? '⚠️ ' + m('required') : m('notRequired')} |\n\n`;
+    response += `| ${m('reassessment')} | ${d.reassessment ? '⚠️ ' + m('required') : m('notRequired')} |\n`;
+    response += `| ${m('riskScore')} | ${d.risk_score} |\n`;
+    if (d.scoring && d.scoring.model !== 'RISK') {
+        response += `| ${m('scoringModel')} | ${d.scoring.model} ${d.scoring.model === 'NEWS2' ? `${d.scoring.score} (${d.scoring.response})` : `level ${d.scoring.level}`} |\n`;
+    }
+    if (d.resource_alert) response += `| ${m('resourceAlert')} | ⚠️ ${m('yes')} |\n`;
+    response += `\n`;
+    const assumed = (vb.poo.assumptions || []).filter(a => a.reason !== 'derived');
+    const derived = (vb.poo.assumptions || []).filter(a => a.reason === 'derived');
+    if (derived.length) {
+        response += `> ${m('derived')}: ${derived.map(a => `${a.field} = ${a.value} (${a.from.join(', ')})`).join('; ')}\n\n`;
+    }
+    if (assumed.length) {
+        response += `> ${m('assumed')}: ${assumed.map(a => `${a.field} = ${a.value}`).join(', ')}\n\n`;
+    }
     response += `### ${s('reasoningChain')}\n\n`;
     response += `| # | ${s('ruleHeader')} | ${s('inputHeader')} | ${s('resultHeader')} |\n|---|------|-------|--------|\n`;
     (d.allRules || []).forEach(r => {
@@ -634,6 +687,7 @@ function formatTriageResponse(result, lang) {
         response += `| ${r.constraint} | ${statusCell} |\n`;
     });
     response += `\n</details>\n\n`;
+    response += formatSensitivity(d, s);
     const verified = vb.overall_result === 'VERIFIED';
     response += `<div class="verification-status-bar">\n`;
     response += `<div class="status-item ${verified ? 'verified' : ''}"><span class="status-icon">🔐</span><span class="status-label">PoO</span><span class="status-check">✓</span></div>\n`;
@@ -650,23 +704,9 @@ function formatTriageResponse(result, lang) {
 }
 
 // ═══════════════════════════════════════════════════════════════
-// CREDIT ASSESSMENT INTENT DETECTION (chat intercept — after triage)
+// CREDIT ASSESSMENT CHAT EXTRACTION & RESPONSE
 // ═══════════════════════════════════════════════════════════════
 
-function detectCreditRequest(message) {
-    if (!message || typeof message !== 'string') return false;
-    const lower = message.toLowerCase();
-    const creditKeywords = ['credit assessment', 'loan application', 'credit score', 'loan evaluation',
-        'debt to income', 'credit evaluation', 'loan request', 'mortgage assessment', 'credit analysis'];
-    const creditKeywordsAR = ['تقييم ائتمان', 'تقييم قرض', 'طلب قرض', 'تقييم مالي',
-        'درجة ائتمانية', 'نسبة الدين', 'تقييم الائتمان', 'فحص مالي', 'تمويل'];
-    const hasKeyword = creditKeywords.some(k => lower.includes(k));
-    const hasArabicCredit = creditKeywordsAR.some(k => message.includes(k));
-    const terms = ['credit', 'income', 'debt', 'loan', 'dti', 'fico', 'score', 'employment', 'annual', 'mortgage'];
-    const termCount = terms.filter(t => lower.includes(t)).length;
-    return hasKeyword || hasArabicCredit || termCount >= 3;
-}
-
 function extractNumber(message, regex) {
     if (!message || typeof message !== 'string') return undefined;
     const match = message.match(regex);
@@ -690,7 +730,7 @@ function extractCreditParams(message) {
             extractNumber(message, /fico[:\s=]*(\d+)/i) ||
             extractNumber(message, /(?:درجة[_\s]*(?:ال)?ائتمان(?:ية)?|الدرجة[_\s]*الائتمانية)[:\s=]*(\d+)/i),
         annual_income: extractNumber(message, /(?:annual[_\s]*income|الدخل[_\s]*السنوي|دخل[_\s]*سنوي)[:\s=]*\$?(\d[\d,]*)/i) ||
-            extractNumber(message, /(?:annual[_\s]*)?income[:\s=]*\$?(\d[\d,]*)/i),
+            extractNumber(message, /(?<!to[_\s]*)(?:annual[_\s]*)?income[:\s=]*\$?(\d[\d,]*)/i),
         debt_to_income: extractFloat(message, /(?:debt[_\s]*to[_\s]*income|DTI|نسبة[_\s]*الدين|الدين[_\s]*إلى[_\s]*الدخل)[_\s]*(?:ratio)?[:\s=]*([0-9]*\.?[0-9]+)/i) ||
             extractFloat(message, /(?:debt[_\s]*to[_\s]*income|dti)[_\s]*(?:ratio)?[:\s=]*([0-9]*\.?[0-9]+)/i),
         loan_amount: extractNumber(message, /(?:loan[_\s]*(?:amount)?|مبلغ[_\s]*القرض|قيمة[_\s]*القرض)[:\s=]*\$?(\d[\d,]*)/i),
@@ -699,6 +739,22 @@ function extractCreditParams(message) {
     };
 }
 
+// Sensitivity block shared by the engine chat responses (see sensitivity.js)
+function formatSensitivity(d, s) {
+    const sens = d.sensitivity;
+    if (!sens) return '';
+    let block = '';
+    if (sens.knife_edge) block += `> ⚠️ **${s('knifeEdge')}**\n\n`;
+    block += `<details>\n<summary>📏 ${s('sensitivityTitle')}</summary>\n\n`;
+    block += `- **${s('stabilityScore')}:** ${sens.stability.score} (${sens.stability.perturbations})\n`;
+    block += `- **${s('nearThresholds')}:** ${sens.near.length ? '' : s('none')}\n`;
+    sens.near.forEach(n => {
+        block += `  - ${n.rule}: ${n.detail} (${n.effect})\n`;
+    });
+    block += `\n</details>\n\n`;
+    return block;
+}
+
 function formatCreditResponse(result, lang) {
     lang = lang || 'en';
     const dir = lang === 'ar' ? ' dir="rtl"' : '';
@@ -742,6 +798,7 @@ function formatCreditResponse(result, lang) {
         response += `- ${r.constraint}: ${r.satisfied ? '✅' : '❌'} ${r.detail || ''}\n`;
     });
     response += `\n</details>\n\n`;
+    response += formatSensitivity(d, s);
     const verified = vb.overall_result === 'VERIFIED';
     response += `<div class="verification-status-bar">\n`;
     response += `<div class="status-item ${verified ? 'verified' : ''}"><span class="status-icon">🔐</span><span class="status-label">PoO</span><span class="status-check">✓</span></div>\n`;
@@ -758,25 +815,9 @@ function formatCreditResponse(result, lang) {
 }
 
 // ═══════════════════════════════════════════════════════════════
-// EMPLOYMENT SCREENING INTENT DETECTION (chat intercept — after credit)
+// EMPLOYMENT SCREENING CHAT EXTRACTION & RESPONSE
 // ═══════════════════════════════════════════════════════════════
 
-function detectHiringRequest(message) {
-    if (!message || typeof message !== 'string') return false;
-    const lower = message.toLowerCase();
-    const hiringKeywords = ['candidate assessment', 'hiring evaluation', 'employment screening',
-        'candidate evaluation', 'job applicant', 'hiring assessment', 'candidate screening',
-        'interview assessment', 'applicant evaluation', 'candidate review'];
-    const hiringKeywordsAR = ['تقييم مرشح', 'فرز توظيف', 'تقييم توظيف', 'فحص مرشح',
-        'تقييم موظف', 'مقابلة عمل', 'تقييم المتقدم', 'فحص التوظيف', 'مرشح للوظيفة'];
-    const hasKeyword = hiringKeywords.some(k => lower.includes(k));
-    const hasArabicHiring = hiringKeywordsAR.some(k => message.includes(k));
-    const terms = ['candidate', 'experience', 'skill', 'interview', 'reference', 'hiring',
-        'education', 'applicant', 'resume', 'qualification'];
-    const termCount = terms.filter(t => lower.includes(t)).length;
-    return hasKeyword || hasArabicHiring || termCount >= 3;
-}
-
 function extractHiringParams(message) {
     if (!message || typeof message !== 'string') return {};
     return {
@@ -830,6 +871,7 @@ function formatHiringResponse(result, lang) {
         response += `- ${r.constraint}: ${r.satisfied ? '✅' : '❌'} ${r.detail || ''}\n`;
     });
     response += `\n</details>\n\n`;
+    response += formatSensitivity(d, s);
     const verified = vb.overall_result === 'VERIFIED';
     response += `<div class="verification-status-bar">\n`;
     response += `<div class="status-item ${verified ? 'verified' : ''}"><span class="status-icon">🔐</span><span class="status-label">PoO</span><span class="status-check">✓</span></div>\n`;
@@ -846,28 +888,23 @@ function formatHiringResponse(result, lang) {
 }
 
 // ═══════════════════════════════════════════════════════════════
-// BUILDING PERMIT INTENT DETECTION (chat intercept — after hiring)
+// BUILDING PERMIT CHAT EXTRACTION & RESPONSE
 // ═══════════════════════════════════════════════════════════════
 
-function detectPermitRequest(message) {
-    if (!message || typeof message !== 'string') return false;
-    const lower = message.toLowerCase();
-    const permitKeywords = ['building permit', 'permit assessment', 'permit evaluation',
-        'construction permit', 'zoning assessment', 'building assessment', 'permit application',
-        'building approval', 'construction assessment', 'permit review'];
-    const permitKeywordsAR = ['تصريح بناء', 'تقييم تصريح', 'رخصة بناء', 'تقييم بناء',
-        'امتثال تنظيمي', 'تصريح حكومي', 'رخصة إنشاء', 'تقييم إنشائي', 'فحص البناء'];
-    const hasKeyword = permitKeywords.some(k => lower.includes(k));
-    const hasArabicPermit = permitKeywordsAR.some(k => message.includes(k));
-    const terms = ['permit', 'zoning', 'structural', 'safety', 'building', 'construction',
-        'environmental', 'fire', 'coverage', 'plot', 'inspection'];
-    const termCount = terms.filter(t => lower.includes(t)).length;
-    return hasKeyword || hasArabicPermit || termCount >= 3;
-}
+const PERMIT_TYPE_WORDS = [
+    ['RESIDENTIAL', /\bresidential|سكني|\bkonut/i],
+    ['COMMERCIAL', /\bcommercial|تجاري|\bticari/i],
+    ['INDUSTRIAL', /\bindustrial|صناعي|\bsanayi|\bendüstriyel/i],
+    ['RENOVATION', /\brenovation|ترميم|\btadilat/i],
+    ['INFRASTRUCTURE', /\binfrastructure|بنية\s*تحتية|\baltyapı/i]
+];
 
 function extractPermitParams(message) {
     if (!message || typeof message !== 'string') return {};
+    // The permit type decides which optional inputs become required (x-required-when)
+    const type = PERMIT_TYPE_WORDS.find(([, pattern]) => pattern.test(message));
     return {
+        permit_type: type ? type[0] : undefined,
         zoning_compliance: extractFloat(message, /(?:zoning[_\s]*(?:compliance)?|امتثال[_\s]*التنظيم|تنظيم[_\s]*عمراني|تنظيم)[:\s=]*([0-9]*\.?[0-9]+)/i),
         structural_safety: extractFloat(message, /(?:structural[_\s]*(?:safety)?|السلامة[_\s]*الإنشائية|سلامة[_\s]*إنشائية|سلامة)[:\s=]*([0-9]*\.?[0-9]+)/i),
         environmental_impact: extractFloat(message, /(?:environmental[_\s]*(?:impact)?|الأثر[_\s]*البيئي|أثر[_\s]*بيئي|بيئي)[:\s=]*([0-9]*\.?[0-9]+)/i),
@@ -918,6 +955,7 @@ function formatPermitResponse(result, lang) {
         response += `- ${r.constraint}: ${r.satisfied ? '✅' : '❌'} ${r.detail || ''}\n`;
     });
     response += `\n</details>\n\n`;
+    response += formatSensitivity(d, s);
     const verified = vb.overall_result === 'VERIFIED';
     response += `<div class="verification-status-bar">\n`;
     response += `<div class="status-item ${verified ? 'verified' : ''}"><span class="status-icon">🔐</span><span class="status-label">PoO</span><span class="status-check">✓</span></div>\n`;
@@ -933,6 +971,398 @@ function formatPermitResponse(result, lang) {
     return response;
 }
 
+// ═══════════════════════════════════════════════════════════════
+// LEGAL CASE CHAT EXTRACTION & RESPONSE
+// ═══════════════════════════════════════════════════════════════
+
+// Yes/no facts stated in prose: false when the negative form matches, true when the
+// positive one does, otherwise undefined so the schema default (or 'required') applies
+function extractFlag(message, negative, positive) {
+    if (!message || typeof message !== 'string') return undefined;
+    if (negative.test(message)) return false;
+    if (positive && positive.test(message)) return true;
+    return undefined;
+}
+
+function extractLegalParams(message) {
+    if (!message || typeof message !== 'string') return {};
+    const params = {
+        contract_validity: extractFloat(message, /(?:contract[_\s]*validity|صلاحية[_\s]*العقد|sözleşme[_\s]*geçerliliği)[:\s=]*([0-9]*\.?[0-9]+)/i),
+        regulatory_compliance: extractFloat(message, /(?:regulatory[_\s]*compliance|الامتثال[_\s]*التنظيمي|mevzuat[_\s]*uyumu)[:\s=]*([0-9]*\.?[0-9]+)/i),
+        liability_exposure: extractFloat(message, /(?:liability[_\s]*(?:exposure)?|التعرض[_\s]*للمسؤولية|sorumluluk[_\s]*(?:riski)?)[:\s=]*([0-9]*\.?[0-9]+)/i),
+        evidence_score: extractFloat(message, /(?:evidence[_\s]*(?:score|strength)?|قوة[_\s]*الأدلة|الأدلة|delil[_\s]*(?:puanı|gücü)?)[:\s=]*([0-9]*\.?[0-9]+)/i),
+        precedent_alignment: extractFloat(message, /(?:precedent[_\s]*(?:alignment)?|توافق[_\s]*السوابق|السوابق[_\s]*القضائية|emsal[_\s]*(?:uyumu)?)[:\s=]*([0-9]*\.?[0-9]+)/i),
+        financial_exposure: extractNumber(message, /(?:financial[_\s]*exposure|التعرض[_\s]*المالي|mali[_\s]*risk)[:\s=]*\$?(\d[\d,]*)/i),
+        jurisdiction_recognized: extractFlag(message,
+            /(?:(?:un|not\s+)recogni[sz]ed\s+jurisdiction|jurisdiction\s+(?:is\s+)?(?:not|un)\s*recogni[sz]ed|jurisdiction[_\s]*recogni[sz]ed[:\s=]*(?:no|false)|(?:اختصاص|الاختصاص)\s+(?:القضائي\s+)?غير\s+معترف|yetki(?:\s+alanı)?\s+tanınmıyor)/i,
+            /(?:recogni[sz]ed\s+jurisdiction|jurisdiction\s+(?:is\s+)?recogni[sz]ed|jurisdiction[_\s]*recogni[sz]ed[:\s=]*(?:yes|true)|(?:اختصاص|الاختصاص)\s+(?:القضائي\s+)?معترف|yetki(?:\s+alanı)?\s+tanınıyor)/i),
+        within_statute: extractFlag(message,
+            /(?:(?<!not\s)time[_\s-]*barred|outside\s+(?:the\s+)?statute|statute\s+(?:of\s+limitations\s+)?(?:has\s+)?expired|within[_\s]*statute[:\s=]*(?:no|false)|خارج\s+مدة\s+التقادم|سقط(?:ت)?\s+بالتقادم|zamanaşımına\s+uğramış|zamanaşımı\s+dolmuş)/i,
+            /(?:within\s+(?:the\s+)?statute|not\s+time[_\s-]*barred|within[_\s]*statute[:\s=]*(?:yes|true)|ضمن\s+مدة\s+التقادم|zamanaşımı\s+(?:süresi\s+)?içinde)/i),
+        conflict_of_interest: extractFlag(message,
+            /(?:no\s+conflicts?\s+of\s+interest|conflict[_\s]*of[_\s]*interest[:\s=]*(?:no|none|false)|(?:لا\s+يوجد|بدون)\s+تضارب|çıkar\s+çatışması\s+yok)/i,
+            /(?:conflict[_\s]*of[_\s]*interest|تضارب\s+(?:في\s+)?المصالح|çıkar\s+çatışması)/i)
+    };
+    const caseType = message.match(/(?:case[_\s]*type|نوع[_\s]*القضية|dava[_\s]*türü)[:\s=]*(contract|liability|regulatory|general)/i);
+    if (caseType) params.case_type = caseType[1].toUpperCase();
+    Object.keys(params).forEach(key => params[key] === undefined && delete params[key]);
+    return params;
+}
+
+function formatLegalResponse(result, lang) {
+    lang = lang || 'en';
+    const dir = lang === 'ar' ? ' dir="rtl"' : '';
+    const s = (key) => t('shared', key, lang);
+    const m = (key) => t('legal', key, lang);
+    const d = result.decision;
+    const vb = result.verification_bundle;
+    const recIcons = { APPROVED: '🟢', REJECTED: '🔴', FURTHER_REVIEW: '🟠' };
+    const icon = recIcons[d.recommendation] || '⚪';
+    const recLabel = d.recommendation === 'APPROVED' ? m('approved') : d.recommendation === 'REJECTED' ? m('rejected') : m('furtherReview');
+    const recSub = d.recommendation === 'APPROVED' ? m('approvedSub') : d.recommendation === 'REJECTED' ? m('rejectedSub') : m('furtherReviewSub');
+    const flags = [
+        d.non_compliant && m('nonCompliant'),
+        d.conflict_flagged && m('conflict'),
+        d.senior_review_required && m('seniorReview')
+    ].filter(Boolean);
+
+    let response = `<div${dir}>\n\n`;
+    response += `## ${s('triadicTitle')} — ${m('systemTitle')}\n\n`;
+    response += `<div class="triage-priority-badge priority-${d.recommendation}">\n<span class="priority-icon">${icon}</span>\n<span class="priority-label">${recLabel}</span>\n<span class="priority-sub">${recSub}</span>\n</div>\n\n`;
+    response += `| ${s('parameter')} | ${s('value')} |\n|---|---|\n`;
+    response += `| ${m('riskLevel')} | ${d.risk_level} |\n`;
+    response += `| ${m('riskScore')} | ${d.risk_score} |\n`;
+    response += `| ${m('caseType')} | ${d.case_type} |\n`;
+    response += `| ${m('flags')} | ${flags.length ? flags.join(' · ') : s('none')} |\n\n`;
+    response += `### ${s('reasoningChain')}\n\n`;
+    response += `| # | ${s('ruleHeader')} | ${s('resultHeader')} | ${s('inputHeader')} |\n|---|------|--------|-------|\n`;
+    (d.allRules || []).forEach(r => {
+        const trig = r.triggered ? '✅ ' + s('yes') : s('no');
+        response += `| ${r.id} | ${r.rule} | ${trig} | ${r.detail || ''} |\n`;
+    });
+    response += `\n### ${s('reasonGraph')}\n\n`;
+    const graph = vb.por.graph;
+    const graphJson = JSON.stringify(graph).replace(/"/g, '&quot;');
+    response += `<div class="triage-reason-graph" data-graph="${graphJson}"></div>\n\n`;
+    response += `<details>\n<summary>🔐 ${s('pooTitle')}</summary>\n\n`;
+    response += `- **${s('hash')}:** \`${vb.poo.hash}\`\n`;
+    response += `- **${s('timestamp')}:** ${vb.poo.timestamp}\n`;
+    response += `- **${s('signature')}:** \`${String(vb.poo.signature).substring(0, 32)}...\`\n\n</details>\n\n`;
+    response += `<details>\n<summary>📐 ${s('porTitle')}</summary>\n\n`;
+    const verts = (vb.por.graph.vertices || []);
+    response += `- **${s('vertices')}:** ${verts.length} · **${s('edges')}:** ${(vb.por.graph.edges || []).length}\n`;
+    response += `- **${s('graphHash')}:** \`${vb.por.hash}\`\n\n</details>\n\n`;
+    response += `<details>\n<summary>🎯 ${s('poiTitle')}</summary>\n\n`;
+    response += `- **${s('policy')}:** ${m('policyName')}\n`;
+    (vb.poi.results || []).forEach(r => {
+        response += `- ${r.constraint}: ${r.satisfied ? '✅' : '❌'} ${r.detail || ''}\n`;
+    });
+    response += `\n</details>\n\n`;
+    response += formatSensitivity(d, s);
+    const verified = vb.overall_result === 'VERIFIED';
+    response += `<div class="verification-status-bar">\n`;
+    response += `<div class="status-item ${verified ? 'verified' : ''}"><span class="status-icon">🔐</span><span class="status-label">PoO</span><span class="status-check">✓</span></div>\n`;
+    response += `<div class="status-connector">→</div>\n`;
+    response += `<div class="status-item ${verified ? 'verified' : ''}"><span class="status-icon">📐</span><span class="status-label">PoR</span><span class="status-check">✓</span></div>\n`;
+    response += `<div class="status-connector">→</div>\n`;
+    response += `<div class="status-item ${verified ? 'verified' : ''}"><span class="status-icon">🎯</span><span class="status-label">PoI</span><span class="status-check">✓</span></div>\n`;
+    response += `<div class="status-connector">=</div>\n`;
+    response += `<div class="status-item final ${verified ? 'verified' : ''}"><span class="status-label">${s('verified')}</span></div>\n`;
+    response += `</div>\n\n`;
+    response += `<small style="color:#4e5563;display:block;margin-top:12px;text-align:center;">${s('disclaimer')}</small>\n\n`;
+    response += `</div>`;
+    return response;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// GOVERNMENT SERVICE CHAT EXTRACTION & RESPONSE
+// ═══════════════════════════════════════════════════════════════
+
+function extractGovernmentParams(message) {
+    if (!message || typeof message !== 'string') return {};
+    const params = {
+        eligibility_score: extractFloat(message, /(?:eligibility[_\s]*(?:score)?|درجة[_\s]*الأهلية|الأهلية|uygunluk[_\s]*(?:puanı)?)[:\s=]*([0-9]*\.?[0-9]+)/i),
+        documentation_score: extractFloat(message, /(?:documentation[_\s]*(?:score)?|documents?[_\s]*score|اكتمال[_\s]*الوثائق|الوثائق|المستندات|belge[_\s]*(?:puanı)?)[:\s=]*([0-9]*\.?[0-9]+)/i),
+        service_capacity: extractFloat(message, /(?:(?:service[_\s]*)?capacity|السعة[_\s]*الخدمية|السعة|(?:hizmet[_\s]*)?kapasite(?:si)?)[:\s=]*([0-9]*\.?[0-9]+)/i),
+        identity_verified: extractFlag(message,
+            /(?:identity\s+(?:is\s+)?(?:not|un)\s*verified|unverified\s+identity|identity[_\s]*verified[:\s=]*(?:no|false)|الهوية\s+غير\s+(?:موثقة|مؤكدة|متحقق\s+منها)|kimli(?:k|ği)\s+doğrulanma(?:dı|mış))/i,
+            /(?:identity\s+(?:is\s+)?verified|verified\s+identity|identity[_\s]*verified[:\s=]*(?:yes|true)|الهوية\s+(?:موثقة|مؤكدة)|تم\s+التحقق\s+من\s+الهوية|kimli(?:k|ği)\s+doğrulandı)/i),
+        residency_verified: extractFlag(message,
+            /(?:residency\s+(?:is\s+)?(?:not|un)\s*verified|non[-\s]?resident|residency[_\s]*verified[:\s=]*(?:no|false)|الإقامة\s+غير\s+(?:موثقة|مؤكدة)|غير\s+مقيم|ikamet\s+doğrulanma(?:dı|mış))/i,
+            /(?:residency\s+(?:is\s+)?verified|verified\s+resident|\bresident\b|residency[_\s]*verified[:\s=]*(?:yes|true)|الإقامة\s+(?:موثقة|مؤكدة)|مقيم|ikamet\s+doğrulandı)/i),
+        requires_residency: extractFlag(message,
+            /(?:no\s+residency\s+requirement|residency\s+(?:is\s+)?not\s+required|لا\s+(?:تتطلب|يتطلب)\s+(?:شرط\s+)?الإقامة|ikamet\s+şartı\s+yok)/i),
+        requires_clearance: extractFlag(message,
+            /(?:no\s+clearance\s+required|لا\s+(?:تتطلب|يتطلب)\s+تصريحا?\s+أمني|güvenlik\s+soruşturması\s+gerekmiyor)/i,
+            /(?:(?:requires?|needs?)\s+(?:a\s+)?(?:security\s+)?clearance|clearance\s+required|(?:تتطلب|يتطلب)\s+تصريحا?\s+أمني|güvenlik\s+soruşturması\s+gerekli)/i),
+        criminal_flagged: extractFlag(message,
+            /(?:no\s+criminal\s+record|clean\s+record|criminal[_\s]*flagged[:\s=]*(?:no|false)|لا\s+(?:يوجد\s+)?سجل\s+جنائي|sabıka\s+kaydı\s+yok|sabıkasız)/i,
+            /(?:criminal\s+record|criminal[_\s]*flagged|سجل\s+جنائي|sabıka\s+kaydı)/i),
+        tax_compliant: extractFlag(message,
+            /(?:tax\s+(?:non[-\s]?compliant|arrears|debt)|unpaid\s+tax(?:es)?|tax[_\s]*compliant[:\s=]*(?:no|false)|متأخرات\s+ضريبية|غير\s+ملتزم\s+ضريبيا?|vergi\s+borcu(?!\s+yok))/i,
+            /(?:tax[_\s]*compliant|ملتزم\s+ضريبيا?|vergi\s+borcu\s+yok)/i),
+        duplicate_detected: extractFlag(message,
+            /(?:no\s+duplicate|لا\s+يوجد\s+طلب\s+مكرر|mükerrer\s+başvuru\s+yok)/i,
+            /(?:duplicate\s+(?:application|request|detected)|already\s+(?:applied|submitted)|طلب\s+مكرر|mükerrer\s+başvuru)/i),
+        priority_group: extractFlag(message,
+            /(?:not\s+(?:in\s+)?(?:a\s+)?priority\s+group)/i,
+            /(?:priority\s+group|vulnerable|disabilit(?:y|ies)|disabled|veteran|senior\s+citizen|فئة\s+(?:ذات\s+)?أولوية|ذوي\s+الإعاقة|كبار\s+السن|öncelikli\s+grup|engelli)/i)
+    };
+    const serviceType = message.match(/(?:service[_\s]*type|نوع[_\s]*الخدمة|hizmet[_\s]*türü)[:\s=]*(license|benefit|permit|registration|general)/i);
+    if (serviceType) params.service_type = serviceType[1].toUpperCase();
+    Object.keys(params).forEach(key => params[key] === undefined && delete params[key]);
+    return params;
+}
+
+function formatGovernmentResponse(result, lang) {
+    lang = lang || 'en';
+    const dir = lang === 'ar' ? ' dir="rtl"' : '';
+    const s = (key) => t('shared', key, lang);
+    const m = (key) => t('government', key, lang);
+    const d = result.decision;
+    const vb = result.verification_bundle;
+    const recIcons = { APPROVED: '🟢', REJECTED: '🔴', FURTHER_REVIEW: '🟠' };
+    const icon = recIcons[d.recommendation] || '⚪';
+    const recLabel = d.recommendation === 'APPROVED' ? m('approved') : d.recommendation === 'REJECTED' ? m('rejected') : m('furtherReview');
+    const recSub = d.recommendation === 'APPROVED' ? m('approvedSub') : d.recommendation === 'REJECTED' ? m('rejectedSub') : m('furtherReviewSub');
+    const flags = [
+        d.tax_hold && m('taxHold'),
+        d.capacity_warning && m('capacityWarning')
+    ].filter(Boolean);
+
+    let response = `<div${dir}>\n\n`;
+    response += `## ${s('triadicTitle')} — ${m('systemTitle')}\n\n`;
+    response += `<div class="triage-priority-badge priority-${d.recommendation}">\n<span class="priority-icon">${icon}</span>\n<span class="priority-label">${recLabel}</span>\n<span class="priority-sub">${recSub}</span>\n</div>\n\n`;
+    response += `| ${s('parameter')} | ${s('value')} |\n|---|---|\n`;
+    response += `| ${m('status')} | ${d.status} |\n`;
+    response += `| ${m('complianceScore')} | ${(d.compliance_score != null ? (d.compliance_score * 100).toFixed(1) : '—')}% |\n`;
+    response += `| ${m('serviceType')} | ${d.service_type} |\n`;
+    response += `| ${m('processingPriority')} | ${d.processing_priority} |\n`;
+    response += `| ${m('flags')} | ${flags.length ? flags.join(' · ') : s('none')} |\n\n`;
+    response += `### ${s('reasoningChain')}\n\n`;
+    response += `| # | ${s('ruleHeader')} | ${s('resultHeader')} | ${s('inputHeader')} |\n|---|------|--------|-------|\n`;
+    (d.allRules || []).forEach(r => {
+        const trig = r.triggered ? '✅ ' + s('yes') : s('no');
+        response += `| ${r.id} | ${r.rule} | ${trig} | ${r.detail || ''} |\n`;
+    });
+    response += `\n### ${s('reasonGraph')}\n\n`;
+    const graph = vb.por.graph;
+    const graphJson = JSON.stringify(graph).replace(/"/g, '&quot;');
+    response += `<div class="triage-reason-graph" data-graph="${graphJson}"></div>\n\n`;
+    response += `<details>\n<summary>🔐 ${s('pooTitle')}</summary>\n\n`;
+    response += `- **${s('hash')}:** \`${vb.poo.hash}\`\n`;
+    response += `- **${s('timestamp')}:** ${vb.poo.timestamp}\n`;
+    response += `- **${s('signature')}:** \`${String(vb.poo.signature).substring(0, 32)}...\`\n\n</details>\n\n`;
+    response += `<details>\n<summary>📐 ${s('porTitle')}</summary>\n\n`;
+    const verts = (vb.por.graph.vertices || []);
+    response += `- **${s('vertices')}:** ${verts.length} · **${s('edges')}:** ${(vb.por.graph.edges || []).length}\n`;
+    response += `- **${s('graphHash')}:** \`${vb.por.hash}\`\n\n</details>\n\n`;
+    response += `<details>\n<summary>🎯 ${s('poiTitle')}</summary>\n\n`;
+    response += `- **${s('policy')}:** ${m('policyName')}\n`;
+    (vb.poi.results || []).forEach(r => {
+        response += `- ${r.constraint}: ${r.satisfied ? '✅' : '❌'} ${r.detail || ''}\n`;
+    });
+    response += `\n</details>\n\n`;
+    response += formatSensitivity(d, s);
+    const verified = vb.overall_result === 'VERIFIED';
+    response += `<div class="verification-status-bar">\n`;
+    response += `<div class="status-item ${verified ? 'verified' : ''}"><span class="status-icon">🔐</span><span class="status-label">PoO</span><span class="status-check">✓</span></div>\n`;
+    response += `<div class="status-connector">→</div>\n`;
+    response += `<div class="status-item ${verified ? 'verified' : ''}"><span class="status-icon">📐</span><span class="status-label">PoR</span><span class="status-check">✓</span></div>\n`;
+    response += `<div class="status-connector">→</div>\n`;
+    response += `<div class="status-item ${verified ? 'verified' : ''}"><span class="status-icon">🎯</span><span class="status-label">PoI</span><span class="status-check">✓</span></div>\n`;
+    response += `<div class="status-connector">=</div>\n`;
+    response += `<div class="status-item final ${verified ? 'verified' : ''}"><span class="status-label">${s('verified')}</span></div>\n`;
+    response += `</div>\n\n`;
+    response += `<small style="color:#4e5563;display:block;margin-top:12px;text-align:center;">${s('disclaimer')}</small>\n\n`;
+    response += `</div>`;
+    return response;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// CHAT INTENT ROUTING — one detector per engine (see intentRouter.js)
+// ═══════════════════════════════════════════════════════════════
+
+// Required fields come from each engine's input schema. Optional inputs the chat could
+// not extract are left to the schema defaults, so the PoO records them as assumptions
+const intentRouter = createIntentRouter(pool);
+const slotStore = createSlotStore();
+
+intentRouter.register({
+    key: 'medical',
+    commands: ['triage', 'medical'],
+    phrases: ['triage', 'vital score', 'vital_score', 'wait time', 'medical assessment', 'triage assessment',
+        'patient case', 'trauma score', 'trauma_score', 'pregnancy week',
+        'تقييم طبي', 'فرز طبي', 'تصنيف طبي', 'حالة طبية', 'أولوية طبية', 'علامات حيوية', 'تقييم المريض',
+        'طوارئ طبية', 'فحص طبي عاجل', 'تقييم الفرز', 'درجة الصدمة',
+        'triyaj', 'hasta değerlendirme', 'yaşamsal skor', 'travma skoru', 'acil değerlendirme',
+        'news2', 'news 2', 'emergency severity index'],
+    terms: ['patient', 'vital', 'age', 'comorbidity', 'wait', 'resource', 'priority', 'critical', 'trauma', 'pregnan',
+        'bp', 'blood pressure', 'heart rate', 'spo2', 'gcs'],
+    fields: engineCatalog.getEngine('medical').schema.required,
+    extract: extractPatientParams,
+    resolve: (params) => deriveClinicalInputs(params).input,
+    i18n: 'triage',
+    model: 'triage-engine',
+    format: formatTriageResponse
+});
+
+intentRouter.register({
+    key: 'credit',
+    commands: ['credit', 'loan'],
+    phrases: ['credit assessment', 'loan application', 'credit score', 'loan evaluation', 'debt to income',
+        'credit evaluation', 'loan request', 'mortgage assessment', 'credit analysis',
+        'تقييم ائتمان', 'تقييم قرض', 'طلب قرض', 'تقييم مالي', 'درجة ائتمانية', 'نسبة الدين', 'تقييم الائتمان',
+        'فحص مالي', 'تمويل'],
+    terms: ['credit', 'income', 'debt', 'loan', 'dti', 'fico', 'employment', 'annual', 'mortgage'],
+    fields: engineCatalog.getEngine('credit').schema.required,
+    extract: extractCreditParams,
+    i18n: 'credit',
+    model: 'credit-engine',
+    format: formatCreditResponse
+});
+
+intentRouter.register({
+    key: 'hiring',
+    commands: ['hiring', 'candidate'],
+    phrases: ['candidate assessment', 'hiring evaluation', 'employment screening', 'candidate evaluation',
+        'job applicant', 'hiring assessment', 'candidate screening', 'interview assessment',
+        'applicant evaluation', 'candidate review',
+        'تقييم مرشح', 'فرز توظيف', 'تقييم توظيف', 'فحص مرشح', 'تقييم موظف', 'مقابلة عمل', 'تقييم المتقدم',
+        'فحص التوظيف', 'مرشح للوظيفة'],
+    terms: ['candidate', 'experience', 'skill', 'interview', 'reference', 'hiring', 'education', 'applicant',
+        'resume', 'qualification'],
+    fields: engineCatalog.getEngine('hiring').schema.required,
+    extract: extractHiringParams,
+    i18n: 'hiring',
+    model: 'hiring-engine',
+    format: formatHiringResponse
+});
+
+intentRouter.register({
+    key: 'permit',
+    commands: ['permit', 'building'],
+    phrases: ['building permit', 'permit assessment', 'permit evaluation', 'construction permit',
+        'zoning assessment', 'building assessment', 'permit application', 'building approval',
+        'construction assessment', 'permit review',
+        'تصريح بناء', 'تقييم تصريح', 'رخصة بناء', 'تقييم بناء', 'امتثال تنظيمي', 'تصريح حكومي', 'رخصة إنشاء',
+        'تقييم إنشائي', 'فحص البناء'],
+    terms: ['permit', 'zoning', 'structural', 'safety', 'building', 'construction', 'environmental', 'fire',
+        'coverage', 'plot', 'inspection'],
+    fields: engineCatalog.getEngine('permit').schema.required,
+    extract: extractPermitParams,
+    i18n: 'permit',
+    model: 'permit-engine',
+    format: formatPermitResponse
+});
+
+intentRouter.register({
+    key: 'legal',
+    commands: ['legal'],
+    phrases: ['legal case', 'legal assessment', 'case assessment', 'legal review', 'litigation', 'lawsuit',
+        'contract dispute', 'legal risk', 'statute of limitations',
+        'قضية قانونية', 'تقييم قانوني', 'مراجعة قانونية', 'نزاع تعاقدي', 'دعوى قضائية', 'مخاطر قانونية',
+        'مدة التقادم', 'تقييم القضية',
+        'hukuki değerlendirme', 'dava değerlendirme', 'hukuki inceleme', 'sözleşme uyuşmazlığı', 'hukuki risk',
+        'zamanaşımı'],
+    terms: ['jurisdiction', 'statute', 'evidence', 'precedent', 'liability', 'contract', 'plaintiff',
+        'defendant', 'court', 'regulatory'],
+    fields: engineCatalog.getEngine('legal').schema.required,
+    extract: extractLegalParams,
+    i18n: 'legal',
+    model: 'legal-engine',
+    format: formatLegalResponse
+});
+
+intentRouter.register({
+    key: 'government',
+    commands: ['government', 'gov'],
+    phrases: ['government service', 'public service', 'service request', 'benefit application',
+        'license application', 'licence application', 'registration request', 'government application',
+        'citizen service',
+        'خدمة حكومية', 'طلب خدمة', 'خدمة عامة', 'طلب إعانة', 'طلب ترخيص', 'طلب تسجيل', 'معاملة حكومية',
+        'kamu hizmeti', 'devlet hizmeti', 'hizmet başvurusu', 'yardım başvurusu', 'ruhsat başvurusu',
+        'kayıt başvurusu', 'e-devlet'],
+    terms: ['identity', 'eligibility', 'documentation', 'residency', 'benefit', 'license', 'registration',
+        'citizen', 'applicant', 'tax'],
+    fields: engineCatalog.getEngine('government').schema.required,
+    extract: extractGovernmentParams,
+    i18n: 'government',
+    model: 'government-engine',
+    format: formatGovernmentResponse
+});
+
+// Asked when two engines match about equally well: each candidate with its command
+function formatClarifyingQuestion(options, lang) {
+    const dir = lang === 'ar' ? ' dir="rtl"' : '';
+    const r = (key) => t('router', key, lang);
+    let response = `<div${dir}>\n\n`;
+    response += `${r('clarify')}\n\n`;
+    options.forEach(intent => {
+        response += `- \`/${intent.commands[0]}\` — ${t(intent.i18n, 'systemTitle', lang)}\n`;
+    });
+    response += `\n${r('clarifyHint')} \`/${options[0].commands[0]} …\`\n\n</div>`;
+    return response;
+}
+
+// Asks for the inputs the engine still lacks; field names stay in English (they are what
+// the extractors read back), everything else follows the conversation language
+function formatSlotQuestion(intent, params, errors, lang) {
+    const dir = lang === 'ar' ? ' dir="rtl"' : '';
+    const r = (key) => t('slots', key, lang);
+    let response = `<div${dir}>\n\n`;
+    response += `${r('need').replace('{engine}', t(intent.i18n, 'systemTitle', lang))}\n\n`;
+    errors.forEach(e => {
+        response += e.code === 'required' ? `- \`${e.field}\`\n` : `- \`${e.field}\` — ${r('invalid')}: ${e.message}\n`;
+    });
+    const captured = Object.entries(params);
+    if (captured.length) {
+        response += `\n${r('captured')}: ${captured.map(([key, value]) => `${key} = ${value}`).join(' · ')}\n`;
+    }
+    response += `\n${r('hint')} \`${errors.map(e => `${e.field} …`).join(', ')}\`. ${r('cancelHint')}\n\n</div>`;
+    return response;
+}
+
+// Slot state belongs to one conversation of one user; guests without a conversation share per-IP state
+function slotKeyFor(req, conversationId) {
+    if (req.user) return `user:${req.user.id}:${conversationId || ''}`;
+    return `guest:${getGuestKey(req)}:${conversationId || ''}`;
+}
+
+// Streams a reply produced without the AI (decision card, question) as one SSE
+// message and records the exchange the way an AI turn is recorded
+async function sendChatReply(req, res, { text, model, message, conversationId, mode }) {
+    const usageCheck = await checkUsageLimit(req.user, req);
+    if (!usageCheck.allowed) {
+        return res.status(429).json({ error: usageCheck.message, upgrade_url: '/login' });
+    }
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.write(`data: ${JSON.stringify({ text })}\n\n`);
+    const remaining = usageCheck.remaining !== undefined ? usageCheck.remaining - 1 : (req.user ? 49 : GUEST_LIMIT - 1);
+    res.write(`data: ${JSON.stringify({ done: true, remaining })}\n\n`);
+    res.end();
+    if (req.user && conversationId) {
+        await pool.query(
+            `INSERT INTO messages (conversation_id, role, content, mode) VALUES ($1, 'user', $2, $3)`,
+            [conversationId, message, mode]
+        );
+        await pool.query(
+            `INSERT INTO messages (conversation_id, role, content, mode, model) VALUES ($1, 'assistant', $2, $3, $4)`,
+            [conversationId, text, mode, model]
+        );
+        await pool.query(
+            `UPDATE conversations SET message_count = message_count + 2, last_message_at = NOW(), title = CASE WHEN message_count = 0 THEN $2 ELSE title END WHERE id = $1`,
+            [conversationId, message.substring(0, 50)]
+        );
+        await pool.query('UPDATE users SET messages_today = messages_today + 1 WHERE id = $1', [req.user.id]);
+    } else {
+        const entry = getGuestUsage(req);
+        entry.count += 1;
+    }
+}
+
 // Main AI chat endpoint with streaming
 app.post('/api/ai/stream', optionalAuth, async (req, res) => {
     try {
@@ -964,253 +1394,87 @@ app.post('/api/ai/stream', optionalAuth, async (req, res) => {
         }
 
         // ═══════════════════════════════════════════════════════════════
-        // TRIAGE INTERCEPT — FIRST (works in ALL modes; bypasses AI)
+        // ENGINE INTERCEPT — the intent router picks the engine, slot filling collects
+        // its inputs across turns (all modes; bypasses AI)
         // ═══════════════════════════════════════════════════════════════
-        if (detectTriageRequest(rawMessage)) {
-            const params = extractPatientParams(rawMessage);
-            const requiredParams = ['vital_score', 'age', 'comorbidity_index', 'wait_time', 'resource_score'];
-            const missingParams = requiredParams.filter(p => params[p] === undefined || Number.isNaN(Number(params[p])));
-
-            if (process.env.TRIAGE_DEBUG) {
-                console.log('[TRIAGE] Params:', JSON.stringify(params), 'Missing:', missingParams);
-            }
+        const routing = intentRouter.route(rawMessage);
+        const slotKey = slotKeyFor(req, conversation_id);
+        const pending = slotStore.get(slotKey);
+        let lang = detectLanguage(rawMessage);
+        const logRouting = (outcome, intent) => intentRouter
+            .log({ ...routing, intent: intent || routing.intent }, { message: rawMessage, outcome, language: lang, conversationId: conversation_id, userId: req.user && req.user.id })
+            .catch((err) => console.error('Intent routing log error:', err.message));
+        const reply = { message: rawMessage, conversationId: conversation_id, mode };
 
-            if (missingParams.length === 0) {
-                const patientData = {
-                    vital_score: Number(params.vital_score),
-                    age: Number(params.age),
-                    comorbidity_index: Number(params.comorbidity_index),
-                    wait_time: Number(params.wait_time),
-                    resource_score: Number(params.resource_score)
-                };
-                const valid = [patientData.vital_score, patientData.age, patientData.comorbidity_index, patientData.wait_time, patientData.resource_score].every(v => Number.isFinite(v));
-                if (valid) {
-                    const usageCheck = await checkUsageLimit(req.user, req);
-                    if (!usageCheck.allowed) {
-                        return res.status(429).json({ error: usageCheck.message, upgrade_url: '/login' });
-                    }
-                    const result = triageDecision(patientData);
-                    const formattedResponse = formatTriageResponse(result, detectLanguage(rawMessage));
-                    if (process.env.TRIAGE_DEBUG) console.log('[TRIAGE] Engine result Priority:', result.decision.priority);
-                    res.setHeader('Content-Type', 'text/event-stream');
-                    res.setHeader('Cache-Control', 'no-cache');
-                    res.setHeader('Connection', 'keep-alive');
-                    res.write(`data: ${JSON.stringify({ text: formattedResponse })}\n\n`);
-                    const remaining = usageCheck.remaining !== undefined ? usageCheck.remaining - 1 : (req.user ? 49 : GUEST_LIMIT - 1);
-                    res.write(`data: ${JSON.stringify({ done: true, remaining })}\n\n`);
-                    res.end();
-                    const message = rawMessage;
-                    if (req.user && conversation_id) {
-                        await pool.query(
-                            `INSERT INTO messages (conversation_id, role, content, mode) VALUES ($1, 'user', $2, $3)`,
-                            [conversation_id, message, mode]
-                        );
-                        await pool.query(
-                            `INSERT INTO messages (conversation_id, role, content, mode, model) VALUES ($1, 'assistant', $2, $3, 'triage-engine')`,
-                            [conversation_id, formattedResponse, mode]
-                        );
-                        await pool.query(
-                            `UPDATE conversations SET message_count = message_count + 2, last_message_at = NOW(), title = CASE WHEN message_count = 0 THEN $2 ELSE title END WHERE id = $1`,
-                            [conversation_id, message.substring(0, 50)]
-                        );
-                        await pool.query('UPDATE users SET messages_today = messages_today + 1 WHERE id = $1', [req.user.id]);
-                    } else {
-                        const entry = getGuestUsage(req);
-                        entry.count += 1;
-                    }
-                    return;
-                }
-            } else if (missingParams.length <= 2) {
-                const usageCheck = await checkUsageLimit(req.user, req);
-                if (!usageCheck.allowed) {
-                    return res.status(429).json({ error: usageCheck.message, upgrade_url: '/login' });
-                }
-                const askMessage = `To perform OpLogica Triadic Verification triage, I need these additional parameters:\n${missingParams.map(p => `• ${p}`).join('\n')}\n\nPlease provide them to run the full verified assessment.`;
-                res.setHeader('Content-Type', 'text/event-stream');
-                res.setHeader('Cache-Control', 'no-cache');
-                res.setHeader('Connection', 'keep-alive');
-                res.write(`data: ${JSON.stringify({ text: askMessage })}\n\n`);
-                const remaining = usageCheck.remaining !== undefined ? usageCheck.remaining - 1 : (req.user ? 49 : GUEST_LIMIT - 1);
-                res.write(`data: ${JSON.stringify({ done: true, remaining })}\n\n`);
-                res.end();
-                const message = rawMessage;
-                if (req.user && conversation_id) {
-                    await pool.query(
-                        `INSERT INTO messages (conversation_id, role, content, mode) VALUES ($1, 'user', $2, $3)`,
-                        [conversation_id, message, mode]
-                    );
-                    await pool.query(
-                        `INSERT INTO messages (conversation_id, role, content, mode, model) VALUES ($1, 'assistant', $2, $3, 'triage-engine')`,
-                        [conversation_id, askMessage, mode]
-                    );
-                    await pool.query(
-                        `UPDATE conversations SET message_count = message_count + 2, last_message_at = NOW(), title = CASE WHEN message_count = 0 THEN $2 ELSE title END WHERE id = $1`,
-                        [conversation_id, message.substring(0, 50)]
-                    );
-                    await pool.query('UPDATE users SET messages_today = messages_today + 1 WHERE id = $1', [req.user.id]);
-                } else {
-                    const entry = getGuestUsage(req);
-                    entry.count += 1;
-                }
-                return;
-            }
+        if (process.env.TRIAGE_DEBUG) {
+            console.log('[ROUTER]', { intent: routing.intent, forced: routing.forced, ambiguous: routing.ambiguous, candidates: routing.candidates, pending: pending && pending.intent });
         }
 
-        // ═══════════════════════════════════════════════════════════════
-        // CREDIT ASSESSMENT INTERCEPT — after triage (all modes)
-        // ═══════════════════════════════════════════════════════════════
-        if (detectCreditRequest(rawMessage)) {
-            const params = extractCreditParams(rawMessage);
-            if (params.credit_score != null && params.annual_income != null && params.debt_to_income != null && params.loan_amount != null) {
-                const usageCheck = await checkUsageLimit(req.user, req);
-                if (!usageCheck.allowed) {
-                    return res.status(429).json({ error: usageCheck.message, upgrade_url: '/login' });
-                }
-                const creditParams = {
-                    credit_score: Number(params.credit_score),
-                    annual_income: Number(params.annual_income),
-                    debt_to_income: Number(params.debt_to_income),
-                    loan_amount: Number(params.loan_amount),
-                    employment_years: params.employment_years != null ? Number(params.employment_years) : 0
-                };
-                const valid = [creditParams.credit_score, creditParams.annual_income, creditParams.debt_to_income, creditParams.loan_amount].every(v => Number.isFinite(v));
-                if (valid) {
-                    const result = creditEngine.evaluateCredit(creditParams);
-                    const formattedResponse = formatCreditResponse(result, detectLanguage(rawMessage));
-                    res.setHeader('Content-Type', 'text/event-stream');
-                    res.setHeader('Cache-Control', 'no-cache');
-                    res.setHeader('Connection', 'keep-alive');
-                    res.write(`data: ${JSON.stringify({ text: formattedResponse })}\n\n`);
-                    const remaining = usageCheck.remaining !== undefined ? usageCheck.remaining - 1 : (req.user ? 49 : GUEST_LIMIT - 1);
-                    res.write(`data: ${JSON.stringify({ done: true, remaining })}\n\n`);
-                    res.end();
-                    if (req.user && conversation_id) {
-                        await pool.query(
-                            `INSERT INTO messages (conversation_id, role, content, mode) VALUES ($1, 'user', $2, $3)`,
-                            [conversation_id, rawMessage, mode]
-                        );
-                        await pool.query(
-                            `INSERT INTO messages (conversation_id, role, content, mode, model) VALUES ($1, 'assistant', $2, $3, 'credit-engine')`,
-                            [conversation_id, formattedResponse, mode]
-                        );
-                        await pool.query(
-                            `UPDATE conversations SET message_count = message_count + 2, last_message_at = NOW(), title = CASE WHEN message_count = 0 THEN $2 ELSE title END WHERE id = $1`,
-                            [conversation_id, rawMessage.substring(0, 50)]
-                        );
-                        await pool.query('UPDATE users SET messages_today = messages_today + 1 WHERE id = $1', [req.user.id]);
-                    } else {
-                        const entry = getGuestUsage(req);
-                        entry.count += 1;
-                    }
-                    return;
-                }
-            }
+        if (pending && isCancel(rawMessage)) {
+            slotStore.clear(slotKey);
+            const title = t(intentRouter.get(pending.intent).i18n, 'systemTitle', pending.lang);
+            return sendChatReply(req, res, { ...reply, text: t('slots', 'cancelled', pending.lang).replace('{engine}', title), model: 'intent-router' });
         }
 
-        // ═══════════════════════════════════════════════════════════════
-        // EMPLOYMENT SCREENING INTERCEPT — after credit (all modes)
-        // ═══════════════════════════════════════════════════════════════
-        if (detectHiringRequest(rawMessage)) {
-            const params = extractHiringParams(rawMessage);
-            if (params.experience_years != null && params.skill_match_score != null && params.interview_score != null) {
-                const usageCheck = await checkUsageLimit(req.user, req);
-                if (!usageCheck.allowed) {
-                    return res.status(429).json({ error: usageCheck.message, upgrade_url: '/login' });
-                }
-                const hiringParams = {
-                    experience_years: Number(params.experience_years),
-                    skill_match_score: Number(params.skill_match_score),
-                    interview_score: Number(params.interview_score),
-                    education_level: params.education_level != null ? Number(params.education_level) : 3,
-                    reference_score: params.reference_score != null ? Number(params.reference_score) : 0.75
-                };
-                const valid = [hiringParams.experience_years, hiringParams.skill_match_score, hiringParams.interview_score].every(v => Number.isFinite(v));
-                if (valid) {
-                    const result = hiringEngine.evaluateCandidate(hiringParams);
-                    const formattedResponse = formatHiringResponse(result, detectLanguage(rawMessage));
-                    res.setHeader('Content-Type', 'text/event-stream');
-                    res.setHeader('Cache-Control', 'no-cache');
-                    res.setHeader('Connection', 'keep-alive');
-                    res.write(`data: ${JSON.stringify({ text: formattedResponse })}\n\n`);
-                    const remaining = usageCheck.remaining !== undefined ? usageCheck.remaining - 1 : (req.user ? 49 : GUEST_LIMIT - 1);
-                    res.write(`data: ${JSON.stringify({ done: true, remaining })}\n\n`);
-                    res.end();
-                    if (req.user && conversation_id) {
-                        await pool.query(
-                            `INSERT INTO messages (conversation_id, role, content, mode) VALUES ($1, 'user', $2, $3)`,
-                            [conversation_id, rawMessage, mode]
-                        );
-                        await pool.query(
-                            `INSERT INTO messages (conversation_id, role, content, mode, model) VALUES ($1, 'assistant', $2, $3, 'hiring-engine')`,
-                            [conversation_id, formattedResponse, mode]
-                        );
-                        await pool.query(
-                            `UPDATE conversations SET message_count = message_count + 2, last_message_at = NOW(), title = CASE WHEN message_count = 0 THEN $2 ELSE title END WHERE id = $1`,
-                            [conversation_id, rawMessage.substring(0, 50)]
-                        );
-                        await pool.query('UPDATE users SET messages_today = messages_today + 1 WHERE id = $1', [req.user.id]);
-                    } else {
-                        const entry = getGuestUsage(req);
-                        entry.count += 1;
-                    }
-                    return;
-                }
+        // Which engine this message feeds, and the inputs gathered for it so far
+        let intent = null;
+        let params = null;
+        let extractedCount = 0;
+        if (pending && ((routing.intent === null && !routing.ambiguous) || routing.intent === pending.intent)) {
+            // Answer to a pending question: merge over what earlier turns provided
+            intent = intentRouter.get(pending.intent);
+            const extracted = mergeParams(intent.extract(routing.message));
+            if (pending.asked.length === 1 && extracted[pending.asked[0]] === undefined) {
+                const value = bareAnswer(routing.message, pending.asked[0], engineCatalog.getEngine(intent.key).schema);
+                if (value !== undefined) extracted[pending.asked[0]] = value;
+            }
+            extractedCount = Object.keys(extracted).length;
+            if (extractedCount === 0 && !routing.intent) {
+                intent = null; // unrelated message: the AI answers it, the pending question stays open
+            } else {
+                params = mergeParams(pending.params, extracted);
+                lang = pending.lang;
+            }
+        } else {
+            if (pending) slotStore.clear(slotKey); // another engine was asked for
+            if (routing.ambiguous) {
+                logRouting('clarify');
+                const options = intentRouter.contenders(routing).map(c => intentRouter.get(c.intent));
+                return sendChatReply(req, res, { ...reply, text: formatClarifyingQuestion(options, lang), model: 'intent-router' });
+            }
+            if (routing.intent) {
+                intent = intentRouter.get(routing.intent);
+                params = mergeParams(intent.extract(routing.message));
+                extractedCount = Object.keys(params).length;
             }
         }
 
-        // ═══════════════════════════════════════════════════════════════
-        // BUILDING PERMIT INTERCEPT — after hiring (all modes)
-        // ═══════════════════════════════════════════════════════════════
-        if (detectPermitRequest(rawMessage)) {
-            const params = extractPermitParams(rawMessage);
-            if (params.zoning_compliance != null && params.structural_safety != null) {
-                const usageCheck = await checkUsageLimit(req.user, req);
-                if (!usageCheck.allowed) {
-                    return res.status(429).json({ error: usageCheck.message, upgrade_url: '/login' });
-                }
-                const permitParams = {
-                    zoning_compliance: Number(params.zoning_compliance),
-                    structural_safety: Number(params.structural_safety),
-                    environmental_impact: params.environmental_impact != null ? Number(params.environmental_impact) : 0.30,
-                    plot_coverage_ratio: params.plot_coverage_ratio != null ? Number(params.plot_coverage_ratio) : 0.50,
-                    fire_safety_score: params.fire_safety_score != null ? Number(params.fire_safety_score) : 0.75
-                };
-                const valid = [permitParams.zoning_compliance, permitParams.structural_safety].every(v => Number.isFinite(v));
-                if (valid) {
-                    const result = permitEngine.evaluatePermit(permitParams);
-                    const formattedResponse = formatPermitResponse(result, detectLanguage(rawMessage));
-                    res.setHeader('Content-Type', 'text/event-stream');
-                    res.setHeader('Cache-Control', 'no-cache');
-                    res.setHeader('Connection', 'keep-alive');
-                    res.write(`data: ${JSON.stringify({ text: formattedResponse })}\n\n`);
-                    const remaining = usageCheck.remaining !== undefined ? usageCheck.remaining - 1 : (req.user ? 49 : GUEST_LIMIT - 1);
-                    res.write(`data: ${JSON.stringify({ done: true, remaining })}\n\n`);
-                    res.end();
-                    if (req.user && conversation_id) {
-                        await pool.query(
-                            `INSERT INTO messages (conversation_id, role, content, mode) VALUES ($1, 'user', $2, $3)`,
-                            [conversation_id, rawMessage, mode]
-                        );
-                        await pool.query(
-                            `INSERT INTO messages (conversation_id, role, content, mode, model) VALUES ($1, 'assistant', $2, $3, 'permit-engine')`,
-                            [conversation_id, formattedResponse, mode]
-                        );
-                        await pool.query(
-                            `UPDATE conversations SET message_count = message_count + 2, last_message_at = NOW(), title = CASE WHEN message_count = 0 THEN $2 ELSE title END WHERE id = $1`,
-                            [conversation_id, rawMessage.substring(0, 50)]
-                        );
-                        await pool.query('UPDATE users SET messages_today = messages_today + 1 WHERE id = $1', [req.user.id]);
-                    } else {
-                        const entry = getGuestUsage(req);
-                        entry.count += 1;
-                    }
-                    return;
-                }
+        if (intent) {
+            const engine = engineCatalog.getEngine(intent.key);
+            // The engine schema decides what is missing (e.g. trauma_score for trauma cases)
+            const validation = engine.module.validateInput(params);
+
+            if (validation.valid) {
+                slotStore.clear(slotKey);
+                logRouting('decided', intent.key);
+                const result = engine.evaluate(params);
+                return sendChatReply(req, res, { ...reply, text: intent.format(result, lang), model: intent.model });
+            }
+            // Ask when the user named the engine or gave at least one of its inputs; a bare
+            // mention ("what is a good credit score?") is left to the AI
+            if (routing.forced || pending || extractedCount > 0) {
+                // Values the schema rejected are asked for again rather than kept
+                const rejected = validation.errors.filter(e => e.code !== 'required').map(e => e.field);
+                const kept = Object.fromEntries(Object.entries(params).filter(([key]) => !rejected.includes(key)));
+                slotStore.set(slotKey, { intent: intent.key, params: kept, lang, asked: validation.errors.map(e => e.field) });
+                logRouting('asked', intent.key);
+                return sendChatReply(req, res, { ...reply, text: formatSlotQuestion(intent, kept, validation.errors, lang), model: intent.model });
             }
+            logRouting('fallthrough', intent.key);
         }
 
         // ═══════════════════════════════════════════════════════════════
-        // END TRIAGE / CREDIT / HIRING / PERMIT INTERCEPTS — fall through to AI
+        // END ENGINE INTERCEPT — fall through to AI
         // ═══════════════════════════════════════════════════════════════
 
         const message = rawMessage;
@@ -1375,91 +1639,356 @@ app.get('/decision-ledger', (req, res) => {
     res.sendFile(path.join(__dirname, '../public/decision-ledger.html'));
 });
 
-// Decision Ledger API proxy (read-only; keeps API key server-side)
-const LEDGER_API_BASE = process.env.LEDGER_API_BASE || 'https://api.oplogica.ai/v1';
-const LEDGER_API_KEY = process.env.LEDGER_API_KEY || '';
+// Decision Ledger API (local, hash-chained — see decisionLedger.js)
+const decisionLedger = createDecisionLedger(pool);
 
-async function ledgerProxy(path, query = '') {
-    const url = LEDGER_API_BASE + path + (query ? '?' + query : '');
-    const res = await fetch(url, {
-        headers: { 'Authorization': LEDGER_API_KEY ? `Bearer ${LEDGER_API_KEY}` : '' }
-    });
-    const data = await res.json().catch(() => ({}));
-    if (!res.ok) return { ok: false, status: res.status, error: data.error || { message: 'Request failed' } };
-    return { ok: true, data };
+function ledgerError(res, e, where) {
+    console.error(`Ledger ${where}:`, e);
+    return res.status(500).json({ error: { code: 'LEDGER_ERROR', message: 'Ledger unavailable' } });
 }
 
 app.get('/api/ledger/decisions', async (req, res) => {
     try {
-        const q = new URLSearchParams(req.query).toString();
-        const out = await ledgerProxy('/decisions', q);
-        if (!out.ok) return res.status(out.status || 502).json(out.error || { error: { code: 'PROXY_ERROR', message: 'Upstream error' } });
-        return res.json(out.data);
+        const { limit, domain, before } = req.query;
+        return res.json(await decisionLedger.list({ limit, domain, before }));
     } catch (e) {
-        console.error('Ledger proxy /decisions:', e);
-        return res.status(502).json({ error: { code: 'PROXY_ERROR', message: 'Service unavailable' } });
+        return ledgerError(res, e, '/decisions');
     }
 });
 
 app.get('/api/ledger/decisions/:id', async (req, res) => {
     try {
-        const out = await ledgerProxy('/decisions/' + encodeURIComponent(req.params.id));
-        if (!out.ok) return res.status(out.status || 502).json(out.error || { error: { code: 'PROXY_ERROR', message: 'Upstream error' } });
-        return res.json(out.data);
+        const detail = await decisionLedger.get(req.params.id);
+        if (!detail) return res.status(404).json({ error: { code: 'NOT_FOUND', message: 'Decision not found' } });
+        return res.json(detail);
     } catch (e) {
-        console.error('Ledger proxy /decisions/:id:', e);
-        return res.status(502).json({ error: { code: 'PROXY_ERROR', message: 'Service unavailable' } });
+        return ledgerError(res, e, '/decisions/:id');
     }
 });
 
 app.get('/api/ledger/decisions/:id/reason-graph', async (req, res) => {
     try {
-        const out = await ledgerProxy('/decisions/' + encodeURIComponent(req.params.id) + '/reason-graph');
-        if (!out.ok) return res.status(out.status || 502).json(out.error || { error: { code: 'PROXY_ERROR', message: 'Upstream error' } });
-        return res.json(out.data);
+        const graph = await decisionLedger.getReasonGraph(req.params.id);
+        if (!graph) return res.status(404).json({ error: { code: 'NOT_FOUND', message: 'Decision not found' } });
+        return res.json(graph);
     } catch (e) {
-        console.error('Ledger proxy /decisions/:id/reason-graph:', e);
-        return res.status(502).json({ error: { code: 'PROXY_ERROR', message: 'Service unavailable' } });
+        return ledgerError(res, e, '/decisions/:id/reason-graph');
     }
 });
 
 app.get('/api/ledger/audit/readiness', async (req, res) => {
     try {
-        const out = await ledgerProxy('/audit/readiness');
-        if (!out.ok) return res.status(out.status || 502).json(out.error || { error: { code: 'PROXY_ERROR', message: 'Upstream error' } });
-        return res.json(out.data);
+        return res.json(await decisionLedger.auditReadiness());
+    } catch (e) {
+        return ledgerError(res, e, '/audit/readiness');
+    }
+});
+
+// Full chain walk: recomputes every bundle and entry hash (?bundles=true also re-verifies each bundle)
+app.get('/api/ledger/verify', async (req, res) => {
+    try {
+        return res.json(await decisionLedger.verifyChain({ verifyBundles: req.query.bundles === 'true' }));
+    } catch (e) {
+        return ledgerError(res, e, '/verify');
+    }
+});
+
+// Ledger checkpoints: signed Merkle roots over each period of decisions
+const ledgerCheckpoints = createLedgerCheckpoints(pool);
+const CHECKPOINT_INTERVAL_MS = (parseFloat(process.env.LEDGER_CHECKPOINT_MINUTES) || 60) * 60000;
+
+app.get('/api/ledger/checkpoints', async (req, res) => {
+    try {
+        return res.json({ checkpoints: await ledgerCheckpoints.list({ limit: req.query.limit }) });
+    } catch (e) {
+        return ledgerError(res, e, '/checkpoints');
+    }
+});
+
+app.get('/api/ledger/checkpoints/:id', async (req, res) => {
+    try {
+        const checkpoint = await ledgerCheckpoints.get(req.params.id);
+        if (!checkpoint) return res.status(404).json({ error: { code: 'NOT_FOUND', message: 'Checkpoint not found' } });
+        return res.json(checkpoint);
+    } catch (e) {
+        return ledgerError(res, e, '/checkpoints/:id');
+    }
+});
+
+// Inclusion proof (sibling path to a signed checkpoint root) for one decision
+app.get('/api/ledger/decisions/:id/inclusion-proof', async (req, res) => {
+    try {
+        const proof = await ledgerCheckpoints.getInclusionProof(req.params.id);
+        if (!proof) return res.status(404).json({ error: { code: 'NOT_FOUND', message: 'Decision not found' } });
+        if (!proof.checkpoint) {
+            return res.status(409).json({ error: { code: 'NOT_CHECKPOINTED', message: 'Decision is not covered by a checkpoint yet' } });
+        }
+        return res.json(proof);
+    } catch (e) {
+        return ledgerError(res, e, '/decisions/:id/inclusion-proof');
+    }
+});
+
+// Cohort fairness: group metrics over ledger decisions, signed attestations (see fairness.js)
+const fairnessMonitor = createFairnessMonitor(pool);
+
+function fairnessQuery(req, res, source) {
+    const domain = req.params.domain;
+    if (!policyRegistry.listDomains().includes(domain)) {
+        res.status(404).json({ error: { code: 'DOMAIN_NOT_FOUND', message: `Unknown domain: ${domain}` } });
+        return null;
+    }
+    const attribute = source.attribute || configuredAttributes(domain)[0];
+    if (!configuredAttributes(domain).includes(attribute)) {
+        res.status(400).json({ error: { code: 'ATTRIBUTE_NOT_CONFIGURED', message: `Fairness attributes for ${domain}: ${configuredAttributes(domain).join(', ') || 'none (set FAIRNESS_ATTRIBUTES)'}` } });
+        return null;
+    }
+    for (const key of ['since', 'until']) {
+        if (source[key] && Number.isNaN(Date.parse(source[key]))) {
+            res.status(400).json({ error: { code: 'INVALID_TIMESTAMP', message: `${key} must be an ISO 8601 timestamp` } });
+            return null;
+        }
+    }
+    return { domain, attribute, since: source.since, until: source.until, minGroup: source.min_group };
+}
+
+app.get('/api/fairness/attestations/:id', async (req, res) => {
+    try {
+        const attestation = await fairnessMonitor.getAttestation(req.params.id);
+        if (!attestation) return res.status(404).json({ error: { code: 'NOT_FOUND', message: 'Attestation not found' } });
+        return res.json(attestation);
+    } catch (e) {
+        return ledgerError(res, e, '/fairness/attestations/:id');
+    }
+});
+
+// Observed outcome of a decision ({ decision_id, observed: true | false }), used for equalized odds
+app.post('/api/fairness/outcomes', authenticateToken, async (req, res) => {
+    const { decision_id, observed } = req.body || {};
+    if (!decision_id || typeof observed !== 'boolean') {
+        return res.status(400).json({ error: { code: 'INVALID_REQUEST', message: 'decision_id and boolean observed are required' } });
+    }
+    try {
+        const outcome = await fairnessMonitor.recordOutcome(decision_id, observed);
+        if (!outcome) return res.status(404).json({ error: { code: 'NOT_FOUND', message: 'Decision not found' } });
+        return res.status(201).json(outcome);
+    } catch (e) {
+        return ledgerError(res, e, '/fairness/outcomes');
+    }
+});
+
+app.get('/api/fairness/:domain/report', async (req, res) => {
+    const query = fairnessQuery(req, res, req.query);
+    if (!query) return;
+    try {
+        return res.json(await fairnessMonitor.report(query));
+    } catch (e) {
+        return ledgerError(res, e, '/fairness/:domain/report');
+    }
+});
+
+app.get('/api/fairness/:domain/attestations', async (req, res) => {
+    try {
+        return res.json({ attestations: await fairnessMonitor.listAttestations({ domain: req.params.domain, limit: req.query.limit }) });
+    } catch (e) {
+        return ledgerError(res, e, '/fairness/:domain/attestations');
+    }
+});
+
+app.post('/api/fairness/:domain/attestations', authenticateToken, async (req, res) => {
+    const query = fairnessQuery(req, res, req.body || {});
+    if (!query) return;
+    try {
+        const attestation = await fairnessMonitor.attest(query);
+        if (!attestation.compliant) {
+            broadcastLedger({
+                type: 'fairness_violation',
+                payload: { attestation_id: attestation.attestation_id, domain: attestation.domain, attribute: attestation.attribute, violations: attestation.report.violations }
+            });
+        }
+        return res.status(201).json(attestation);
+    } catch (e) {
+        return ledgerError(res, e, '/fairness/:domain/attestations');
+    }
+});
+
+// Chat intent routing: slash commands per engine, and logged outcomes for tuning (see intentRouter.js)
+app.get('/api/intent-routing/commands', (req, res) => {
+    return res.json({ intents: intentRouter.list() });
+});
+
+app.get('/api/intent-routing/stats', async (req, res) => {
+    for (const key of ['since', 'until']) {
+        if (req.query[key] && Number.isNaN(Date.parse(req.query[key]))) {
+            return res.status(400).json({ error: { code: 'INVALID_TIMESTAMP', message: `${key} must be an ISO 8601 timestamp` } });
+        }
+    }
+    try {
+        return res.json(await intentRouter.stats({ since: req.query.since, until: req.query.until }));
+    } catch (e) {
+        console.error('Intent routing stats:', e);
+        return res.status(500).json({ error: { code: 'ROUTING_LOG_ERROR', message: 'Routing log unavailable' } });
+    }
+});
+
+// Policy Registry (every declared version per domain, with effective windows)
+app.get('/api/policies', (req, res) => {
+    const domain = req.query.domain;
+    if (domain && !policyRegistry.listDomains().includes(domain)) {
+        return res.status(404).json({ error: { code: 'POLICY_NOT_FOUND', message: `Unknown policy domain: ${domain}` } });
+    }
+    return res.json({ policies: policyRegistry.listPolicies(domain) });
+});
+
+app.get('/api/policies/:domain/in-force', (req, res) => {
+    const at = req.query.at || new Date().toISOString();
+    try {
+        const policy = policyRegistry.resolvePolicy(req.params.domain, at);
+        const summary = policyRegistry.listPolicies(req.params.domain).find(p => p.policy_hash === policy.policy_hash);
+        return res.json({ at, ...summary });
     } catch (e) {
-        console.error('Ledger proxy /audit/readiness:', e);
-        return res.status(502).json({ error: { code: 'PROXY_ERROR', message: 'Service unavailable' } });
+        return res.status(404).json({ error: { code: 'POLICY_NOT_FOUND', message: e.message } });
     }
 });
 
-// Medical Triage Demo (triadic verification — same triageDecision used by chat)
+// Public signing keys (JWKS) — active and retired Ed25519 keys, for offline bundle verification
+app.get('/.well-known/jwks.json', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(keyring.jwks());
+});
+
+// Local timestamp authority keys, for checking PoO timestamp tokens (TSA_MODE=local)
+app.get('/.well-known/tsa.json', (req, res) => {
+    const tsa = timestampAuthority.getTimestampAuthority();
+    if (!tsa || tsa.policy !== timestampAuthority.LOCAL_TSA_POLICY) {
+        return res.status(404).json({ error: { code: 'TSA_NOT_LOCAL', message: 'No local timestamp authority is active' } });
+    }
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(timestampAuthority.localJwks());
+});
+
+// Bundle Verification — recomputes hashes, signatures and Merkle root of any bundle.
+// Accepts { bundle, input? }, an engine result { verification_bundle }, or a bare bundle.
+app.post('/api/verify', (req, res) => {
+    const body = req.body || {};
+    const bundle = body.bundle || body.verification_bundle || (body.poo ? body : null);
+    if (!bundle || typeof bundle !== 'object') {
+        return res.status(400).json({ error: { code: 'INVALID_BUNDLE', message: 'Request body must contain a verification bundle' } });
+    }
+    try {
+        const report = verifyBundle(bundle, {
+            input: body.input,
+            getPolicy: policyRegistry.getPolicyByHash
+        });
+        return res.json(report);
+    } catch (err) {
+        console.error('Verify error:', err);
+        return res.status(400).json({ error: { code: 'INVALID_BUNDLE', message: err.message } });
+    }
+});
+
+// Medical Triage Demo (triadic verification — medicalEngine v3, same as the chat intercept)
 app.get('/demo', (req, res) => {
     res.sendFile(path.join(__dirname, '../public/demo.html'));
 });
 
 app.post('/api/triage-demo', (req, res) => {
     try {
-        const body = req.body || {};
-        const patientData = {
-            vital_score: Number(body.vital_score),
-            age: Number(body.age),
-            comorbidity_index: Number(body.comorbidity_index),
-            wait_time: Number(body.wait_time),
-            resource_score: Number(body.resource_score)
-        };
-        if ([patientData.vital_score, patientData.age, patientData.comorbidity_index, patientData.wait_time, patientData.resource_score].some(v => Number.isNaN(v))) {
-            return res.status(400).json({ error: 'Invalid patient data: vital_score, age, comorbidity_index, wait_time, resource_score must be numbers' });
-        }
-        const result = triageDecision(patientData);
+        const result = medicalEngine.evaluateMedical(req.body || {});
         return res.json(result);
     } catch (err) {
-        console.error('Triage demo error:', err);
-        return res.status(500).json({ error: 'Triage engine error', message: err.message });
+        return engineError(res, err, 'Triage demo');
+    }
+});
+
+// Department simulation: synthetic or recorded patients through the medical engine under finite
+// beds and clinicians; returns the signed simulation report (?download=1 saves it as a file).
+// Signed-in users only: a run makes up to SIM_MAX_TRIAGES engine evaluations.
+// Body: { seed?, beds?, clinicians?, arrivals_per_hour?, duration_minutes?, reassess_minutes?,
+//         group_attribute?, patients?: [{ arrival_minute, treatment_minutes?, ...medical input }] }
+app.post('/api/triage/simulations', authenticateToken, express.json({ limit: '2mb' }), async (req, res) => {
+    try {
+        const report = await triageSimulator.runSimulation(req.body || {});
+        if (req.query.download) res.attachment(`${report.simulation_id}.json`);
+        return res.json(report);
+    } catch (err) {
+        return engineError(res, err, 'Triage simulation');
+    }
+});
+
+app.post('/api/triage/simulations/verify', express.json({ limit: '2mb' }), (req, res) => {
+    return res.json(triageSimulator.verifySimulationReport(req.body || {}));
+});
+
+// Open triage cases: C3 reassessments come due over /ws (reassessment_due) and each re-triage
+// with updated vitals is linked to the case's previous decision (see reassessmentScheduler.js)
+const reassessmentScheduler = createReassessmentScheduler(pool);
+const REASSESSMENT_TICK_MS = 30000;
+
+function caseError(res, e, where) {
+    return e instanceof InputValidationError ? engineError(res, e, where) : ledgerError(res, e, where);
+}
+
+// Body: medical engine input (wait_time = minutes waited so far) + patient_ref?
+app.post('/api/triage/cases', authenticateToken, async (req, res) => {
+    const { patient_ref, ...input } = req.body || {};
+    try {
+        return res.status(201).json(await reassessmentScheduler.open(input, { patient_ref }));
+    } catch (e) {
+        return caseError(res, e, '/triage/cases');
+    }
+});
+
+app.get('/api/triage/cases', authenticateToken, async (req, res) => {
+    try {
+        const status = req.query.status === 'all' ? null : req.query.status;
+        return res.json({ cases: await reassessmentScheduler.list({ status, limit: req.query.limit }) });
+    } catch (e) {
+        return caseError(res, e, '/triage/cases');
+    }
+});
+
+app.get('/api/triage/cases/:id', authenticateToken, async (req, res) => {
+    try {
+        const triageCase = await reassessmentScheduler.get(req.params.id);
+        if (!triageCase) return res.status(404).json({ error: { code: 'NOT_FOUND', message: 'Case not found' } });
+        return res.json(triageCase);
+    } catch (e) {
+        return caseError(res, e, '/triage/cases/:id');
+    }
+});
+
+// Body: updated vitals (any medical input fields); wait_time and the link are set by the server
+app.post('/api/triage/cases/:id/reassessments', authenticateToken, async (req, res) => {
+    try {
+        const result = await reassessmentScheduler.reassess(req.params.id, req.body || {});
+        if (!result) return res.status(404).json({ error: { code: 'NOT_FOUND', message: 'Case not found' } });
+        if (!result.decision) return res.status(409).json({ error: { code: 'CASE_CLOSED', message: 'Case is closed' } });
+        return res.status(201).json(result);
+    } catch (e) {
+        return caseError(res, e, '/triage/cases/:id/reassessments');
+    }
+});
+
+app.post('/api/triage/cases/:id/close', authenticateToken, async (req, res) => {
+    try {
+        const triageCase = await reassessmentScheduler.close(req.params.id);
+        if (!triageCase) return res.status(404).json({ error: { code: 'NOT_FOUND', message: 'Case not found' } });
+        return res.json(triageCase);
+    } catch (e) {
+        return caseError(res, e, '/triage/cases/:id/close');
     }
 });
 
+// Engine demo errors: schema violations are the caller's (400, one entry per field), anything else is ours
+function engineError(res, err, where) {
+    if (err instanceof InputValidationError) {
+        return res.status(400).json({ error: { code: err.code, message: err.message, schema: err.schema, details: err.errors } });
+    }
+    console.error(`${where} error:`, err);
+    return res.status(500).json({ error: { code: 'ENGINE_ERROR', message: err.message } });
+}
+
 // Financial Credit Assessment Demo
 app.get('/demo/finance', (req, res) => {
     res.sendFile(path.join(__dirname, '../public/demo-finance.html'));
@@ -1470,7 +1999,7 @@ app.post('/api/credit-demo', express.json(), (req, res) => {
         const result = creditEngine.evaluateCredit(req.body || {});
         res.json(result);
     } catch (err) {
-        res.status(400).json({ error: err.message });
+        return engineError(res, err, 'Credit demo');
     }
 });
 
@@ -1484,7 +2013,39 @@ app.post('/api/hiring-demo', express.json(), (req, res) => {
         const result = hiringEngine.evaluateCandidate(req.body || {});
         res.json(result);
     } catch (err) {
-        res.status(400).json({ error: err.message });
+        return engineError(res, err, 'Hiring demo');
+    }
+});
+
+// Candidates assessed together: H9 balanced scoring with pool norms derived from the group,
+// then the hiring policy's cohort rules (H11 four-fifths) over the group's outcomes by candidate_pool.
+// Body: { candidates: [input], min_group (default 1) }.
+app.post('/api/hiring/adverse-impact', express.json(), (req, res) => {
+    const { candidates, min_group } = req.body || {};
+    if (!Array.isArray(candidates) || candidates.length === 0) {
+        return res.status(400).json({ error: { code: 'INVALID_REQUEST', message: 'candidates must be a non-empty array' } });
+    }
+    try {
+        const { pool_norms, results } = hiringEngine.evaluateCandidates(candidates);
+        const policy = policyRegistry.resolvePolicy('hiring', results[0].decision.timestamp);
+        const adverseImpact = computeFairness(
+            results.map((r, i) => ({ decision_id: r.verification_bundle.bundle_id, input: candidates[i], decision: r.decision })),
+            { domain: 'hiring', attribute: 'candidate_pool', policy, minGroup: Math.max(parseInt(min_group, 10) || 1, 1) }
+        );
+        return res.json({ pool_norms, candidates: results, adverse_impact: adverseImpact });
+    } catch (err) {
+        return engineError(res, err, 'Adverse impact');
+    }
+});
+
+// Requisitions: a shortlist for one role decided under shared settings, ranked into a slate
+// (headcount, H8 against the open budget) and sealed as one ranking bundle.
+// Body: { requisition_id?, role_category?, role_level?, requires_degree?, headcount?, budget?, candidates: [...] }
+app.post('/api/hiring/requisitions', express.json(), (req, res) => {
+    try {
+        return res.json(hiringRequisition.evaluateRequisition(req.body || {}));
+    } catch (err) {
+        return engineError(res, err, 'Requisition');
     }
 });
 
@@ -1498,7 +2059,7 @@ app.post('/api/permit-demo', express.json(), (req, res) => {
         const result = permitEngine.evaluatePermit(req.body || {});
         res.json(result);
     } catch (err) {
-        res.status(400).json({ error: err.message });
+        return engineError(res, err, 'Permit demo');
     }
 });
 
@@ -1511,7 +2072,7 @@ app.post('/api/legal-demo', express.json(), (req, res) => {
         const result = legalEngine.evaluateLegal(req.body || {});
         res.json(result);
     } catch (err) {
-        res.status(400).json({ error: err.message });
+        return engineError(res, err, 'Legal demo');
     }
 });
 
@@ -1524,10 +2085,87 @@ app.post('/api/government-demo', express.json(), (req, res) => {
         const result = governmentEngine.evaluateGovernment(req.body || {});
         res.json(result);
     } catch (err) {
-        res.status(400).json({ error: err.message });
+        return engineError(res, err, 'Government demo');
     }
 });
 
+// Counterfactual explanations: smallest input change that flips a decision, sealed as its own bundle.
+// Body: { input } to decide and explain, or { decision_id } for a ledger decision;
+// optional target, immutable [fields], max_changes (1-2), limit.
+app.post('/api/:engine/counterfactual', authenticateToken, express.json(), async (req, res) => {
+    const entry = engineCatalog.getEngine(req.params.engine);
+    if (!entry) {
+        return res.status(404).json({ error: { code: 'ENGINE_NOT_FOUND', message: `Unknown engine: ${req.params.engine}` } });
+    }
+    const { input, decision_id, target, immutable, max_changes, limit } = req.body || {};
+    try {
+        let rawInput = input;
+        let decision;
+        let bundle;
+        let replay;
+        if (decision_id) {
+            const detail = await decisionLedger.get(decision_id);
+            if (!detail || detail.domain !== entry.key) {
+                return res.status(404).json({ error: { code: 'NOT_FOUND', message: 'Decision not found' } });
+            }
+            replay = entry.replayOptions ? entry.replayOptions(detail.decision) : undefined;
+            if (replay === null) {
+                return res.status(409).json({ error: { code: 'NOT_REPLAYABLE', message: 'Decision was scored under requisition pool norms it does not record; explain it from { input } instead' } });
+            }
+            rawInput = detail.input;
+            ({ decision, bundle } = detail);
+        } else {
+            ({ decision, verification_bundle: bundle } = entry.evaluate(input || {}));
+        }
+        const original = {
+            bundle_id: bundle.bundle_id,
+            outcome: decision[entry.outcome],
+            policy_hash: bundle.poi.policy_hash,
+            decided_at: bundle.poo.timestamp
+        };
+        const result = await counterfactual.explain(entry, rawInput, original, { target, immutable, max_changes, limit, replay });
+        if (!result) {
+            return res.status(409).json({ error: { code: 'REPLAY_MISMATCH', message: `The recorded input no longer decides ${entry.outcome} = ${original.outcome} under ${bundle.poi.policy}` } });
+        }
+        return res.json(result);
+    } catch (err) {
+        return engineError(res, err, 'Counterfactual');
+    }
+});
+
+// Batch decisions: CSV (header row) or NDJSON body, one NDJSON result line per row as it is
+// decided, then the signed batch manifest. Invalid rows are reported and the run continues.
+// ?max_rows lowers the BATCH_MAX_ROWS cap for this run.
+app.post('/api/batch/:engine', authenticateToken, async (req, res) => {
+    const entry = engineCatalog.getEngine(req.params.engine);
+    if (!entry) {
+        return res.status(404).json({ error: { code: 'ENGINE_NOT_FOUND', message: `Unknown engine: ${req.params.engine}` } });
+    }
+    const format = detectFormat(req.headers['content-type'], req.query.format);
+    if (!format) {
+        return res.status(415).json({ error: { code: 'UNSUPPORTED_MEDIA_TYPE', message: 'Send text/csv or application/x-ndjson' } });
+    }
+
+    let closed = false;
+    res.on('close', () => { closed = true; });
+    const emit = (line) => new Promise(resolve => {
+        if (closed || res.write(JSON.stringify(line) + '\n')) return resolve();
+        res.once('drain', resolve);
+        res.once('close', resolve);
+    });
+
+    req.setEncoding('utf8');
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Cache-Control', 'no-cache');
+    try {
+        await runBatch(entry, req, format, emit, { maxRows: parseInt(req.query.max_rows, 10), isCancelled: () => closed });
+    } catch (err) {
+        console.error('Batch error:', err);
+        await emit({ type: 'error', error: { code: 'BATCH_ERROR', message: err.message } });
+    }
+    res.end();
+});
+
 // Serve login page
 app.get('/login', (req, res) => {
     res.sendFile(path.join(__dirname, '../public/login.html'));
@@ -1606,9 +2244,37 @@ const heartbeatInterval = setInterval(() => {
 wss.on('close', () => clearInterval(heartbeatInterval));
 
 // Expose for external use. Example: req.app.locals.broadcastLedger({ type: 'decision_created', payload: decision });
-// Supported types: decision_created | decision_updated | audit_status_changed (payload optional).
+// Supported types: decision_created | decision_updated | audit_status_changed | checkpoint_created | fairness_violation |
+// reassessment_due (payload optional).
 app.locals.broadcastLedger = broadcastLedger;
 
+// Every bundle any engine seals goes into the ledger, then out to live viewers
+bundleEvents.on('issued', (event) => {
+    decisionLedger.append(event)
+        .then((entry) => broadcastLedger({
+            type: 'decision_created',
+            payload: { id: entry.decision_id, seq: Number(entry.seq), domain: event.domain, entry_hash: entry.entry_hash }
+        }))
+        .catch((err) => console.error('Ledger append error:', err.message));
+});
+
+const checkpointInterval = setInterval(() => {
+    ledgerCheckpoints.createCheckpoint()
+        .then((cp) => cp && broadcastLedger({ type: 'checkpoint_created', payload: { checkpoint_id: cp.checkpoint_id, last_seq: cp.last_seq, root: cp.root } }))
+        .catch((err) => console.error('Ledger checkpoint error:', err.message));
+}, CHECKPOINT_INTERVAL_MS);
+checkpointInterval.unref();
+
+const reassessmentInterval = setInterval(() => {
+    reassessmentScheduler.tick()
+        .then((due) => due.forEach((c) => broadcastLedger({
+            type: 'reassessment_due',
+            payload: { case_id: c.case_id, patient_ref: c.patient_ref, decision_id: c.decision_id, priority: c.priority, wait_time: c.wait_time, due_at: c.due_at, reassessments: c.reassessments }
+        })))
+        .catch((err) => console.error('Reassessment tick error:', err.message));
+}, REASSESSMENT_TICK_MS);
+reassessmentInterval.unref();
+
 // ═══════════════════════════════════════════════════════════════
 // START SERVER
 // ═══════════════════════════════════════════════════════════════
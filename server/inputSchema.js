@@ -0,0 +1,142 @@
+/**
+ * OpLogica Input Schemas — validation and explicit defaults for engine input
+ * Each engine declares a JSON Schema (subset) for its input. validateInput()
+ * checks types and ranges, enforces required fields (globally and per category),
+ * fills documented defaults and reports every value it supplied as an assumption,
+ * so the PoO can say which inputs were assumed rather than given.
+ *
+ * Supported keywords: type (number | integer | boolean | string), minimum, maximum,
+ * exclusiveMinimum, enum (strings compared case-insensitively), default, required.
+ * Extensions:
+ *   x-category        — input field naming the engine category; when absent the engine's
+ *                       detector infers it and the inferred value is recorded as an assumption
+ *   x-required-when   — [{ when: { field: value }, required: [...] }], checked after the
+ *                       category is resolved (e.g. { loan_type: 'MORTGAGE' } → collateral_ratio)
+ * Unknown properties are passed through untouched.
+ */
+
+class InputValidationError extends Error {
+    constructor(errors, schemaId) {
+        super(errors.map(e => e.message).join('; '));
+        this.name = 'InputValidationError';
+        this.code = 'INVALID_INPUT';
+        this.schema = schemaId;
+        this.errors = errors;
+    }
+}
+
+function isMissing(value) {
+    return value === undefined || value === null;
+}
+
+function matches(value, expected) {
+    if (typeof expected === 'string' && typeof value === 'string') return value.toUpperCase() === expected.toUpperCase();
+    return value === expected;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// FIELD CHECKS
+// ═══════════════════════════════════════════════════════════════
+
+function checkField(field, value, spec) {
+    const fail = (code, message) => ({ field, code, message: `${field} ${message}`, value });
+
+    switch (spec.type) {
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return fail('type', 'must be a number');
+            break;
+        case 'integer':
+            if (!Number.isInteger(value)) return fail('type', 'must be an integer');
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') return fail('type', 'must be true or false');
+            break;
+        case 'string':
+            if (typeof value !== 'string') return fail('type', 'must be a string');
+            break;
+        default:
+            break;
+    }
+
+    if (spec.minimum != null && value < spec.minimum) return fail('minimum', `must be ≥ ${spec.minimum}`);
+    if (spec.exclusiveMinimum != null && value <= spec.exclusiveMinimum) return fail('minimum', `must be > ${spec.exclusiveMinimum}`);
+    if (spec.maximum != null && value > spec.maximum) return fail('maximum', `must be ≤ ${spec.maximum}`);
+    if (spec.enum && !spec.enum.some(e => matches(value, e))) return fail('enum', `must be one of ${spec.enum.join(', ')}`);
+    return null;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Validates raw engine input against a schema.
+ *
+ * options.inferCategory — (data) → category, the engine's own detector
+ *
+ * Returns { valid, errors, value, assumptions, category }. value is a copy of the input
+ * with defaults filled and the category field pinned; assumptions lists every value
+ * the validator supplied: { field, value, reason: 'default' | 'inferred' }.
+ */
+function validateInput(schema, data, options = {}) {
+    const errors = [];
+    const assumptions = [];
+    const properties = schema.properties || {};
+
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        errors.push({ field: null, code: 'type', message: 'input must be a JSON object', value: data });
+        return { valid: false, errors, value: null, assumptions, category: null };
+    }
+
+    const value = { ...data };
+
+    for (const [field, spec] of Object.entries(properties)) {
+        if (isMissing(value[field])) continue;
+        const error = checkField(field, value[field], spec);
+        if (error) errors.push(error);
+    }
+
+    // Category: given, or inferred by the engine from the raw input
+    const categoryField = schema['x-category'];
+    let category = null;
+    if (categoryField && !errors.some(e => e.field === categoryField)) {
+        category = options.inferCategory ? options.inferCategory(data) : value[categoryField];
+        if (isMissing(value[categoryField]) && !isMissing(category)) {
+            value[categoryField] = category;
+            assumptions.push({ field: categoryField, value: category, reason: 'inferred' });
+        }
+    }
+
+    const required = [...(schema.required || [])];
+    (schema['x-required-when'] || []).forEach(rule => {
+        const applies = Object.entries(rule.when).every(([f, v]) => {
+            const given = isMissing(value[f]) && properties[f] ? properties[f].default : value[f];
+            return matches(given, v);
+        });
+        if (applies) required.push(...rule.required.map(f => ({ field: f, when: rule.when })));
+    });
+
+    const missing = new Set();
+    required.forEach(entry => {
+        const field = typeof entry === 'string' ? entry : entry.field;
+        if (!isMissing(value[field]) || missing.has(field)) return;
+        missing.add(field);
+        const condition = entry.when
+            ? ` when ${Object.entries(entry.when).map(([f, v]) => `${f} = ${v}`).join(' and ')}`
+            : '';
+        errors.push({ field, code: 'required', message: `${field} is required${condition}`, value: null });
+    });
+
+    for (const [field, spec] of Object.entries(properties)) {
+        if (!isMissing(value[field]) || spec.default === undefined || missing.has(field)) continue;
+        value[field] = spec.default;
+        assumptions.push({ field, value: spec.default, reason: 'default' });
+    }
+
+    return { valid: errors.length === 0, errors, value, assumptions, category };
+}
+
+module.exports = {
+    InputValidationError,
+    validateInput
+};
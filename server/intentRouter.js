@@ -0,0 +1,218 @@
+/**
+ * OpLogica Intent Router — which assessment engine, if any, a chat message is for
+ * Each engine registers a detector: phrases that name the assessment (any language),
+ * domain terms (matched at word starts, so "mortgage" does not count as "age") and the
+ * input fields its extractor can find. Every message is scored against every engine:
+ *   phrase named       0.6
+ *   domain terms       0.15 each, up to 0.45
+ *   input coverage     + 0.4 × share of the engine's required fields extracted
+ * capped at 1. The best engine at or above the threshold wins; when the runner-up is
+ * also above it and within the margin, the router reports the match as ambiguous so
+ * the chat asks which engine was meant instead of guessing.
+ * A leading slash command (/credit, /triage, ...) forces its engine and skips scoring.
+ *
+ * Routing decisions are appended to intent_routing_log — message hash (never the text),
+ * scores and outcome — so thresholds and detectors can be tuned against real traffic.
+ *
+ * Configuration:
+ *   INTENT_ROUTE_THRESHOLD  — minimum confidence to route (default 0.5)
+ *   INTENT_AMBIGUITY_MARGIN — runner-up closer than this is ambiguous (default 0.15)
+ */
+
+const crypto = require('crypto');
+
+const PHRASE_WEIGHT = 0.6;
+const TERM_WEIGHT = 0.15;
+const MAX_TERM_SCORE = 0.45;
+const COVERAGE_WEIGHT = 0.4;
+const DEFAULT_THRESHOLD = parseFloat(process.env.INTENT_ROUTE_THRESHOLD) || 0.5;
+const DEFAULT_MARGIN = parseFloat(process.env.INTENT_AMBIGUITY_MARGIN) || 0.15;
+const COMMAND = /^\s*\/([a-z][\w-]*)\b\s*/i;
+const OUTCOMES = ['decided', 'asked', 'clarify', 'fallthrough'];
+
+function round(value) {
+    return Number(value.toFixed(4));
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SCORING
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Confidence that the message is for one registered intent, with the signals behind it.
+ */
+function scoreIntent(intent, message) {
+    const lower = message.toLowerCase();
+    const phrase = intent.phrases.find(p => lower.includes(p.toLowerCase())) || null;
+    const terms = intent.termPatterns.filter(re => re.test(message)).length;
+    const extracted = intent.extract ? intent.extract(message) : {};
+    const params = intent.resolve ? intent.resolve(extracted) : extracted;
+    const found = intent.fields.filter(f => params[f] !== undefined && params[f] !== null);
+    const coverage = intent.fields.length ? found.length / intent.fields.length : 0;
+
+    const base = Math.max(phrase ? PHRASE_WEIGHT : 0, Math.min(MAX_TERM_SCORE, terms * TERM_WEIGHT));
+    const confidence = base > 0 ? round(Math.min(1, base + COVERAGE_WEIGHT * coverage)) : 0;
+    return { intent: intent.key, confidence, phrase, terms, coverage: round(coverage) };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ROUTER
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * pool    — pg pool for intent_routing_log
+ * options — { threshold, margin }
+ */
+function createIntentRouter(pool, options = {}) {
+    const threshold = options.threshold || DEFAULT_THRESHOLD;
+    const margin = options.margin || DEFAULT_MARGIN;
+    const intents = new Map();
+    const commands = new Map();
+
+    /**
+     * spec — { key, commands: ['credit', ...], phrases: [...], terms: [...], fields: [...],
+     *          extract: (message) → params, resolve: optional (params) → params with the inputs
+     *          the engine derives itself (counted as found), ...anything the caller wants back from get() }
+     */
+    function register(spec) {
+        if (!spec || !spec.key) throw new Error('Intent key is required');
+        if (intents.has(spec.key)) throw new Error(`Intent already registered: ${spec.key}`);
+        const intent = {
+            ...spec,
+            commands: spec.commands || [spec.key],
+            phrases: spec.phrases || [],
+            fields: spec.fields || [],
+            termPatterns: (spec.terms || []).map(term => new RegExp(`\\b${escapeRegex(term)}`, 'i'))
+        };
+        intent.commands.forEach(command => {
+            const name = command.toLowerCase();
+            if (commands.has(name)) throw new Error(`Command /${name} already belongs to ${commands.get(name)}`);
+            commands.set(name, spec.key);
+        });
+        intents.set(spec.key, intent);
+        return intent;
+    }
+
+    function get(key) {
+        return intents.get(key) || null;
+    }
+
+    function list() {
+        return [...intents.values()].map(i => ({ key: i.key, commands: i.commands.map(c => `/${c}`) }));
+    }
+
+    /**
+     * Routes one message. Returns
+     *   { intent, forced, command, ambiguous, confidence, candidates: [{ intent, confidence, ... }], message }
+     * intent is null when nothing reaches the threshold or the match is ambiguous;
+     * message is the text without its slash command.
+     */
+    function route(rawMessage) {
+        const text = typeof rawMessage === 'string' ? rawMessage : '';
+        const match = text.match(COMMAND);
+        if (match && commands.has(match[1].toLowerCase())) {
+            const key = commands.get(match[1].toLowerCase());
+            return {
+                intent: key,
+                forced: true,
+                command: match[1].toLowerCase(),
+                ambiguous: false,
+                confidence: 1,
+                candidates: [],
+                message: text.slice(match[0].length)
+            };
+        }
+
+        const candidates = [...intents.values()]
+            .map(intent => scoreIntent(intent, text))
+            .filter(c => c.confidence > 0)
+            .sort((a, b) => b.confidence - a.confidence || a.intent.localeCompare(b.intent));
+        const [best, second] = candidates;
+        const routed = best && best.confidence >= threshold;
+        const ambiguous = Boolean(routed && second && second.confidence >= threshold && best.confidence - second.confidence < margin);
+        return {
+            intent: routed && !ambiguous ? best.intent : null,
+            forced: false,
+            command: null,
+            ambiguous,
+            confidence: best ? best.confidence : 0,
+            candidates,
+            message: text
+        };
+    }
+
+    /**
+     * Candidates a clarifying question should offer: every one within the margin of the best.
+     */
+    function contenders(routing) {
+        const best = routing.candidates[0];
+        if (!best) return [];
+        return routing.candidates.filter(c => c.confidence >= threshold && best.confidence - c.confidence < margin);
+    }
+
+    /**
+     * Appends one routing decision. outcome — decided | asked | clarify | fallthrough
+     * Messages nothing scored on are not logged.
+     */
+    async function log(routing, { message, outcome, language, conversationId, userId }) {
+        if (!routing.forced && routing.candidates.length === 0) return null;
+        if (!OUTCOMES.includes(outcome)) throw new Error(`Unknown routing outcome: ${outcome}`);
+        const result = await pool.query(
+            `INSERT INTO intent_routing_log
+                (message_hash, language, conversation_id, user_id, command, intent, confidence, ambiguous, candidates, outcome)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+             RETURNING id, created_at`,
+            [
+                crypto.createHash('sha256').update(message || '').digest('hex'),
+                language || null,
+                conversationId || null,
+                userId || null,
+                routing.command,
+                routing.intent,
+                routing.confidence,
+                routing.ambiguous,
+                JSON.stringify(routing.candidates.map(c => ({ intent: c.intent, confidence: c.confidence, phrase: Boolean(c.phrase), terms: c.terms, coverage: c.coverage }))),
+                outcome
+            ]
+        );
+        return result.rows[0];
+    }
+
+    /**
+     * Outcome counts and mean confidence per routed intent (NULL intent = clarifications),
+     * for tuning threshold and margin. since / until — ISO 8601 bounds on created_at.
+     */
+    async function stats({ since, until } = {}) {
+        const result = await pool.query(
+            `SELECT intent, outcome, (command IS NOT NULL) AS forced, COUNT(*) AS count, AVG(confidence) AS mean_confidence
+             FROM intent_routing_log
+             WHERE ($1::timestamptz IS NULL OR created_at >= $1) AND ($2::timestamptz IS NULL OR created_at < $2)
+             GROUP BY intent, outcome, (command IS NOT NULL)
+             ORDER BY intent NULLS FIRST, outcome`,
+            [since || null, until || null]
+        );
+        const byIntent = {};
+        let total = 0;
+        result.rows.forEach(row => {
+            const key = row.intent || 'unrouted';
+            const count = Number(row.count);
+            const entry = byIntent[key] || (byIntent[key] = { total: 0, forced: 0, outcomes: {}, mean_confidence: 0 });
+            entry.mean_confidence = round((entry.mean_confidence * entry.total + Number(row.mean_confidence || 0) * count) / (entry.total + count));
+            entry.total += count;
+            if (row.forced) entry.forced += count;
+            entry.outcomes[row.outcome] = (entry.outcomes[row.outcome] || 0) + count;
+            total += count;
+        });
+        return { threshold, margin, since: since || null, until: until || null, total, intents: byIntent };
+    }
+
+    return { threshold, margin, register, get, list, route, contenders, log, stats };
+}
+
+module.exports = {
+    createIntentRouter
+};
@@ -0,0 +1,167 @@
+/**
+ * OpLogica Signing Keyring — Ed25519 keys with ids and rotation
+ * Proofs are signed with the active private key and carry its kid. Public keys
+ * of retired keys stay published so historic bundles keep verifying; their
+ * private keys are deleted at rotation.
+ *
+ * Storage: SIGNING_KEYS_DIR/keyring.json (default server/keys/, mode 0600).
+ * Rotation: `node keyring.js rotate`, or automatically once the active key is
+ * older than SIGNING_KEY_ROTATE_DAYS (unset = never).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const KEYS_DIR = process.env.SIGNING_KEYS_DIR || path.join(__dirname, 'keys');
+const KEYRING_FILE = path.join(KEYS_DIR, 'keyring.json');
+const ROTATE_DAYS = parseFloat(process.env.SIGNING_KEY_ROTATE_DAYS) || null;
+const ALG = 'Ed25519';
+
+let keys = null; // [{ kid, alg, created_at, retired_at, public_key, private_key? }] (PEM)
+
+// ═══════════════════════════════════════════════════════════════
+// STORAGE
+// ═══════════════════════════════════════════════════════════════
+
+function load() {
+    if (keys) return keys;
+    keys = fs.existsSync(KEYRING_FILE) ? JSON.parse(fs.readFileSync(KEYRING_FILE, 'utf8')).keys : [];
+    return keys;
+}
+
+function save() {
+    fs.mkdirSync(KEYS_DIR, { recursive: true, mode: 0o700 });
+    const tmp = KEYRING_FILE + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify({ keys }, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, KEYRING_FILE);
+}
+
+function kidFor(publicKey) {
+    const der = publicKey.export({ type: 'spki', format: 'der' });
+    return 'opl-' + crypto.createHash('sha256').update(der).digest('hex').slice(0, 16);
+}
+
+function generateKey() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    return {
+        kid: kidFor(publicKey),
+        alg: ALG,
+        created_at: new Date().toISOString(),
+        retired_at: null,
+        public_key: publicKey.export({ type: 'spki', format: 'pem' }),
+        private_key: privateKey.export({ type: 'pkcs8', format: 'pem' })
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ROTATION
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Retires the active key (dropping its private half) and activates a new one.
+ */
+function rotate() {
+    load();
+    const now = new Date().toISOString();
+    keys.forEach(k => {
+        if (!k.retired_at) k.retired_at = now;
+        delete k.private_key;
+    });
+    const key = generateKey();
+    keys.push(key);
+    save();
+    return key;
+}
+
+function activeKey() {
+    load();
+    let key = keys.find(k => !k.retired_at && k.private_key);
+    if (!key) return rotate();
+    if (ROTATE_DAYS && Date.now() - Date.parse(key.created_at) > ROTATE_DAYS * 86400000) key = rotate();
+    return key;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SIGN / VERIFY
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Signs a string with the active key. Returns { alg, kid, signature } (base64url).
+ */
+function sign(data) {
+    const key = activeKey();
+    const signature = crypto.sign(null, Buffer.from(data), key.private_key).toString('base64url');
+    return { alg: ALG, kid: key.kid, signature };
+}
+
+function getPublicKey(kid) {
+    const key = load().find(k => k.kid === kid);
+    return key ? key.public_key : null;
+}
+
+/**
+ * Verifies an Ed25519 signature against a public key (PEM). Needs no keyring,
+ * so relying parties can call it with a key fetched from the JWKS endpoint.
+ */
+function verifyWithKey(data, signature, publicKey) {
+    if (!publicKey || typeof signature !== 'string') return false;
+    try {
+        return crypto.verify(null, Buffer.from(data), publicKey, Buffer.from(signature, 'base64url'));
+    } catch (e) {
+        return false;
+    }
+}
+
+function verify(data, signature, kid) {
+    return verifyWithKey(data, signature, getPublicKey(kid));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PUBLICATION (JWKS)
+// ═══════════════════════════════════════════════════════════════
+
+function jwks() {
+    activeKey();
+    return {
+        keys: keys.map(k => ({
+            ...crypto.createPublicKey(k.public_key).export({ format: 'jwk' }),
+            kid: k.kid,
+            use: 'sig',
+            alg: 'EdDSA',
+            status: k.retired_at ? 'retired' : 'active',
+            created_at: k.created_at,
+            retired_at: k.retired_at
+        }))
+    };
+}
+
+/**
+ * Converts a published JWK back to a public key usable with verifyWithKey().
+ */
+function publicKeyFromJwk(jwk) {
+    return crypto.createPublicKey({ key: { kty: jwk.kty, crv: jwk.crv, x: jwk.x }, format: 'jwk' });
+}
+
+module.exports = {
+    ALG,
+    sign,
+    verify,
+    verifyWithKey,
+    getPublicKey,
+    publicKeyFromJwk,
+    rotate,
+    jwks
+};
+
+if (require.main === module) {
+    const cmd = process.argv[2];
+    if (cmd === 'rotate') {
+        const key = rotate();
+        console.log(`Rotated signing key — active kid: ${key.kid}`);
+    } else if (cmd === 'list') {
+        jwks().keys.forEach(k => console.log(`${k.kid}  ${k.status.padEnd(7)}  created ${k.created_at}${k.retired_at ? `  retired ${k.retired_at}` : ''}`));
+    } else {
+        console.log('Usage: node keyring.js <rotate|list>');
+    }
+}
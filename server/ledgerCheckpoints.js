@@ -0,0 +1,195 @@
+/**
+ * OpLogica Ledger Checkpoints — signed Merkle roots over periods of the ledger
+ * Each checkpoint covers the decision_ledger entries appended since the previous
+ * one: its leaves are their entry_hash values in seq order, its root is signed
+ * with the keyring's active key and chained to the previous checkpoint's root.
+ * An inclusion proof (sibling path) shows that one decision is under a published
+ * root without handing out the rest of the ledger.
+ *
+ * Signed payload: canonical JSON of { checkpoint_id, first_seq, last_seq, leaf_count, root, prev_root, created_at }
+ */
+
+const {
+    signProof,
+    verifyProofSignature,
+    computeMerkleRoot,
+    computeMerkleProof,
+    verifyMerkleProof
+} = require('./verificationCore');
+const { canonicalize } = require('./canonicalJson');
+const { GENESIS_HASH, entryHash } = require('./decisionLedger');
+
+const CHECKPOINT_LOCK = 'ledger_checkpoint';
+
+function checkpointPayload(cp) {
+    return canonicalize({
+        checkpoint_id: Number(cp.checkpoint_id),
+        first_seq: Number(cp.first_seq),
+        last_seq: Number(cp.last_seq),
+        leaf_count: Number(cp.leaf_count),
+        root: cp.root,
+        prev_root: cp.prev_root,
+        created_at: new Date(cp.created_at).toISOString()
+    });
+}
+
+function toCheckpoint(row) {
+    return {
+        checkpoint_id: Number(row.checkpoint_id),
+        first_seq: Number(row.first_seq),
+        last_seq: Number(row.last_seq),
+        leaf_count: Number(row.leaf_count),
+        root: row.root,
+        prev_root: row.prev_root,
+        created_at: new Date(row.created_at).toISOString(),
+        signature: row.signature,
+        kid: row.kid,
+        signature_alg: row.signature_alg
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// OFFLINE VERIFICATION
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Checks an inclusion proof as returned by getInclusionProof(). Needs only the
+ * proof and the published public keys (options.getPublicKey, default local keyring).
+ * Pass options.bundle to also tie the leaf to the bundle the relying party holds.
+ */
+function verifyInclusionProof(proof, options = {}) {
+    const { entry, leaf, path, checkpoint } = proof || {};
+    if (!entry || !checkpoint || !Array.isArray(path)) {
+        return { valid: false, checks: { structure: false } };
+    }
+    const checks = {
+        leaf_matches_entry: entryHash(entry.prev_hash, entry.decision_id, entry.domain, entry.merkle_root, entry.bundle_hash) === leaf,
+        path_reaches_root: verifyMerkleProof(leaf, path, checkpoint.root),
+        checkpoint_signature: verifyProofSignature(checkpointPayload(checkpoint), checkpoint, { getPublicKey: options.getPublicKey }),
+        seq_in_range: entry.seq >= checkpoint.first_seq && entry.seq <= checkpoint.last_seq
+    };
+    if (options.bundle) {
+        checks.bundle_matches_entry = options.bundle.bundle_id === entry.decision_id && options.bundle.merkle_root === entry.merkle_root;
+    }
+    return { valid: Object.values(checks).every(Boolean), checks };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// CHECKPOINT FACTORY
+// ═══════════════════════════════════════════════════════════════
+
+function createLedgerCheckpoints(pool) {
+
+    /**
+     * Seals every ledger entry appended since the last checkpoint.
+     * Returns the new checkpoint, or null when there is nothing new.
+     */
+    async function createCheckpoint() {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [CHECKPOINT_LOCK]);
+            const last = await client.query('SELECT checkpoint_id, last_seq, root FROM ledger_checkpoints ORDER BY checkpoint_id DESC LIMIT 1');
+            const prev = last.rows[0] || null;
+            const entries = await client.query(
+                'SELECT seq, entry_hash FROM decision_ledger WHERE seq > $1 ORDER BY seq ASC',
+                [prev ? prev.last_seq : 0]
+            );
+            if (entries.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            const cp = {
+                checkpoint_id: prev ? Number(prev.checkpoint_id) + 1 : 1,
+                first_seq: Number(entries.rows[0].seq),
+                last_seq: Number(entries.rows[entries.rows.length - 1].seq),
+                leaf_count: entries.rows.length,
+                root: computeMerkleRoot(entries.rows.map(r => r.entry_hash)),
+                prev_root: prev ? prev.root : GENESIS_HASH,
+                created_at: new Date().toISOString()
+            };
+            const { signature, kid, signature_alg } = signProof(checkpointPayload(cp));
+            const result = await client.query(
+                `INSERT INTO ledger_checkpoints
+                    (checkpoint_id, first_seq, last_seq, leaf_count, root, prev_root, signature, kid, signature_alg, created_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                 RETURNING *`,
+                [cp.checkpoint_id, cp.first_seq, cp.last_seq, cp.leaf_count, cp.root, cp.prev_root, signature, kid, signature_alg, cp.created_at]
+            );
+            await client.query('COMMIT');
+            return toCheckpoint(result.rows[0]);
+        } catch (err) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    async function list({ limit = 50 } = {}) {
+        const result = await pool.query(
+            'SELECT * FROM ledger_checkpoints ORDER BY checkpoint_id DESC LIMIT $1',
+            [Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500)]
+        );
+        return result.rows.map(toCheckpoint);
+    }
+
+    async function get(checkpointId) {
+        const result = await pool.query('SELECT * FROM ledger_checkpoints WHERE checkpoint_id = $1', [Number(checkpointId)]);
+        return result.rows[0] ? toCheckpoint(result.rows[0]) : null;
+    }
+
+    /**
+     * Inclusion proof for one decision: the ledger entry fields that hash to the
+     * leaf, the sibling path and the signed checkpoint it is under.
+     * Returns null for an unknown decision; { checkpoint: null } while it awaits the next checkpoint.
+     */
+    async function getInclusionProof(decisionId) {
+        const found = await pool.query(
+            'SELECT seq, decision_id, domain, merkle_root, bundle_hash, prev_hash, entry_hash FROM decision_ledger WHERE decision_id = $1',
+            [decisionId]
+        );
+        const row = found.rows[0];
+        if (!row) return null;
+
+        const entry = {
+            seq: Number(row.seq),
+            decision_id: row.decision_id,
+            domain: row.domain,
+            merkle_root: row.merkle_root,
+            bundle_hash: row.bundle_hash,
+            prev_hash: row.prev_hash
+        };
+        const covering = await pool.query(
+            'SELECT * FROM ledger_checkpoints WHERE first_seq <= $1 AND last_seq >= $1',
+            [entry.seq]
+        );
+        if (!covering.rows[0]) return { id: row.decision_id, entry, leaf: row.entry_hash, checkpoint: null };
+
+        const checkpoint = toCheckpoint(covering.rows[0]);
+        const leaves = await pool.query(
+            'SELECT seq, entry_hash FROM decision_ledger WHERE seq >= $1 AND seq <= $2 ORDER BY seq ASC',
+            [checkpoint.first_seq, checkpoint.last_seq]
+        );
+        const hashes = leaves.rows.map(r => r.entry_hash);
+        const index = leaves.rows.findIndex(r => Number(r.seq) === entry.seq);
+
+        return {
+            id: row.decision_id,
+            entry,
+            leaf: row.entry_hash,
+            leaf_index: index,
+            path: computeMerkleProof(hashes, index),
+            checkpoint
+        };
+    }
+
+    return { createCheckpoint, list, get, getInclusionProof };
+}
+
+module.exports = {
+    checkpointPayload,
+    verifyInclusionProof,
+    createLedgerCheckpoints
+};
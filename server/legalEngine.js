@@ -1,22 +1,22 @@
 /**
- * OpLogica Legal Compliance Engine v1.0 — Triadic Verification
+ * OpLogica Legal Compliance Engine v1.1 — Triadic Verification
  * Legal Case Assessment Protocol with contract, regulatory, and liability analysis.
  * DETERMINISTIC: same inputs → same outputs.
  *
  * Domains: Contract Validity, Regulatory Compliance, Liability Assessment, Dispute Risk
- * Rules: 10 legal decision rules with full cryptographic proof bundles
+ * Rules: 11 legal decision rules, executed from the policy DSL, with full cryptographic proof bundles
  * Verification: PoO (Proof of Origin), PoR (Proof of Reason), PoI (Proof of Intent)
  */
 
-const crypto = require('crypto');
-
-const POO_SECRET = process.env.POO_SECRET || 'oplogica-verification-key';
+const { sealPolicy, computeMerkleRoot, defineEngine } = require('./verificationCore');
+const { compileVersions, runPolicy, checkPolicy } = require('./policyDsl');
 
 // ═══════════════════════════════════════════════════════════════
 // POLICY DECLARATION (Axiom 3.1 — Temporal Precedence)
 // ═══════════════════════════════════════════════════════════════
 
-const LEGAL_POLICY = {
+// Superseded by v1.1. Kept registered, and executable, so bundles decided under it still re-verify.
+const LEGAL_POLICY_V1_0 = sealPolicy({
     policy_name: 'Legal Compliance Assessment Protocol v1.0',
     authority: 'OpLogica Legal Ethics Framework',
     declaration_timestamp: '2024-11-15T09:00:00Z',
@@ -35,51 +35,108 @@ const LEGAL_POLICY = {
     ],
     policy_hash: null,
     authority_signature: null
-};
+});
 
-(function () {
-    const payload = JSON.stringify({
-        name: LEGAL_POLICY.policy_name,
-        version: LEGAL_POLICY.version,
-        declaration_timestamp: LEGAL_POLICY.declaration_timestamp,
-        constraints: LEGAL_POLICY.constraints.map(c => c.id + c.rule)
-    });
-    LEGAL_POLICY.policy_hash = crypto.createHash('sha256').update(payload).digest('hex');
-    LEGAL_POLICY.authority_signature = crypto.createHmac('sha256', POO_SECRET).update(LEGAL_POLICY.policy_hash).digest('hex');
-})();
+// Rule changes over v1.0: facts are named by their input fields, L2 also raises risk_level to
+// MEDIUM, and L11 sends approved HIGH-risk cases to further review.
+const LEGAL_POLICY = sealPolicy({
+    policy_name: 'Legal Compliance Assessment Protocol v1.1',
+    authority: 'OpLogica Legal Ethics Framework',
+    declaration_timestamp: '2026-10-18T18:00:00Z',
+    version: '1.1.0',
+    scales: {
+        recommendation: ['APPROVED', 'FURTHER_REVIEW', 'REJECTED'],
+        risk_level: ['LOW', 'MEDIUM', 'HIGH']
+    },
+    counter: 'triggered_risks',
+    constraints: [
+        { id: 'L1', name: 'contract_validity', rule: 'WHEN contract_validity < 0.4 THEN recommendation = REJECTED', severity: 'mandatory' },
+        { id: 'L2', name: 'regulatory_compliance', rule: 'WHEN regulatory_compliance < 0.5 THEN flag_non_compliant = TRUE AND risk_level >= MEDIUM', severity: 'mandatory' },
+        { id: 'L3', name: 'liability_threshold', rule: 'WHEN liability_exposure > 0.7 THEN risk_level = HIGH', severity: 'mandatory' },
+        { id: 'L4', name: 'jurisdiction_check', rule: 'WHEN jurisdiction_recognized = FALSE THEN recommendation = REJECTED', severity: 'mandatory' },
+        { id: 'L5', name: 'statute_of_limitations', rule: 'WHEN within_statute = FALSE THEN recommendation = REJECTED', severity: 'mandatory' },
+        { id: 'L6', name: 'evidence_sufficiency', rule: 'WHEN evidence_score < 0.3 THEN recommendation ≠ APPROVED', severity: 'mandatory' },
+        { id: 'L7', name: 'conflict_of_interest', rule: 'WHEN conflict_of_interest = TRUE THEN flag_conflict = TRUE', severity: 'warning' },
+        { id: 'L8', name: 'precedent_alignment', rule: 'WHEN precedent_alignment < 0.4 THEN risk_level >= MEDIUM', severity: 'mandatory' },
+        { id: 'L9', name: 'financial_exposure', rule: 'WHEN financial_exposure > financial_threshold THEN require_senior_review = TRUE', severity: 'warning' },
+        { id: 'L10', name: 'multi_risk', rule: 'WHEN triggered_risks >= 3 THEN risk_level >= MEDIUM', severity: 'mandatory' },
+        { id: 'L11', name: 'high_risk_review', rule: 'WHEN risk_level = HIGH THEN recommendation ≠ APPROVED', severity: 'mandatory' }
+    ],
+    policy_hash: null,
+    authority_signature: null
+});
+
+// Rules are executed straight from the declared text above (see policyDsl.js).
+// v1.0 names facts by path and predates declared scales and counter; it runs on v1.1's.
+const rulesFor = compileVersions([
+    [LEGAL_POLICY_V1_0, {
+        scales: LEGAL_POLICY.scales,
+        counter: LEGAL_POLICY.counter,
+        aliases: {
+            'contract.validity_score': 'contract_validity',
+            'regulatory.compliance_score': 'regulatory_compliance',
+            'liability.exposure_ratio': 'liability_exposure',
+            'jurisdiction.recognized': 'jurisdiction_recognized',
+            'case.filing_within_statute': 'within_statute',
+            'evidence.score': 'evidence_score',
+            'conflict.detected': 'conflict_of_interest',
+            'precedent.alignment': 'precedent_alignment',
+            'financial.exposure': 'financial_exposure',
+            threshold: 'financial_threshold'
+        }
+    }],
+    [LEGAL_POLICY]
+]);
 
 // ═══════════════════════════════════════════════════════════════
-// CRYPTOGRAPHIC FUNCTIONS
+// INPUT SCHEMA
 // ═══════════════════════════════════════════════════════════════
 
-function generateSignature(data) {
-    return crypto.createHmac('sha256', POO_SECRET).update(data).digest('hex');
-}
+// Defaults follow the L-rule fallbacks (the risk score used to assume different ones)
+const LEGAL_INPUT_SCHEMA = {
+    $id: 'oplogica.input.legal/1',
+    type: 'object',
+    properties: {
+        contract_validity: { type: 'number', minimum: 0, maximum: 1, default: 0.7 },
+        regulatory_compliance: { type: 'number', minimum: 0, maximum: 1, default: 0.7 },
+        liability_exposure: { type: 'number', minimum: 0, maximum: 1, default: 0.3 },
+        evidence_score: { type: 'number', minimum: 0, maximum: 1 },
+        precedent_alignment: { type: 'number', minimum: 0, maximum: 1, default: 0.6 },
+        jurisdiction_recognized: { type: 'boolean' },
+        within_statute: { type: 'boolean' },
+        conflict_of_interest: { type: 'boolean', default: false },
+        financial_exposure: { type: 'number', minimum: 0, default: 0 },
+        financial_threshold: { type: 'number', exclusiveMinimum: 0, default: 100000 },
+        case_type: { type: 'string', enum: ['CONTRACT', 'LIABILITY', 'REGULATORY', 'GENERAL'] }
+    },
+    required: ['evidence_score', 'jurisdiction_recognized', 'within_statute'],
+    'x-category': 'case_type',
+    'x-required-when': [
+        { when: { case_type: 'CONTRACT' }, required: ['contract_validity'] },
+        { when: { case_type: 'LIABILITY' }, required: ['liability_exposure'] },
+        { when: { case_type: 'REGULATORY' }, required: ['regulatory_compliance'] }
+    ]
+};
 
-function computeMerkleRoot(hashes) {
-    if (hashes.length === 0) return crypto.createHash('sha256').update('empty').digest('hex');
-    if (hashes.length === 1) return hashes[0];
-    const paired = [];
-    for (let i = 0; i < hashes.length; i += 2) {
-        const left = hashes[i];
-        const right = hashes[i + 1] || left;
-        paired.push(crypto.createHash('sha256').update(left + right).digest('hex'));
-    }
-    return computeMerkleRoot(paired);
-}
+// ═══════════════════════════════════════════════════════════════
+// VERIFICATION KERNEL
+// ═══════════════════════════════════════════════════════════════
 
-function generatePoO(caseData, policy, timestamp) {
-    const state = JSON.stringify({ D: caseData, P: policy, T: timestamp });
-    const hash = crypto.createHash('sha256').update(state).digest('hex');
-    const signature = crypto.createHmac('sha256', POO_SECRET).update(hash + timestamp).digest('hex');
-    return {
-        hash,
-        timestamp,
-        signature,
-        algorithm: 'SHA-256',
-        state_reference: `PoO-LEG-${Date.now()}`
-    };
-}
+const kernel = defineEngine({
+    domain: 'legal',
+    code: 'LEG',
+    policies: [LEGAL_POLICY_V1_0, LEGAL_POLICY],
+    buildReasonGraph,
+    checkConstraints,
+    inputSchema: LEGAL_INPUT_SCHEMA,
+    ruleFields: {
+        'contract.validity_score': 'contract_validity',
+        'regulatory.compliance_score': 'regulatory_compliance',
+        'liability.exposure_ratio': 'liability_exposure',
+        threshold: 'financial_threshold'
+    },
+    inferCategory: detectCaseType
+});
 
 // ═══════════════════════════════════════════════════════════════
 // CASE TYPE DETECTION
@@ -109,19 +166,19 @@ function calculateLegalRisk(caseData) {
     };
 
     // Contract risk (lower validity = higher risk)
-    score += (1 - Math.min(1, Math.max(0, caseData.contract_validity || 0.5))) * weights.contract;
+    score += (1 - Math.min(1, Math.max(0, caseData.contract_validity))) * weights.contract;
 
     // Regulatory risk (lower compliance = higher risk)
-    score += (1 - Math.min(1, Math.max(0, caseData.regulatory_compliance || 0.5))) * weights.regulatory;
+    score += (1 - Math.min(1, Math.max(0, caseData.regulatory_compliance))) * weights.regulatory;
 
     // Liability exposure (higher = higher risk)
-    score += Math.min(1, Math.max(0, caseData.liability_exposure || 0)) * weights.liability;
+    score += Math.min(1, Math.max(0, caseData.liability_exposure)) * weights.liability;
 
     // Evidence weakness (lower = higher risk)
-    score += (1 - Math.min(1, Math.max(0, caseData.evidence_score || 0.5))) * weights.evidence;
+    score += (1 - Math.min(1, Math.max(0, caseData.evidence_score))) * weights.evidence;
 
     // Precedent misalignment (lower = higher risk)
-    score += (1 - Math.min(1, Math.max(0, caseData.precedent_alignment || 0.5))) * weights.precedent;
+    score += (1 - Math.min(1, Math.max(0, caseData.precedent_alignment))) * weights.precedent;
 
     // Jurisdiction risk
     const jurisRisk = caseData.jurisdiction_recognized === false ? 1.0 : 0.0;
@@ -131,149 +188,57 @@ function calculateLegalRisk(caseData) {
 }
 
 // ═══════════════════════════════════════════════════════════════
-// DECISION ENGINE (10 Rules)
+// RULE FACTS
 // ═══════════════════════════════════════════════════════════════
 
-function evaluateLegal(caseData) {
+/**
+ * Case fields with documented defaults — the identifiers the L-rules read.
+ */
+function legalFacts(caseData) {
+    return {
+        contract_validity: caseData.contract_validity != null ? caseData.contract_validity : 0.7,
+        regulatory_compliance: caseData.regulatory_compliance != null ? caseData.regulatory_compliance : 0.7,
+        liability_exposure: caseData.liability_exposure != null ? caseData.liability_exposure : 0.3,
+        evidence_score: caseData.evidence_score != null ? caseData.evidence_score : 0.6,
+        precedent_alignment: caseData.precedent_alignment != null ? caseData.precedent_alignment : 0.6,
+        jurisdiction_recognized: caseData.jurisdiction_recognized !== false,
+        within_statute: caseData.within_statute !== false,
+        conflict_of_interest: caseData.conflict_of_interest === true,
+        financial_exposure: caseData.financial_exposure,
+        financial_threshold: caseData.financial_threshold
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// DECISION ENGINE (11 Rules)
+// ═══════════════════════════════════════════════════════════════
+
+function evaluateLegal(rawInput) {
+    const { input: caseData, assumptions } = kernel.prepareInput(rawInput);
     const timestamp = new Date().toISOString();
     const caseType = detectCaseType(caseData);
     const riskScore = calculateLegalRisk(caseData);
 
-    let recommendation = 'APPROVED';
-    let riskLevel = 'LOW';
-    let flagNonCompliant = false;
-    let flagConflict = false;
-    let requireSeniorReview = false;
-    const reasons = [];
-    let triggeredCount = 0;
-
-    const cv = caseData.contract_validity != null ? caseData.contract_validity : 0.7;
-    const rc = caseData.regulatory_compliance != null ? caseData.regulatory_compliance : 0.7;
-    const le = caseData.liability_exposure != null ? caseData.liability_exposure : 0.3;
-    const es = caseData.evidence_score != null ? caseData.evidence_score : 0.6;
-    const pa = caseData.precedent_alignment != null ? caseData.precedent_alignment : 0.6;
-    const jr = caseData.jurisdiction_recognized !== false;
-    const sl = caseData.within_statute !== false;
-    const ci = caseData.conflict_of_interest === true;
-    const fe = caseData.financial_exposure || 0;
-    const feThreshold = caseData.financial_threshold || 100000;
-
-    // ── L1: Contract Validity ──
-    const l1 = cv < 0.4;
-    if (l1) {
-        recommendation = 'REJECTED';
-        reasons.push(`L1: contract_validity=${cv} < 0.4 → recommendation = REJECTED`);
-        triggeredCount++;
-    }
-
-    // ── L2: Regulatory Compliance ──
-    const l2 = rc < 0.5;
-    if (l2) {
-        flagNonCompliant = true;
-        if (riskLevel === 'LOW') riskLevel = 'MEDIUM';
-        reasons.push(`L2: regulatory_compliance=${rc} < 0.5 → flag_non_compliant = TRUE`);
-        triggeredCount++;
-    }
-
-    // ── L3: Liability Threshold ──
-    const l3 = le > 0.7;
-    if (l3) {
-        riskLevel = 'HIGH';
-        reasons.push(`L3: liability_exposure=${le} > 0.7 → risk_level = HIGH`);
-        triggeredCount++;
-    }
-
-    // ── L4: Jurisdiction Check ──
-    const l4 = !jr;
-    if (l4) {
-        recommendation = 'REJECTED';
-        reasons.push(`L4: jurisdiction_recognized=FALSE → recommendation = REJECTED`);
-        triggeredCount++;
-    }
-
-    // ── L5: Statute of Limitations ──
-    const l5 = !sl;
-    if (l5) {
-        recommendation = 'REJECTED';
-        reasons.push(`L5: within_statute=FALSE → recommendation = REJECTED`);
-        triggeredCount++;
-    }
-
-    // ── L6: Evidence Sufficiency ──
-    const l6 = es < 0.3;
-    if (l6) {
-        if (recommendation === 'APPROVED') recommendation = 'FURTHER_REVIEW';
-        reasons.push(`L6: evidence_score=${es} < 0.3 → recommendation ≠ APPROVED`);
-        triggeredCount++;
-    }
-
-    // ── L7: Conflict of Interest ──
-    const l7 = ci;
-    if (l7) {
-        flagConflict = true;
-        reasons.push(`L7: conflict_of_interest=TRUE → flag_conflict = TRUE`);
-        triggeredCount++;
-    }
-
-    // ── L8: Precedent Alignment ──
-    const l8 = pa < 0.4;
-    if (l8) {
-        if (riskLevel === 'LOW') riskLevel = 'MEDIUM';
-        reasons.push(`L8: precedent_alignment=${pa} < 0.4 → risk_level >= MEDIUM`);
-        triggeredCount++;
-    }
-
-    // ── L9: Financial Exposure ──
-    const l9 = fe > feThreshold;
-    if (l9) {
-        requireSeniorReview = true;
-        reasons.push(`L9: financial_exposure=${fe} > ${feThreshold} → require_senior_review = TRUE`);
-        triggeredCount++;
-    }
-
-    // ── L10: Multi-Risk Escalation ──
-    const l10 = triggeredCount >= 3;
-    if (l10 && riskLevel === 'LOW') {
-        riskLevel = 'MEDIUM';
-        reasons.push(`L10: triggered_risks=${triggeredCount} >= 3 → risk_level >= MEDIUM`);
-    }
-
-    // Final recommendation adjustment based on risk
-    if (recommendation === 'APPROVED' && riskLevel === 'HIGH') {
-        recommendation = 'FURTHER_REVIEW';
-    }
-
-    const allRules = [
-        { id: 'L1', rule: 'IF contract_validity < 0.4 THEN REJECTED', triggered: l1, detail: `contract_validity = ${cv} ${l1 ? '<' : '≥'} 0.4` },
-        { id: 'L2', rule: 'IF regulatory_compliance < 0.5 THEN non_compliant', triggered: l2, detail: `regulatory_compliance = ${rc} ${l2 ? '<' : '≥'} 0.5` },
-        { id: 'L3', rule: 'IF liability_exposure > 0.7 THEN risk = HIGH', triggered: l3, detail: `liability_exposure = ${le} ${l3 ? '>' : '≤'} 0.7` },
-        { id: 'L4', rule: 'IF jurisdiction unrecognized THEN REJECTED', triggered: l4, detail: `jurisdiction_recognized = ${jr}` },
-        { id: 'L5', rule: 'IF outside statute of limitations THEN REJECTED', triggered: l5, detail: `within_statute = ${sl}` },
-        { id: 'L6', rule: 'IF evidence_score < 0.3 THEN ≠ APPROVED', triggered: l6, detail: `evidence_score = ${es} ${l6 ? '<' : '≥'} 0.3` },
-        { id: 'L7', rule: 'IF conflict_of_interest THEN flag_conflict', triggered: l7, detail: `conflict_of_interest = ${ci}` },
-        { id: 'L8', rule: 'IF precedent_alignment < 0.4 THEN risk ≥ MEDIUM', triggered: l8, detail: `precedent_alignment = ${pa} ${l8 ? '<' : '≥'} 0.4` },
-        { id: 'L9', rule: 'IF financial_exposure > threshold THEN senior_review', triggered: l9, detail: `financial_exposure = ${fe} ${l9 ? '>' : '≤'} ${feThreshold}` },
-        { id: 'L10', rule: 'IF triggered_risks ≥ 3 THEN risk ≥ MEDIUM', triggered: l10, detail: `triggered_risks = ${triggeredCount} ${l10 ? '≥' : '<'} 3` }
-    ];
+    const run = runPolicy(rulesFor(kernel.policyAt(timestamp)), legalFacts(caseData));
+    const reasons = run.trace.filter(t => t.triggered).map(t => t.reason);
+    const allRules = run.trace.map(t => ({ id: t.id, rule: t.rule, triggered: t.triggered, detail: t.detail }));
 
     const decision = {
-        recommendation,
-        risk_level: riskLevel,
+        recommendation: run.state.recommendation,
+        risk_level: run.state.risk_level,
         risk_score: riskScore,
         case_type: caseType,
-        non_compliant: flagNonCompliant,
-        conflict_flagged: flagConflict,
-        senior_review_required: requireSeniorReview,
-        triggered_rules: triggeredCount,
+        non_compliant: run.state.flag_non_compliant,
+        conflict_flagged: run.state.flag_conflict,
+        senior_review_required: run.state.require_senior_review,
+        triggered_rules: run.triggered_count,
         timestamp,
         reasons,
         allRules
     };
 
-    const poo = generatePoO(caseData, LEGAL_POLICY.policy_name, timestamp);
-    const por = generatePoR(caseData, decision);
-    const poi = verifyPoI(decision, caseData);
-    const bundle = createVerificationBundle(poo, por, poi);
+    decision.sensitivity = kernel.sensitivity(caseData, decision, evaluateLegal);
+    const bundle = kernel.issue(rawInput, decision, { input: caseData, assumptions });
 
     return { decision, verification_bundle: bundle };
 }
@@ -282,13 +247,13 @@ function evaluateLegal(caseData) {
 // PROOF OF REASON (PoR)
 // ═══════════════════════════════════════════════════════════════
 
-function generatePoR(caseData, decision) {
+function buildReasonGraph(caseData, decision) {
     const vertices = [
-        { id: 'p1', type: 'premise', label: `contract_validity = ${caseData.contract_validity || 0.7}` },
-        { id: 'p2', type: 'premise', label: `regulatory_compliance = ${caseData.regulatory_compliance || 0.7}` },
-        { id: 'p3', type: 'premise', label: `liability_exposure = ${caseData.liability_exposure || 0.3}` },
-        { id: 'p4', type: 'premise', label: `evidence_score = ${caseData.evidence_score || 0.6}` },
-        { id: 'p5', type: 'premise', label: `precedent_alignment = ${caseData.precedent_alignment || 0.6}` },
+        { id: 'p1', type: 'premise', label: `contract_validity = ${caseData.contract_validity}` },
+        { id: 'p2', type: 'premise', label: `regulatory_compliance = ${caseData.regulatory_compliance}` },
+        { id: 'p3', type: 'premise', label: `liability_exposure = ${caseData.liability_exposure}` },
+        { id: 'p4', type: 'premise', label: `evidence_score = ${caseData.evidence_score}` },
+        { id: 'p5', type: 'premise', label: `precedent_alignment = ${caseData.precedent_alignment}` },
         { id: 'p6', type: 'premise', label: `jurisdiction_recognized = ${caseData.jurisdiction_recognized !== false}` },
         { id: 'p7', type: 'premise', label: `within_statute = ${caseData.within_statute !== false}` },
         { id: 'p8', type: 'premise', label: `case_type = ${decision.case_type}` },
@@ -325,127 +290,39 @@ function generatePoR(caseData, decision) {
         { from: 'c2', to: 'c3', relation: 'produces' }
     ];
 
-    const graph = { vertices, edges };
-    const graphHash = crypto.createHash('sha256').update(JSON.stringify(graph)).digest('hex');
+    // L10 counts the rules above that fired
+    ['r1', 'r2', 'r3', 'r4', 'r5', 'r6', 'r7'].forEach(id => edges.push({ from: id, to: 'r8', relation: 'counts' }));
 
-    return {
-        graph,
-        hash: graphHash,
-        signature: generateSignature(graphHash)
-    };
+    return { vertices, edges };
 }
 
 // ═══════════════════════════════════════════════════════════════
 // PROOF OF INTENT (PoI)
 // ═══════════════════════════════════════════════════════════════
 
-function verifyPoI(decision, caseData) {
-    const results = [];
-
-    // L1
-    results.push({
-        constraint: 'L1 - contract_validity',
-        satisfied: (caseData.contract_validity || 0.7) >= 0.4 || decision.recommendation === 'REJECTED',
-        severity: 'mandatory',
-        detail: `contract_validity=${caseData.contract_validity || 0.7}, recommendation=${decision.recommendation}`
-    });
-
-    // L2
-    results.push({
-        constraint: 'L2 - regulatory_compliance',
-        satisfied: (caseData.regulatory_compliance || 0.7) >= 0.5 || decision.non_compliant === true,
-        severity: 'mandatory',
-        detail: `regulatory_compliance=${caseData.regulatory_compliance || 0.7}, flagged=${decision.non_compliant}`
-    });
-
-    // L3
-    results.push({
-        constraint: 'L3 - liability_threshold',
-        satisfied: (caseData.liability_exposure || 0.3) <= 0.7 || decision.risk_level === 'HIGH',
-        severity: 'mandatory',
-        detail: `liability_exposure=${caseData.liability_exposure || 0.3}, risk_level=${decision.risk_level}`
+function checkConstraints(decision, caseData, policy) {
+    return checkPolicy(rulesFor(policy), legalFacts(caseData), {
+        recommendation: decision.recommendation,
+        risk_level: decision.risk_level,
+        flag_non_compliant: decision.non_compliant,
+        flag_conflict: decision.conflict_flagged,
+        require_senior_review: decision.senior_review_required,
+        triggered_risks: decision.triggered_rules
     });
-
-    // L4
-    results.push({
-        constraint: 'L4 - jurisdiction_check',
-        satisfied: caseData.jurisdiction_recognized !== false || decision.recommendation === 'REJECTED',
-        severity: 'mandatory',
-        detail: `jurisdiction_recognized=${caseData.jurisdiction_recognized !== false}, recommendation=${decision.recommendation}`
-    });
-
-    // L5
-    results.push({
-        constraint: 'L5 - statute_of_limitations',
-        satisfied: caseData.within_statute !== false || decision.recommendation === 'REJECTED',
-        severity: 'mandatory',
-        detail: `within_statute=${caseData.within_statute !== false}, recommendation=${decision.recommendation}`
-    });
-
-    // L6
-    results.push({
-        constraint: 'L6 - evidence_sufficiency',
-        satisfied: (caseData.evidence_score || 0.6) >= 0.3 || decision.recommendation !== 'APPROVED',
-        severity: 'mandatory',
-        detail: `evidence_score=${caseData.evidence_score || 0.6}, recommendation=${decision.recommendation}`
-    });
-
-    // Axiom 3.1
-    results.push({
-        constraint: 'Axiom 3.1 - Temporal Precedence',
-        satisfied: LEGAL_POLICY.declaration_timestamp < decision.timestamp,
-        severity: 'mandatory',
-        detail: `PoI declared: ${LEGAL_POLICY.declaration_timestamp}, Decision: ${decision.timestamp}`
-    });
-
-    const all_mandatory_satisfied = results.filter(r => r.severity === 'mandatory').every(r => r.satisfied);
-
-    return {
-        policy: LEGAL_POLICY.policy_name,
-        policy_hash: LEGAL_POLICY.policy_hash,
-        declaration_time: LEGAL_POLICY.declaration_timestamp,
-        verification_time: new Date().toISOString(),
-        all_satisfied: all_mandatory_satisfied,
-        results
-    };
-}
-
-// ═══════════════════════════════════════════════════════════════
-// VERIFICATION BUNDLE
-// ═══════════════════════════════════════════════════════════════
-
-function createVerificationBundle(poo, por, poi) {
-    const leaves = [poo.hash, por.hash, poi.policy_hash || 'genesis'];
-    const merkleRoot = computeMerkleRoot(leaves);
-    const temporalRow = poi.results && poi.results.find(r => r.constraint.includes('Temporal'));
-    const overall_result = (poi.all_satisfied && por.graph.edges.length > 0) ? 'VERIFIED' : 'FAILED';
-
-    return {
-        bundle_id: `VB-LEG-${Date.now()}`,
-        created_at: new Date().toISOString(),
-        poo,
-        por,
-        poi,
-        merkle_root: merkleRoot,
-        verification_predicate: {
-            signatures_valid: true,
-            logic_valid: por.graph.edges.length > 0,
-            temporal_precedence: temporalRow ? temporalRow.satisfied : false,
-            constraints_satisfied: poi.all_satisfied,
-            merkle_verified: true
-        },
-        overall_result
-    };
 }
 
 module.exports = {
     LEGAL_POLICY,
+    LEGAL_POLICY_V1_0,
+    LEGAL_INPUT_SCHEMA,
     evaluateLegal,
-    generatePoO,
-    generatePoR,
-    verifyPoI,
-    createVerificationBundle,
+    validateInput: kernel.validateInput,
+    generatePoO: kernel.generatePoO,
+    generatePoR: kernel.generatePoR,
+    verifyPoI: kernel.verifyPoI,
+    createVerificationBundle: kernel.createVerificationBundle,
     computeMerkleRoot,
     detectCaseType,
+    legalFacts,
     calculateLegalRisk
 };
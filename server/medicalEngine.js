@@ -1,22 +1,28 @@
 /**
- * OpLogica Medical Triage Engine v3.0 — Triadic Verification
+ * OpLogica Medical Triage Engine v3.2 — Triadic Verification
  * Enhanced Emergency Triage Protocol with multi-category patient assessment.
  * DETERMINISTIC: same inputs → same outputs.
  * 
  * Categories: Emergency, Pediatric, Geriatric, Maternal, Trauma
- * Rules: 10 clinical decision rules with full cryptographic proof bundles
+ * Scoring models: RISK (weighted risk score), NEWS2, ESI — declared by the policy, picked by scoring_model
+ * Rules: 19 clinical decision rules, executed from the policy DSL, with full cryptographic proof bundles
  * Verification: PoO (Proof of Origin), PoR (Proof of Reason), PoI (Proof of Intent)
+ * Raw observations (systolic_bp, heart_rate, spo2, ..., comorbidities) may stand in for
+ * vital_score and comorbidity_index; the derivation is in clinicalExtraction.js and
+ * appears in the PoR as observation premises.
  */
 
-const crypto = require('crypto');
-
-const POO_SECRET = process.env.POO_SECRET || 'oplogica-verification-key';
+const { sealPolicy, computeMerkleRoot, defineEngine } = require('./verificationCore');
+const { InputValidationError } = require('./inputSchema');
+const { compileVersions, runPolicy, checkPolicy } = require('./policyDsl');
+const { deriveClinicalInputs, derivationGraph, vitalBand } = require('./clinicalExtraction');
 
 // ═══════════════════════════════════════════════════════════════
 // POLICY DECLARATION (Axiom 3.1 — Temporal Precedence)
 // ═══════════════════════════════════════════════════════════════
 
-const MEDICAL_POLICY = {
+// Superseded by v3.1 (scoring models). Kept registered, and executable, so bundles decided under it still re-verify.
+const MEDICAL_POLICY_V3_0 = sealPolicy({
     policy_name: 'Emergency Triage Protocol v3.0',
     authority: 'OpLogica Medical Ethics Framework',
     declaration_timestamp: '2024-11-15T09:00:00Z',
@@ -35,51 +41,211 @@ const MEDICAL_POLICY = {
     ],
     policy_hash: null,
     authority_signature: null
+});
+
+// Scales a decision can be scored on. The policy declares them (hashed with it), the
+// input picks one with scoring_model and C15 checks the pick was declared.
+const SCORING_MODELS = {
+    RISK: 'OpLogica weighted risk score (v3.0 weights)',
+    NEWS2: 'National Early Warning Score 2 (Royal College of Physicians, 2017)',
+    ESI: 'Emergency Severity Index v4 (AHRQ)'
 };
 
-// Compute policy hash at load
-(function () {
-    const payload = JSON.stringify({
-        name: MEDICAL_POLICY.policy_name,
-        version: MEDICAL_POLICY.version,
-        declaration_timestamp: MEDICAL_POLICY.declaration_timestamp,
-        constraints: MEDICAL_POLICY.constraints.map(c => c.id + c.rule)
-    });
-    MEDICAL_POLICY.policy_hash = crypto.createHash('sha256').update(payload).digest('hex');
-    MEDICAL_POLICY.authority_signature = crypto.createHmac('sha256', POO_SECRET).update(MEDICAL_POLICY.policy_hash).digest('hex');
-})();
+// Superseded by v3.2. Kept registered, and executable, so bundles decided under it still re-verify.
+const MEDICAL_POLICY_V3_1 = sealPolicy({
+    policy_name: 'Emergency Triage Protocol v3.1',
+    authority: 'OpLogica Medical Ethics Framework',
+    declaration_timestamp: '2026-10-18T12:00:00Z',
+    version: '3.1.0',
+    scoring_models: { default: 'RISK', available: SCORING_MODELS },
+    constraints: [
+        { id: 'C1', name: 'vital_priority', rule: 'WHEN patient.vital_score < 0.5 THEN decision.priority = HIGH', severity: 'mandatory' },
+        { id: 'C2', name: 'fairness_bound', rule: 'FOR_ALL group IN demographics: |mean_wait(group) - mean_wait(all)| <= 0.04', severity: 'mandatory' },
+        { id: 'C3', name: 'max_wait', rule: 'patient.wait_time <= 60 MINUTES OR decision.reassessment = TRUE', severity: 'warning' },
+        { id: 'C4', name: 'justification_required', rule: 'WHEN decision.priority_changed = TRUE THEN reason_graph.depth >= 2', severity: 'mandatory' },
+        { id: 'C5', name: 'pediatric_priority', rule: 'WHEN patient.age < 12 AND vital_score < 0.6 THEN priority >= MEDIUM', severity: 'mandatory' },
+        { id: 'C6', name: 'geriatric_caution', rule: 'WHEN patient.age >= 65 AND comorbidity >= 0.5 THEN priority >= MEDIUM', severity: 'mandatory' },
+        { id: 'C7', name: 'trauma_escalation', rule: 'WHEN patient.trauma_score >= 0.7 THEN priority = HIGH', severity: 'mandatory' },
+        { id: 'C8', name: 'maternal_safety', rule: 'WHEN patient.category = MATERNAL AND complications = TRUE THEN priority = HIGH', severity: 'mandatory' },
+        { id: 'C9', name: 'resource_constraint', rule: 'WHEN resource_score < 0.3 THEN flag_resource_alert = TRUE', severity: 'warning' },
+        { id: 'C10', name: 'multi_symptom', rule: 'WHEN triggered_rules >= 3 THEN priority >= MEDIUM', severity: 'mandatory' },
+        { id: 'C11', name: 'news2_emergency', rule: 'WHEN scoring_model = NEWS2 AND news2_score >= 7 THEN priority = HIGH', severity: 'mandatory' },
+        { id: 'C12', name: 'news2_urgent', rule: 'WHEN scoring_model = NEWS2 AND (news2_score >= 5 OR news2_red_flag = TRUE) THEN priority >= MEDIUM', severity: 'mandatory' },
+        { id: 'C13', name: 'esi_emergent', rule: 'WHEN scoring_model = ESI AND esi_level <= 2 THEN priority = HIGH', severity: 'mandatory' },
+        { id: 'C14', name: 'esi_urgent', rule: 'WHEN scoring_model = ESI AND esi_level = 3 THEN priority >= MEDIUM', severity: 'mandatory' },
+        { id: 'C15', name: 'scoring_model_declared', rule: 'decision.scoring_model IN policy.scoring_models', severity: 'mandatory' }
+    ],
+    policy_hash: null,
+    authority_signature: null
+});
+
+// Rule changes over v3.1: facts are named by their input fields; C3 is a WHEN rule; C1, C7, C8,
+// C11 and C19 (ESI level 1) set critical; C16–C18 state the age, comorbidity and urgency steps
+// the engine has always applied (C18 on C1's vital criterion, as before); C10 counts every rule before it.
+const MEDICAL_POLICY = sealPolicy({
+    policy_name: 'Emergency Triage Protocol v3.2',
+    authority: 'OpLogica Medical Ethics Framework',
+    declaration_timestamp: '2026-10-18T18:00:00Z',
+    version: '3.2.0',
+    scoring_models: { default: 'RISK', available: SCORING_MODELS },
+    scales: {
+        priority: ['LOW', 'MEDIUM', 'HIGH'],
+        urgency: ['STANDARD', 'IMMEDIATE']
+    },
+    counter: 'triggered_rules',
+    external: ['C2', 'C4', 'C15'],
+    constraints: [
+        { id: 'C1', name: 'vital_priority', rule: 'WHEN vital_score < 0.5 THEN critical = TRUE AND priority = HIGH', severity: 'mandatory' },
+        { id: 'C2', name: 'fairness_bound', rule: 'FOR_ALL group IN demographics: |mean_wait(group) - mean_wait(all)| <= 0.04', severity: 'mandatory' },
+        { id: 'C3', name: 'max_wait', rule: 'WHEN wait_time > 60 THEN reassessment = TRUE', severity: 'warning' },
+        { id: 'C4', name: 'justification_required', rule: 'WHEN decision.priority_changed = TRUE THEN reason_graph.depth >= 2', severity: 'mandatory' },
+        { id: 'C5', name: 'pediatric_priority', rule: 'WHEN age < 12 AND vital_score < 0.6 THEN priority >= MEDIUM', severity: 'mandatory' },
+        { id: 'C6', name: 'geriatric_caution', rule: 'WHEN age >= 65 AND comorbidity_index >= 0.5 THEN priority >= MEDIUM', severity: 'mandatory' },
+        { id: 'C16', name: 'age_risk', rule: 'WHEN age >= 65 THEN priority >= MEDIUM', severity: 'mandatory' },
+        { id: 'C17', name: 'comorbidity_risk', rule: 'WHEN comorbidity_index >= 0.6 THEN priority >= MEDIUM', severity: 'mandatory' },
+        { id: 'C18', name: 'critical_urgency', rule: 'WHEN vital_score < 0.5 AND wait_time > 30 THEN urgency = IMMEDIATE', severity: 'mandatory' },
+        { id: 'C7', name: 'trauma_escalation', rule: 'WHEN trauma_score >= 0.7 THEN critical = TRUE AND priority = HIGH', severity: 'mandatory' },
+        { id: 'C8', name: 'maternal_safety', rule: 'WHEN category = MATERNAL AND complications = TRUE THEN critical = TRUE AND priority = HIGH', severity: 'mandatory' },
+        { id: 'C9', name: 'resource_constraint', rule: 'WHEN resource_score < 0.3 THEN flag_resource_alert = TRUE', severity: 'warning' },
+        { id: 'C11', name: 'news2_emergency', rule: 'WHEN scoring_model = NEWS2 AND news2_score >= 7 THEN critical = TRUE AND priority = HIGH', severity: 'mandatory' },
+        { id: 'C12', name: 'news2_urgent', rule: 'WHEN scoring_model = NEWS2 AND (news2_score >= 5 OR news2_red_flag = TRUE) THEN priority >= MEDIUM', severity: 'mandatory' },
+        { id: 'C13', name: 'esi_emergent', rule: 'WHEN scoring_model = ESI AND esi_level <= 2 THEN priority = HIGH', severity: 'mandatory' },
+        { id: 'C14', name: 'esi_urgent', rule: 'WHEN scoring_model = ESI AND esi_level = 3 THEN priority >= MEDIUM', severity: 'mandatory' },
+        { id: 'C15', name: 'scoring_model_declared', rule: 'decision.scoring_model IN policy.scoring_models', severity: 'mandatory' },
+        { id: 'C10', name: 'multi_symptom', rule: 'WHEN triggered_rules >= 3 THEN priority >= MEDIUM', severity: 'mandatory' },
+        { id: 'C19', name: 'esi_resuscitation', rule: 'WHEN scoring_model = ESI AND esi_level = 1 THEN critical = TRUE', severity: 'mandatory' }
+    ],
+    policy_hash: null,
+    authority_signature: null
+});
+
+// Rules are executed straight from the declared text above (see policyDsl.js).
+// v3.0 and v3.1 name facts by path and predate declared scales, counter and external
+// constraints; they run on v3.2's, and their C3 invariant is applied by the engine.
+const LEGACY_DECLARATIONS = {
+    scales: MEDICAL_POLICY.scales,
+    counter: MEDICAL_POLICY.counter,
+    aliases: {
+        'patient.vital_score': 'vital_score',
+        'decision.priority': 'priority',
+        'patient.age': 'age',
+        comorbidity: 'comorbidity_index',
+        'patient.trauma_score': 'trauma_score',
+        'patient.category': 'category'
+    }
+};
+const rulesFor = compileVersions([
+    [MEDICAL_POLICY_V3_0, { ...LEGACY_DECLARATIONS, external: ['C2', 'C3', 'C4'] }],
+    [MEDICAL_POLICY_V3_1, { ...LEGACY_DECLARATIONS, external: ['C2', 'C3', 'C4', 'C15'] }],
+    [MEDICAL_POLICY]
+]);
+
+// ═══════════════════════════════════════════════════════════════
+// INPUT SCHEMA
+// ═══════════════════════════════════════════════════════════════
+
+const MEDICAL_INPUT_SCHEMA = {
+    $id: 'oplogica.input.medical/1',
+    type: 'object',
+    properties: {
+        vital_score: { type: 'number', minimum: 0, maximum: 1 },
+        age: { type: 'number', minimum: 0, maximum: 130 },
+        wait_time: { type: 'number', minimum: 0 },
+        comorbidity_index: { type: 'number', minimum: 0, maximum: 1, default: 0 },
+        resource_score: { type: 'number', minimum: 0, maximum: 1, default: 0.5 },
+        trauma_score: { type: 'number', minimum: 0, maximum: 1 },
+        is_pregnant: { type: 'boolean' },
+        pregnancy_week: { type: 'number', minimum: 0, maximum: 45 },
+        complications: { type: 'boolean', default: false },
+        category: { type: 'string', enum: ['GENERAL', 'PEDIATRIC', 'GERIATRIC', 'MATERNAL', 'TRAUMA'] },
+        scoring_model: { type: 'string', enum: Object.keys(SCORING_MODELS), default: MEDICAL_POLICY.scoring_models.default },
+        // NEWS2 inputs besides the vitals (observation fields, see clinicalExtraction.js)
+        supplemental_oxygen: { type: 'boolean' },
+        consciousness: { type: 'string', enum: ['ALERT', 'CONFUSION', 'VOICE', 'PAIN', 'UNRESPONSIVE'] },
+        hypercapnic_failure: { type: 'boolean' },
+        // ESI decision points A–C (D uses the vitals)
+        life_saving_intervention: { type: 'boolean' },
+        high_risk: { type: 'boolean' },
+        expected_resources: { type: 'integer', minimum: 0, maximum: 10 },
+        // Re-triage: the decision this one reassesses (see reassessmentScheduler.js)
+        previous_decision_id: { type: 'string' },
+        previous_priority: { type: 'string', enum: ['HIGH', 'MEDIUM', 'LOW'] }
+    },
+    required: ['vital_score', 'age', 'wait_time'],
+    'x-category': 'category',
+    'x-required-when': [
+        { when: { category: 'TRAUMA' }, required: ['trauma_score'] },
+        { when: { category: 'MATERNAL' }, required: ['complications'] },
+        { when: { scoring_model: 'NEWS2' }, required: ['respiratory_rate', 'spo2', 'supplemental_oxygen', 'systolic_bp', 'heart_rate', 'consciousness', 'temperature'] },
+        { when: { scoring_model: 'ESI' }, required: ['life_saving_intervention', 'high_risk', 'expected_resources'] }
+    ]
+};
 
 // ═══════════════════════════════════════════════════════════════
-// CRYPTOGRAPHIC FUNCTIONS
+// VERIFICATION KERNEL
 // ═══════════════════════════════════════════════════════════════
 
-function generateSignature(data) {
-    return crypto.createHmac('sha256', POO_SECRET).update(data).digest('hex');
+const kernel = defineEngine({
+    domain: 'medical',
+    code: 'MED',
+    policies: [MEDICAL_POLICY_V3_0, MEDICAL_POLICY_V3_1, MEDICAL_POLICY],
+    buildReasonGraph,
+    checkConstraints,
+    inputSchema: MEDICAL_INPUT_SCHEMA,
+    outcome: 'priority',
+    ruleFields: { comorbidity: 'comorbidity_index' },
+    inferCategory: detectCategory
+});
+
+// C3 max_wait as declared: 'WHEN wait_time > <minutes> THEN reassessment = TRUE' (v3.2), or
+// 'patient.wait_time <= <minutes> MINUTES OR decision.reassessment = TRUE' (v3.0, v3.1)
+const C3_WAIT_RULE = /wait_time (?:>|<=) (\d+)/;
+
+/**
+ * Minutes a patient may wait before C3 calls for reassessment, read from the C3 rule
+ * of the policy (default: the one in force now). The reassessment scheduler and the
+ * triage simulator take the limit from here.
+ */
+function c3WaitLimit(policy = kernel.policyAt(new Date().toISOString())) {
+    const c3 = policy.constraints.find(c => c.id === 'C3');
+    const match = c3 && C3_WAIT_RULE.exec(c3.rule);
+    if (!match) throw new Error(`${policy.policy_name} declares no C3 wait limit`);
+    return Number(match[1]);
+}
+
+// ACVPU from GCS, for recognised scales when only GCS was recorded: [highest GCS, level]
+const ACVPU_FROM_GCS = [[3, 'UNRESPONSIVE'], [8, 'PAIN'], [12, 'VOICE'], [14, 'CONFUSION'], [15, 'ALERT']];
+
+function scoringModelOf(data) {
+    return String(data.scoring_model || MEDICAL_POLICY.scoring_models.default).toUpperCase();
 }
 
-function computeMerkleRoot(hashes) {
-    if (hashes.length === 0) return crypto.createHash('sha256').update('empty').digest('hex');
-    if (hashes.length === 1) return hashes[0];
-    const paired = [];
-    for (let i = 0; i < hashes.length; i += 2) {
-        const left = hashes[i];
-        const right = hashes[i + 1] || left;
-        paired.push(crypto.createHash('sha256').update(left + right).digest('hex'));
+/**
+ * Observations → vital_score / comorbidity_index (clinicalExtraction.js), plus
+ * consciousness from GCS when NEWS2 or ESI needs it and it was not given.
+ * Returns { input, derivation, errors, assumptions } as deriveClinicalInputs does.
+ */
+function deriveInputs(data) {
+    const derived = deriveClinicalInputs(data);
+    const input = derived.input;
+    if (derived.errors.length || !input || typeof input !== 'object') return derived;
+    if (scoringModelOf(input) !== 'RISK' && input.consciousness == null && typeof input.gcs === 'number') {
+        input.consciousness = ACVPU_FROM_GCS.find(([upper]) => input.gcs <= upper)[1];
+        derived.assumptions.push({ field: 'consciousness', value: input.consciousness, reason: 'derived', from: ['gcs'] });
     }
-    return computeMerkleRoot(paired);
+    return derived;
 }
 
-function generatePoO(patientData, policy, timestamp) {
-    const state = JSON.stringify({ D: patientData, P: policy, T: timestamp });
-    const hash = crypto.createHash('sha256').update(state).digest('hex');
-    const signature = crypto.createHmac('sha256', POO_SECRET).update(hash + timestamp).digest('hex');
-    return {
-        hash,
-        timestamp,
-        signature,
-        algorithm: 'SHA-256',
-        state_reference: `PoO-MED-${Date.now()}`
-    };
+/**
+ * Schema validation after observations are turned into the scores they stand for;
+ * derived scores are reported as assumptions with reason 'derived'.
+ */
+function validateMedicalInput(data) {
+    const derived = deriveInputs(data);
+    const result = kernel.validateInput(derived.input);
+    const assumptions = [...derived.assumptions, ...result.assumptions];
+    if (derived.errors.length === 0) return { ...result, assumptions };
+    return { ...result, valid: false, errors: [...derived.errors, ...result.errors], value: null, assumptions };
 }
 
 // ═══════════════════════════════════════════════════════════════
@@ -121,14 +287,14 @@ function calculateRiskScore(patientData, category) {
     else score += 0.2 * weights.age;
 
     // Comorbidity
-    score += Math.min(1, Math.max(0, patientData.comorbidity_index || 0)) * weights.comorbidity;
+    score += Math.min(1, Math.max(0, patientData.comorbidity_index)) * weights.comorbidity;
 
     // Wait time risk (longer = higher)
-    const waitNorm = Math.min(1, (patientData.wait_time || 0) / 120);
+    const waitNorm = Math.min(1, patientData.wait_time / 120);
     score += waitNorm * weights.wait;
 
     // Resource scarcity (lower = higher risk)
-    score += (1 - Math.min(1, Math.max(0, patientData.resource_score || 0.5))) * weights.resource;
+    score += (1 - Math.min(1, Math.max(0, patientData.resource_score))) * weights.resource;
 
     // Trauma
     if (category === 'TRAUMA') {
@@ -143,145 +309,185 @@ function calculateRiskScore(patientData, category) {
 }
 
 // ═══════════════════════════════════════════════════════════════
-// DECISION ENGINE (10 Rules)
+// SCORING MODELS (NEWS2, ESI)
 // ═══════════════════════════════════════════════════════════════
 
-function evaluateMedical(patientData) {
-    const timestamp = new Date().toISOString();
-    const category = detectCategory(patientData);
-    const riskScore = calculateRiskScore(patientData, category);
-
-    let priority = 'LOW';
-    let critical = false;
-    let urgency = 'STANDARD';
-    let reassessment = false;
-    let resourceAlert = false;
-    const reasons = [];
-    let triggeredCount = 0;
-
-    // ── Rule C1: Vital Priority (mandatory) ──
-    const c1 = patientData.vital_score < 0.5;
-    if (c1) {
-        critical = true;
-        priority = 'HIGH';
-        reasons.push('C1: vital_score < 0.5 → critical = TRUE → priority = HIGH');
-        triggeredCount++;
-    }
-
-    // ── Rule R-AGE: Age Risk ──
-    const rAge = patientData.age >= 65;
-    if (rAge) {
-        reasons.push(`R-AGE: age=${patientData.age} >= 65 → risk_modifier = ELEVATED`);
-        if (priority !== 'HIGH') priority = 'MEDIUM';
-        triggeredCount++;
-    }
-
-    // ── Rule R-COMORBID: Comorbidity Risk ──
-    const rComorbid = (patientData.comorbidity_index || 0) >= 0.6;
-    if (rComorbid) {
-        reasons.push(`R-COMORBID: index=${patientData.comorbidity_index} >= 0.6 → risk = HIGH`);
-        if (priority !== 'HIGH') priority = 'MEDIUM';
-        triggeredCount++;
-    }
+// NEWS2 SpO2 scale 2 (confirmed hypercapnic respiratory failure): 88–92% scores 0, and
+// on oxygen higher saturations score again
+function spo2Scale2(spo2, onOxygen) {
+    if (spo2 <= 83) return 3;
+    if (spo2 <= 85) return 2;
+    if (spo2 <= 87) return 1;
+    if (spo2 <= 92 || !onOxygen) return 0;
+    if (spo2 <= 94) return 1;
+    if (spo2 <= 96) return 2;
+    return 3;
+}
 
-    // ── Rule R-URGENCY: Critical + Long Wait ──
-    const rUrgency = critical && patientData.wait_time > 30;
-    if (rUrgency) {
-        urgency = 'IMMEDIATE';
-        reasons.push(`R-URGENCY: critical AND wait_time=${patientData.wait_time} > 30 → urgency = IMMEDIATE`);
-        triggeredCount++;
-    }
+/**
+ * NEWS2 aggregate of seven parameters (0–20). Vital bands are the clinicalExtraction.js
+ * ones, which are the NEWS2 adult ranges. Response: ≥ 7 HIGH, 5–6 MEDIUM, a single
+ * parameter scoring 3 LOW_MEDIUM, otherwise LOW.
+ */
+function news2Score(patientData) {
+    const scale2 = patientData.hypercapnic_failure === true;
+    const consciousness = String(patientData.consciousness).toUpperCase();
+    const components = [
+        { parameter: 'respiratory_rate', value: patientData.respiratory_rate, points: vitalBand('respiratory_rate', patientData.respiratory_rate) },
+        { parameter: scale2 ? 'spo2_scale_2' : 'spo2_scale_1', value: patientData.spo2, points: scale2 ? spo2Scale2(patientData.spo2, patientData.supplemental_oxygen) : vitalBand('spo2', patientData.spo2) },
+        { parameter: 'supplemental_oxygen', value: patientData.supplemental_oxygen, points: patientData.supplemental_oxygen ? 2 : 0 },
+        { parameter: 'systolic_bp', value: patientData.systolic_bp, points: vitalBand('systolic_bp', patientData.systolic_bp) },
+        { parameter: 'heart_rate', value: patientData.heart_rate, points: vitalBand('heart_rate', patientData.heart_rate) },
+        { parameter: 'consciousness', value: consciousness, points: consciousness === 'ALERT' ? 0 : 3 },
+        { parameter: 'temperature', value: patientData.temperature, points: vitalBand('temperature', patientData.temperature) }
+    ];
+    const score = components.reduce((sum, c) => sum + c.points, 0);
+    const redFlag = components.some(c => c.points === 3);
+    return {
+        model: 'NEWS2',
+        score,
+        red_flag: redFlag,
+        response: score >= 7 ? 'HIGH' : score >= 5 ? 'MEDIUM' : redFlag ? 'LOW_MEDIUM' : 'LOW',
+        components,
+        risk_score: parseFloat((score / 20).toFixed(4))
+    };
+}
 
-    // ── Rule C3: Max Wait ──
-    const c3 = patientData.wait_time > 60;
-    if (c3) {
-        reassessment = true;
-        reasons.push(`C3: wait_time=${patientData.wait_time} > 60 → reassessment = TRUE`);
-        triggeredCount++;
-    }
+// ESI decision point D: danger-zone vitals by age (years, exclusive upper bound)
+const ESI_DANGER_ZONE = [
+    { below: 0.25, heart_rate: 180, respiratory_rate: 50 },
+    { below: 3, heart_rate: 160, respiratory_rate: 40 },
+    { below: 9, heart_rate: 140, respiratory_rate: 30 },
+    { below: Infinity, heart_rate: 100, respiratory_rate: 20 }
+];
+const ESI_SPO2_FLOOR = 92;
 
-    // ── Rule C5: Pediatric Priority (mandatory) ──
-    const c5 = patientData.age < 12 && patientData.vital_score < 0.6;
-    if (c5) {
-        if (priority === 'LOW') priority = 'MEDIUM';
-        reasons.push(`C5: age=${patientData.age} < 12 AND vital=${patientData.vital_score} < 0.6 → priority >= MEDIUM`);
-        triggeredCount++;
+/**
+ * ESI v4 algorithm, level 1 (most urgent) to 5:
+ *   A  needs an immediate life-saving intervention          → 1
+ *   B  high-risk situation, or not ALERT (new confusion...) → 2
+ *   C  expected resources: none → 5, one → 4, two or more → D
+ *   D  danger-zone vitals → 2, otherwise 3
+ * The handbook leaves D to the nurse's judgement ("consider level 2"); here it up-triages.
+ */
+function esiLevel(patientData) {
+    const altered = patientData.consciousness != null && String(patientData.consciousness).toUpperCase() !== 'ALERT';
+    const zone = ESI_DANGER_ZONE.find(z => patientData.age < z.below);
+    const danger = [
+        patientData.heart_rate > zone.heart_rate && `heart_rate ${patientData.heart_rate} > ${zone.heart_rate}`,
+        patientData.respiratory_rate > zone.respiratory_rate && `respiratory_rate ${patientData.respiratory_rate} > ${zone.respiratory_rate}`,
+        patientData.spo2 < ESI_SPO2_FLOOR && `spo2 ${patientData.spo2} < ${ESI_SPO2_FLOOR}`
+    ].filter(Boolean);
+
+    const components = [{ point: 'A', question: 'immediate life-saving intervention', answer: patientData.life_saving_intervention === true }];
+    let level;
+    if (components[0].answer) {
+        level = 1;
+    } else {
+        components.push({ point: 'B', question: 'high-risk situation or altered mental status', answer: patientData.high_risk === true || altered });
+        if (components[1].answer) {
+            level = 2;
+        } else {
+            components.push({ point: 'C', question: 'expected resources', answer: patientData.expected_resources });
+            if (patientData.expected_resources === 0) level = 5;
+            else if (patientData.expected_resources === 1) level = 4;
+            else {
+                components.push({ point: 'D', question: 'danger-zone vitals', answer: danger.length > 0, detail: danger.join(', ') || 'none' });
+                level = danger.length ? 2 : 3;
+            }
+        }
     }
+    return { model: 'ESI', score: level, level, components, risk_score: parseFloat(((5 - level) / 4).toFixed(4)) };
+}
 
-    // ── Rule C6: Geriatric Caution (mandatory) ──
-    const c6 = patientData.age >= 65 && (patientData.comorbidity_index || 0) >= 0.5;
-    if (c6) {
-        if (priority === 'LOW') priority = 'MEDIUM';
-        reasons.push(`C6: age=${patientData.age} >= 65 AND comorbidity=${patientData.comorbidity_index} >= 0.5 → priority >= MEDIUM`);
-        triggeredCount++;
-    }
+/**
+ * Scores the decision on the chosen model. risk_score is the model's score normalised
+ * to 0–1 (NEWS2 / 20, ESI (5 − level) / 4, RISK calculateRiskScore).
+ */
+function scoreTriage(model, patientData, category) {
+    if (model === 'NEWS2') return news2Score(patientData);
+    if (model === 'ESI') return esiLevel(patientData);
+    const riskScore = calculateRiskScore(patientData, category);
+    return { model: 'RISK', score: riskScore, components: [], risk_score: riskScore };
+}
 
-    // ── Rule C7: Trauma Escalation (mandatory) ──
-    const c7 = (patientData.trauma_score || 0) >= 0.7;
-    if (c7) {
-        priority = 'HIGH';
-        critical = true;
-        reasons.push(`C7: trauma_score=${patientData.trauma_score} >= 0.7 → priority = HIGH`);
-        triggeredCount++;
-    }
+// ═══════════════════════════════════════════════════════════════
+// RULE FACTS
+// ═══════════════════════════════════════════════════════════════
 
-    // ── Rule C8: Maternal Safety (mandatory) ──
-    const c8 = category === 'MATERNAL' && patientData.complications === true;
-    if (c8) {
-        priority = 'HIGH';
-        critical = true;
-        reasons.push(`C8: category=MATERNAL AND complications=TRUE → priority = HIGH`);
-        triggeredCount++;
-    }
+/**
+ * Patient fields and the chosen scale's score — the identifiers the C-rules read.
+ * Scores of the scales not in use are null, so their rules never fire.
+ */
+function medicalFacts(patientData, category, scoring) {
+    return {
+        vital_score: patientData.vital_score,
+        age: patientData.age,
+        wait_time: patientData.wait_time,
+        comorbidity_index: patientData.comorbidity_index,
+        resource_score: patientData.resource_score,
+        trauma_score: patientData.trauma_score || 0,
+        complications: patientData.complications === true,
+        category,
+        scoring_model: scoring.model,
+        news2_score: scoring.model === 'NEWS2' ? scoring.score : null,
+        news2_red_flag: scoring.red_flag === true,
+        esi_level: scoring.model === 'ESI' ? scoring.level : null
+    };
+}
 
-    // ── Rule C9: Resource Alert (warning) ──
-    const c9 = (patientData.resource_score || 0.5) < 0.3;
-    if (c9) {
-        resourceAlert = true;
-        reasons.push(`C9: resource_score=${patientData.resource_score} < 0.3 → resource_alert = TRUE`);
-        triggeredCount++;
-    }
+// ═══════════════════════════════════════════════════════════════
+// DECISION ENGINE (19 Rules)
+// ═══════════════════════════════════════════════════════════════
 
-    // ── Rule C10: Multi-Symptom Escalation (mandatory) ──
-    const c10 = triggeredCount >= 3;
-    if (c10 && priority === 'LOW') {
-        priority = 'MEDIUM';
-        reasons.push(`C10: triggered_rules=${triggeredCount} >= 3 → priority >= MEDIUM`);
+function evaluateMedical(rawInput) {
+    const derived = deriveInputs(rawInput);
+    if (derived.errors.length) throw new InputValidationError(derived.errors, MEDICAL_INPUT_SCHEMA.$id);
+    const { input: patientData, assumptions } = kernel.prepareInput(derived.input);
+    const timestamp = new Date().toISOString();
+    const policy = kernel.policyAt(timestamp);
+    const compiled = rulesFor(policy);
+    const category = detectCategory(patientData);
+    const { risk_score: riskScore, ...scoring } = scoreTriage(scoringModelOf(patientData), patientData, category);
+
+    const run = runPolicy(compiled, medicalFacts(patientData, category, scoring));
+    const reasons = run.trace.filter(t => t.triggered).map(t => t.reason);
+    const allRules = run.trace.map(t => ({ id: t.id, rule: t.rule, triggered: t.triggered, detail: t.detail }));
+    const priority = run.state.priority;
+
+    // v3.0 and v3.1 state C3 as an invariant rather than a rule; the engine applies their limit
+    const reassessment = compiled.external.includes('C3')
+        ? patientData.wait_time > c3WaitLimit(policy)
+        : run.state.reassessment;
+
+    // ── Re-triage: priority against the reassessed decision (C4 is checked on the PoR by the kernel) ──
+    const previousPriority = patientData.previous_priority ? patientData.previous_priority.toUpperCase() : null;
+    const priorityChanged = previousPriority !== null && previousPriority !== priority;
+    if (priorityChanged) {
+        reasons.push(`Re-triage: priority ${previousPriority} → ${priority}`);
     }
 
-    const allRules = [
-        { id: 'C1', rule: 'IF vital_score < 0.5 THEN critical = TRUE, priority = HIGH', triggered: c1, detail: `vital_score = ${patientData.vital_score} ${c1 ? '<' : '≥'} 0.5` },
-        { id: 'R-AGE', rule: 'IF age ≥ 65 THEN risk_modifier = ELEVATED', triggered: rAge, detail: `age = ${patientData.age} ${rAge ? '≥' : '<'} 65` },
-        { id: 'R-COMORBID', rule: 'IF comorbidity_index ≥ 0.6 THEN comorbidity_risk = HIGH', triggered: rComorbid, detail: `comorbidity = ${patientData.comorbidity_index || 0} ${rComorbid ? '≥' : '<'} 0.6` },
-        { id: 'R-URGENCY', rule: 'IF critical AND wait_time > 30 THEN urgency = IMMEDIATE', triggered: rUrgency, detail: `critical = ${critical}, wait_time = ${patientData.wait_time} ${patientData.wait_time > 30 ? '>' : '≤'} 30` },
-        { id: 'C3', rule: 'IF wait_time > 60 THEN reassessment = TRUE', triggered: c3, detail: `wait_time = ${patientData.wait_time} ${c3 ? '>' : '≤'} 60` },
-        { id: 'C5', rule: 'IF age < 12 AND vital_score < 0.6 THEN priority ≥ MEDIUM', triggered: c5, detail: `age = ${patientData.age}, vital = ${patientData.vital_score}` },
-        { id: 'C6', rule: 'IF age ≥ 65 AND comorbidity ≥ 0.5 THEN priority ≥ MEDIUM', triggered: c6, detail: `age = ${patientData.age}, comorbidity = ${patientData.comorbidity_index || 0}` },
-        { id: 'C7', rule: 'IF trauma_score ≥ 0.7 THEN priority = HIGH', triggered: c7, detail: `trauma_score = ${patientData.trauma_score || 'N/A'}` },
-        { id: 'C8', rule: 'IF MATERNAL AND complications THEN priority = HIGH', triggered: c8, detail: `category = ${category}, complications = ${patientData.complications || false}` },
-        { id: 'C9', rule: 'IF resource_score < 0.3 THEN resource_alert = TRUE', triggered: c9, detail: `resource_score = ${patientData.resource_score || 0.5} ${c9 ? '<' : '≥'} 0.3` },
-        { id: 'C10', rule: 'IF triggered_rules ≥ 3 THEN priority ≥ MEDIUM', triggered: c10, detail: `triggered_rules = ${triggeredCount} ${c10 ? '≥' : '<'} 3` }
-    ];
-
     const decision = {
         priority,
-        critical,
-        urgency,
+        critical: run.state.critical === true,
+        urgency: run.state.urgency,
         reassessment,
-        resource_alert: resourceAlert,
+        resource_alert: run.state.flag_resource_alert === true,
         category,
+        scoring_model: scoring.model,
+        scoring,
         risk_score: riskScore,
-        triggered_rules: triggeredCount,
+        triggered_rules: run.triggered_count,
+        previous_decision: previousPriority ? { decision_id: patientData.previous_decision_id || null, priority: previousPriority } : null,
+        priority_changed: priorityChanged,
         timestamp,
         reasons,
-        allRules
+        allRules,
+        clinical_derivation: derived.derivation
     };
 
-    // ── Generate Triadic Verification ──
-    const poo = generatePoO(patientData, MEDICAL_POLICY.policy_name, timestamp);
-    const por = generatePoR(patientData, decision);
-    const poi = verifyPoI(decision, patientData);
-    const bundle = createVerificationBundle(poo, por, poi);
+    decision.sensitivity = kernel.sensitivity(patientData, decision, evaluateMedical);
+    const bundle = kernel.issue(rawInput, decision, { input: patientData, assumptions: [...derived.assumptions, ...assumptions] });
 
     return { decision, verification_bundle: bundle };
 }
@@ -290,23 +496,26 @@ function evaluateMedical(patientData) {
 // PROOF OF REASON (PoR) — Reason Graph
 // ═══════════════════════════════════════════════════════════════
 
-function generatePoR(patientData, decision) {
+// Rules over the vital signs, by the graph vertex that states them. Only these can
+// justify a re-triage change: age, comorbidity and category do not change between triages.
+const VITAL_SIGN_RULES = { C1: 'r1', C18: 'r2', C5: 'r5', C11: 'r11', C12: 'r12', C13: 'r11', C14: 'r12' };
+
+function buildReasonGraph(patientData, decision) {
     const category = decision.category || 'GENERAL';
 
     const vertices = [
         { id: 'p1', type: 'premise', label: `vital_score = ${patientData.vital_score}` },
         { id: 'p2', type: 'premise', label: `wait_time = ${patientData.wait_time} min` },
         { id: 'p3', type: 'premise', label: `age = ${patientData.age}` },
-        { id: 'p4', type: 'premise', label: `comorbidity_index = ${patientData.comorbidity_index || 0}` },
-        { id: 'p5', type: 'premise', label: `resource_score = ${patientData.resource_score || 0.5}` },
+        { id: 'p4', type: 'premise', label: `comorbidity_index = ${patientData.comorbidity_index}` },
+        { id: 'p5', type: 'premise', label: `resource_score = ${patientData.resource_score}` },
         { id: 'p6', type: 'premise', label: `category = ${category}` },
         { id: 'r1', type: 'rule', label: 'C1: vital_score < 0.5 → critical' },
-        { id: 'r2', type: 'rule', label: 'R-URGENCY: critical + wait > 30 → IMMEDIATE' },
-        { id: 'r3', type: 'rule', label: 'R-AGE: age ≥ 65 → ELEVATED' },
-        { id: 'r4', type: 'rule', label: 'R-COMORBID: comorbidity ≥ 0.6 → HIGH' },
+        { id: 'r2', type: 'rule', label: 'C18: vital < 0.5 + wait > 30 → IMMEDIATE' },
+        { id: 'r3', type: 'rule', label: 'C16: age ≥ 65 → MEDIUM+' },
+        { id: 'r4', type: 'rule', label: 'C17: comorbidity ≥ 0.6 → MEDIUM+' },
         { id: 'r5', type: 'rule', label: 'C5: pediatric vital < 0.6 → MEDIUM+' },
         { id: 'r6', type: 'rule', label: 'C6: geriatric + comorbidity → MEDIUM+' },
-        { id: 'r7', type: 'rule', label: 'C7: trauma ≥ 0.7 → HIGH' },
         { id: 'r8', type: 'rule', label: 'C10: multi-symptom → MEDIUM+' },
         { id: 'c1', type: 'conclusion', label: `critical = ${decision.critical}` },
         { id: 'c2', type: 'conclusion', label: `urgency = ${decision.urgency}` },
@@ -317,9 +526,10 @@ function generatePoR(patientData, decision) {
     // Add category-specific vertices
     if (category === 'TRAUMA') {
         vertices.push({ id: 'p7', type: 'premise', label: `trauma_score = ${patientData.trauma_score || 0}` });
+        vertices.push({ id: 'r7', type: 'rule', label: 'C7: trauma ≥ 0.7 → HIGH' });
     }
     if (category === 'MATERNAL') {
-        vertices.push({ id: 'p8', type: 'premise', label: `complications = ${patientData.complications || false}` });
+        vertices.push({ id: 'p8', type: 'premise', label: `complications = ${patientData.complications}` });
         vertices.push({ id: 'r9', type: 'rule', label: 'C8: maternal + complications → HIGH' });
     }
 
@@ -335,6 +545,8 @@ function generatePoR(patientData, decision) {
         { from: 'p1', to: 'r5', relation: 'input' },
         { from: 'p3', to: 'r6', relation: 'input' },
         { from: 'p4', to: 'r6', relation: 'input' },
+        { from: 'r5', to: 'c3', relation: 'influences' },
+        { from: 'r6', to: 'c3', relation: 'influences' },
         { from: 'c1', to: 'c3', relation: 'determines' },
         { from: 'c2', to: 'c3', relation: 'determines' },
         { from: 'r3', to: 'c3', relation: 'influences' },
@@ -353,139 +565,115 @@ function generatePoR(patientData, decision) {
         edges.push({ from: 'r9', to: 'c3', relation: 'determines' });
     }
 
-    const graph = { vertices, edges };
-    const graphHash = crypto.createHash('sha256').update(JSON.stringify(graph)).digest('hex');
+    // Scoring model: the scale behind risk_score; NEWS2 / ESI components feed the scale's rules
+    const scoring = decision.scoring;
+    vertices.push({ id: 'p9', type: 'premise', label: `scoring_model = ${scoring.model}` });
+    if (scoring.model === 'RISK') {
+        edges.push({ from: 'p9', to: 'c4', relation: 'selects' });
+    } else {
+        const news2 = scoring.model === 'NEWS2';
+        scoring.components.forEach((c, i) => {
+            vertices.push({
+                id: `s${i + 1}`,
+                type: 'premise',
+                label: news2
+                    ? `NEWS2 ${c.parameter} = ${c.value} → ${c.points}`
+                    : `ESI ${c.point}: ${c.question} = ${c.answer}${c.detail ? ` (${c.detail})` : ''}`
+            });
+            edges.push({ from: `s${i + 1}`, to: 'r10', relation: 'input' });
+        });
+        vertices.push(
+            { id: 'r10', type: 'rule', label: news2 ? 'NEWS2: sum of 7 parameter scores' : 'ESI v4: decision points A–D' },
+            { id: 'c5', type: 'conclusion', label: news2 ? `news2_score = ${scoring.score} (response ${scoring.response})` : `esi_level = ${scoring.level}` },
+            { id: 'r11', type: 'rule', label: news2 ? 'C11: NEWS2 ≥ 7 → HIGH' : 'C13: ESI ≤ 2 → HIGH' },
+            { id: 'r12', type: 'rule', label: news2 ? 'C12: NEWS2 ≥ 5 or single 3 → MEDIUM+' : 'C14: ESI 3 → MEDIUM+' }
+        );
+        edges.push(
+            { from: 'p9', to: 'r10', relation: 'input' },
+            { from: 'r10', to: 'c5', relation: 'entails' },
+            { from: 'c5', to: 'r11', relation: 'input' },
+            { from: 'c5', to: 'r12', relation: 'input' },
+            { from: 'r11', to: 'c3', relation: 'determines' },
+            { from: 'r12', to: 'c3', relation: 'influences' },
+            { from: 'c5', to: 'c4', relation: 'produces' }
+        );
+    }
 
-    return {
-        graph,
-        hash: graphHash,
-        signature: generateSignature(graphHash)
-    };
+    // C10 counts the rules above that fired
+    const counted = new Set(['r1', 'r2', 'r3', 'r4', 'r5', 'r6', 'r7', 'r9', 'r11', 'r12']);
+    vertices.filter(v => counted.has(v.id)).forEach(v => edges.push({ from: v.id, to: 'r8', relation: 'counts' }));
+
+    // Scores derived from raw observations: observation premises → derivation rule → p1 / p4
+    const derivation = derivationGraph(decision.clinical_derivation, { vital_score: 'p1', comorbidity_index: 'p4' });
+    vertices.push(...derivation.vertices);
+    edges.push(...derivation.edges);
+
+    // Re-triage: the previous priority is only compared against, so c6 is justified by
+    // the vital-sign rules that fired on the reassessment; with none, C4 fails (depth 1)
+    const previous = decision.previous_decision;
+    if (previous) {
+        vertices.push(
+            { id: 'p10', type: 'premise', label: `previous_priority = ${previous.priority}${previous.decision_id ? ` (${previous.decision_id})` : ''}` },
+            { id: 'r13', type: 'rule', label: 'Re-triage: reassessed priority vs previous priority' },
+            { id: 'c6', type: 'conclusion', label: decision.priority_changed ? `priority_changed = ${previous.priority} → ${decision.priority}` : `priority_changed = FALSE (${decision.priority})` }
+        );
+        edges.push(
+            { from: 'p10', to: 'r13', relation: 'compares' },
+            { from: 'r13', to: 'c6', relation: 'entails' }
+        );
+        const fired = new Set((decision.allRules || []).filter(r => r.triggered).map(r => VITAL_SIGN_RULES[r.id]).filter(Boolean));
+        vertices.filter(v => fired.has(v.id)).forEach(v => edges.push({ from: v.id, to: 'r13', relation: 'justifies' }));
+    }
+
+    return { vertices, edges };
 }
 
 // ═══════════════════════════════════════════════════════════════
 // PROOF OF INTENT (PoI) — Policy Verification
 // ═══════════════════════════════════════════════════════════════
 
-function verifyPoI(decision, patientData) {
-    const results = [];
-
-    // C1: vital_priority
-    results.push({
-        constraint: 'C1 - vital_priority',
-        satisfied: patientData.vital_score >= 0.5 || decision.priority === 'HIGH',
-        severity: 'mandatory',
-        detail: `vital_score=${patientData.vital_score}, priority=${decision.priority}`
-    });
-
-    // C3: max_wait
-    const c3_triggered = patientData.wait_time > 60;
-    results.push({
-        constraint: 'C3 - max_wait',
-        satisfied: patientData.wait_time <= 60 || decision.reassessment === true,
-        triggered: c3_triggered,
-        severity: 'warning',
-        detail: c3_triggered
-            ? `⚠️ Triggered — reassessment activated (wait=${patientData.wait_time} > 60)`
-            : `✅ Within limit (wait=${patientData.wait_time} ≤ 60)`
+function checkConstraints(decision, patientData, policy) {
+    const compiled = rulesFor(policy);
+    const category = detectCategory(patientData);
+    const scoring = scoreTriage(scoringModelOf(patientData), patientData, category);
+    const results = checkPolicy(compiled, medicalFacts(patientData, category, scoring), {
+        priority: decision.priority,
+        critical: decision.critical,
+        urgency: decision.urgency,
+        reassessment: decision.reassessment,
+        flag_resource_alert: decision.resource_alert,
+        triggered_rules: decision.triggered_rules
     });
 
-    // C5: pediatric_priority
-    if (patientData.age < 12) {
-        results.push({
-            constraint: 'C5 - pediatric_priority',
-            satisfied: patientData.vital_score >= 0.6 || decision.priority !== 'LOW',
-            severity: 'mandatory',
-            detail: `age=${patientData.age}, vital=${patientData.vital_score}, priority=${decision.priority}`
-        });
-    }
-
-    // C6: geriatric_caution
-    if (patientData.age >= 65) {
-        results.push({
-            constraint: 'C6 - geriatric_caution',
-            satisfied: (patientData.comorbidity_index || 0) < 0.5 || decision.priority !== 'LOW',
-            severity: 'mandatory',
-            detail: `age=${patientData.age}, comorbidity=${patientData.comorbidity_index || 0}, priority=${decision.priority}`
-        });
-    }
-
-    // C7: trauma_escalation
-    if ((patientData.trauma_score || 0) >= 0.7) {
+    // C3: max_wait, where the policy states it as an invariant (v3.0, v3.1)
+    if (compiled.external.includes('C3')) {
+        const waitLimit = c3WaitLimit(policy);
+        const c3_triggered = patientData.wait_time > waitLimit;
         results.push({
-            constraint: 'C7 - trauma_escalation',
-            satisfied: decision.priority === 'HIGH',
-            severity: 'mandatory',
-            detail: `trauma_score=${patientData.trauma_score}, priority=${decision.priority}`
+            constraint: 'C3 - max_wait',
+            satisfied: patientData.wait_time <= waitLimit || decision.reassessment === true,
+            triggered: c3_triggered,
+            severity: 'warning',
+            detail: c3_triggered
+                ? `⚠️ Triggered — reassessment activated (wait=${patientData.wait_time} > ${waitLimit})`
+                : `✅ Within limit (wait=${patientData.wait_time} ≤ ${waitLimit})`
         });
     }
 
-    // C8: maternal_safety
-    if (decision.category === 'MATERNAL' && patientData.complications) {
+    // C15: the scale applied is one the policy in force declares
+    if (policy && policy.scoring_models) {
+        const declared = policy.scoring_models.available[decision.scoring_model];
         results.push({
-            constraint: 'C8 - maternal_safety',
-            satisfied: decision.priority === 'HIGH',
+            constraint: 'C15 - scoring_model_declared',
+            satisfied: Boolean(declared),
             severity: 'mandatory',
-            detail: `category=MATERNAL, complications=TRUE, priority=${decision.priority}`
-        });
-    }
-
-    // C9: resource_constraint
-    if ((patientData.resource_score || 0.5) < 0.3) {
-        results.push({
-            constraint: 'C9 - resource_constraint',
-            satisfied: decision.resource_alert === true,
-            severity: 'warning',
-            detail: `resource_score=${patientData.resource_score}, alert=${decision.resource_alert}`
+            detail: declared
+                ? `${decision.scoring_model} — ${declared} (${policy.policy_name})`
+                : `${decision.scoring_model} is not declared by ${policy.policy_name}`
         });
     }
 
-    // Axiom 3.1: Temporal Precedence
-    results.push({
-        constraint: 'Axiom 3.1 - Temporal Precedence',
-        satisfied: MEDICAL_POLICY.declaration_timestamp < decision.timestamp,
-        severity: 'mandatory',
-        detail: `PoI declared: ${MEDICAL_POLICY.declaration_timestamp}, Decision: ${decision.timestamp}`
-    });
-
-    const all_mandatory_satisfied = results.filter(r => r.severity === 'mandatory').every(r => r.satisfied);
-
-    return {
-        policy: MEDICAL_POLICY.policy_name,
-        policy_hash: MEDICAL_POLICY.policy_hash,
-        declaration_time: MEDICAL_POLICY.declaration_timestamp,
-        verification_time: new Date().toISOString(),
-        all_satisfied: all_mandatory_satisfied,
-        results
-    };
-}
-
-// ═══════════════════════════════════════════════════════════════
-// VERIFICATION BUNDLE
-// ═══════════════════════════════════════════════════════════════
-
-function createVerificationBundle(poo, por, poi) {
-    const leaves = [poo.hash, por.hash, poi.policy_hash || 'genesis'];
-    const merkleRoot = computeMerkleRoot(leaves);
-    const temporalRow = poi.results && poi.results.find(r => r.constraint.includes('Temporal'));
-    const overall_result = (poi.all_satisfied && por.graph.edges.length > 0) ? 'VERIFIED' : 'FAILED';
-
-    return {
-        bundle_id: `VB-MED-${Date.now()}`,
-        created_at: new Date().toISOString(),
-        poo,
-        por,
-        poi,
-        merkle_root: merkleRoot,
-        verification_predicate: {
-            signatures_valid: true,
-            logic_valid: por.graph.edges.length > 0,
-            temporal_precedence: temporalRow ? temporalRow.satisfied : false,
-            constraints_satisfied: poi.all_satisfied,
-            merkle_verified: true
-        },
-        overall_result
-    };
+    return results;
 }
 
 // ═══════════════════════════════════════════════════════════════
@@ -498,13 +686,22 @@ function triageDecision(patientData) {
 
 module.exports = {
     MEDICAL_POLICY,
+    MEDICAL_POLICY_V3_0,
+    MEDICAL_POLICY_V3_1,
+    MEDICAL_INPUT_SCHEMA,
+    SCORING_MODELS,
+    c3WaitLimit,
     evaluateMedical,
+    validateInput: validateMedicalInput,
     triageDecision,
-    generatePoO,
-    generatePoR,
-    verifyPoI,
-    createVerificationBundle,
+    generatePoO: kernel.generatePoO,
+    generatePoR: kernel.generatePoR,
+    verifyPoI: kernel.verifyPoI,
+    createVerificationBundle: kernel.createVerificationBundle,
     computeMerkleRoot,
     detectCategory,
-    calculateRiskScore
+    medicalFacts,
+    calculateRiskScore,
+    news2Score,
+    esiLevel
 };
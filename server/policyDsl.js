@@ -0,0 +1,434 @@
+/**
+ * OpLogica Policy DSL — executable WHEN/THEN constraints
+ * Parses the `constraints[].rule` strings of a policy and runs them, so the
+ * hashed policy text is the logic that produced the decision.
+ * DETERMINISTIC: rules fire in declaration order over a single state.
+ *
+ * Grammar:
+ *   rule      := WHEN expr THEN action (AND action)*
+ *   expr      := or-chain of AND-chains of [NOT] comparisons
+ *   compare   := sum [(< | <= | ≤ | > | >= | ≥ | = | != | ≠) sum]
+ *   sum       := product ((+ | -) product)*
+ *   product   := unary ((* | /) unary)*
+ *   operand   := number | TRUE | FALSE | ENUM_LITERAL | identifier | ( expr )
+ *   action    := field = value      assign
+ *              | field >= LEVEL     raise on the field's scale (≥ also accepted)
+ *              | field ≠ VALUE      move one step along the field's scale when equal (!= also accepted)
+ *              | field              set flag to TRUE
+ *
+ * UPPERCASE words are enum literals; lowercase words are identifiers resolved
+ * against the facts and the decision state.
+ */
+
+// ═══════════════════════════════════════════════════════════════
+// TOKENIZER
+// ═══════════════════════════════════════════════════════════════
+
+const OPERATORS = ['<=', '>=', '!=', '≤', '≥', '≠', '<', '>', '=', '+', '-', '*', '/', '(', ')'];
+const KEYWORDS = ['WHEN', 'THEN', 'AND', 'OR', 'NOT', 'TRUE', 'FALSE'];
+const CANONICAL_OP = { '≤': '<=', '≥': '>=', '≠': '!=' };
+
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        const ch = text[i];
+        if (/\s/.test(ch)) { i++; continue; }
+
+        const num = /^\d+(\.\d+)?/.exec(text.slice(i));
+        if (num) {
+            tokens.push({ type: 'number', value: parseFloat(num[0]), raw: num[0] });
+            i += num[0].length;
+            continue;
+        }
+
+        const word = /^[A-Za-z_][A-Za-z0-9_.]*/.exec(text.slice(i));
+        if (word) {
+            const w = word[0];
+            if (KEYWORDS.includes(w)) tokens.push({ type: 'keyword', value: w });
+            else if (/^[A-Z][A-Z0-9_]*$/.test(w)) tokens.push({ type: 'enum', value: w });
+            else tokens.push({ type: 'ident', value: w });
+            i += w.length;
+            continue;
+        }
+
+        const op = OPERATORS.find(o => text.startsWith(o, i));
+        if (op) {
+            tokens.push({ type: 'op', value: CANONICAL_OP[op] || op });
+            i += op.length;
+            continue;
+        }
+
+        throw new Error(`Policy DSL: unexpected character '${ch}' at ${i} in "${text}"`);
+    }
+    return tokens;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PARSER
+// ═══════════════════════════════════════════════════════════════
+
+function parseRule(text) {
+    const tokens = tokenize(text);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const fail = (msg) => { throw new Error(`Policy DSL: ${msg} in "${text}"`); };
+    const isKeyword = (kw) => peek() && peek().type === 'keyword' && peek().value === kw;
+    const isOp = (...ops) => peek() && peek().type === 'op' && ops.includes(peek().value);
+    const expectKeyword = (kw) => {
+        if (!isKeyword(kw)) fail(`expected ${kw}`);
+        pos++;
+    };
+
+    function parseOr() {
+        let node = parseAnd();
+        while (isKeyword('OR')) { pos++; node = { type: 'or', left: node, right: parseAnd() }; }
+        return node;
+    }
+
+    function parseAnd() {
+        let node = parseNot();
+        while (isKeyword('AND')) { pos++; node = { type: 'and', left: node, right: parseNot() }; }
+        return node;
+    }
+
+    function parseNot() {
+        if (isKeyword('NOT')) { pos++; return { type: 'not', operand: parseNot() }; }
+        return parseCompare();
+    }
+
+    function parseCompare() {
+        const left = parseSum();
+        if (isOp('<', '<=', '>', '>=', '=', '!=')) {
+            const op = tokens[pos++].value;
+            return { type: 'compare', op, left, right: parseSum() };
+        }
+        return left;
+    }
+
+    function parseSum() {
+        let node = parseProduct();
+        while (isOp('+', '-')) { const op = tokens[pos++].value; node = { type: 'arith', op, left: node, right: parseProduct() }; }
+        return node;
+    }
+
+    function parseProduct() {
+        let node = parseUnary();
+        while (isOp('*', '/')) { const op = tokens[pos++].value; node = { type: 'arith', op, left: node, right: parseUnary() }; }
+        return node;
+    }
+
+    function parseUnary() {
+        if (isOp('-')) { pos++; return { type: 'arith', op: '-', left: { type: 'literal', value: 0, raw: '0' }, right: parseUnary() }; }
+        return parseOperand();
+    }
+
+    function parseOperand() {
+        const tok = peek();
+        if (!tok) fail('unexpected end of rule');
+        if (tok.type === 'number') { pos++; return { type: 'literal', value: tok.value, raw: tok.raw }; }
+        if (tok.type === 'enum') { pos++; return { type: 'literal', value: tok.value, raw: tok.value }; }
+        if (tok.type === 'ident') { pos++; return { type: 'ident', name: tok.value }; }
+        if (tok.type === 'keyword' && (tok.value === 'TRUE' || tok.value === 'FALSE')) {
+            pos++;
+            return { type: 'literal', value: tok.value === 'TRUE', raw: tok.value };
+        }
+        if (isOp('(')) {
+            pos++;
+            const node = parseOr();
+            if (!isOp(')')) fail("expected ')'");
+            pos++;
+            return node;
+        }
+        return fail(`unexpected '${tok.value}'`);
+    }
+
+    function parseValue() {
+        const tok = peek();
+        if (!tok) fail('missing action value');
+        if (tok.type === 'enum' || tok.type === 'number') { pos++; return tok.value; }
+        if (tok.type === 'keyword' && (tok.value === 'TRUE' || tok.value === 'FALSE')) { pos++; return tok.value === 'TRUE'; }
+        return fail(`invalid action value '${tok.value}'`);
+    }
+
+    function parseAction() {
+        const tok = peek();
+        if (!tok || tok.type !== 'ident') fail('expected action field');
+        pos++;
+        const field = tok.value;
+        if (isOp('=')) { pos++; return { kind: 'assign', field, value: parseValue() }; }
+        if (isOp('>=')) { pos++; return { kind: 'raise', field, value: parseValue() }; }
+        if (isOp('!=')) { pos++; return { kind: 'exclude', field, value: parseValue() }; }
+        return { kind: 'flag', field, value: true };
+    }
+
+    expectKeyword('WHEN');
+    const when = parseOr();
+    expectKeyword('THEN');
+    const then = [parseAction()];
+    while (isKeyword('AND')) { pos++; then.push(parseAction()); }
+    if (pos < tokens.length) fail(`unexpected '${peek().value}'`);
+
+    return { when, then };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// COMPILATION
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Parses every constraint and checks its actions against policy.scales.
+ * Throws on the first malformed rule so a bad policy fails at load time.
+ * Constraints listed in policy.external (aggregate or reason-graph constraints the DSL
+ * cannot state) are not compiled; the engine and the kernel check those.
+ * `declarations` supplies scales, counter, external and identifier aliases for a
+ * policy sealed before the DSL declared them; the policy's own declarations win.
+ */
+function compilePolicy(policy, declarations = {}) {
+    const scales = policy.scales || declarations.scales || {};
+    const external = policy.external || declarations.external || [];
+    const aliases = declarations.aliases || {};
+    const rules = policy.constraints.filter(c => !external.includes(c.id)).map(c => {
+        const ast = renameIdentifiers(parseRule(c.rule), aliases);
+        for (const action of ast.then) {
+            const scale = scales[action.field];
+            if ((action.kind === 'raise' || action.kind === 'exclude') && !scale) {
+                throw new Error(`Policy DSL: ${c.id} orders '${action.field}' but the policy declares no scale for it`);
+            }
+            if (scale && !scale.includes(action.value)) {
+                throw new Error(`Policy DSL: ${c.id} uses '${action.value}' which is not on the ${action.field} scale`);
+            }
+            if (action.kind === 'exclude' && scale.indexOf(action.value) === scale.length - 1) {
+                throw new Error(`Policy DSL: ${c.id} excludes '${action.value}' but nothing follows it on the ${action.field} scale`);
+            }
+        }
+        return { id: c.id, name: c.name, severity: c.severity, rule: c.rule, ast };
+    });
+
+    const flags = new Set();
+    rules.forEach(r => r.ast.then.forEach(a => { if (a.kind === 'flag' || a.value === true) flags.add(a.field); }));
+
+    // The counter tallies the rules declared before the first rule that reads it (F1–F9 for F10)
+    const counter = policy.counter || declarations.counter || null;
+    const reader = counter ? rules.findIndex(r => identifiers(r.ast.when).includes(counter)) : -1;
+    const counted = reader >= 0 ? rules.slice(0, reader).map(r => r.id) : [];
+
+    return { rules, scales, flags: [...flags], counter, counted, external };
+}
+
+/**
+ * Compiles each executable version of a domain policy, given as [[policy, declarations?], ...],
+ * and returns rulesFor(policy), which throws for a version it was not given.
+ */
+function compileVersions(versions) {
+    const compiled = new Map(versions.map(([policy, declarations]) => [policy.policy_hash, compilePolicy(policy, declarations)]));
+    return (policy) => {
+        const rules = compiled.get(policy.policy_hash);
+        if (!rules) throw new Error(`Policy DSL: ${policy.policy_name} is not executable`);
+        return rules;
+    };
+}
+
+// Legacy rule text names facts by path (patient.age); aliases map those names to fact names
+function renameIdentifiers(ast, aliases) {
+    const rename = (node) => {
+        switch (node.type) {
+            case 'ident': return aliases[node.name] ? { ...node, name: aliases[node.name] } : node;
+            case 'not': return { ...node, operand: rename(node.operand) };
+            case 'and':
+            case 'or':
+            case 'arith':
+            case 'compare': return { ...node, left: rename(node.left), right: rename(node.right) };
+            default: return node;
+        }
+    };
+    return {
+        when: rename(ast.when),
+        then: ast.then.map(a => (aliases[a.field] ? { ...a, field: aliases[a.field] } : a))
+    };
+}
+
+function identifiers(node) {
+    switch (node.type) {
+        case 'ident': return [node.name];
+        case 'not': return identifiers(node.operand);
+        case 'and':
+        case 'or':
+        case 'arith':
+        case 'compare': return [...identifiers(node.left), ...identifiers(node.right)];
+        default: return [];
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// EVALUATION
+// ═══════════════════════════════════════════════════════════════
+
+function lookup(env, name) {
+    if (!(name in env) || env[name] === undefined) {
+        throw new Error(`Policy DSL: unknown identifier '${name}'`);
+    }
+    return env[name];
+}
+
+function evaluate(node, env) {
+    switch (node.type) {
+        case 'literal': return node.value;
+        case 'ident': return lookup(env, node.name);
+        case 'not': return !evaluate(node.operand, env);
+        case 'and': return evaluate(node.left, env) && evaluate(node.right, env);
+        case 'or': return evaluate(node.left, env) || evaluate(node.right, env);
+        case 'arith': {
+            const l = evaluate(node.left, env);
+            const r = evaluate(node.right, env);
+            if (node.op === '+') return l + r;
+            if (node.op === '-') return l - r;
+            if (node.op === '*') return l * r;
+            return l / r;
+        }
+        case 'compare': return compare(node.op, evaluate(node.left, env), evaluate(node.right, env));
+        default: throw new Error(`Policy DSL: unknown node '${node.type}'`);
+    }
+}
+
+function compare(op, l, r) {
+    switch (op) {
+        case '<': return l < r;
+        case '<=': return l <= r;
+        case '>': return l > r;
+        case '>=': return l >= r;
+        case '=': return l === r;
+        default: return l !== r;
+    }
+}
+
+const NEGATED_OP = { '<': '≥', '<=': '>', '>': '≤', '>=': '<', '=': '≠', '!=': '=' };
+const DISPLAY_OP = { '<=': '≤', '>=': '≥', '!=': '≠' };
+
+function formatValue(v) {
+    if (typeof v === 'boolean') return v ? 'TRUE' : 'FALSE';
+    if (typeof v === 'number' && !Number.isInteger(v)) return String(parseFloat(v.toFixed(4)));
+    return String(v);
+}
+
+/**
+ * Renders a condition with the values it saw, flipping the operator of any
+ * comparison that did not hold: "credit_score=720 ≥ 500".
+ */
+function renderCondition(node, env) {
+    switch (node.type) {
+        case 'literal': return node.raw;
+        case 'ident': return `${node.name}=${formatValue(lookup(env, node.name))}`;
+        case 'not': return `NOT ${renderCondition(node.operand, env)}`;
+        case 'and': return `${renderCondition(node.left, env)} AND ${renderCondition(node.right, env)}`;
+        case 'or': return `(${renderCondition(node.left, env)} OR ${renderCondition(node.right, env)})`;
+        case 'arith': return `${renderCondition(node.left, env)} ${node.op} ${renderCondition(node.right, env)}`;
+        case 'compare': {
+            const held = evaluate(node, env);
+            const op = held ? (DISPLAY_OP[node.op] || node.op) : NEGATED_OP[node.op];
+            return `${renderCondition(node.left, env)} ${op} ${renderCondition(node.right, env)}`;
+        }
+        default: return '';
+    }
+}
+
+function renderActions(actions) {
+    return actions.map(a => {
+        if (a.kind === 'flag') return `${a.field} = TRUE`;
+        const op = a.kind === 'raise' ? '>=' : a.kind === 'exclude' ? '≠' : '=';
+        return `${a.field} ${op} ${formatValue(a.value)}`;
+    }).join(', ');
+}
+
+function applyAction(action, state, scales) {
+    const scale = scales[action.field];
+    if (action.kind === 'raise') {
+        if (scale.indexOf(state[action.field]) < scale.indexOf(action.value)) state[action.field] = action.value;
+    } else if (action.kind === 'exclude') {
+        if (state[action.field] === action.value) state[action.field] = scale[scale.indexOf(action.value) + 1];
+    } else {
+        state[action.field] = action.value;
+    }
+}
+
+function actionHolds(action, env, scales) {
+    const current = env[action.field];
+    if (action.kind === 'raise') {
+        const scale = scales[action.field];
+        return scale.indexOf(current) >= scale.indexOf(action.value);
+    }
+    if (action.kind === 'exclude') return current !== action.value;
+    return current === action.value;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// EXECUTION & CHECKING
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Runs the compiled policy over the facts. Every scale field starts at its first
+ * level, every flag at FALSE; the optional counter holds the number of counted
+ * rules (compiled.counted) triggered so far.
+ *
+ * Returns { state, trace, triggered_count } — trace has one entry per rule;
+ * triggered_count is the final value of the counter.
+ */
+function runPolicy(compiled, facts) {
+    const state = {};
+    Object.entries(compiled.scales).forEach(([field, scale]) => { state[field] = scale[0]; });
+    compiled.flags.forEach(f => { state[f] = false; });
+
+    const counted = new Set(compiled.counted);
+    let triggered_count = 0;
+    const trace = compiled.rules.map(rule => {
+        const env = { ...facts, ...state };
+        if (compiled.counter) env[compiled.counter] = triggered_count;
+        const triggered = evaluate(rule.ast.when, env) === true;
+        const detail = renderCondition(rule.ast.when, env);
+        if (triggered) {
+            rule.ast.then.forEach(a => applyAction(a, state, compiled.scales));
+            if (counted.has(rule.id)) triggered_count++;
+        }
+        return {
+            id: rule.id,
+            rule: rule.rule,
+            triggered,
+            detail,
+            reason: triggered ? `${rule.id}: ${detail} → ${renderActions(rule.ast.then)}` : null
+        };
+    });
+
+    return { state, trace, triggered_count };
+}
+
+/**
+ * PoI rows: every rule read as an assertion over the final outcome —
+ * if its condition holds for (facts + outcome), its actions must hold too.
+ */
+function checkPolicy(compiled, facts, outcome) {
+    const env = { ...facts, ...outcome };
+    return compiled.rules.map(rule => {
+        const triggered = evaluate(rule.ast.when, env) === true;
+        const satisfied = !triggered || rule.ast.then.every(a => actionHolds(a, env, compiled.scales));
+        const effects = rule.ast.then.map(a => `${a.field}=${formatValue(env[a.field])}`).join(', ');
+        return {
+            constraint: `${rule.id} - ${rule.name}`,
+            satisfied,
+            triggered,
+            severity: rule.severity,
+            detail: `${renderCondition(rule.ast.when, env)}; ${effects}`
+        };
+    });
+}
+
+module.exports = {
+    tokenize,
+    parseRule,
+    compilePolicy,
+    compileVersions,
+    evaluate,
+    renderCondition,
+    runPolicy,
+    checkPolicy
+};
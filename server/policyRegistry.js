@@ -0,0 +1,216 @@
+/**
+ * OpLogica Policy Registry — versioned policies with effective dates
+ * Every engine registers each declared version of its policy here. New decisions
+ * use the version in force at decision time; historic bundles are re-checked
+ * against the version they were decided under, found by policy_hash.
+ *
+ * Effective window: [effective_from, effective_until). effective_from defaults to
+ * declaration_timestamp; effective_until null means open-ended. Neither is part of
+ * the policy hash. When a version supersedes another, both edges are the deployment's
+ * cut-over (see cutover); an empty window means the version was never in force here.
+ */
+
+const versions = new Map(); // domain → [entry], ordered by effective_from
+const byHash = new Map();   // policy_hash (and legacy_policy_hash) → entry
+
+// POLICY_CUTOVERS: 'credit@2.1.0=2026-11-02T00:00:00Z;medical@3.1.0=...'
+const CUTOVERS = parseCutovers(process.env.POLICY_CUTOVERS);
+const REGISTERED_AT = new Date().toISOString();
+
+function toTime(iso) {
+    const t = Date.parse(iso);
+    if (Number.isNaN(t)) throw new Error(`Policy registry: invalid timestamp '${iso}'`);
+    return t;
+}
+
+function inWindow(entry, at) {
+    const t = toTime(at);
+    return t >= toTime(entry.effective_from) && (entry.effective_until == null || t < toTime(entry.effective_until));
+}
+
+function parseCutovers(spec) {
+    const cutovers = new Map();
+    (spec || '').split(';').map(s => s.trim()).filter(Boolean).forEach(item => {
+        const eq = item.indexOf('=');
+        if (eq < 0) throw new Error(`Policy registry: POLICY_CUTOVERS entry '${item}' is not domain@version=time`);
+        const at = item.slice(eq + 1).trim();
+        toTime(at);
+        cutovers.set(item.slice(0, eq).trim(), at);
+    });
+    return cutovers;
+}
+
+function overlaps(a, b) {
+    const aEnd = a.effective_until == null ? Infinity : toTime(a.effective_until);
+    const bEnd = b.effective_until == null ? Infinity : toTime(b.effective_until);
+    return toTime(a.effective_from) < bEnd && toTime(b.effective_from) < aEnd;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// REGISTRATION
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Registers a sealed policy for a domain. Re-registering the same hash is a no-op;
+ * overlapping effective windows within a domain are rejected.
+ */
+function registerPolicy(domain, policy) {
+    if (!policy.policy_hash) throw new Error(`Policy registry: '${policy.policy_name}' is not sealed`);
+
+    const existing = byHash.get(policy.policy_hash);
+    if (existing) {
+        if (existing.domain !== domain) {
+            throw new Error(`Policy registry: ${policy.policy_hash} already registered for '${existing.domain}'`);
+        }
+        return existing;
+    }
+
+    const entry = {
+        domain,
+        policy_name: policy.policy_name,
+        version: policy.version || null,
+        policy_hash: policy.policy_hash,
+        declaration_timestamp: policy.declaration_timestamp,
+        effective_from: policy.effective_from || policy.declaration_timestamp,
+        effective_until: policy.effective_until || null,
+        policy
+    };
+
+    if (toTime(entry.effective_from) < toTime(entry.declaration_timestamp)) {
+        throw new Error(`Policy registry: '${entry.policy_name}' takes effect before it was declared`);
+    }
+    if (entry.effective_until && toTime(entry.effective_until) < toTime(entry.effective_from)) {
+        throw new Error(`Policy registry: '${entry.policy_name}' ends before it starts`);
+    }
+
+    const list = versions.get(domain) || [];
+    const clash = list.find(e => overlaps(e, entry));
+    if (clash) {
+        throw new Error(`Policy registry: '${entry.policy_name}' overlaps '${clash.policy_name}' in domain '${domain}'`);
+    }
+
+    list.push(entry);
+    list.sort((a, b) => toTime(a.effective_from) - toTime(b.effective_from));
+    versions.set(domain, list);
+    byHash.set(entry.policy_hash, entry);
+    if (policy.legacy_policy_hash) byHash.set(policy.legacy_policy_hash, entry);
+    return entry;
+}
+
+/**
+ * When `policy` takes over its domain in this deployment: its POLICY_CUTOVERS entry
+ * (domain@version) when configured, else the later of its declaration and the time this
+ * process started. The fallback moves with every restart, so a deployment that has
+ * decided anything under the previous version pins the cut-over in POLICY_CUTOVERS.
+ */
+function cutover(domain, policy) {
+    const configured = CUTOVERS.get(`${domain}@${policy.version}`);
+    if (configured) return configured;
+    return toTime(policy.declaration_timestamp) > toTime(REGISTERED_AT) ? policy.declaration_timestamp : REGISTERED_AT;
+}
+
+/**
+ * Hands a domain over from one sealed version to the next at cutover(domain, next).
+ * Call before registering either.
+ */
+function supersede(domain, previous, next) {
+    const at = cutover(domain, next);
+    if (toTime(at) < toTime(next.declaration_timestamp)) {
+        throw new Error(`Policy registry: cut-over to '${next.policy_name}' at ${at} precedes its declaration`);
+    }
+    previous.effective_until = at;
+    next.effective_from = at;
+    return at;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// LOOKUP
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Returns the policy object in force for a domain at the given time.
+ */
+function resolvePolicy(domain, at) {
+    const list = versions.get(domain) || [];
+    const entry = list.find(e => inWindow(e, at));
+    if (!entry) throw new Error(`Policy registry: no '${domain}' policy in force at ${at}`);
+    return entry.policy;
+}
+
+function getPolicyByHash(policyHash) {
+    return byHash.get(policyHash) || null;
+}
+
+function summarize(entry, now) {
+    return {
+        domain: entry.domain,
+        policy_name: entry.policy_name,
+        version: entry.version,
+        policy_hash: entry.policy_hash,
+        declaration_timestamp: entry.declaration_timestamp,
+        effective_from: entry.effective_from,
+        effective_until: entry.effective_until,
+        in_force: inWindow(entry, now),
+        ...(entry.policy.scoring_models ? { scoring_models: entry.policy.scoring_models } : {}),
+        constraints: entry.policy.constraints.map(c => ({ id: c.id, name: c.name, rule: c.rule, severity: c.severity }))
+    };
+}
+
+function listDomains() {
+    return [...versions.keys()];
+}
+
+/**
+ * All registered versions, optionally for one domain, oldest first.
+ */
+function listPolicies(domain) {
+    const now = new Date().toISOString();
+    const domains = domain ? [domain] : listDomains();
+    return domains.flatMap(d => (versions.get(d) || []).map(e => summarize(e, now)));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// HISTORICAL RE-VERIFICATION
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Checks that a bundle's policy_hash names a registered version of its domain
+ * that was declared before, and in force at, the decision time.
+ */
+function verifyPolicyBinding(domain, policyHash, decidedAt) {
+    const entry = getPolicyByHash(policyHash);
+    if (!entry) {
+        return { valid: false, policy_hash: policyHash, detail: 'policy_hash is not a registered policy version' };
+    }
+
+    const checks = {
+        domain_match: entry.domain === domain,
+        declared_before_decision: toTime(entry.declaration_timestamp) < toTime(decidedAt),
+        in_force_at_decision: inWindow(entry, decidedAt)
+    };
+    const valid = Object.values(checks).every(Boolean);
+
+    return {
+        valid,
+        policy_name: entry.policy_name,
+        version: entry.version,
+        policy_hash: policyHash,
+        effective_from: entry.effective_from,
+        effective_until: entry.effective_until,
+        checks,
+        detail: valid
+            ? `${entry.policy_name} was in force at ${decidedAt}`
+            : `${entry.policy_name} does not cover a ${domain} decision at ${decidedAt}`
+    };
+}
+
+module.exports = {
+    registerPolicy,
+    cutover,
+    supersede,
+    resolvePolicy,
+    getPolicyByHash,
+    listDomains,
+    listPolicies,
+    verifyPolicyBinding
+};
@@ -0,0 +1,186 @@
+/**
+ * OpLogica Reason Graph Analysis — structure of a PoR graph
+ * A PoR graph reads premises → rules → conclusions. The analysis reports:
+ *   depth           longest justification chain ending at a conclusion: edges closing a
+ *                   cycle, `counts` edges (a tally of other rules, not a reason) and
+ *                   `compares` edges (a reference value, e.g. the previous priority) ignored
+ *   cycles          circular justifications, each as its vertex ids in edge order
+ *   unreachable     rules and conclusions no premise leads to
+ *   dangling_rules  rules with no outgoing edge: they conclude nothing
+ *   unused_premises premises no edge leaves (reported, not a defect)
+ *   unknown_edges   edges naming vertices the graph does not declare
+ * A graph is well formed when it has edges and none of cycles, unreachable vertices,
+ * dangling rules or unknown edges.
+ */
+
+// Relations that do not justify their target; depth does not follow them
+const NON_JUSTIFYING = new Set(['counts', 'compares']);
+
+function adjacency(vertices, edges) {
+    const outgoing = new Map(vertices.map(v => [v.id, []]));
+    const incoming = new Map(vertices.map(v => [v.id, []]));
+    const justifying = new Map(vertices.map(v => [v.id, []]));
+    edges.forEach(e => {
+        if (outgoing.has(e.from) && incoming.has(e.to)) {
+            outgoing.get(e.from).push(e.to);
+            incoming.get(e.to).push(e.from);
+            if (!NON_JUSTIFYING.has(e.relation)) justifying.get(e.to).push(e.from);
+        }
+    });
+    return { outgoing, incoming, justifying };
+}
+
+/**
+ * Depth-first walk in declaration order; a back edge to a vertex still on the
+ * stack closes one cycle.
+ */
+function findCycles(vertices, outgoing) {
+    const state = new Map();
+    const stack = [];
+    const cycles = [];
+    const backEdges = new Set();
+
+    function visit(id) {
+        state.set(id, 'active');
+        stack.push(id);
+        outgoing.get(id).forEach(to => {
+            if (state.get(to) === 'active') {
+                cycles.push(stack.slice(stack.indexOf(to)));
+                backEdges.add(`${id}→${to}`);
+            } else if (!state.has(to)) {
+                visit(to);
+            }
+        });
+        stack.pop();
+        state.set(id, 'done');
+    }
+
+    vertices.forEach(v => { if (!state.has(v.id)) visit(v.id); });
+    return { cycles, backEdges };
+}
+
+function reachableFrom(starts, outgoing) {
+    const seen = new Set(starts);
+    const queue = [...starts];
+    while (queue.length > 0) {
+        outgoing.get(queue.shift()).forEach(to => {
+            if (!seen.has(to)) {
+                seen.add(to);
+                queue.push(to);
+            }
+        });
+    }
+    return seen;
+}
+
+// Longest chain of justifying edges ending at each vertex, over the graph without its back edges
+function vertexDepths(vertices, incoming, backEdges) {
+    const depths = new Map();
+    function depthOf(id) {
+        if (depths.has(id)) return depths.get(id);
+        depths.set(id, 0);
+        const d = Math.max(0, ...incoming.get(id).filter(from => !backEdges.has(`${from}→${id}`)).map(from => depthOf(from) + 1));
+        depths.set(id, d);
+        return d;
+    }
+    vertices.forEach(v => depthOf(v.id));
+    return depths;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ANALYSIS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * graph — { vertices: [{ id, type, label }], edges: [{ from, to, relation }] }
+ * Returns { well_formed, depth, depths: { id: depth }, cycles, unreachable, dangling_rules,
+ *           unused_premises, unknown_edges, vertex_count, edge_count, detail }
+ */
+function analyzeReasonGraph(graph) {
+    if (!graph || !Array.isArray(graph.vertices) || !Array.isArray(graph.edges)) {
+        return { well_formed: false, detail: 'graph must have vertices and edges arrays' };
+    }
+    const { vertices, edges } = graph;
+    const ids = new Set(vertices.map(v => v.id));
+    const unknownEdges = edges.filter(e => !ids.has(e.from) || !ids.has(e.to)).map(e => `${e.from}→${e.to}`);
+    const { outgoing, justifying } = adjacency(vertices, edges);
+    const { cycles, backEdges } = findCycles(vertices, outgoing);
+
+    const premises = vertices.filter(v => v.type === 'premise').map(v => v.id);
+    const reached = reachableFrom(premises, outgoing);
+    const unreachable = vertices.filter(v => v.type !== 'premise' && !reached.has(v.id)).map(v => v.id);
+    const danglingRules = vertices.filter(v => v.type === 'rule' && outgoing.get(v.id).length === 0).map(v => v.id);
+    const unusedPremises = premises.filter(id => outgoing.get(id).length === 0);
+
+    const depths = vertexDepths(vertices, justifying, backEdges);
+    const conclusions = vertices.filter(v => v.type === 'conclusion').map(v => v.id);
+    const depth = Math.max(0, ...(conclusions.length ? conclusions : [...ids]).map(id => depths.get(id)));
+
+    const problems = [];
+    if (edges.length === 0) problems.push('graph has no edges');
+    if (unknownEdges.length) problems.push(`edges reference unknown vertices: ${unknownEdges.join(', ')}`);
+    if (cycles.length) problems.push(`cycles: ${cycles.map(c => [...c, c[0]].join('→')).join('; ')}`);
+    if (danglingRules.length) problems.push(`rules without conclusions: ${danglingRules.join(', ')}`);
+    if (unreachable.length) problems.push(`unreachable from any premise: ${unreachable.join(', ')}`);
+
+    return {
+        well_formed: problems.length === 0,
+        depth,
+        depths: Object.fromEntries(depths),
+        cycles,
+        unreachable,
+        dangling_rules: danglingRules,
+        unused_premises: unusedPremises,
+        unknown_edges: unknownEdges,
+        vertex_count: vertices.length,
+        edge_count: edges.length,
+        detail: problems.length
+            ? problems.join('; ')
+            : `${vertices.length} vertices, ${edges.length} edges, depth ${depth}`
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// STRUCTURAL CONSTRAINTS
+// ═══════════════════════════════════════════════════════════════
+
+// WHEN decision.<flag> = TRUE THEN reason_graph.depth >= <n>
+const DEPTH_RULE = /^WHEN decision\.(\w+) = TRUE THEN reason_graph\.depth >= (\d+)$/;
+
+// The conclusion a rule about decision.<flag> is about: the one stating "<flag> = …"
+function conclusionStating(graph, flag) {
+    return graph.vertices.find(v => v.type === 'conclusion' && String(v.label).startsWith(`${flag} =`)) || null;
+}
+
+/**
+ * PoI rows for the policy constraints stated over the reason graph (C4
+ * justification_required in the triage policies). The depth is measured at the
+ * conclusion stating the flag (c6 for priority_changed), not across the whole
+ * graph, so an unjustified conclusion fails however deep the rest is. A
+ * constraint whose WHEN clause does not hold for the decision yields no row.
+ */
+function structuralConstraints(policy, decision, graph, analysis) {
+    const rows = [];
+    (policy.constraints || []).forEach(c => {
+        const match = DEPTH_RULE.exec(c.rule || '');
+        if (!match || decision[match[1]] !== true) return;
+        const flag = match[1];
+        const required = Number(match[2]);
+        const target = conclusionStating(graph, flag);
+        const depth = target && analysis.depths ? analysis.depths[target.id] : 0;
+        rows.push({
+            constraint: `${c.id} - ${c.name}`,
+            satisfied: !!target && depth >= required,
+            severity: c.severity,
+            detail: target
+                ? `${flag} = TRUE, reason_graph.depth at ${target.id} = ${depth} (≥ ${required} required)`
+                : `${flag} = TRUE, but no conclusion of the reason graph states ${flag}`
+        });
+    });
+    return rows;
+}
+
+module.exports = {
+    analyzeReasonGraph,
+    structuralConstraints
+};
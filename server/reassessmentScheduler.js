@@ -0,0 +1,225 @@
+/**
+ * OpLogica Reassessment Scheduler — open triage cases and their C3 re-triage
+ * A case opens with a triage decision and stays open until the patient is seen. The
+ * wait clock runs from arrival (open time minus the wait_time given). Once the wait
+ * passes the C3 limit, the case is due: tick() marks it and hands it back so the
+ * server can push reassessment_due over /ws. Updated vitals are merged over the
+ * case's input and the patient is triaged again with the current wait, linked to
+ * the previous decision (previous_decision_id / previous_priority), so the new PoR
+ * shows the priority change and C4 is checked on it. The next reassessment is due
+ * REASSESSMENT_INTERVAL_MINUTES (default 60) later.
+ *
+ * Backed by triage_cases and triage_case_decisions (02-create-tables.sql); the
+ * decisions themselves reach the ledger like every other bundle.
+ */
+
+const crypto = require('crypto');
+const medicalEngine = require('./medicalEngine');
+const { OBSERVATION_SCHEMA } = require('./clinicalExtraction');
+
+const INTERVAL_MINUTES = parseFloat(process.env.REASSESSMENT_INTERVAL_MINUTES) || 60;
+const LINK_FIELDS = ['wait_time', 'previous_decision_id', 'previous_priority'];
+
+function minutesBetween(from, to) {
+    return Math.max(0, Math.floor((new Date(to) - new Date(from)) / 60000));
+}
+
+function addMinutes(time, minutes) {
+    return new Date(new Date(time).getTime() + minutes * 60000);
+}
+
+/**
+ * Case input with updated vitals merged over it. Raw vitals without a vital_score
+ * replace the stored vital_score, so it is derived again from the new observations.
+ */
+function mergeVitals(input, updates) {
+    const merged = { ...input };
+    Object.entries(updates || {}).forEach(([field, value]) => {
+        if (value !== undefined && !LINK_FIELDS.includes(field)) merged[field] = value;
+    });
+    const observed = Object.keys(OBSERVATION_SCHEMA.properties).some(f => updates && updates[f] !== undefined);
+    if (observed && (!updates || updates.vital_score === undefined)) delete merged.vital_score;
+    return merged;
+}
+
+function toCase(row) {
+    const now = new Date();
+    return {
+        case_id: row.case_id,
+        patient_ref: row.patient_ref,
+        status: row.status,
+        priority: row.priority,
+        decision_id: row.decision_id,
+        reassessments: Number(row.reassessments),
+        arrived_at: row.arrived_at,
+        wait_time: minutesBetween(row.arrived_at, row.closed_at || now),
+        due_at: row.status === 'OPEN' ? row.due_at : null,
+        overdue: row.status === 'OPEN' && new Date(row.due_at) <= now,
+        notified_at: row.notified_at,
+        created_at: row.created_at,
+        closed_at: row.closed_at
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SCHEDULER FACTORY
+// ═══════════════════════════════════════════════════════════════
+
+function createReassessmentScheduler(pool) {
+
+    // First due time: when the wait passes the C3 limit in force, or now if it already has
+    function firstDue(arrivedAt, now) {
+        const due = addMinutes(arrivedAt, medicalEngine.c3WaitLimit());
+        return due > now ? due : now;
+    }
+
+    async function recordDecision(client, caseId, seq, result, input) {
+        await client.query(
+            `INSERT INTO triage_case_decisions (case_id, seq, decision_id, previous_decision_id, priority, wait_time, created_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [caseId, seq, result.verification_bundle.bundle_id, input.previous_decision_id || null,
+                result.decision.priority, input.wait_time, result.decision.timestamp]
+        );
+    }
+
+    /**
+     * Triages a new patient and opens a case for them.
+     * rawInput — medical engine input; wait_time is the wait so far (default 0)
+     * options  — { patient_ref }
+     * Returns { case, decision, verification_bundle }; invalid input throws InputValidationError.
+     */
+    async function open(rawInput, options = {}) {
+        const now = new Date();
+        const input = mergeVitals({}, rawInput);
+        const waited = typeof rawInput.wait_time === 'number' && rawInput.wait_time > 0 ? rawInput.wait_time : 0;
+        const result = medicalEngine.evaluateMedical({ ...input, wait_time: waited });
+        const arrivedAt = addMinutes(now, -waited);
+        const caseId = `TC-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const inserted = await client.query(
+                `INSERT INTO triage_cases (case_id, patient_ref, status, arrived_at, input, decision_id, priority, reassessments, due_at, created_at, updated_at)
+                 VALUES ($1, $2, 'OPEN', $3, $4, $5, $6, 0, $7, $8, $8)
+                 RETURNING *`,
+                [caseId, options.patient_ref || null, arrivedAt, JSON.stringify(input), result.verification_bundle.bundle_id,
+                    result.decision.priority, firstDue(arrivedAt, now), now]
+            );
+            await recordDecision(client, caseId, 0, result, { wait_time: waited });
+            await client.query('COMMIT');
+            return { case: toCase(inserted.rows[0]), ...result };
+        } catch (err) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Re-triages an open case with updated vitals, linked to its latest decision.
+     * Returns null when the case does not exist; decision is null when it is closed.
+     */
+    async function reassess(caseId, updates) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const found = await client.query('SELECT * FROM triage_cases WHERE case_id = $1 FOR UPDATE', [caseId]);
+            const row = found.rows[0];
+            if (!row || row.status !== 'OPEN') {
+                await client.query('ROLLBACK');
+                return row ? { case: toCase(row), decision: null, verification_bundle: null } : null;
+            }
+
+            const now = new Date();
+            const input = mergeVitals(row.input, updates);
+            const linked = {
+                ...input,
+                wait_time: minutesBetween(row.arrived_at, now),
+                previous_decision_id: row.decision_id,
+                previous_priority: row.priority
+            };
+            const result = medicalEngine.evaluateMedical(linked);
+            const seq = Number(row.reassessments) + 1;
+            const updated = await client.query(
+                `UPDATE triage_cases
+                 SET input = $2, decision_id = $3, priority = $4, reassessments = $5, due_at = $6, notified_at = NULL, updated_at = $7
+                 WHERE case_id = $1
+                 RETURNING *`,
+                [caseId, JSON.stringify(input), result.verification_bundle.bundle_id, result.decision.priority, seq,
+                    addMinutes(now, INTERVAL_MINUTES), now]
+            );
+            await recordDecision(client, caseId, seq, result, linked);
+            await client.query('COMMIT');
+            return { case: toCase(updated.rows[0]), ...result };
+        } catch (err) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Closes a case (patient seen, transferred or left); no further reassessments are due.
+     * Returns null when the case does not exist.
+     */
+    async function close(caseId) {
+        const result = await pool.query(
+            `UPDATE triage_cases SET status = 'CLOSED', closed_at = COALESCE(closed_at, $2), updated_at = $2
+             WHERE case_id = $1
+             RETURNING *`,
+            [caseId, new Date()]
+        );
+        return result.rows[0] ? toCase(result.rows[0]) : null;
+    }
+
+    /**
+     * One case with its decisions in order: [{ seq, decision_id, previous_decision_id, priority, wait_time, created_at }]
+     */
+    async function get(caseId) {
+        const found = await pool.query('SELECT * FROM triage_cases WHERE case_id = $1', [caseId]);
+        if (!found.rows[0]) return null;
+        const decisions = await pool.query(
+            `SELECT seq, decision_id, previous_decision_id, priority, wait_time, created_at
+             FROM triage_case_decisions WHERE case_id = $1 ORDER BY seq`,
+            [caseId]
+        );
+        return {
+            ...toCase(found.rows[0]),
+            decisions: decisions.rows.map(d => ({ ...d, seq: Number(d.seq), wait_time: Number(d.wait_time) }))
+        };
+    }
+
+    async function list({ status = 'OPEN', limit = 100 } = {}) {
+        const result = await pool.query(
+            `SELECT * FROM triage_cases
+             WHERE ($1::text IS NULL OR status = $1)
+             ORDER BY due_at ASC LIMIT $2`,
+            [status ? String(status).toUpperCase() : null, Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500)]
+        );
+        return result.rows.map(toCase);
+    }
+
+    /**
+     * Marks every open case whose reassessment has come due and not been announced yet,
+     * and returns them (each announced once per due time).
+     */
+    async function tick(now = new Date()) {
+        const result = await pool.query(
+            `UPDATE triage_cases SET notified_at = $1
+             WHERE status = 'OPEN' AND due_at <= $1 AND notified_at IS NULL
+             RETURNING *`,
+            [now]
+        );
+        return result.rows.map(toCase);
+    }
+
+    return { intervalMinutes: INTERVAL_MINUTES, open, reassess, close, get, list, tick };
+}
+
+module.exports = {
+    mergeVitals,
+    createReassessmentScheduler
+};
@@ -0,0 +1,201 @@
+/**
+ * OpLogica Sensitivity Analysis — threshold proximity and outcome stability
+ * Reads every numeric comparison out of the policy in force (the same rule text the
+ * PoI binds), measures how far the decision's input sits from each threshold, and
+ * re-runs the engine on small perturbations of every numeric input to score how
+ * stable the outcome is. A decision that one small change would flip is knife-edge.
+ *
+ * Distances are relative to the threshold (to the field's schema range when the
+ * threshold is 0). PROXIMITY = 0.05 — a threshold within 5% counts as near, and
+ * every numeric input is perturbed by ±2.5% and ±5% of its value.
+ *
+ * Pure: the kernel calls analyzeSensitivity() inside probe(), so the re-runs seal nothing.
+ */
+
+const { parseRule, evaluate } = require('./policyDsl');
+const { InputValidationError } = require('./inputSchema');
+
+const PROXIMITY = 0.05;
+const PERTURBATIONS = [-1, -0.5, 0.5, 1];
+
+function round(value, digits = 4) {
+    return Number(value.toFixed(digits));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// RULE THRESHOLDS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Maps a rule identifier to an input field: the engine's alias, the name itself,
+ * dots as underscores (evidence.score → evidence_score), then the last segment
+ * (patient.age → age). Null when the identifier is not an input (counters, outcome fields).
+ */
+function resolveField(name, input, aliases) {
+    const candidates = [aliases[name], name, name.replace(/\./g, '_'), name.split('.').pop()];
+    return candidates.find(f => f && typeof input[f] === 'number') || null;
+}
+
+function identifiers(node, out = []) {
+    if (node.type === 'ident') out.push(node.name);
+    else if (node.type === 'arith') { identifiers(node.left, out); identifiers(node.right, out); }
+    return out;
+}
+
+function expressionText(node, fieldOf) {
+    if (node.type === 'ident') return fieldOf(node.name);
+    if (node.type === 'literal') return node.raw;
+    return `${expressionText(node.left, fieldOf)} ${node.op} ${expressionText(node.right, fieldOf)}`;
+}
+
+function comparisons(node, out = []) {
+    if (node.type === 'compare') out.push(node);
+    else if (node.type === 'and' || node.type === 'or') { comparisons(node.left, out); comparisons(node.right, out); }
+    else if (node.type === 'not') comparisons(node.operand, out);
+    return out;
+}
+
+function fieldRange(spec) {
+    if (!spec || spec.maximum == null) return null;
+    const min = spec.minimum != null ? spec.minimum : spec.exclusiveMinimum;
+    return min == null ? null : spec.maximum - min;
+}
+
+/**
+ * One row per numeric comparison in the policy whose input side the decision supplies.
+ * triggered is the rule's own outcome (from decision.allRules when the engine reports it).
+ */
+function ruleThresholds({ policy, schema, aliases, input, decision }) {
+    const properties = (schema && schema.properties) || {};
+    const reported = new Map((decision.allRules || []).map(r => [r.id, r.triggered]));
+    const rows = [];
+
+    policy.constraints.forEach(constraint => {
+        let ast;
+        try {
+            ast = parseRule(constraint.rule);
+        } catch (err) {
+            return; // legacy rule text that predates the DSL
+        }
+
+        comparisons(ast.when).forEach(node => {
+            if (node.op === '=' || node.op === '!=') return;
+            const names = identifiers(node.left).concat(identifiers(node.right));
+            if (names.length === 0) return;
+            const fields = names.map(name => resolveField(name, input, aliases));
+            if (fields.some(f => f === null)) return;
+
+            const fieldOf = name => fields[names.indexOf(name)];
+            const env = {};
+            names.forEach((name, i) => { env[name] = input[fields[i]]; });
+            const value = evaluate(node.left, env);
+            const threshold = evaluate(node.right, env);
+            if (!Number.isFinite(value) || !Number.isFinite(threshold)) return;
+
+            const holds = evaluate(node, env);
+            const range = node.left.type === 'ident' ? fieldRange(properties[fieldOf(node.left.name)]) : null;
+            const scale = Math.abs(threshold) || range || 1;
+            const distance = value - threshold;
+
+            rows.push({
+                rule: constraint.id,
+                name: constraint.name,
+                severity: constraint.severity,
+                expression: expressionText(node.left, fieldOf),
+                op: node.op,
+                threshold: round(threshold),
+                value: round(value),
+                distance: round(distance),
+                relative_distance: round(Math.abs(distance) / scale),
+                holds,
+                triggered: reported.has(constraint.id) ? reported.get(constraint.id) : holds
+            });
+        });
+    });
+
+    return rows;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// OUTCOME STABILITY
+// ═══════════════════════════════════════════════════════════════
+
+function perturbations(spec, value) {
+    const base = Math.abs(value) || fieldRange(spec);
+    if (!base) return [];
+    const min = spec.minimum != null ? spec.minimum : -Infinity;
+    const max = spec.maximum != null ? spec.maximum : Infinity;
+
+    const values = PERTURBATIONS
+        .map(k => round(value + k * PROXIMITY * base, 6))
+        .map(v => (spec.type === 'integer' ? Math.round(v) : v))
+        .filter(v => v !== value && v >= min && v <= max && (spec.exclusiveMinimum == null || v > spec.exclusiveMinimum));
+    return [...new Set(values)];
+}
+
+function outcomeStability({ schema, outcome, input, decision, evaluate: run }) {
+    const original = decision[outcome];
+    const flips = [];
+    let total = 0;
+
+    Object.entries((schema && schema.properties) || {}).forEach(([field, spec]) => {
+        if ((spec.type !== 'number' && spec.type !== 'integer') || typeof input[field] !== 'number' || field === schema['x-category']) return;
+        perturbations(spec, input[field]).forEach(to => {
+            total++;
+            let result;
+            try {
+                result = run({ ...input, [field]: to }).decision[outcome];
+            } catch (err) {
+                if (err instanceof InputValidationError) return; // rejected by the schema: not a reachable neighbour
+                throw err;
+            }
+            if (result !== original) flips.push({ field, from: input[field], to, outcome: result });
+        });
+    });
+
+    return {
+        score: total ? round((total - flips.length) / total, 3) : 1,
+        perturbations: total,
+        flips
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// REPORT
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * context — { policy, schema, aliases, outcome, input, decision, evaluate }
+ *   input    — prepared input (defaults filled)
+ *   outcome  — decision field holding the outcome ('recommendation', 'priority')
+ *   evaluate — the engine's evaluate function, re-run on perturbed input
+ *
+ * Returns { proximity, thresholds, near, stability, knife_edge }.
+ * near lists thresholds within PROXIMITY: would_trigger for rules not triggered,
+ * would_clear for triggered ones. knife_edge is set when any perturbation flips the outcome.
+ */
+function analyzeSensitivity(context) {
+    const thresholds = ruleThresholds({ aliases: {}, ...context });
+    const near = thresholds
+        .filter(t => t.relative_distance <= PROXIMITY)
+        .map(t => ({
+            rule: t.rule,
+            effect: t.triggered ? 'would_clear' : 'would_trigger',
+            detail: `${t.expression}=${t.value} is ${Math.abs(t.distance)} from ${t.op} ${t.threshold}`
+        }));
+    const stability = outcomeStability(context);
+
+    return {
+        proximity: PROXIMITY,
+        thresholds,
+        near,
+        stability,
+        knife_edge: stability.flips.length > 0
+    };
+}
+
+module.exports = {
+    PROXIMITY,
+    ruleThresholds,
+    analyzeSensitivity
+};
@@ -0,0 +1,118 @@
+/**
+ * OpLogica Slot Filling — multi-turn collection of engine inputs in chat
+ * When the routed engine's schema still lacks required inputs, the chat keeps what was
+ * extracted so far for the conversation and asks only for the rest. Later messages in
+ * the same conversation are extracted again and merged over the stored inputs until the
+ * set validates, then the engine runs once and the slot state is cleared.
+ *
+ * State lives in memory, keyed by conversation (or by guest when there is none), and
+ * expires after SLOT_FILL_TTL_MINUTES (default 15) without an answer.
+ *
+ * Slot state: { intent, params, lang, asked: [field], updated_at }
+ */
+
+const TTL_MS = (parseFloat(process.env.SLOT_FILL_TTL_MINUTES) || 15) * 60 * 1000;
+const MAX_PENDING = 10000;
+
+const YES = /^(?:y|yes|true|yeah|yep|نعم|أجل|evet|var)$/i;
+const NO = /^(?:n|no|false|nope|لا|hayır|hayir|yok)$/i;
+const CANCEL = /^\/?(?:cancel|stop|abort|إلغاء|الغاء|توقف|iptal|vazgeç)$/i;
+
+// ═══════════════════════════════════════════════════════════════
+// STORE
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * options — { ttlMs, now () → ms (for tests) }
+ */
+function createSlotStore(options = {}) {
+    const ttlMs = options.ttlMs || TTL_MS;
+    const now = options.now || Date.now;
+    const pending = new Map();
+
+    function prune() {
+        const cutoff = now() - ttlMs;
+        for (const [key, state] of pending) {
+            if (state.updated_at < cutoff) pending.delete(key);
+        }
+    }
+
+    function get(key) {
+        const state = pending.get(key);
+        if (!state) return null;
+        if (state.updated_at < now() - ttlMs) {
+            pending.delete(key);
+            return null;
+        }
+        return state;
+    }
+
+    function set(key, state) {
+        if (!pending.has(key) && pending.size >= MAX_PENDING) prune();
+        // Still full of live conversations: drop the oldest (Map keeps insertion order)
+        if (!pending.has(key) && pending.size >= MAX_PENDING) pending.delete(pending.keys().next().value);
+        pending.delete(key);
+        const stored = { ...state, updated_at: now() };
+        pending.set(key, stored);
+        return stored;
+    }
+
+    function clear(key) {
+        return pending.delete(key);
+    }
+
+    return { ttlMs, get, set, clear, size: () => pending.size };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ANSWERS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Later sources win; undefined values never overwrite.
+ */
+function mergeParams(...sources) {
+    const merged = {};
+    sources.forEach(source => {
+        Object.entries(source || {}).forEach(([key, value]) => {
+            if (value !== undefined) merged[key] = value;
+        });
+    });
+    return merged;
+}
+
+/**
+ * A reply that is only a value ("0.6", "yes", "لا") answers the single field asked for.
+ * Returns the value typed by the field's schema, or undefined when it does not fit.
+ */
+function bareAnswer(message, field, schema) {
+    const spec = schema && schema.properties && schema.properties[field];
+    const text = String(message || '').trim().replace(/[.!،,]+$/, '');
+    if (!spec || !text) return undefined;
+    if (spec.type === 'number' || spec.type === 'integer') {
+        if (!/^-?\$?\d[\d,]*(?:\.\d+)?$/.test(text)) return undefined;
+        const n = Number(text.replace(/[$,]/g, ''));
+        return Number.isFinite(n) ? n : undefined;
+    }
+    if (spec.type === 'boolean') {
+        if (YES.test(text)) return true;
+        if (NO.test(text)) return false;
+        return undefined;
+    }
+    if (spec.type === 'string' && spec.enum) {
+        const value = text.toUpperCase();
+        return spec.enum.includes(value) ? value : undefined;
+    }
+    return undefined;
+}
+
+function isCancel(message) {
+    return CANCEL.test(String(message || '').trim());
+}
+
+module.exports = {
+    createSlotStore,
+    mergeParams,
+    bareAnswer,
+    isCancel
+};
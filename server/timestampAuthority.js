@@ -0,0 +1,170 @@
+/**
+ * OpLogica Timestamp Authority — RFC 3161-style time-stamp tokens for PoO
+ * A timestamp authority (TSA) signs { message_imprint, gen_time, serial } so the
+ * decision time no longer rests on this server's clock alone. Temporal precedence
+ * (Axiom 3.1) is checked against the token's gen_time whenever a PoO carries one.
+ *
+ * Pluggable: any object { name, policy, stamp(hashHex) → token } can be installed
+ * with setTimestampAuthority(). stamp() is synchronous because engines seal bundles
+ * synchronously. The bundled local TSA signs with its own Ed25519 key, kept apart
+ * from the proof keyring, for air-gapped setups.
+ *
+ * TSA_MODE=local enables the local TSA at startup (unset = no tokens).
+ * Key storage: TSA_KEYS_DIR (default SIGNING_KEYS_DIR, else server/keys/)/tsa.json.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { verifyWithKey } = require('./keyring');
+
+const TOKEN_VERSION = 1;
+const LOCAL_TSA_POLICY = 'oplogica.local-tsa/1';
+const KEYS_DIR = process.env.TSA_KEYS_DIR || process.env.SIGNING_KEYS_DIR || path.join(__dirname, 'keys');
+
+let authority = null;
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// TOKEN FORMAT
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * The signed part of a token (RFC 3161 TSTInfo, as JSON).
+ */
+function tokenPayload(token) {
+    return JSON.stringify({
+        version: token.version,
+        policy: token.policy,
+        message_imprint: token.message_imprint,
+        serial_number: token.serial_number,
+        gen_time: token.gen_time,
+        accuracy_ms: token.accuracy_ms,
+        tsa: token.tsa
+    });
+}
+
+/**
+ * Checks a token against the hash it should cover.
+ * options.getPublicKey — (kid) → TSA public key (default: the local TSA's keys)
+ * Returns { valid, gen_time, detail }.
+ */
+function verifyToken(token, hashHex, options = {}) {
+    if (!token || typeof token !== 'object') return { valid: false, gen_time: null, detail: 'no timestamp token' };
+    const problems = [];
+    const imprint = token.message_imprint || {};
+    if (imprint.hash_alg !== 'SHA-256' || imprint.hashed_message !== hashHex) problems.push('message imprint does not match PoO hash');
+    if (Number.isNaN(Date.parse(token.gen_time))) problems.push('gen_time is not a timestamp');
+    const getPublicKey = options.getPublicKey || localPublicKey;
+    if (!verifyWithKey(tokenPayload(token), token.signature, getPublicKey(token.kid))) problems.push(`TSA signature invalid (kid ${token.kid})`);
+
+    return {
+        valid: problems.length === 0,
+        gen_time: token.gen_time,
+        detail: problems.length === 0 ? `${token.tsa} token ${token.serial_number} at ${token.gen_time}` : problems.join('; ')
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// LOCAL TSA
+// ═══════════════════════════════════════════════════════════════
+
+let localKeys = null; // [{ kid, public_key, private_key? }] (PEM)
+
+function loadLocalKeys() {
+    if (localKeys) return localKeys;
+    const file = path.join(KEYS_DIR, 'tsa.json');
+    if (fs.existsSync(file)) {
+        localKeys = JSON.parse(fs.readFileSync(file, 'utf8')).keys;
+        return localKeys;
+    }
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const der = publicKey.export({ type: 'spki', format: 'der' });
+    localKeys = [{
+        kid: 'tsa-' + sha256(der).slice(0, 16),
+        created_at: new Date().toISOString(),
+        public_key: publicKey.export({ type: 'spki', format: 'pem' }),
+        private_key: privateKey.export({ type: 'pkcs8', format: 'pem' })
+    }];
+    fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(file, JSON.stringify({ keys: localKeys }, null, 2), { mode: 0o600 });
+    return localKeys;
+}
+
+function localPublicKey(kid) {
+    const key = loadLocalKeys().find(k => k.kid === kid);
+    return key ? key.public_key : null;
+}
+
+/**
+ * The bundled TSA. Signs with the local clock, so it only adds trust when it runs
+ * on a separately controlled, time-synchronised host or process.
+ */
+function createLocalTsa(options = {}) {
+    const name = options.name || 'oplogica-local-tsa';
+    const accuracyMs = options.accuracyMs || 1000;
+    const now = options.clock || (() => new Date());
+
+    return {
+        name,
+        policy: LOCAL_TSA_POLICY,
+        stamp(hashHex) {
+            const key = loadLocalKeys().find(k => k.private_key);
+            const token = {
+                version: TOKEN_VERSION,
+                policy: LOCAL_TSA_POLICY,
+                message_imprint: { hash_alg: 'SHA-256', hashed_message: hashHex },
+                serial_number: crypto.randomBytes(8).toString('hex'),
+                gen_time: now().toISOString(),
+                accuracy_ms: accuracyMs,
+                tsa: name
+            };
+            const signature = crypto.sign(null, Buffer.from(tokenPayload(token)), key.private_key).toString('base64url');
+            return { ...token, kid: key.kid, signature_alg: 'Ed25519', signature };
+        }
+    };
+}
+
+/**
+ * Public keys of the local TSA as JWKS, for relying parties.
+ */
+function localJwks() {
+    return {
+        tsa: authority ? authority.name : null,
+        policy: LOCAL_TSA_POLICY,
+        keys: loadLocalKeys().map(k => ({
+            ...crypto.createPublicKey(k.public_key).export({ format: 'jwk' }),
+            kid: k.kid,
+            use: 'sig',
+            alg: 'EdDSA',
+            created_at: k.created_at
+        }))
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ACTIVE AUTHORITY
+// ═══════════════════════════════════════════════════════════════
+
+function setTimestampAuthority(tsa) {
+    authority = tsa || null;
+}
+
+function getTimestampAuthority() {
+    return authority;
+}
+
+if (process.env.TSA_MODE === 'local') setTimestampAuthority(createLocalTsa());
+
+module.exports = {
+    LOCAL_TSA_POLICY,
+    tokenPayload,
+    verifyToken,
+    createLocalTsa,
+    localJwks,
+    setTimestampAuthority,
+    getTimestampAuthority
+};
@@ -4,12 +4,11 @@
  * DETERMINISTIC: same inputs → same outputs. C1: vital_score < 0.5 → HIGH always.
  */
 
-const crypto = require('crypto');
-
-const POO_SECRET = process.env.POO_SECRET || 'oplogica-verification-key';
+const { sealPolicy, computeMerkleRoot, defineEngine } = require('./verificationCore');
+const { compilePolicy, checkPolicy } = require('./policyDsl');
 
 // Pre-declared policy (BEFORE any decisions) — Axiom 3.1 Temporal Precedence
-const TRIAGE_POLICY = {
+const TRIAGE_POLICY = sealPolicy({
   policy_name: 'Emergency Triage Protocol v2.1',
   authority: 'OpLogica Ethics Framework',
   declaration_timestamp: '2024-11-15T09:00:00Z',
@@ -21,39 +20,24 @@ const TRIAGE_POLICY = {
   ],
   policy_hash: null,
   authority_signature: null
-};
-
-// Compute policy hash at load
-(function () {
-  const payload = JSON.stringify({
-    name: TRIAGE_POLICY.policy_name,
-    declaration_timestamp: TRIAGE_POLICY.declaration_timestamp,
-    constraints: TRIAGE_POLICY.constraints.map(c => c.id + c.rule)
-  });
-  TRIAGE_POLICY.policy_hash = crypto.createHash('sha256').update(payload).digest('hex');
-  TRIAGE_POLICY.authority_signature = crypto.createHmac('sha256', POO_SECRET).update(TRIAGE_POLICY.policy_hash).digest('hex');
-})();
-
-function generatePoO(patientData, policy, timestamp) {
-  const state = JSON.stringify({
-    D: patientData,
-    P: policy,
-    T: timestamp
-  });
-  const hash = crypto.createHash('sha256').update(state).digest('hex');
-  const signature = crypto.createHmac('sha256', POO_SECRET).update(hash + timestamp).digest('hex');
-  return {
-    hash,
-    timestamp,
-    signature,
-    algorithm: 'SHA-256',
-    state_reference: `PoO-${Date.now()}`
-  };
-}
-
-function generateSignature(data) {
-  return crypto.createHmac('sha256', POO_SECRET).update(data).digest('hex');
-}
+});
+
+// C1 is checked from its declared text (see policyDsl.js); C2–C4 are not WHEN/THEN rules over
+// the decision, so C3 is checked below and C4 by the kernel on the reason graph
+const TRIAGE_RULES = compilePolicy(TRIAGE_POLICY, {
+  scales: { priority: ['LOW', 'MEDIUM', 'HIGH'] },
+  external: ['C2', 'C3', 'C4'],
+  aliases: { 'patient.vital_score': 'vital_score', 'decision.priority': 'priority' }
+});
+
+const kernel = defineEngine({
+  domain: 'triage',
+  code: 'TRG',
+  policy: TRIAGE_POLICY,
+  buildReasonGraph,
+  checkConstraints,
+  deltaLogic: calculateDeltaLogic
+});
 
 function calculateDeltaLogic(patientData, decision) {
   const steps = [];
@@ -69,7 +53,7 @@ function calculateDeltaLogic(patientData, decision) {
   return { steps };
 }
 
-function generatePoR(patientData, decision) {
+function buildReasonGraph(patientData, decision) {
   const critical = patientData.vital_score < 0.5;
   const urgency = critical && patientData.wait_time > 30 ? 'IMMEDIATE' : 'STANDARD';
 
@@ -100,26 +84,11 @@ function generatePoR(patientData, decision) {
     { from: 'c2', to: 'c3', relation: 'determines' }
   ];
 
-  const graph = { vertices, edges };
-  const graphHash = crypto.createHash('sha256').update(JSON.stringify(graph)).digest('hex');
-  return {
-    graph,
-    delta_logic: calculateDeltaLogic(patientData, decision),
-    hash: graphHash,
-    signature: generateSignature(graphHash)
-  };
+  return { vertices, edges };
 }
 
-function verifyPoI(decision, patientData) {
-  const results = [];
-
-  const c1_satisfied = patientData.vital_score >= 0.5 || decision.priority === 'HIGH';
-  results.push({
-    constraint: 'C1 - vital_priority',
-    satisfied: c1_satisfied,
-    severity: 'mandatory',
-    detail: `vital_score=${patientData.vital_score}, priority=${decision.priority}`
-  });
+function checkConstraints(decision, patientData) {
+  const results = checkPolicy(TRIAGE_RULES, { vital_score: patientData.vital_score }, { priority: decision.priority });
 
   const c3_satisfied = patientData.wait_time <= 60 || decision.reassessment === true;
   const c3_triggered = patientData.wait_time > 60;
@@ -133,58 +102,7 @@ function verifyPoI(decision, patientData) {
       : `✅ Within limit (wait=${patientData.wait_time} ≤ 60)`
   });
 
-  const temporal_valid = TRIAGE_POLICY.declaration_timestamp < decision.timestamp;
-  results.push({
-    constraint: 'Axiom 3.1 - Temporal Precedence',
-    satisfied: temporal_valid,
-    severity: 'mandatory',
-    detail: `PoI declared: ${TRIAGE_POLICY.declaration_timestamp}, Decision: ${decision.timestamp}`
-  });
-
-  const all_mandatory_satisfied = results.filter(r => r.severity === 'mandatory').every(r => r.satisfied);
-  return {
-    policy: TRIAGE_POLICY.policy_name,
-    policy_hash: TRIAGE_POLICY.policy_hash,
-    declaration_time: TRIAGE_POLICY.declaration_timestamp,
-    verification_time: new Date().toISOString(),
-    all_satisfied: all_mandatory_satisfied,
-    results
-  };
-}
-
-function computeMerkleRoot(hashes) {
-  if (hashes.length === 0) return crypto.createHash('sha256').update('empty').digest('hex');
-  if (hashes.length === 1) return hashes[0];
-  const paired = [];
-  for (let i = 0; i < hashes.length; i += 2) {
-    const left = hashes[i];
-    const right = hashes[i + 1] || left;
-    paired.push(crypto.createHash('sha256').update(left + right).digest('hex'));
-  }
-  return computeMerkleRoot(paired);
-}
-
-function createVerificationBundle(poo, por, poi) {
-  const leaves = [poo.hash, por.hash, poi.policy_hash || 'genesis'];
-  const merkleRoot = computeMerkleRoot(leaves);
-  const temporalRow = poi.results && poi.results.find(r => r.constraint.includes('Temporal'));
-  const overall_result = (poi.all_satisfied && por.graph.edges.length > 0) ? 'VERIFIED' : 'FAILED';
-  return {
-    bundle_id: `VB-${Date.now()}`,
-    created_at: new Date().toISOString(),
-    poo,
-    por,
-    poi,
-    merkle_root: merkleRoot,
-    verification_predicate: {
-      signatures_valid: true,
-      logic_valid: por.graph.edges.length > 0,
-      temporal_precedence: temporalRow ? temporalRow.satisfied : false,
-      constraints_satisfied: poi.all_satisfied,
-      merkle_verified: true
-    },
-    overall_result
-  };
+  return results;
 }
 
 /**
@@ -268,10 +186,7 @@ function triageDecision(patientData) {
     allRules
   };
 
-  const poo = generatePoO(patientData, 'triage_protocol_v2.1', timestamp);
-  const por = generatePoR(patientData, decision);
-  const poi = verifyPoI(decision, patientData);
-  const bundle = createVerificationBundle(poo, por, poi);
+  const bundle = kernel.issue(patientData, decision);
 
   return {
     decision,
@@ -282,9 +197,9 @@ function triageDecision(patientData) {
 module.exports = {
   TRIAGE_POLICY,
   triageDecision,
-  generatePoO,
-  generatePoR,
-  verifyPoI,
-  createVerificationBundle,
+  generatePoO: kernel.generatePoO,
+  generatePoR: kernel.generatePoR,
+  verifyPoI: kernel.verifyPoI,
+  createVerificationBundle: kernel.createVerificationBundle,
   computeMerkleRoot
 };
@@ -0,0 +1,455 @@
+/**
+ * OpLogica Triage Simulator — a whole waiting room through the medical engine
+ * Discrete-event simulation of an emergency department with finite beds and clinicians.
+ * Patients (synthetic from a seeded PRNG, or recorded) arrive, are triaged by the
+ * medical engine and queue by priority (HIGH, MEDIUM, LOW; first come first served
+ * within a priority). Treatment starts when a bed and a clinician are both free: the
+ * clinician is busy for the assessment, the bed for the whole stay.
+ *
+ *   resource_score — when a patient does not bring one, the share of beds free at the
+ *                    moment of triage, so C9 resource alerts follow the department's load
+ *   wait_time      — minutes waited in the simulation (0 at arrival)
+ *   C3 re-triage   — a patient still waiting once the wait exceeds the C3 limit of the policy
+ *                    in force is triaged again, then every reassess_minutes; the new priority
+ *                    re-queues them
+ *
+ * Engine decisions run inside probe(): nothing is sealed or written to the ledger. A run
+ * makes at most SIM_MAX_TRIAGES engine evaluations: every patient is triaged on arrival,
+ * and C3 re-triages stop once the rest of the budget is spent (the report says so). The
+ * event loop yields after every evaluation, so a long run does not hold the server. The
+ * report (wait distributions per priority and per demographic group, C3 counts,
+ * utilisation) is hashed as canonical JSON and signed with the keyring.
+ * Same seed and input → same report, apart from simulation_id and the timestamps.
+ *
+ * Treatment times are exponential with the means in TREATMENT_MINUTES; a recorded
+ * patient's treatment_minutes replaces the bed time.
+ *
+ * Configuration:
+ *   SIM_MAX_PATIENTS — patients per run (default 2000)
+ *   SIM_MAX_TRIAGES  — engine evaluations per run, arrivals and re-triages (default 20000,
+ *                      never below SIM_MAX_PATIENTS)
+ */
+
+const crypto = require('crypto');
+const { hashJson, signProof, verifyProofSignature, probe } = require('./verificationCore');
+const policyRegistry = require('./policyRegistry');
+const { validateInput, InputValidationError } = require('./inputSchema');
+const { groupOf, configuredAttributes } = require('./fairness');
+const medicalEngine = require('./medicalEngine');
+
+const REPORT_SCHEMA = 'oplogica.triage-simulation/1';
+const MAX_PATIENTS = parseInt(process.env.SIM_MAX_PATIENTS, 10) || 2000;
+const MAX_TRIAGES = Math.max(parseInt(process.env.SIM_MAX_TRIAGES, 10) || 20000, MAX_PATIENTS);
+const PRIORITIES = ['HIGH', 'MEDIUM', 'LOW'];
+
+// Mean minutes per priority: clinician assessment, and bed occupancy (at least the assessment)
+const TREATMENT_MINUTES = {
+    HIGH: { clinician: 45, bed: 240 },
+    MEDIUM: { clinician: 25, bed: 120 },
+    LOW: { clinician: 15, bed: 45 }
+};
+
+const SIMULATION_SCHEMA = {
+    $id: 'oplogica.input.triage-simulation/1',
+    type: 'object',
+    properties: {
+        seed: { type: 'integer', minimum: 0, default: 1 },
+        beds: { type: 'integer', minimum: 1, maximum: 500, default: 10 },
+        clinicians: { type: 'integer', minimum: 1, maximum: 200, default: 4 },
+        arrivals_per_hour: { type: 'number', exclusiveMinimum: 0, maximum: 600, default: 12 },
+        duration_minutes: { type: 'number', exclusiveMinimum: 0, maximum: 10080, default: 480 },
+        reassess_minutes: { type: 'number', minimum: 5, default: 60 },
+        group_attribute: { type: 'string' }
+    },
+    required: []
+};
+
+function round(value, digits = 1) {
+    return Number(value.toFixed(digits));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// RANDOMNESS
+// ═══════════════════════════════════════════════════════════════
+
+// mulberry32: small, fast, and the same sequence on every platform for a given seed
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return function random() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function exponential(random, mean) {
+    return -Math.log(1 - random()) * mean;
+}
+
+/**
+ * Synthetic patient: age mix 15% children, 55% 12–64, 30% 65+; vital_score skewed towards
+ * stable (about 14% below the C1 threshold); 8% trauma, 3% maternal.
+ */
+function syntheticPatient(random) {
+    const r = random();
+    const age = r < 0.15 ? Math.floor(random() * 12) : r < 0.7 ? 12 + Math.floor(random() * 53) : 65 + Math.floor(random() * 30);
+    const input = {
+        age,
+        vital_score: round(0.2 + 0.8 * Math.sqrt(random()), 2),
+        comorbidity_index: round(random() * (age >= 65 ? 0.9 : 0.5), 2)
+    };
+    const kind = random();
+    if (kind < 0.08) {
+        input.category = 'TRAUMA';
+        input.trauma_score = round(random(), 2);
+    } else if (kind < 0.11 && age >= 18 && age < 45) {
+        input.category = 'MATERNAL';
+        input.is_pregnant = true;
+        input.complications = random() < 0.3;
+    }
+    return input;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// INPUT
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Validates the settings and builds the arrival list: recorded patients
+ * ({ arrival_minute, treatment_minutes?, ...engine input }) when given, otherwise a
+ * Poisson stream over duration_minutes. Recorded patients are checked against the
+ * medical schema up front; errors are prefixed with patients[i].
+ */
+function prepareSimulation(raw) {
+    const result = validateInput(SIMULATION_SCHEMA, raw || {});
+    const errors = [...result.errors];
+    const settings = result.value || {};
+    const recorded = raw && raw.patients;
+    let arrivals = [];
+    let truncated = false;
+
+    if (recorded !== undefined) {
+        if (!Array.isArray(recorded) || recorded.length === 0) {
+            errors.push({ field: 'patients', code: 'type', message: 'patients must be a non-empty array', value: null });
+        } else {
+            if (recorded.length > MAX_PATIENTS) truncated = true;
+            recorded.slice(0, MAX_PATIENTS).forEach((patient, i) => {
+                const { arrival_minute: arrival, treatment_minutes: treatment, ...input } = patient || {};
+                const fail = (field, message) => errors.push({ field: `patients[${i}].${field}`, code: 'type', message: `patients[${i}]: ${field} ${message}`, value: patient ? patient[field] : null });
+                if (typeof arrival !== 'number' || !Number.isFinite(arrival) || arrival < 0) fail('arrival_minute', 'must be a number ≥ 0');
+                if (treatment !== undefined && !(typeof treatment === 'number' && treatment > 0)) fail('treatment_minutes', 'must be a number > 0');
+                medicalEngine.validateInput({ ...input, wait_time: 0 }).errors.forEach(e => errors.push({
+                    ...e,
+                    field: e.field ? `patients[${i}].${e.field}` : `patients[${i}]`,
+                    message: `patients[${i}]: ${e.message}`
+                }));
+                arrivals.push({ arrival, treatment, input });
+            });
+            arrivals = arrivals
+                .map((a, i) => ({ ...a, index: i }))
+                .sort((a, b) => a.arrival - b.arrival || a.index - b.index);
+        }
+    }
+    if (errors.length) throw new InputValidationError(errors, SIMULATION_SCHEMA.$id);
+
+    const random = createRandom(settings.seed);
+    if (recorded === undefined) {
+        const meanGap = 60 / settings.arrivals_per_hour;
+        let t = exponential(random, meanGap);
+        while (t < settings.duration_minutes) {
+            if (arrivals.length === MAX_PATIENTS) {
+                truncated = true;
+                break;
+            }
+            arrivals.push({ arrival: t, treatment: undefined, input: syntheticPatient(random), index: arrivals.length });
+            t += exponential(random, meanGap);
+        }
+    }
+
+    return {
+        settings: { ...settings, group_attribute: settings.group_attribute || configuredAttributes('medical')[0] || 'age' },
+        source: recorded === undefined ? 'synthetic' : 'recorded',
+        arrivals,
+        truncated,
+        random
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// EVENT QUEUE
+// ═══════════════════════════════════════════════════════════════
+
+// Binary min-heap on (time, seq); seq keeps simultaneous events in scheduling order
+function createEventQueue() {
+    const heap = [];
+    let seq = 0;
+    const before = (a, b) => a.time < b.time || (a.time === b.time && a.seq < b.seq);
+
+    function push(event) {
+        heap.push({ ...event, seq: seq++ });
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (!before(heap[i], heap[parent])) break;
+            [heap[i], heap[parent]] = [heap[parent], heap[i]];
+            i = parent;
+        }
+    }
+
+    function pop() {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let i = 0;
+            for (;;) {
+                const l = 2 * i + 1;
+                const r = l + 1;
+                let smallest = i;
+                if (l < heap.length && before(heap[l], heap[smallest])) smallest = l;
+                if (r < heap.length && before(heap[r], heap[smallest])) smallest = r;
+                if (smallest === i) break;
+                [heap[i], heap[smallest]] = [heap[smallest], heap[i]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+
+    return { push, pop, size: () => heap.length };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// STATISTICS
+// ═══════════════════════════════════════════════════════════════
+
+// Nearest-rank percentile of an ascending array
+function percentile(sorted, p) {
+    return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function distribution(values) {
+    if (values.length === 0) return { n: 0, mean: null, p50: null, p90: null, p95: null, max: null };
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+        n: sorted.length,
+        mean: round(sorted.reduce((a, b) => a + b, 0) / sorted.length),
+        p50: round(percentile(sorted, 50)),
+        p90: round(percentile(sorted, 90)),
+        p95: round(percentile(sorted, 95)),
+        max: round(sorted[sorted.length - 1])
+    };
+}
+
+function priorityCounts(patients) {
+    return Object.fromEntries(PRIORITIES.map(p => [p, patients.filter(x => x.priority === p).length]));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// RUN
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Runs the department until every patient has started treatment; c3Limit is the C3
+ * wait limit (minutes) of the policy in force. Returns the patients with { arrival, start, wait, priority, initial_priority, triages, c3 }
+ * and the busy minutes of beds and clinicians.
+ */
+async function simulate({ settings, arrivals, random }, c3Limit) {
+    const events = createEventQueue();
+    const waiting = [];
+    let freeBeds = settings.beds;
+    let freeClinicians = settings.clinicians;
+    let now = 0;
+    const busy = { beds: 0, clinicians: 0 };
+    const totals = { triages: 0, c3_retriages: 0, priority_changes: 0, escalations: 0, resource_alerts: 0 };
+    let arrived = 0;
+    let retriageLimitReached = false;
+
+    const patients = arrivals.map((a, id) => ({ id, arrival: a.arrival, treatment: a.treatment, input: a.input, triages: 0, c3: 0 }));
+    patients.forEach(p => events.push({ time: p.arrival, type: 'arrival', patient: p }));
+
+    function triage(patient) {
+        const input = {
+            ...patient.input,
+            wait_time: round(now - patient.arrival),
+            resource_score: patient.input.resource_score !== undefined ? patient.input.resource_score : round(freeBeds / settings.beds, 2)
+        };
+        const { decision } = probe(() => medicalEngine.evaluateMedical(input));
+        totals.triages++;
+        if (decision.resource_alert) totals.resource_alerts++;
+        if (patient.priority && decision.priority !== patient.priority) {
+            totals.priority_changes++;
+            if (PRIORITIES.indexOf(decision.priority) < PRIORITIES.indexOf(patient.priority)) totals.escalations++;
+        }
+        patient.priority = decision.priority;
+        if (!patient.initial_priority) patient.initial_priority = decision.priority;
+        patient.triages++;
+        return decision;
+    }
+
+    function dispatch() {
+        while (freeBeds > 0 && freeClinicians > 0 && waiting.length > 0) {
+            let best = 0;
+            for (let i = 1; i < waiting.length; i++) {
+                const a = waiting[i];
+                const b = waiting[best];
+                const rank = PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority);
+                if (rank < 0 || (rank === 0 && (a.arrival < b.arrival || (a.arrival === b.arrival && a.id < b.id)))) best = i;
+            }
+            const patient = waiting.splice(best, 1)[0];
+            const means = TREATMENT_MINUTES[patient.priority];
+            const clinician = exponential(random, means.clinician);
+            const bed = Math.max(clinician, patient.treatment !== undefined ? patient.treatment : exponential(random, means.bed));
+            patient.start = now;
+            patient.wait = now - patient.arrival;
+            freeBeds--;
+            freeClinicians--;
+            busy.beds += bed;
+            busy.clinicians += clinician;
+            events.push({ time: now + clinician, type: 'release', resource: 'clinician' });
+            events.push({ time: now + bed, type: 'release', resource: 'bed' });
+        }
+    }
+
+    while (events.size() > 0) {
+        const event = events.pop();
+        now = event.time;
+        if (event.type === 'arrival') {
+            arrived++;
+            triage(event.patient);
+            waiting.push(event.patient);
+            events.push({ time: now + c3Limit + 1, type: 'reassess', patient: event.patient });
+        } else if (event.type === 'reassess') {
+            if (event.patient.start !== undefined || retriageLimitReached) continue;
+            // Keep enough of the budget to triage every patient still to arrive
+            if (totals.triages + (patients.length - arrived) >= MAX_TRIAGES) {
+                retriageLimitReached = true;
+                continue;
+            }
+            const decision = triage(event.patient);
+            if (decision.reassessment) {
+                event.patient.c3++;
+                totals.c3_retriages++;
+            }
+            events.push({ time: now + settings.reassess_minutes, type: 'reassess', patient: event.patient });
+        } else {
+            if (event.resource === 'bed') freeBeds++;
+            else freeClinicians++;
+        }
+        dispatch();
+        // The engine decides synchronously: yield after each evaluation so a run does not hold the server
+        if (event.type !== 'release') await new Promise(resolve => setImmediate(resolve));
+    }
+
+    return { patients, busy, totals, retriageLimitReached, makespan: now };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// REPORT
+// ═══════════════════════════════════════════════════════════════
+
+function summarize(patients, attribute) {
+    const byGroup = new Map();
+    patients.forEach(p => {
+        const group = groupOf(p.input, attribute);
+        if (!byGroup.has(group)) byGroup.set(group, []);
+        byGroup.get(group).push(p);
+    });
+    return {
+        overall: distribution(patients.map(p => p.wait)),
+        by_priority: Object.fromEntries(PRIORITIES.map(priority => [
+            priority,
+            distribution(patients.filter(p => p.priority === priority).map(p => p.wait))
+        ])),
+        by_group: {
+            attribute,
+            groups: Object.fromEntries([...byGroup.keys()].sort().map(group => {
+                const members = byGroup.get(group);
+                return [group, {
+                    wait: distribution(members.map(p => p.wait)),
+                    priorities: priorityCounts(members),
+                    c3_patients: members.filter(p => p.c3 > 0).length
+                }];
+            }))
+        }
+    };
+}
+
+/**
+ * Simulates one department run and resolves to the signed report.
+ * raw — { seed, beds, clinicians, arrivals_per_hour, duration_minutes, reassess_minutes,
+ *         group_attribute, patients?: [{ arrival_minute, treatment_minutes?, ...medical input }] }
+ */
+async function runSimulation(raw) {
+    const startedAt = new Date().toISOString();
+    const prepared = prepareSimulation(raw);
+    const { settings } = prepared;
+    const policy = policyRegistry.resolvePolicy('medical', startedAt);
+    const c3Limit = medicalEngine.c3WaitLimit(policy);
+    const { patients, busy, totals, retriageLimitReached, makespan } = await simulate(prepared, c3Limit);
+
+    const body = {
+        schema: REPORT_SCHEMA,
+        simulation_id: `SIM-MED-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+        engine: 'medical',
+        policy: { name: policy.policy_name, version: policy.version || null, policy_hash: policy.policy_hash },
+        started_at: startedAt,
+        completed_at: new Date().toISOString(),
+        settings: {
+            source: prepared.source,
+            seed: settings.seed,
+            beds: settings.beds,
+            clinicians: settings.clinicians,
+            ...(prepared.source === 'synthetic' ? { arrivals_per_hour: settings.arrivals_per_hour, duration_minutes: settings.duration_minutes } : {}),
+            c3_limit_minutes: c3Limit,
+            reassess_minutes: settings.reassess_minutes,
+            max_triages: MAX_TRIAGES,
+            treatment_minutes: TREATMENT_MINUTES
+        },
+        patients: patients.length,
+        truncated: prepared.truncated,
+        makespan_minutes: round(makespan),
+        initial_priorities: Object.fromEntries(PRIORITIES.map(p => [p, patients.filter(x => x.initial_priority === p).length])),
+        final_priorities: priorityCounts(patients),
+        wait_minutes: summarize(patients, settings.group_attribute),
+        reassessment: {
+            c3_retriages: totals.c3_retriages,
+            c3_patients: patients.filter(p => p.c3 > 0).length,
+            priority_changes: totals.priority_changes,
+            escalations: totals.escalations,
+            retriage_limit_reached: retriageLimitReached
+        },
+        triages: totals.triages,
+        resource_alerts: totals.resource_alerts,
+        utilisation: {
+            beds: makespan > 0 ? round(busy.beds / (settings.beds * makespan), 3) : 0,
+            clinicians: makespan > 0 ? round(busy.clinicians / (settings.clinicians * makespan), 3) : 0
+        }
+    };
+    const reportHash = hashJson(body);
+    return { ...body, report_hash: reportHash, ...signProof(reportHash) };
+}
+
+/**
+ * Offline check: the report body hashes to report_hash and the signature covers it
+ * (options.getPublicKey as in verifyProofSignature).
+ */
+function verifySimulationReport(report, options = {}) {
+    const { report_hash: reportHash, signature, kid, signature_alg: alg, ...body } = report || {};
+    const checks = {
+        report_hash: Boolean(reportHash) && hashJson(body) === reportHash,
+        signature: verifyProofSignature(reportHash, { signature, kid, signature_alg: alg }, { getPublicKey: options.getPublicKey })
+    };
+    return { valid: Object.values(checks).every(Boolean), checks };
+}
+
+module.exports = {
+    REPORT_SCHEMA,
+    SIMULATION_SCHEMA,
+    TREATMENT_MINUTES,
+    createRandom,
+    runSimulation,
+    verifySimulationReport
+};
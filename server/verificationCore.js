@@ -0,0 +1,453 @@
+/**
+ * OpLogica Verification Kernel — Triadic Verification Core
+ * One implementation of PoO, PoR, PoI and bundle sealing shared by every engine.
+ * Engines plug in with defineEngine() and supply only their policy, reason graph
+ * and constraint checks; the proof format lives here and nowhere else.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const policyRegistry = require('./policyRegistry');
+const keyring = require('./keyring');
+const timestampAuthority = require('./timestampAuthority');
+const { canonicalize } = require('./canonicalJson');
+const { validateInput, InputValidationError } = require('./inputSchema');
+const { analyzeSensitivity } = require('./sensitivity');
+const { analyzeReasonGraph, structuralConstraints } = require('./reasonGraph');
+
+// HMAC key of pre-Ed25519 bundles; only used to verify them, and only when configured
+const POO_SECRET = process.env.POO_SECRET || null;
+// /2 hashes canonical JSON (RFC 8785); /1 bundles hashed JSON.stringify output and still verify
+const BUNDLE_SCHEMA = 'oplogica.verification-bundle/2';
+const LEGACY_BUNDLE_SCHEMA = 'oplogica.verification-bundle/1';
+
+// Emits 'issued' → { domain, input, decision, bundle } for every sealed decision (the ledger subscribes)
+const bundleEvents = new EventEmitter();
+
+// Depth of probe() calls in progress; while > 0 engines decide without sealing or emitting
+let probing = 0;
+// Registry entry pinned by probe(fn, { policyHash }): engines of its domain decide under it
+let pinned = null;
+
+// ═══════════════════════════════════════════════════════════════
+// CRYPTOGRAPHIC PRIMITIVES
+// ═══════════════════════════════════════════════════════════════
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Serialization behind every hashed structure of a bundle schema.
+ */
+function serializerFor(schema = BUNDLE_SCHEMA) {
+    return schema === LEGACY_BUNDLE_SCHEMA ? JSON.stringify : canonicalize;
+}
+
+function hashJson(value, schema) {
+    return sha256(serializerFor(schema)(value));
+}
+
+function generateSignature(data, secret) {
+    if (!secret) throw new Error('HMAC signature requires a secret');
+    return crypto.createHmac('sha256', secret).update(data).digest('hex');
+}
+
+function verifySignature(data, signature, secret) {
+    if (!secret || typeof signature !== 'string') return false;
+    const expected = Buffer.from(generateSignature(data, secret), 'hex');
+    const actual = Buffer.from(signature, 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Ed25519 signature with the keyring's active key: { signature, kid, signature_alg }.
+ */
+function signProof(data) {
+    const { alg, kid, signature } = keyring.sign(data);
+    return { signature, kid, signature_alg: alg };
+}
+
+/**
+ * Checks a proof signature. Proofs with a kid are Ed25519 (public key from
+ * options.getPublicKey or the local keyring). A proof without a kid is legacy
+ * HMAC: accepted only inside a /1 bundle (options.schema) and only with a
+ * configured secret (options.secret or POO_SECRET); anywhere else it fails.
+ */
+function verifyProofSignature(data, proof, options = {}) {
+    if (!proof) return false;
+    if (proof.kid) {
+        const getPublicKey = options.getPublicKey || keyring.getPublicKey;
+        return keyring.verifyWithKey(data, proof.signature, getPublicKey(proof.kid));
+    }
+    return options.schema === LEGACY_BUNDLE_SCHEMA
+        && verifySignature(data, proof.signature, options.secret || POO_SECRET);
+}
+
+function computeMerkleRoot(hashes) {
+    if (hashes.length === 0) return sha256('empty');
+    if (hashes.length === 1) return hashes[0];
+    const paired = [];
+    for (let i = 0; i < hashes.length; i += 2) {
+        const left = hashes[i];
+        const right = hashes[i + 1] || left;
+        paired.push(sha256(left + right));
+    }
+    return computeMerkleRoot(paired);
+}
+
+/**
+ * Sibling path from leaf `index` up to computeMerkleRoot(hashes):
+ * [{ position: 'left' | 'right', hash }], leaf level first.
+ */
+function computeMerkleProof(hashes, index) {
+    if (index < 0 || index >= hashes.length) throw new Error(`Merkle proof: leaf ${index} out of range`);
+    const path = [];
+    let level = hashes;
+    let i = index;
+    while (level.length > 1) {
+        const sibling = i % 2 === 0 ? (level[i + 1] || level[i]) : level[i - 1];
+        path.push({ position: i % 2 === 0 ? 'right' : 'left', hash: sibling });
+        const paired = [];
+        for (let j = 0; j < level.length; j += 2) paired.push(sha256(level[j] + (level[j + 1] || level[j])));
+        level = paired;
+        i = Math.floor(i / 2);
+    }
+    return path;
+}
+
+function verifyMerkleProof(leaf, path, root) {
+    const computed = path.reduce((acc, step) => (
+        step.position === 'left' ? sha256(step.hash + acc) : sha256(acc + step.hash)
+    ), leaf);
+    return computed === root;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// POLICY DECLARATION (Axiom 3.1 — Temporal Precedence)
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Serialized policy payload behind policy_hash. Optional fields (version, DSL scales,
+ * counter and external constraints) drop out when absent.
+ */
+function policyPayload(policy, schema) {
+    return serializerFor(schema)({
+        name: policy.policy_name,
+        version: policy.version,
+        declaration_timestamp: policy.declaration_timestamp,
+        constraints: policy.constraints.map(c => c.id + c.rule),
+        scales: policy.scales,
+        counter: policy.counter,
+        external: policy.external,
+        scoring_models: policy.scoring_models
+    });
+}
+
+/**
+ * Computes policy_hash and authority_signature in place. legacy_policy_hash is the
+ * pre-canonical hash of the same payload, which /1 bundles carry.
+ */
+function sealPolicy(policy) {
+    policy.policy_hash = sha256(policyPayload(policy));
+    policy.legacy_policy_hash = sha256(policyPayload(policy, LEGACY_BUNDLE_SCHEMA));
+    const { signature, kid } = signProof(policy.policy_hash);
+    policy.authority_signature = signature;
+    policy.authority_kid = kid;
+    return policy;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PROOF OF ORIGIN (PoO)
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * D is the input exactly as received. Values the kernel supplied (defaults, inferred
+ * category) are listed in A and hashed with it, so assumed inputs are explicit.
+ * When a timestamp authority is installed, the PoO also carries its token over
+ * the PoO hash; the token's gen_time then stands in for the server clock.
+ */
+function generatePoO(data, policy, timestamp, code, assumptions) {
+    const state = { D: data, P: policy.policy_name, T: timestamp };
+    if (assumptions && assumptions.length) state.A = assumptions;
+    const hash = hashJson(state);
+    const tsa = timestampAuthority.getTimestampAuthority();
+    return {
+        hash,
+        timestamp,
+        ...signProof(hash + timestamp),
+        algorithm: 'SHA-256',
+        state_reference: `PoO-${code}-${hash.slice(0, 16)}`,
+        ...(state.A ? { assumptions: state.A } : {}),
+        ...(tsa ? { timestamp_token: tsa.stamp(hash) } : {})
+    };
+}
+
+/**
+ * Decision time for Axiom 3.1: the TSA token's gen_time when the PoO has one,
+ * otherwise the server-clock timestamp.
+ */
+function decisionTime(decision, poo) {
+    const token = poo && poo.timestamp_token;
+    if (token) return { time: token.gen_time, source: `TSA ${token.tsa} #${token.serial_number}` };
+    return { time: decision.timestamp, source: null };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PROOF OF REASON (PoR)
+// ═══════════════════════════════════════════════════════════════
+
+function generatePoR(graph, extras) {
+    const graphHash = hashJson(graph);
+    return {
+        graph,
+        ...(extras || {}),
+        hash: graphHash,
+        ...signProof(graphHash)
+    };
+}
+
+/**
+ * Structural check behind logic_valid: at least one edge, every edge joins two
+ * declared vertices, and no justification is circular. Dangling rules and
+ * unreachable vertices are reported in the detail and in the PoI (well_formed row),
+ * not here, so bundles sealed before they were checked still verify.
+ */
+function checkReasonGraph(graph) {
+    const analysis = analyzeReasonGraph(graph);
+    const valid = Boolean(analysis.edge_count) && analysis.unknown_edges.length === 0 && analysis.cycles.length === 0;
+    return { valid, detail: analysis.detail, analysis };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PROOF OF INTENT (PoI)
+// ═══════════════════════════════════════════════════════════════
+
+function temporalPrecedence(policy, decision, poo) {
+    const { time, source } = decisionTime(decision, poo);
+    return {
+        constraint: 'Axiom 3.1 - Temporal Precedence',
+        satisfied: Date.parse(policy.declaration_timestamp) < Date.parse(time),
+        severity: 'mandatory',
+        detail: `PoI declared: ${policy.declaration_timestamp}, Decision: ${time}${source ? ` (${source})` : ''}`
+    };
+}
+
+/**
+ * Structural rows for a PoR graph: the policy's reason_graph constraints (see
+ * reasonGraph.js) and whether the graph is well formed (warning).
+ */
+function reasonGraphConstraints(policy, decision, graph) {
+    const analysis = analyzeReasonGraph(graph);
+    return [
+        ...structuralConstraints(policy, decision, graph, analysis),
+        {
+            constraint: 'PoR - well_formed',
+            satisfied: analysis.well_formed,
+            severity: 'warning',
+            detail: analysis.detail
+        }
+    ];
+}
+
+/**
+ * Wraps an engine's constraint results into a PoI. With the PoR graph, its structural
+ * rows follow the engine's. Axiom 3.1 is always appended last, checked against the
+ * PoO's timestamp token when one is supplied.
+ */
+function verifyPoI(policy, decision, constraintResults, poo, graph) {
+    const results = [
+        ...constraintResults,
+        ...(graph ? reasonGraphConstraints(policy, decision, graph) : []),
+        temporalPrecedence(policy, decision, poo)
+    ];
+    const all_mandatory_satisfied = results.filter(r => r.severity === 'mandatory').every(r => r.satisfied);
+    return {
+        policy: policy.policy_name,
+        policy_version: policy.version || null,
+        policy_hash: policy.policy_hash,
+        declaration_time: policy.declaration_timestamp,
+        verification_time: new Date().toISOString(),
+        all_satisfied: all_mandatory_satisfied,
+        results
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// VERIFICATION BUNDLE
+// ═══════════════════════════════════════════════════════════════
+
+function bundleLeaves(poo, por, poi) {
+    return [poo.hash, por.hash, poi.policy_hash || 'genesis'];
+}
+
+/**
+ * Seals the three proofs. The predicate records only what can be checked here: the
+ * signatures, the reason graph, temporal precedence and the constraints. The graph hash
+ * and Merkle root are computed at this point, so a claim about them would be circular;
+ * bundleVerifier checks them against the received bundle instead.
+ */
+function createVerificationBundle(poo, por, poi, meta) {
+    const merkleRoot = computeMerkleRoot(bundleLeaves(poo, por, poi));
+    const temporalRow = poi.results && poi.results.find(r => r.constraint.includes('Temporal'));
+
+    const verification_predicate = {
+        signatures_valid: verifyProofSignature(poo.hash + poo.timestamp, poo) && verifyProofSignature(por.hash, por),
+        logic_valid: checkReasonGraph(por.graph).valid,
+        temporal_precedence: temporalRow ? temporalRow.satisfied : false,
+        constraints_satisfied: poi.all_satisfied
+    };
+    const overall_result = Object.values(verification_predicate).every(Boolean) ? 'VERIFIED' : 'FAILED';
+
+    return {
+        schema: BUNDLE_SCHEMA,
+        bundle_id: `VB-${meta.code}-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+        domain: meta.domain,
+        created_at: new Date().toISOString(),
+        poo,
+        por,
+        poi,
+        merkle_root: merkleRoot,
+        verification_predicate,
+        overall_result
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ENGINE PLUG-IN
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Binds a domain engine to the kernel.
+ *
+ * spec.domain            — engine key carried in every bundle ('credit', 'medical', ...)
+ * spec.code              — short tag used in bundle and PoO references ('CRD', 'MED', ...)
+ * spec.policies          — every sealed version of the domain policy, oldest first; each
+ *                          supersedes the one before at the deployment's cut-over
+ *                          (policyRegistry.cutover). spec.policy is accepted for a single version
+ * spec.buildReasonGraph  — (input, decision) → { vertices, edges }
+ * spec.checkConstraints  — (decision, input, policy) → PoI result rows (the kernel adds the reason-graph
+ *                          rows and Axiom 3.1)
+ * spec.deltaLogic        — optional (input, decision) → delta_logic attached to the PoR
+ * spec.inputSchema       — JSON Schema of the engine input (see inputSchema.js)
+ * spec.inferCategory     — optional (rawInput) → category, when the schema has x-category
+ * spec.outcome           — decision field holding the outcome (default 'recommendation')
+ * spec.ruleFields        — optional { rule identifier: input field } where the policy text
+ *                          names an input differently (see sensitivity.js)
+ *
+ * Each proof uses the policy version in force at the decision timestamp.
+ * Engines run on prepareInput(raw).input (defaults filled) and issue with the raw input,
+ * so the PoO records what was given and, separately, what was assumed.
+ */
+function defineEngine(spec) {
+    const { domain, code, buildReasonGraph, checkConstraints, deltaLogic, inputSchema, inferCategory } = spec;
+    const outcome = spec.outcome || 'recommendation';
+    const policies = spec.policies || [spec.policy];
+    const meta = { domain, code };
+
+    policies.slice(1).forEach((p, i) => policyRegistry.supersede(domain, policies[i], p));
+    policies.forEach(p => policyRegistry.registerPolicy(domain, p));
+
+    const engine = {
+        domain,
+        code,
+        policy: policies[policies.length - 1],
+        policies,
+        policyAt: (timestamp) => (pinned && pinned.domain === domain ? pinned.policy : policyRegistry.resolvePolicy(domain, timestamp)),
+        outcome,
+        inputSchema,
+        validateInput: (data) => validateInput(inputSchema, data, { inferCategory }),
+        prepareInput(data) {
+            if (!inputSchema) return { input: data, assumptions: [], category: null };
+            const result = engine.validateInput(data);
+            if (!result.valid) throw new InputValidationError(result.errors, inputSchema.$id);
+            return { input: result.value, assumptions: result.assumptions, category: result.category };
+        },
+        generatePoO: (data, timestamp, assumptions) => generatePoO(data, engine.policyAt(timestamp), timestamp, code, assumptions),
+        generatePoR: (data, decision) => generatePoR(
+            buildReasonGraph(data, decision),
+            deltaLogic ? { delta_logic: deltaLogic(data, decision) } : null
+        ),
+        verifyPoI: (decision, data, poo, graph) => {
+            const policy = engine.policyAt(decision.timestamp);
+            return verifyPoI(policy, decision, checkConstraints(decision, data, policy), poo, graph || buildReasonGraph(data, decision));
+        },
+        createVerificationBundle: (poo, por, poi) => createVerificationBundle(poo, por, poi, meta),
+        /**
+         * Sensitivity report for a decision (threshold proximity and outcome stability),
+         * re-running evaluate on perturbed input inside probe(). Null while probing.
+         */
+        sensitivity(input, decision, evaluate) {
+            if (probing > 0) return null;
+            const policy = engine.policyAt(decision.timestamp);
+            return probe(() => analyzeSensitivity({
+                policy, schema: inputSchema, aliases: spec.ruleFields || {}, outcome, input, decision, evaluate
+            }));
+        },
+        /**
+         * prepared — { input, assumptions } from prepareInput(data); proofs of reason
+         * and intent are built from the prepared input.
+         */
+        issue(data, decision, prepared) {
+            if (probing > 0) return null;
+            const { input, assumptions } = prepared || { input: data, assumptions: [] };
+            const poo = engine.generatePoO(data, decision.timestamp, assumptions);
+            const por = engine.generatePoR(input, decision);
+            const poi = engine.verifyPoI(decision, input, poo, por.graph);
+            const bundle = engine.createVerificationBundle(poo, por, poi);
+            bundleEvents.emit('issued', { domain, input: data, decision, bundle });
+            return bundle;
+        }
+    };
+    return engine;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PROBE MODE
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Runs fn with sealing switched off: engine evaluations inside it return
+ * verification_bundle null and reach neither the keyring nor the ledger.
+ * For tools that evaluate an engine many times (counterfactual search, sensitivity).
+ * options.policyHash — decide under that registered policy version instead of the one in force
+ */
+function probe(fn, options = {}) {
+    const previous = pinned;
+    if (options.policyHash) {
+        pinned = policyRegistry.getPolicyByHash(options.policyHash);
+        if (!pinned) throw new Error(`Policy registry: unknown policy_hash ${options.policyHash}`);
+    }
+    probing++;
+    try {
+        return fn();
+    } finally {
+        probing--;
+        pinned = previous;
+    }
+}
+
+module.exports = {
+    BUNDLE_SCHEMA,
+    LEGACY_BUNDLE_SCHEMA,
+    bundleEvents,
+    sha256,
+    hashJson,
+    generateSignature,
+    verifySignature,
+    signProof,
+    verifyProofSignature,
+    computeMerkleRoot,
+    computeMerkleProof,
+    verifyMerkleProof,
+    policyPayload,
+    sealPolicy,
+    generatePoO,
+    generatePoR,
+    checkReasonGraph,
+    verifyPoI,
+    bundleLeaves,
+    createVerificationBundle,
+    defineEngine,
+    probe
+};